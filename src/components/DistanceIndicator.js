@@ -4,17 +4,43 @@
 // This enhances the premium perception of GPS distance features by aligning with our design system
 // and creates a more monetizable premium experience.
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { View, StyleSheet, ActivityIndicator, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import Typography from '../ui/components/Typography';
 import theme from '../ui/theme';
+import { getCoursePackHolePoi } from '../services/coursePackStore';
+import {
+  HAZARD_KINDS,
+  getGreenDistances,
+  getHazardDistances,
+  getLayUpSuggestion
+} from '../utils/geo';
+import { getHoleStart } from '../utils/holeMap';
+
+// Hazards listed under the green distances, nearest first
+const MAX_HAZARDS_SHOWN = 4;
+
+const HAZARD_ICONS = {
+  [HAZARD_KINDS.BUNKER]: 'ellipse',
+  [HAZARD_KINDS.WATER]: 'water',
+  [HAZARD_KINDS.DOGLEG]: 'git-branch-outline'
+};
+
+const HAZARD_COLORS = {
+  [HAZARD_KINDS.BUNKER]: '#C8B273',
+  [HAZARD_KINDS.WATER]: '#1E88E5',
+  [HAZARD_KINDS.DOGLEG]: '#FF8F00'
+};
 
 /**
  * Distance Indicator Component
  * 
- * Shows distances to the green based on GPS or falls back to static hole data.
+ * Shows distances to the green based on GPS or falls back to static hole data,
+ * followed by the reach and carry of the fairway bunkers, water and doglegs still
+ * ahead (measured from the tee without GPS) and a lay-up that leaves the player's
+ * preferred approach distance.
  * This is a premium feature with high visibility in the user experience, making
  * consistent visual presentation critical for perceived value.
  * 
@@ -22,11 +48,20 @@ import theme from '../ui/theme';
  * @param {Object} props.holeData - Current hole data with distance and poi info
  * @param {boolean} props.active - Whether component should actively update location
  * @param {function} props.onPermissionChange - Callback when GPS permission changes
+ * @param {string} props.courseId - Course ID, used to read green POI from a downloaded course pack
+ * @param {number} props.holeNumber - Current hole number for course pack lookups
+ * @param {number} props.preferredApproachDistance - Yards the player likes to approach from, for lay-ups
+ * @param {function} props.onLocationUpdate - Called with each GPS fix ({ lat, lng, accuracy }), so
+ *   the tracker can follow the player without watching location a second time
  */
 const DistanceIndicator = ({ 
   holeData, 
   active = true,
-  onPermissionChange = null
+  onPermissionChange = null,
+  courseId = null,
+  holeNumber = null,
+  preferredApproachDistance = null,
+  onLocationUpdate = null
 }) => {
   // State for distance calculations
   const [centerDistance, setCenterDistance] = useState(null);
@@ -39,62 +74,36 @@ const DistanceIndicator = ({
   const [locationError, setLocationError] = useState(null);
   const [locationSubscription, setLocationSubscription] = useState(null);
   
-  // Calculate distance between two coordinate points using Haversine formula
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    // Radius of the Earth in yards
-    const R = 6371 * 1093.61; // Earth's radius in km converted to yards
-    
-    // Convert degrees to radians
-    const dLat = (lat2 - lat1) * (Math.PI / 180);
-    const dLon = (lon2 - lon1) * (Math.PI / 180);
-    
-    // Haversine formula
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(lat1 * (Math.PI / 180)) * Math.cos(lat2 * (Math.PI / 180)) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const distance = R * c;
-    
-    return Math.round(distance); // Round to nearest yard
-  };
+  // Latest GPS position, for hazard distances
+  const [position, setPosition] = useState(null);
+  
+  // POI from a downloaded course pack, used when the hole has none of its own
+  const [packPoi, setPackPoi] = useState(null);
+  
+  // Prefer the hole's own POI, then the downloaded course pack
+  // The location subscription outlives renders, so it reads the current hole's POI
+  // and callback from refs
+  const poi = holeData?.poi?.greens?.length > 0 ? holeData.poi : packPoi;
+  const poiRef = useRef(poi);
+  poiRef.current = poi;
+  const onLocationUpdateRef = useRef(onLocationUpdate);
+  onLocationUpdateRef.current = onLocationUpdate;
   
-  // Helper to find green POI coordinates
-  const findGreenCoordinates = useCallback(() => {
-    // Default to null values
-    let center = null;
-    let front = null;
-    let back = null;
+  // Load green POI from the offline course pack when the hole has none
+  useEffect(() => {
+    let isMounted = true;
+    setPackPoi(null);
     
-    // Check if hole has POI data with green coordinates
-    if (holeData?.poi?.greens && Array.isArray(holeData.poi.greens)) {
-      // Find coordinates for each position
-      holeData.poi.greens.forEach(greenPoi => {
-        if (greenPoi.location === 'center' || greenPoi.location === 'middle') {
-          center = { lat: greenPoi.lat, lng: greenPoi.lng };
-        } else if (greenPoi.location === 'front') {
-          front = { lat: greenPoi.lat, lng: greenPoi.lng };
-        } else if (greenPoi.location === 'back') {
-          back = { lat: greenPoi.lat, lng: greenPoi.lng };
-        }
+    if (courseId && holeNumber && !(holeData?.poi?.greens?.length > 0)) {
+      getCoursePackHolePoi(courseId, holeNumber).then(poi => {
+        if (isMounted) setPackPoi(poi);
       });
-      
-      // If we only have one coordinate, use it for all positions
-      if (center && !front && !back) {
-        front = center;
-        back = center;
-      } else if (!center && front && back) {
-        // If we have front and back but no center, estimate center
-        center = {
-          lat: (front.lat + back.lat) / 2,
-          lng: (front.lng + back.lng) / 2
-        };
-      }
     }
     
-    return { center, front, back };
-  }, [holeData]);
+    return () => {
+      isMounted = false;
+    };
+  }, [courseId, holeNumber, holeData?.poi]);
   
   // Request location permissions
   const requestLocationPermission = async () => {
@@ -178,30 +187,17 @@ const DistanceIndicator = ({
     }
     
     const { latitude, longitude } = location.coords;
+    const currentPosition = { lat: latitude, lng: longitude };
+    setPosition(currentPosition);
     
-    // Get green coordinates
-    const { center, front, back } = findGreenCoordinates();
-    
-    // Calculate distances if we have coordinates
-    if (center) {
-      const distanceToCenter = calculateDistance(
-        latitude, longitude, center.lat, center.lng
-      );
-      setCenterDistance(distanceToCenter);
-    }
+    // Calculate distances to whichever green points the hole has
+    const { center, front, back } = getGreenDistances(currentPosition, poiRef.current?.greens);
+    if (center !== null) setCenterDistance(center);
+    if (front !== null) setFrontDistance(front);
+    if (back !== null) setBackDistance(back);
     
-    if (front) {
-      const distanceToFront = calculateDistance(
-        latitude, longitude, front.lat, front.lng
-      );
-      setFrontDistance(distanceToFront);
-    }
-    
-    if (back) {
-      const distanceToBack = calculateDistance(
-        latitude, longitude, back.lat, back.lng
-      );
-      setBackDistance(distanceToBack);
+    if (onLocationUpdateRef.current) {
+      onLocationUpdateRef.current({ ...currentPosition, accuracy: location.coords.accuracy });
     }
     
     // Update flag to indicate we're using GPS data
@@ -269,6 +265,58 @@ const DistanceIndicator = ({
     checkPermission();
   }, []);
 
+  // Hazards ahead and the lay-up, measured from the player or from the tee without GPS
+  const hazardOrigin = usingGPS && position ? position : getHoleStart(poi);
+  const hazards = useMemo(
+    () => (hazardOrigin ? getHazardDistances(hazardOrigin, poi) : []),
+    [hazardOrigin?.lat, hazardOrigin?.lng, poi]
+  );
+  const distanceToGreen = hazardOrigin && poi?.greens?.length > 0
+    ? getGreenDistances(hazardOrigin, poi.greens).center
+    : centerDistance;
+  const layUp = getLayUpSuggestion(distanceToGreen, preferredApproachDistance, hazards);
+  
+  // Reach and carry of each hazard ahead, then the lay-up
+  const renderHazards = () => {
+    if (!holeData || (hazards.length === 0 && !layUp)) return null;
+    
+    return (
+      <View style={styles.hazardsContainer}>
+        {hazards.slice(0, MAX_HAZARDS_SHOWN).map(hazard => (
+          <View key={hazard.key} style={styles.hazardRow}>
+            <Ionicons name={HAZARD_ICONS[hazard.kind]} size={12} color={HAZARD_COLORS[hazard.kind]} />
+            <Typography variant="caption" style={styles.hazardLabel}>
+              {hazard.label}
+            </Typography>
+            <Typography variant="caption" weight="semibold">
+              {hazard.carry !== null
+                ? `${hazard.reach} reach • ${hazard.carry} carry`
+                : `${hazard.reach} yd`}
+            </Typography>
+          </View>
+        ))}
+        {layUp && (
+          <View style={styles.hazardRow}>
+            <Ionicons name="flag-outline" size={12} color={theme.colors.primary} />
+            <Typography variant="caption" style={styles.hazardLabel}>
+              {`Lay up to leave ${layUp.leaves}`}
+            </Typography>
+            <Typography
+              variant="caption"
+              weight="semibold"
+              color={layUp.hazard ? theme.colors.error : theme.colors.text}
+            >
+              {layUp.hazard ? `${layUp.distance} yd • ${layUp.hazard.label}` : `${layUp.distance} yd`}
+            </Typography>
+          </View>
+        )}
+        {!usingGPS && (
+          <Typography variant="caption" style={styles.hazardNote}>From the tee</Typography>
+        )}
+      </View>
+    );
+  };
+
   // Determine what content to show based on our current state
   const renderContent = () => {
     // Loading state while checking permission or starting GPS
@@ -357,6 +405,8 @@ const DistanceIndicator = ({
       ) : (
         renderContent()
       )}
+      
+      {renderHazards()}
     </View>
   );
 };
@@ -411,6 +461,27 @@ const styles = StyleSheet.create({
   distanceLabel: {
     color: '#666',
   },
+  hazardsContainer: {
+    marginTop: 6,
+    paddingTop: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#e8e8e8',
+  },
+  hazardRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  hazardLabel: {
+    flex: 1,
+    marginLeft: 6,
+    color: '#666',
+  },
+  hazardNote: {
+    marginTop: 2,
+    color: '#999',
+    fontStyle: 'italic',
+  },
   permissionContainer: {
     flexDirection: 'row',
     alignItems: 'center',
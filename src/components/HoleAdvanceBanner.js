@@ -0,0 +1,70 @@
+// src/components/HoleAdvanceBanner.js
+
+import React, { useEffect } from "react";
+import { View, StyleSheet, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+
+/**
+ * HoleAdvanceBanner Component
+ *
+ * Banner at the top of the TrackerScreen when GPS shows the player heading for the
+ * next tee: either offering to move to the next hole, or confirming a move that
+ * already happened with a way to undo it. Hides itself after a while.
+ *
+ * @param {Object} props
+ * @param {string} props.message - What was detected or done
+ * @param {string} props.actionLabel - Label for the action button, e.g. "Undo"
+ * @param {Function} props.onAction - Called when the action is tapped
+ * @param {Function} props.onDismiss - Called when closed or timed out
+ * @param {number} props.duration - How long to show the banner, in milliseconds
+ */
+export default function HoleAdvanceBanner({ message, actionLabel, onAction, onDismiss, duration = 8000 }) {
+  useEffect(() => {
+    const timeout = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timeout);
+  }, [message, duration, onDismiss]);
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name="navigate-outline" size={18} color="#FFF" />
+      <Typography variant="body" color="#FFF" style={styles.message}>
+        {message}
+      </Typography>
+      <TouchableOpacity style={styles.actionButton} onPress={onAction}>
+        <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+          {actionLabel}
+        </Typography>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={onDismiss} hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+        <Ionicons name="close" size={18} color="#FFF" />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginHorizontal: 8,
+    marginBottom: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+    ...theme.elevation.low,
+  },
+  message: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  actionButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    backgroundColor: "#FFF",
+    marginRight: 12,
+  },
+});
@@ -0,0 +1,77 @@
+// src/components/HoleHistorySummary.js
+
+import React from "react";
+import { View, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+
+/**
+ * HoleHistorySummary Component
+ *
+ * One-line reminder of how the player has scored on the current hole in past
+ * rounds: average, best and the shot type that most often got them into trouble,
+ * followed by the last note they left on the hole. Renders nothing for holes they
+ * haven't played before.
+ *
+ * @param {Object} props
+ * @param {Object} props.history - Entry from getCourseHoleHistory for the hole
+ */
+export default function HoleHistorySummary({ history }) {
+  if (!history || history.played === 0) return null;
+
+  const parts = [
+    `Avg ${history.averageScore}`,
+    `Best ${history.bestScore}`,
+    `${history.played} ${history.played === 1 ? "round" : "rounds"}`
+  ];
+
+  const lastNote = (history.notes || []).find(note => note.text !== "");
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.row}>
+        <Ionicons name="time-outline" size={14} color={theme.colors.secondary} />
+        <Typography variant="caption" style={styles.text} numberOfLines={1}>
+          {parts.join(" • ")}
+        </Typography>
+        {history.troubleShotType && (
+          <Typography variant="caption" color={theme.colors.accent} numberOfLines={1}>
+            {`Watch: ${history.troubleShotType}`}
+          </Typography>
+        )}
+      </View>
+      {lastNote && (
+        <View style={[styles.row, styles.noteRow]}>
+          <Ionicons name="create-outline" size={14} color={theme.colors.secondary} />
+          <Typography variant="caption" italic style={[styles.text, styles.noteText]} numberOfLines={2}>
+            {lastNote.date
+              ? `${new Date(lastNote.date).toLocaleDateString()}: ${lastNote.text}`
+              : lastNote.text}
+          </Typography>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: theme.spacing.small,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  noteRow: {
+    marginTop: 2,
+  },
+  noteText: {
+    flex: 1,
+  },
+  text: {
+    marginLeft: 4,
+    marginRight: theme.spacing.small,
+    color: theme.colors.secondary,
+  }
+});
@@ -0,0 +1,304 @@
+// src/components/HoleMap.js
+
+import React, { useState, useEffect, useMemo } from "react";
+import { View, StyleSheet, Pressable } from "react-native";
+import Svg, { Rect, Circle, Line, Polyline, Text as SvgText, G } from "react-native-svg";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { getCoursePackHolePoi } from "../services/coursePackStore";
+import { calculateDistance } from "../utils/geo";
+import {
+  HOLE_MAP_FEATURES,
+  MAX_PLAYER_DISTANCE_YARDS,
+  getHoleMapFeatures,
+  getHoleStart,
+  getHoleGreenCenter,
+  createHoleProjection,
+  findFeatureAt
+} from "../utils/holeMap";
+
+// Drawn taller than wide, as holes are long and narrow
+const MAP_ASPECT_RATIO = 1.25;
+const MAX_MAP_HEIGHT = 420;
+
+const FEATURE_STYLES = {
+  [HOLE_MAP_FEATURES.GREEN]: { radius: 6, fill: "#2E7D32", stroke: "#FFFFFF" },
+  [HOLE_MAP_FEATURES.GREEN_BUNKER]: { radius: 7, fill: "#E6D3A3", stroke: "#C8B273" },
+  [HOLE_MAP_FEATURES.FAIRWAY_BUNKER]: { radius: 7, fill: "#E6D3A3", stroke: "#C8B273" },
+  [HOLE_MAP_FEATURES.WATER]: { radius: 9, fill: "#64B5F6", stroke: "#1E88E5" },
+  [HOLE_MAP_FEATURES.TREES]: { radius: 7, fill: "#33691E", stroke: "#1B5E20" },
+  [HOLE_MAP_FEATURES.MARKER]: { radius: 4, fill: "#FFFFFF", stroke: "#666666" },
+  [HOLE_MAP_FEATURES.DOGLEG]: { radius: 4, fill: "#FFB300", stroke: "#FF8F00" },
+  [HOLE_MAP_FEATURES.ROAD]: { radius: 5, fill: "#9E9E9E", stroke: "#757575" },
+  [HOLE_MAP_FEATURES.TEE]: { radius: 5, fill: "#FFFFFF", stroke: "#333333" }
+};
+
+const LEGEND_ITEMS = [
+  { type: HOLE_MAP_FEATURES.GREEN, label: "Green" },
+  { type: HOLE_MAP_FEATURES.FAIRWAY_BUNKER, label: "Bunker" },
+  { type: HOLE_MAP_FEATURES.WATER, label: "Water" },
+  { type: HOLE_MAP_FEATURES.TREES, label: "Trees" },
+  { type: HOLE_MAP_FEATURES.TEE, label: "Tee" }
+];
+
+const PLAYER_COLOR = "#1E88E5";
+const TARGET_COLOR = "#D32F2F";
+
+/**
+ * Distance label drawn halfway along a measuring line
+ */
+const DistanceLabel = ({ from, to, yards }) => {
+  const x = (from.x + to.x) / 2 + 8;
+  const y = (from.y + to.y) / 2;
+
+  return (
+    <G>
+      <Rect x={x - 3} y={y - 11} width={46} height={15} rx={3} fill="rgba(255,255,255,0.9)" />
+      <SvgText x={x} y={y} fontSize={11} fontWeight="bold" fill="#333">
+        {`${yards} yd`}
+      </SvgText>
+    </G>
+  );
+};
+
+/**
+ * HoleMap Component
+ *
+ * Map of the current hole drawn from its POI data with react-native-svg, so it works
+ * without map tiles or a connection. Plots the green, bunkers, water, trees, distance
+ * markers, doglegs and tees with the player's GPS position. Tapping anywhere (or on a
+ * feature) measures from the player - or the tee when they aren't on the hole - to
+ * that point and from there to the center of the green.
+ *
+ * @param {Object} props
+ * @param {Object} props.holeData - Current hole data with poi
+ * @param {string} props.courseId - Course ID, used to read POI from a downloaded course pack
+ * @param {number} props.holeNumber - Current hole number for course pack lookups
+ * @param {Object} props.playerPosition - Player's latest GPS fix ({ lat, lng }) from the tracker
+ */
+export default function HoleMap({ holeData, courseId = null, holeNumber = null, playerPosition = null }) {
+  const [mapWidth, setMapWidth] = useState(0);
+  const [packPoi, setPackPoi] = useState(null);
+  const [target, setTarget] = useState(null);
+
+  // Prefer the hole's own POI, then the downloaded course pack
+  const poi = holeData?.poi?.greens?.length > 0 ? holeData.poi : packPoi;
+
+  useEffect(() => {
+    let isMounted = true;
+    setPackPoi(null);
+
+    if (courseId && holeNumber && !(holeData?.poi?.greens?.length > 0)) {
+      getCoursePackHolePoi(courseId, holeNumber).then(pointsOfInterest => {
+        if (isMounted) setPackPoi(pointsOfInterest);
+      });
+    }
+
+    return () => {
+      isMounted = false;
+    };
+  }, [courseId, holeNumber, holeData?.poi]);
+
+  const features = useMemo(() => getHoleMapFeatures(poi), [poi]);
+  const green = getHoleGreenCenter(poi);
+  const tee = getHoleStart(poi);
+
+  // The player's position only counts when they're actually on this hole
+  const playerOnHole = !!(playerPosition && green &&
+    calculateDistance(playerPosition.lat, playerPosition.lng, green.lat, green.lng) <= MAX_PLAYER_DISTANCE_YARDS);
+  const origin = playerOnHole ? playerPosition : tee;
+
+  const mapHeight = Math.min(mapWidth * MAP_ASPECT_RATIO, MAX_MAP_HEIGHT);
+
+  const projection = useMemo(() => createHoleProjection(
+    [...features, ...(playerOnHole ? [playerPosition] : [])],
+    { start: tee || (playerOnHole ? playerPosition : null), green, width: mapWidth, height: mapHeight }
+  ), [features, playerOnHole, playerPosition, tee?.lat, tee?.lng, green?.lat, green?.lng, mapWidth, mapHeight]);
+
+  if (!green) {
+    return (
+      <View style={styles.container}>
+        <Typography variant="caption" italic style={styles.secondaryText}>
+          No map data for this hole yet.
+        </Typography>
+      </View>
+    );
+  }
+
+  const handlePress = (event) => {
+    if (!projection) return;
+
+    const position = { x: event.nativeEvent.locationX, y: event.nativeEvent.locationY };
+    const feature = findFeatureAt(features, projection, position);
+    setTarget(feature
+      ? { lat: feature.lat, lng: feature.lng, label: feature.label }
+      : { ...projection.toCoordinate(position), label: "Target" });
+  };
+
+  // Guide line for the shape of the hole: tee, doglegs in order, green
+  const holeLine = tee
+    ? [
+        tee,
+        ...features
+          .filter(feature => feature.type === HOLE_MAP_FEATURES.DOGLEG)
+          .sort((a, b) => calculateDistance(tee.lat, tee.lng, a.lat, a.lng) - calculateDistance(tee.lat, tee.lng, b.lat, b.lng)),
+        green
+      ]
+    : [];
+
+  const originToTarget = target && origin
+    ? calculateDistance(origin.lat, origin.lng, target.lat, target.lng)
+    : null;
+  const targetToGreen = target ? calculateDistance(target.lat, target.lng, green.lat, green.lng) : null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.mapArea} onLayout={event => setMapWidth(event.nativeEvent.layout.width)}>
+        {projection && (
+          <Pressable onPress={handlePress}>
+            <Svg width={mapWidth} height={mapHeight}>
+              <Rect x={0} y={0} width={mapWidth} height={mapHeight} rx={8} fill="#DCEDC8" />
+
+              {holeLine.length > 1 && (
+                <Polyline
+                  points={holeLine.map(point => {
+                    const { x, y } = projection.toMap(point);
+                    return `${x},${y}`;
+                  }).join(" ")}
+                  fill="none"
+                  stroke="#AED581"
+                  strokeWidth={22}
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                />
+              )}
+
+              {/* Putting surface around the center of the green */}
+              <Circle {...toCircle(projection.toMap(green))} r={16} fill="#81C784" />
+
+              {features.map(feature => {
+                const { x, y } = projection.toMap(feature);
+                const style = FEATURE_STYLES[feature.type];
+
+                return feature.type === HOLE_MAP_FEATURES.TEE ? (
+                  <Rect
+                    key={feature.key}
+                    x={x - style.radius}
+                    y={y - style.radius}
+                    width={style.radius * 2}
+                    height={style.radius * 2}
+                    fill={style.fill}
+                    stroke={style.stroke}
+                  />
+                ) : (
+                  <G key={feature.key}>
+                    <Circle cx={x} cy={y} r={style.radius} fill={style.fill} stroke={style.stroke} />
+                    {feature.type === HOLE_MAP_FEATURES.MARKER && (
+                      <SvgText x={x + 7} y={y + 4} fontSize={10} fill="#555">
+                        {feature.label.replace(/\D/g, "")}
+                      </SvgText>
+                    )}
+                  </G>
+                );
+              })}
+
+              {/* Tap-to-measure lines */}
+              {target && origin && (
+                <>
+                  <Line
+                    x1={projection.toMap(origin).x}
+                    y1={projection.toMap(origin).y}
+                    x2={projection.toMap(target).x}
+                    y2={projection.toMap(target).y}
+                    stroke={TARGET_COLOR}
+                    strokeWidth={2}
+                  />
+                  <Line
+                    x1={projection.toMap(target).x}
+                    y1={projection.toMap(target).y}
+                    x2={projection.toMap(green).x}
+                    y2={projection.toMap(green).y}
+                    stroke={TARGET_COLOR}
+                    strokeWidth={2}
+                    strokeDasharray="6,4"
+                  />
+                  <DistanceLabel from={projection.toMap(origin)} to={projection.toMap(target)} yards={originToTarget} />
+                  <DistanceLabel from={projection.toMap(target)} to={projection.toMap(green)} yards={targetToGreen} />
+                  <Circle {...toCircle(projection.toMap(target))} r={6} fill="#FFFFFF" stroke={TARGET_COLOR} strokeWidth={2} />
+                </>
+              )}
+
+              {playerOnHole && (
+                <Circle {...toCircle(projection.toMap(playerPosition))} r={7} fill={PLAYER_COLOR} stroke="#FFFFFF" strokeWidth={2} />
+              )}
+            </Svg>
+          </Pressable>
+        )}
+      </View>
+
+      <Typography variant="caption" style={styles.readout}>
+        {target
+          ? `${playerOnHole ? "You" : "Tee"} to ${target.label.toLowerCase()}: ${originToTarget ?? "?"} yd • To green: ${targetToGreen} yd`
+          : `Tap the map to measure from ${playerOnHole ? "your position" : "the tee"}`}
+      </Typography>
+
+      <View style={styles.legend}>
+        {LEGEND_ITEMS.map(({ type, label }) => (
+          <View key={type} style={styles.legendItem}>
+            <View style={[styles.legendSwatch, { backgroundColor: FEATURE_STYLES[type].fill, borderColor: FEATURE_STYLES[type].stroke }]} />
+            <Typography variant="caption" style={styles.secondaryText}>{label}</Typography>
+          </View>
+        ))}
+        {playerOnHole && (
+          <View style={styles.legendItem}>
+            <View style={[styles.legendSwatch, { backgroundColor: PLAYER_COLOR, borderColor: PLAYER_COLOR }]} />
+            <Typography variant="caption" style={styles.secondaryText}>You</Typography>
+          </View>
+        )}
+      </View>
+    </View>
+  );
+}
+
+/**
+ * Circle center props for a map position
+ */
+const toCircle = ({ x, y }) => ({ cx: x, cy: y });
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#f8f8f8",
+    borderRadius: 8,
+    padding: 8,
+    marginBottom: 8,
+    marginHorizontal: 8,
+  },
+  mapArea: {
+    width: "100%",
+  },
+  readout: {
+    marginTop: theme.spacing.small,
+    textAlign: "center",
+  },
+  secondaryText: {
+    color: theme.colors.secondary,
+  },
+  legend: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    marginTop: 4,
+  },
+  legendItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginHorizontal: 6,
+  },
+  legendSwatch: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    borderWidth: 1,
+    marginRight: 4,
+  }
+});
@@ -0,0 +1,161 @@
+// src/components/HoleMediaList.js
+
+import React, { useState, useEffect, useRef } from "react";
+import { View, StyleSheet, TouchableOpacity, Image, ActivityIndicator } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { Audio } from "expo-av";
+import { getHoleMediaUrls } from "../services/holeNotesService";
+import { HOLE_MEDIA_TYPES, formatMemoDuration } from "../utils/holeNotes";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+
+/**
+ * HoleMediaList Component
+ *
+ * Photos and voice memos attached to a hole's notes. Photos show as thumbnails and
+ * memos play when tapped, both from signed URLs to the player's private storage.
+ *
+ * @param {Object} props
+ * @param {Array} props.media - hole_data.notes.media
+ * @param {Function} props.onRemove - Called with a media item to remove it (optional)
+ */
+export default function HoleMediaList({ media = [], onRemove }) {
+  const [urls, setUrls] = useState({});
+  const [playingPath, setPlayingPath] = useState(null);
+  const soundRef = useRef(null);
+
+  const pathKey = media.map(item => item.path).join(",");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getHoleMediaUrls(media.map(item => item.path))
+      .then(signedUrls => {
+        if (!cancelled) setUrls(signedUrls);
+      })
+      .catch(() => {
+        // Media stays as placeholders when it can't be signed, e.g. offline
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pathKey]);
+
+  // Stop any memo still playing when the list goes away
+  useEffect(() => {
+    return () => {
+      soundRef.current?.unloadAsync();
+    };
+  }, []);
+
+  const stopPlayback = async () => {
+    const sound = soundRef.current;
+    soundRef.current = null;
+    setPlayingPath(null);
+    if (sound) await sound.unloadAsync();
+  };
+
+  const togglePlayback = async (item) => {
+    const wasPlaying = playingPath === item.path;
+    await stopPlayback();
+    if (wasPlaying || !urls[item.path]) return;
+
+    try {
+      await Audio.setAudioModeAsync({ playsInSilentModeIOS: true });
+      const { sound } = await Audio.Sound.createAsync({ uri: urls[item.path] }, { shouldPlay: true });
+      soundRef.current = sound;
+      setPlayingPath(item.path);
+
+      sound.setOnPlaybackStatusUpdate(status => {
+        if (status.didJustFinish && soundRef.current === sound) stopPlayback();
+      });
+    } catch (error) {
+      console.warn("Could not play voice memo:", error);
+    }
+  };
+
+  if (media.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      {media.map(item => (
+        <View key={item.path} style={styles.item}>
+          {item.type === HOLE_MEDIA_TYPES.PHOTO ? (
+            urls[item.path] ? (
+              <Image source={{ uri: urls[item.path] }} style={styles.photo} />
+            ) : (
+              <View style={[styles.photo, styles.placeholder]}>
+                <ActivityIndicator size="small" color={theme.colors.secondary} />
+              </View>
+            )
+          ) : (
+            <TouchableOpacity style={styles.memo} onPress={() => togglePlayback(item)}>
+              <Ionicons
+                name={playingPath === item.path ? "stop-circle-outline" : "play-circle-outline"}
+                size={22}
+                color={theme.colors.primary}
+              />
+              <Typography variant="caption" style={styles.memoText}>
+                {formatMemoDuration(item.durationMs)}
+              </Typography>
+            </TouchableOpacity>
+          )}
+
+          {onRemove && (
+            <TouchableOpacity
+              style={styles.removeButton}
+              onPress={() => onRemove(item)}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Ionicons name="close-circle" size={18} color={theme.colors.error} />
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: theme.spacing.small,
+  },
+  item: {
+    marginRight: theme.spacing.small,
+    marginBottom: theme.spacing.small,
+  },
+  photo: {
+    width: 64,
+    height: 64,
+    borderRadius: 6,
+  },
+  placeholder: {
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f0f0",
+  },
+  memo: {
+    flexDirection: "row",
+    alignItems: "center",
+    height: 64,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    backgroundColor: "#fff",
+  },
+  memoText: {
+    marginLeft: 4,
+    color: theme.colors.secondary,
+  },
+  removeButton: {
+    position: "absolute",
+    top: -6,
+    right: -6,
+    backgroundColor: "#fff",
+    borderRadius: 9,
+  }
+});
@@ -7,11 +7,24 @@ import theme from "../ui/theme";
 
 /**
  * HoleNavigator Component - Allows navigation between holes
+ * 
+ * holeNumbers lists the holes covered by the round in playing order
+ * (e.g. 10-18 for a back nine) and defaults to 1..totalHoles
  */
-export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, totalHoles = 18 }) {
+export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, totalHoles = 18, holeNumbers }) {
+  const roundHoles = holeNumbers && holeNumbers.length > 0
+    ? holeNumbers
+    : Array.from({ length: totalHoles }, (_, i) => i + 1);
+  const holePosition = roundHoles.indexOf(currentHole);
+  
   // Determine if buttons should be disabled
-  const isPreviousDisabled = currentHole <= 1;
-  const isNextDisabled = currentHole >= totalHoles;
+  const isPreviousDisabled = holePosition <= 0;
+  const isNextDisabled = holePosition >= roundHoles.length - 1;
+  
+  // Show the position within the round when it differs from the hole number
+  const holeTotalLabel = holePosition + 1 === currentHole
+    ? `of ${roundHoles.length}`
+    : `${holePosition + 1} of ${roundHoles.length}`;
 
   return (
     <View style={styles.container}>
@@ -32,7 +45,7 @@ export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole,
       <View style={styles.holeLabelContainer}>
         <Text style={styles.holeTitleText}>HOLE</Text>
         <Text style={styles.holeNumberText}>{currentHole}</Text>
-        <Text style={styles.holeTotalText}>of {totalHoles}</Text>
+        <Text style={styles.holeTotalText}>{holeTotalLabel}</Text>
       </View>
       
       {/* Next hole button */}
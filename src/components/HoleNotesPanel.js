@@ -0,0 +1,218 @@
+// src/components/HoleNotesPanel.js
+
+import React, { useState, useEffect, useRef } from "react";
+import { View, StyleSheet, TouchableOpacity, TextInput, Alert } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as ImagePicker from "expo-image-picker";
+import { Audio } from "expo-av";
+import HoleMediaList from "./HoleMediaList";
+import { HOLE_MEDIA_TYPES, hasHoleNotes } from "../utils/holeNotes";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+
+/**
+ * HoleNotesPanel Component
+ *
+ * Collapsible notes for the hole being played on the TrackerScreen: a text note plus
+ * photos from the camera and recorded voice memos. Capturing is handled here; the
+ * tracker uploads the files and keeps the notes with the hole.
+ *
+ * @param {Object} props
+ * @param {Object} props.notes - hole_data.notes for the hole ({ text, media })
+ * @param {Function} props.onChangeText - Called with the new note text
+ * @param {Function} props.onAddMedia - Called with { type, uri, durationMs } for a new photo or memo
+ * @param {Function} props.onRemoveMedia - Called with a media item to remove
+ * @param {boolean} props.uploading - Whether a photo or memo is being uploaded
+ */
+export default function HoleNotesPanel({ notes, onChangeText, onAddMedia, onRemoveMedia, uploading }) {
+  const [expanded, setExpanded] = useState(false);
+  const [recording, setRecording] = useState(null);
+  const recordingRef = useRef(null);
+
+  const mediaCount = notes?.media?.length || 0;
+
+  // Don't leave the microphone running if the panel goes away mid-memo
+  useEffect(() => {
+    return () => {
+      recordingRef.current?.stopAndUnloadAsync().catch(() => {});
+    };
+  }, []);
+
+  const takePhoto = async () => {
+    const permission = await ImagePicker.requestCameraPermissionsAsync();
+    if (!permission.granted) {
+      Alert.alert("Camera Needed", "Allow camera access to add photos to your hole notes.");
+      return;
+    }
+
+    const result = await ImagePicker.launchCameraAsync({ mediaTypes: ["images"], quality: 0.6 });
+    if (result.canceled || !result.assets?.length) return;
+
+    onAddMedia({ type: HOLE_MEDIA_TYPES.PHOTO, uri: result.assets[0].uri });
+  };
+
+  const startRecording = async () => {
+    try {
+      const permission = await Audio.requestPermissionsAsync();
+      if (!permission.granted) {
+        Alert.alert("Microphone Needed", "Allow microphone access to record voice memos.");
+        return;
+      }
+
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: true, playsInSilentModeIOS: true });
+      const { recording: newRecording } = await Audio.Recording.createAsync(
+        Audio.RecordingOptionsPresets.HIGH_QUALITY
+      );
+      recordingRef.current = newRecording;
+      setRecording(newRecording);
+    } catch (error) {
+      console.error("Error starting voice memo:", error);
+      Alert.alert("Couldn't Record", "Please try again.");
+    }
+  };
+
+  const stopRecording = async () => {
+    const currentRecording = recordingRef.current;
+    recordingRef.current = null;
+    setRecording(null);
+    if (!currentRecording) return;
+
+    try {
+      const status = await currentRecording.stopAndUnloadAsync();
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+
+      onAddMedia({
+        type: HOLE_MEDIA_TYPES.VOICE,
+        uri: currentRecording.getURI(),
+        durationMs: status.durationMillis
+      });
+    } catch (error) {
+      console.error("Error saving voice memo:", error);
+      Alert.alert("Couldn't Save Memo", "Please try again.");
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.header} onPress={() => setExpanded(!expanded)}>
+        <Ionicons name="create-outline" size={16} color={theme.colors.secondary} />
+        <Typography variant="caption" weight="semibold" style={styles.headerText}>
+          {hasHoleNotes(notes)
+            ? `Notes${mediaCount > 0 ? ` • ${mediaCount} ${mediaCount === 1 ? "attachment" : "attachments"}` : ""}`
+            : "Add a note"}
+        </Typography>
+        <Ionicons name={expanded ? "chevron-up" : "chevron-down"} size={16} color={theme.colors.secondary} />
+      </TouchableOpacity>
+
+      {expanded && (
+        <View style={styles.body}>
+          <TextInput
+            style={styles.textInput}
+            value={notes?.text || ""}
+            onChangeText={onChangeText}
+            placeholder="Pin position, reads, anything to remember"
+            multiline
+            maxLength={500}
+          />
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={takePhoto}
+              disabled={uploading || !!recording}
+            >
+              <Ionicons name="camera-outline" size={18} color={theme.colors.primary} />
+              <Typography variant="caption" color={theme.colors.primary} style={styles.actionText}>
+                Photo
+              </Typography>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.actionButton, recording && styles.recordingButton]}
+              onPress={recording ? stopRecording : startRecording}
+              disabled={uploading}
+            >
+              <Ionicons
+                name={recording ? "stop" : "mic-outline"}
+                size={18}
+                color={recording ? "#FFF" : theme.colors.primary}
+              />
+              <Typography
+                variant="caption"
+                color={recording ? "#FFF" : theme.colors.primary}
+                style={styles.actionText}
+              >
+                {recording ? "Stop" : "Voice memo"}
+              </Typography>
+            </TouchableOpacity>
+
+            {uploading && (
+              <Typography variant="caption" style={styles.uploadingText}>Uploading...</Typography>
+            )}
+          </View>
+
+          <HoleMediaList media={notes?.media || []} onRemove={onRemoveMedia} />
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 8,
+    marginBottom: 12,
+    borderRadius: 8,
+    backgroundColor: "#f8f8f8",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 10,
+  },
+  headerText: {
+    flex: 1,
+    marginLeft: 6,
+    color: theme.colors.secondary,
+  },
+  body: {
+    paddingHorizontal: 10,
+    paddingBottom: 10,
+  },
+  textInput: {
+    minHeight: 60,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    borderRadius: 6,
+    padding: 8,
+    backgroundColor: "#fff",
+    fontSize: 15,
+    textAlignVertical: "top",
+  },
+  actions: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: theme.spacing.small,
+  },
+  actionButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    height: 32,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    backgroundColor: "#fff",
+    marginRight: theme.spacing.small,
+  },
+  recordingButton: {
+    backgroundColor: theme.colors.error,
+    borderColor: theme.colors.error,
+  },
+  actionText: {
+    marginLeft: 4,
+  },
+  uploadingText: {
+    color: theme.colors.secondary,
+  }
+});
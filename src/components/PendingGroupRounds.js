@@ -0,0 +1,161 @@
+// src/components/PendingGroupRounds.js
+//
+// This component lists group rounds other players scored for the signed-in player
+// Each waits here until the player accepts it into their history and handicap, or declines it
+
+import React, { useState, useEffect } from 'react';
+import { View, Alert, StyleSheet } from 'react-native';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+import Button from '../ui/components/Button';
+import Card from '../ui/components/Card';
+import {
+  getPendingGroupRounds,
+  acceptGroupRound,
+  declineGroupRound
+} from '../services/groupService';
+
+/**
+ * PendingGroupRounds Component
+ *
+ * Shows the group rounds waiting for the player with Accept and Decline buttons.
+ * Renders nothing when there are none.
+ *
+ * @param {Object} props
+ * @param {string} props.profileId - Signed-in player's profile ID
+ * @param {Function} props.onAccepted - Called with the new round ID after a round is accepted
+ * @param {Object} props.style - Optional container style
+ */
+const PendingGroupRounds = ({ profileId, onAccepted, style }) => {
+  const [pendingRounds, setPendingRounds] = useState([]);
+  const [answering, setAnswering] = useState(null);
+
+  useEffect(() => {
+    if (!profileId) return;
+    let isMounted = true;
+
+    getPendingGroupRounds(profileId)
+      .then(rounds => {
+        if (isMounted) setPendingRounds(rounds);
+      })
+      .catch(() => {
+        // Logged by the service - the list just stays hidden
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [profileId]);
+
+  const removeRound = (roundPlayerId) => {
+    setPendingRounds(prev => prev.filter(round => round.roundPlayerId !== roundPlayerId));
+  };
+
+  const handleAccept = async (roundPlayerId) => {
+    try {
+      setAnswering(roundPlayerId);
+      const playerRoundId = await acceptGroupRound(profileId, roundPlayerId);
+      removeRound(roundPlayerId);
+      if (onAccepted) onAccepted(playerRoundId);
+    } catch (error) {
+      Alert.alert("Couldn't Accept Round", "Please check your connection and try again.");
+    } finally {
+      setAnswering(null);
+    }
+  };
+
+  const handleDecline = (roundPlayerId) => {
+    Alert.alert(
+      "Decline Round?",
+      "It won't be added to your rounds or handicap.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Decline",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setAnswering(roundPlayerId);
+              await declineGroupRound(roundPlayerId);
+              removeRound(roundPlayerId);
+            } catch (error) {
+              Alert.alert("Couldn't Decline Round", "Please check your connection and try again.");
+            } finally {
+              setAnswering(null);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (pendingRounds.length === 0) return null;
+
+  return (
+    <View style={[styles.container, style]}>
+      <Typography variant="subtitle" style={styles.title}>
+        Rounds Scored For You
+      </Typography>
+      {pendingRounds.map(round => (
+        <Card key={round.roundPlayerId} variant="flat" style={styles.card}>
+          <Typography variant="body" weight="semibold">
+            {round.courseName}
+          </Typography>
+          <Typography variant="caption" style={styles.details}>
+            {[
+              round.date ? new Date(round.date).toLocaleDateString() : null,
+              `${round.grossShots} shots over ${round.holesScored} holes`
+            ].filter(Boolean).join(" · ")}
+          </Typography>
+          <View style={styles.actions}>
+            <Button
+              variant="outline"
+              size="small"
+              onPress={() => handleDecline(round.roundPlayerId)}
+              disabled={answering !== null}
+              style={styles.actionButton}
+            >
+              Decline
+            </Button>
+            <Button
+              variant="primary"
+              size="small"
+              onPress={() => handleAccept(round.roundPlayerId)}
+              loading={answering === round.roundPlayerId}
+              disabled={answering !== null}
+            >
+              Accept
+            </Button>
+          </View>
+        </Card>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: theme.spacing.medium,
+  },
+  title: {
+    marginBottom: theme.spacing.small,
+  },
+  card: {
+    padding: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  details: {
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: theme.spacing.small,
+  },
+  actionButton: {
+    marginRight: theme.spacing.small,
+  },
+});
+
+export default PendingGroupRounds;
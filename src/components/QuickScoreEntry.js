@@ -0,0 +1,171 @@
+// src/components/QuickScoreEntry.js
+
+import React from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+
+/**
+ * Stepper with a value between − and + buttons
+ */
+const Stepper = ({ value, label, onChange, large = false }) => (
+  <View style={styles.stepperRow}>
+    <TouchableOpacity
+      style={[styles.stepperButton, large && styles.largeStepperButton]}
+      onPress={() => onChange(-1)}
+    >
+      <Typography variant={large ? "title" : "subtitle"}>−</Typography>
+    </TouchableOpacity>
+    <View style={styles.stepperValue}>
+      <Typography variant={large ? "title" : "subtitle"} weight="bold">{value}</Typography>
+      <Typography variant="caption">{label}</Typography>
+    </View>
+    <TouchableOpacity
+      style={[styles.stepperButton, large && styles.largeStepperButton]}
+      onPress={() => onChange(1)}
+    >
+      <Typography variant={large ? "title" : "subtitle"}>+</Typography>
+    </TouchableOpacity>
+  </View>
+);
+
+/**
+ * Hit / missed pill pair; tapping the selected pill clears the stat
+ */
+const HitToggle = ({ label, value, onChange }) => (
+  <View style={styles.toggleRow}>
+    <Typography variant="caption" style={styles.toggleLabel}>{label}</Typography>
+    {[{ value: true, text: "Hit" }, { value: false, text: "Missed" }].map(option => {
+      const isSelected = value === option.value;
+      return (
+        <TouchableOpacity
+          key={option.text}
+          style={[styles.toggleOption, isSelected && styles.selectedToggleOption]}
+          onPress={() => onChange(isSelected ? null : option.value)}
+        >
+          <Typography
+            variant="caption"
+            weight={isSelected ? "semibold" : "normal"}
+            color={isSelected ? "#FFFFFF" : theme.colors.text}
+          >
+            {option.text}
+          </Typography>
+        </TouchableOpacity>
+      );
+    })}
+  </View>
+);
+
+/**
+ * QuickScoreEntry Component
+ *
+ * Score-only entry for a hole: a stroke stepper and, when showStats is set, optional
+ * putts, fairway hit and green in regulation. Used for quick score rounds and for
+ * group players scored without shot tracking.
+ *
+ * @param {Object} props
+ * @param {number} props.score - Gross score (0 when unscored)
+ * @param {string} props.label - Caption under the score
+ * @param {Function} props.onChangeScore - Called with +1 / -1
+ * @param {boolean} props.showStats - Show putts, fairway and green entry
+ * @param {Object} props.quickScore - { putts, fairwayHit, gir } when showStats is set
+ * @param {number|null} props.par - Hole par; fairways aren't asked for on par 3s
+ * @param {Function} props.onChangePutts - Called with +1 / -1
+ * @param {Function} props.onChangeStat - Called with ('fairwayHit' | 'gir', true / false / null)
+ */
+export default function QuickScoreEntry({
+  score,
+  label,
+  onChangeScore,
+  showStats = false,
+  quickScore = null,
+  par = null,
+  onChangePutts,
+  onChangeStat
+}) {
+  return (
+    <View style={styles.container}>
+      <Stepper value={score || "-"} label={label} onChange={onChangeScore} large />
+
+      {showStats && quickScore && (
+        <View style={styles.statsContainer}>
+          <Stepper
+            value={quickScore.putts ?? "-"}
+            label="Putts"
+            onChange={onChangePutts}
+          />
+          {par !== 3 && (
+            <HitToggle
+              label="Fairway"
+              value={quickScore.fairwayHit}
+              onChange={(value) => onChangeStat('fairwayHit', value)}
+            />
+          )}
+          <HitToggle
+            label="Green in reg."
+            value={quickScore.gir}
+            onChange={(value) => onChangeStat('gir', value)}
+          />
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: theme.spacing.medium,
+  },
+  stepperRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    marginBottom: theme.spacing.small,
+  },
+  stepperButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  largeStepperButton: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+  },
+  stepperValue: {
+    alignItems: "center",
+    minWidth: 100,
+  },
+  statsContainer: {
+    marginTop: theme.spacing.small,
+  },
+  toggleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    marginTop: theme.spacing.small,
+  },
+  toggleLabel: {
+    width: 100,
+    color: theme.colors.secondary,
+  },
+  toggleOption: {
+    height: 32,
+    paddingHorizontal: 16,
+    borderRadius: 16,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#fff",
+    marginRight: 6,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+  },
+  selectedToggleOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  }
+});
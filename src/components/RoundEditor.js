@@ -0,0 +1,373 @@
+// src/components/RoundEditor.js
+
+import React, { useState } from "react";
+import { View, ScrollView, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import theme from "../ui/theme";
+import ShotTable from "./ShotTable";
+import QuickScoreEntry from "./QuickScoreEntry";
+import { createQuickScore, stepHoleScore, stepPutts } from "../utils/quickScore";
+import { withShotDistances } from "../utils/geo";
+
+const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
+const OUTCOMES = ["On Target", "Slightly Off", "Recovery Needed"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Count a hole's shots by type and outcome, in the shape ShotTable expects
+ */
+const countShots = (shots) => SHOT_TYPES.reduce((counts, type) => {
+  counts[type] = OUTCOMES.reduce((outcomeCounts, outcome) => {
+    outcomeCounts[outcome] = shots.filter(shot => shot.type === type && shot.result === outcome).length;
+    return outcomeCounts;
+  }, {});
+  return counts;
+}, {});
+
+/**
+ * Row of selectable pills
+ */
+const PillRow = ({ options, selected, onSelect }) => (
+  <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.pillRow}>
+    {options.map(option => {
+      const isSelected = option.value === selected;
+      return (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.pill, isSelected && styles.selectedPill]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Typography
+            variant="caption"
+            weight={isSelected ? "semibold" : "normal"}
+            color={isSelected ? "#FFFFFF" : theme.colors.text}
+          >
+            {option.label}
+          </Typography>
+        </TouchableOpacity>
+      );
+    })}
+  </ScrollView>
+);
+
+/**
+ * Shot sequence of a hole tracked shot by shot
+ * Shots can be removed or moved earlier, and ShotTable adds shots to the end
+ */
+const ShotEditor = ({ shots, onChangeShots }) => {
+  const [activeColumn, setActiveColumn] = useState(OUTCOMES[0]);
+
+  const removeShot = (index) => {
+    onChangeShots(shots.filter((_, shotIndex) => shotIndex !== index));
+  };
+
+  const moveShotEarlier = (index) => {
+    const reordered = [...shots];
+    [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+    onChangeShots(reordered);
+  };
+
+  // The table's minus button removes the latest matching shot, as in the tracker
+  const removeLatestShot = (type, outcome) => {
+    const index = shots.map(shot => `${shot.type}|${shot.result}`).lastIndexOf(`${type}|${outcome}`);
+    if (index !== -1) removeShot(index);
+  };
+
+  return (
+    <View>
+      {shots.length === 0 ? (
+        <Typography variant="caption" italic style={styles.secondaryText}>
+          No shots recorded on this hole
+        </Typography>
+      ) : (
+        shots.map((shot, index) => (
+          <View key={`shot-${index}`} style={styles.shotRow}>
+            <Typography variant="body" style={styles.shotText}>
+              {`${index + 1}. ${shot.type} - ${shot.result}`}
+            </Typography>
+            {index > 0 && (
+              <TouchableOpacity style={styles.shotAction} onPress={() => moveShotEarlier(index)}>
+                <Ionicons name="arrow-up" size={18} color={theme.colors.secondary} />
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.shotAction} onPress={() => removeShot(index)}>
+              <Ionicons name="close" size={18} color={theme.colors.error} />
+            </TouchableOpacity>
+          </View>
+        ))
+      )}
+
+      <View style={styles.shotTable}>
+        <ShotTable
+          shotCounts={countShots(shots)}
+          activeColumn={activeColumn}
+          setActiveColumn={setActiveColumn}
+          addShot={(type, outcome) => onChangeShots([...shots, { type, result: outcome }])}
+          removeShot={removeLatestShot}
+        />
+      </View>
+    </View>
+  );
+};
+
+/**
+ * RoundEditor Component
+ *
+ * Edit mode for a completed round's scorecard: the date played, the tee, and each
+ * hole's shots (or score, putts, fairway and green for quick score holes). Holds the
+ * edits as a draft and hands only what changed to onSave.
+ *
+ * @param {Object} props
+ * @param {Object} props.round - Round with created_at and selected_tee_id
+ * @param {Object} props.course - Course with tees and holes
+ * @param {Array<number>} props.holeNumbers - Holes covered by the round
+ * @param {Array} props.holeRecords - The round's rows from the shots table
+ * @param {Function} props.getHolePar - Returns the par of a hole number
+ * @param {boolean} props.saving - Whether the edits are being saved
+ * @param {Function} props.onSave - Called with { holes, tee, date } for the parts that changed
+ * @param {Function} props.onCancel - Leaves edit mode without saving
+ */
+export default function RoundEditor({
+  round,
+  course,
+  holeNumbers,
+  holeRecords,
+  getHolePar,
+  saving = false,
+  onSave,
+  onCancel
+}) {
+  // Holes with nothing recorded take the mode the rest of the round was tracked in
+  const isQuickRound = holeRecords.some(record => record.hole_data?.quickScore);
+
+  const [holes, setHoles] = useState(() => holeNumbers.reduce((draft, holeNum) => {
+    const record = holeRecords.find(candidate => candidate.hole_number === holeNum);
+    draft[holeNum] = record
+      ? { hole_data: record.hole_data || { shots: [] }, total_score: record.total_score || 0 }
+      : {
+          hole_data: {
+            par: getHolePar(holeNum),
+            shots: [],
+            ...(isQuickRound ? { quickScore: createQuickScore() } : {})
+          },
+          total_score: 0
+        };
+    return draft;
+  }, {}));
+  const [editedHoles, setEditedHoles] = useState([]);
+  const [selectedHole, setSelectedHole] = useState(holeNumbers[0]);
+  const [teeId, setTeeId] = useState(round.selected_tee_id);
+  const [date, setDate] = useState(round.created_at);
+
+  const hole = holes[selectedHole];
+  const isQuickHole = !!hole.hole_data.quickScore ||
+    (hole.hole_data.shots?.length === 0 && hole.total_score > 0);
+  const par = hole.hole_data.par || getHolePar(selectedHole);
+
+  const updateHole = (holeData, totalScore) => {
+    setHoles(prev => ({ ...prev, [selectedHole]: { hole_data: holeData, total_score: totalScore } }));
+    setEditedHoles(prev => prev.includes(selectedHole) ? prev : [...prev, selectedHole]);
+  };
+
+  // Distances depend on the following shot, so re-derive them after every change
+  const changeShots = (shots) => {
+    const shotsWithDistances = withShotDistances(shots);
+    updateHole({ ...hole.hole_data, shots: shotsWithDistances }, shotsWithDistances.length);
+  };
+
+  const changeQuickScore = (change) => {
+    const score = stepHoleScore(hole.total_score, change, par);
+    const quickScore = hole.hole_data.quickScore || createQuickScore();
+    updateHole({
+      ...hole.hole_data,
+      quickScore: { ...quickScore, putts: quickScore.putts !== null ? Math.min(quickScore.putts, score) : null }
+    }, score);
+  };
+
+  const changeQuickStat = (stat, value) => {
+    updateHole({
+      ...hole.hole_data,
+      quickScore: { ...(hole.hole_data.quickScore || createQuickScore()), [stat]: value }
+    }, hole.total_score);
+  };
+
+  const changePutts = (change) => {
+    const quickScore = hole.hole_data.quickScore || createQuickScore();
+    changeQuickStat('putts', stepPutts(quickScore.putts, change, hole.total_score));
+  };
+
+  // Rounds can't be moved into the future
+  const nextDay = new Date(new Date(date).getTime() + DAY_MS);
+  const canMoveForward = nextDay.getTime() <= Date.now();
+  const shiftDate = (days) => setDate(new Date(new Date(date).getTime() + days * DAY_MS).toISOString());
+
+  const tees = Array.isArray(course?.tees) ? course.tees : [];
+
+  const handleSave = () => {
+    const changedTee = String(teeId) !== String(round.selected_tee_id)
+      ? tees.find(tee => String(tee.id) === String(teeId))
+      : null;
+
+    onSave({
+      holes: editedHoles.reduce((changed, holeNum) => {
+        changed[holeNum] = holes[holeNum];
+        return changed;
+      }, {}),
+      tee: changedTee ? { id: changedTee.id, name: changedTee.name } : null,
+      date: date !== round.created_at ? date : null
+    });
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Typography variant="subtitle" style={styles.sectionTitle}>Date played</Typography>
+      <View style={styles.dateRow}>
+        <TouchableOpacity style={styles.dateButton} onPress={() => shiftDate(-1)}>
+          <Ionicons name="chevron-back" size={20} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Typography variant="body" weight="semibold">
+          {new Date(date).toLocaleDateString()}
+        </Typography>
+        <TouchableOpacity
+          style={[styles.dateButton, !canMoveForward && styles.disabledButton]}
+          onPress={() => shiftDate(1)}
+          disabled={!canMoveForward}
+        >
+          <Ionicons name="chevron-forward" size={20} color={theme.colors.primary} />
+        </TouchableOpacity>
+      </View>
+
+      {tees.length > 0 && (
+        <>
+          <Typography variant="subtitle" style={styles.sectionTitle}>Tee</Typography>
+          <PillRow
+            options={tees.map(tee => ({ value: tee.id, label: tee.name }))}
+            selected={teeId}
+            onSelect={setTeeId}
+          />
+        </>
+      )}
+
+      <Typography variant="subtitle" style={styles.sectionTitle}>Holes</Typography>
+      <PillRow
+        options={holeNumbers.map(holeNum => ({
+          value: holeNum,
+          label: `${holeNum}: ${holes[holeNum].total_score || "-"}${editedHoles.includes(holeNum) ? " •" : ""}`
+        }))}
+        selected={selectedHole}
+        onSelect={setSelectedHole}
+      />
+
+      <Typography variant="caption" style={styles.secondaryText}>
+        {`Hole ${selectedHole}${par ? ` • Par ${par}` : ""} • Score ${hole.total_score || "-"}`}
+      </Typography>
+
+      {isQuickHole ? (
+        <QuickScoreEntry
+          score={hole.total_score}
+          label="Strokes"
+          onChangeScore={changeQuickScore}
+          showStats
+          quickScore={hole.hole_data.quickScore || createQuickScore()}
+          par={par}
+          onChangePutts={changePutts}
+          onChangeStat={changeQuickStat}
+        />
+      ) : (
+        <ShotEditor shots={hole.hole_data.shots || []} onChangeShots={changeShots} />
+      )}
+
+      <View style={styles.actions}>
+        <Button variant="outline" onPress={onCancel} disabled={saving} style={styles.actionButton}>
+          Cancel
+        </Button>
+        <Button variant="primary" onPress={handleSave} loading={saving} style={styles.actionButton}>
+          Save Changes
+        </Button>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  content: {
+    padding: theme.spacing.medium,
+    paddingBottom: 40,
+  },
+  sectionTitle: {
+    marginTop: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  secondaryText: {
+    color: theme.colors.secondary,
+    marginBottom: theme.spacing.small,
+  },
+  dateRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  dateButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+  pillRow: {
+    flexGrow: 0,
+    marginBottom: theme.spacing.small,
+  },
+  pill: {
+    height: 32,
+    paddingHorizontal: 16,
+    borderRadius: 16,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#fff",
+    marginRight: 6,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+  },
+  selectedPill: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  shotRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  shotText: {
+    flex: 1,
+  },
+  shotAction: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  shotTable: {
+    marginTop: theme.spacing.medium,
+  },
+  actions: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: theme.spacing.large,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  }
+});
@@ -3,8 +3,10 @@
 // This component displays a summary card for a golf round
 // Used on both the HomeScreen and RoundsScreen for consistent presentation
 
-import React from 'react';
+import React, { useRef } from 'react';
 import { TouchableOpacity, View, StyleSheet } from 'react-native';
+import { Swipeable } from 'react-native-gesture-handler';
+import { Ionicons } from '@expo/vector-icons';
 import theme from '../ui/theme';
 import Typography from '../ui/components/Typography';
 import Card from '../ui/components/Card';
@@ -17,12 +19,49 @@ import Card from '../ui/components/Card';
  * 
  * @param {Object} props
  * @param {Object} props.round - Round data object containing id, date, courseName, score, grossShots
+ *   netScore (null when the round has no course handicap) and formatSummary ({ label, display }
+ *   for rounds scored in a format other than stroke play), plus archived and excludedFromStats flags
  * @param {Function} props.onPress - Function to call when card is pressed (typically for navigation)
+ * @param {Function} props.onArchive - Optional; swiping the card reveals Archive (Restore for archived rounds)
+ * @param {Function} props.onDelete - Optional; swiping the card reveals Delete
  */
-const RoundSummaryCard = ({ round, onPress }) => {
+const RoundSummaryCard = ({ round, onPress, onArchive, onDelete }) => {
+  const swipeableRef = useRef(null);
+
   if (!round) return null;
 
-  return (
+  // Close the card before running the action so it doesn't stay open in the list
+  const runAction = (action) => {
+    swipeableRef.current?.close();
+    action(round);
+  };
+
+  const renderActions = () => (
+    <View style={styles.actions}>
+      {onArchive && (
+        <TouchableOpacity
+          style={[styles.action, styles.archiveAction]}
+          onPress={() => runAction(onArchive)}
+        >
+          <Ionicons name={round.archived ? "arrow-undo-outline" : "archive-outline"} size={20} color="#FFFFFF" />
+          <Typography variant="caption" color="#FFFFFF">
+            {round.archived ? "Restore" : "Archive"}
+          </Typography>
+        </TouchableOpacity>
+      )}
+      {onDelete && (
+        <TouchableOpacity
+          style={[styles.action, styles.deleteAction]}
+          onPress={() => runAction(onDelete)}
+        >
+          <Ionicons name="trash-outline" size={20} color="#FFFFFF" />
+          <Typography variant="caption" color="#FFFFFF">Delete</Typography>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const card = (
     <TouchableOpacity
       onPress={onPress}
       activeOpacity={0.7}
@@ -42,6 +81,13 @@ const RoundSummaryCard = ({ round, onPress }) => {
           </Typography>
         </View>
         
+        {/* Practice and joke rounds left out of stats and handicap */}
+        {round.excludedFromStats && (
+          <Typography variant="caption" style={styles.excludedText}>
+            Not counted in stats or handicap
+          </Typography>
+        )}
+        
         {/* Stats row - only show for completed rounds */}
         <View style={styles.cardStatsRow}>
           {/* Gross shots (more prominent) */}
@@ -68,10 +114,44 @@ const RoundSummaryCard = ({ round, onPress }) => {
             </Typography>
             <Typography variant="caption">To Par</Typography>
           </View>
+          
+          {/* Net score - only for rounds played with a handicap */}
+          {round.netScore !== null && round.netScore !== undefined && (
+            <>
+              <View style={styles.statDivider} />
+              <View style={styles.statContainer}>
+                <Typography variant="body" weight="semibold">
+                  {round.netScore}
+                </Typography>
+                <Typography variant="caption">Net</Typography>
+              </View>
+            </>
+          )}
+          
+          {/* Stableford points, match status or skins for other scoring formats */}
+          {round.formatSummary && (
+            <>
+              <View style={styles.statDivider} />
+              <View style={styles.statContainer}>
+                <Typography variant="body" weight="semibold" color={theme.colors.primary}>
+                  {round.formatSummary.display}
+                </Typography>
+                <Typography variant="caption">{round.formatSummary.label}</Typography>
+              </View>
+            </>
+          )}
         </View>
       </Card>
     </TouchableOpacity>
   );
+
+  if (!onArchive && !onDelete) return card;
+
+  return (
+    <Swipeable ref={swipeableRef} renderRightActions={renderActions} overshootRight={false}>
+      {card}
+    </Swipeable>
+  );
 };
 
 const styles = StyleSheet.create({
@@ -110,6 +190,25 @@ const styles = StyleSheet.create({
     width: 1,
     height: 30,
     backgroundColor: "#e0e0e0",
+  },
+  excludedText: {
+    color: theme.colors.secondary,
+    paddingHorizontal: theme.spacing.medium,
+  },
+  actions: {
+    flexDirection: "row",
+    marginBottom: theme.spacing.medium,
+  },
+  action: {
+    width: 80,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  archiveAction: {
+    backgroundColor: theme.colors.secondary,
+  },
+  deleteAction: {
+    backgroundColor: theme.colors.error,
   }
 });
 
@@ -4,7 +4,7 @@
 // Maintains proportional width distribution while enforcing deterministic text flow
 
 import React, { useEffect, useState } from "react";
-import { View, TouchableOpacity, StyleSheet, Dimensions } from "react-native";
+import { View, TouchableOpacity, StyleSheet, Dimensions, ScrollView } from "react-native";
 import Typography from "../ui/components/Typography";
 import theme from "../ui/theme";
 
@@ -48,8 +48,20 @@ const getDataModelOutcome = (displayOutcome) => DISPLAY_TO_DATA_MAPPING[displayO
  * @param {Function} props.setActiveColumn - Function to set active column
  * @param {Function} props.addShot - Function to add a shot
  * @param {Function} props.removeShot - Function to remove a shot
+ * @param {Array} props.clubs - Optional clubs from the player's bag
+ * @param {string} props.selectedClubId - Club selected for the next shot
+ * @param {Function} props.onSelectClub - Function to select a club (null clears the selection)
  */
-export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, addShot, removeShot }) {
+export default function ShotTable({ 
+  shotCounts, 
+  activeColumn, 
+  setActiveColumn, 
+  addShot, 
+  removeShot,
+  clubs = [],
+  selectedClubId = null,
+  onSelectClub
+}) {
   const [tableWidth, setTableWidth] = useState(SCREEN_WIDTH - theme.spacing.medium * 2);
   const [calculatedStyles, setCalculatedStyles] = useState({});
   
@@ -168,6 +180,40 @@ export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, a
       style={styles.container} 
       onLayout={handleLayout}
     >
+      {/* Club Selection - only shown once the player has set up a bag */}
+      {clubs.length > 0 && onSelectClub && (
+        <ScrollView 
+          horizontal 
+          showsHorizontalScrollIndicator={false}
+          style={styles.clubRow}
+          contentContainerStyle={styles.clubRowContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <Typography variant="caption" weight="semibold" style={styles.clubLabel}>
+            Club
+          </Typography>
+          {clubs.map((club) => {
+            const isSelected = club.id === selectedClubId;
+            
+            return (
+              <TouchableOpacity
+                key={club.id}
+                onPress={() => onSelectClub(isSelected ? null : club.id)}
+                style={[styles.clubChip, isSelected && styles.selectedClubChip]}
+              >
+                <Typography 
+                  variant="caption" 
+                  weight={isSelected ? "semibold" : "normal"}
+                  color={isSelected ? "white" : theme.colors.text}
+                >
+                  {club.name}
+                </Typography>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+      
       {/* Header Row - Precise height based on two text lines plus padding */}
       <View style={styles.headerRow}>
         <View style={[
@@ -394,5 +440,28 @@ const styles = StyleSheet.create({
   countText: {
     textAlign: "center",
     minWidth: 30,
+  },
+  clubRow: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  clubRowContent: {
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: theme.spacing.small,
+  },
+  clubLabel: {
+    marginRight: theme.spacing.small,
+    color: theme.colors.secondary,
+  },
+  clubChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#f0f0f0',
+    marginRight: 6,
+  },
+  selectedClubChip: {
+    backgroundColor: theme.colors.primary,
   }
 });
\ No newline at end of file
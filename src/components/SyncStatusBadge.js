@@ -0,0 +1,98 @@
+// src/components/SyncStatusBadge.js
+//
+// This component shows how many round writes are waiting to sync
+// Used on both the HomeScreen and RoundsScreen so offline rounds aren't mistaken for lost ones
+
+import React, { useState, useEffect } from 'react';
+import { TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+import {
+  getPendingSyncCount,
+  subscribeToSyncStatus,
+  processSyncQueue
+} from '../services/syncQueue';
+
+/**
+ * SyncStatusBadge Component
+ *
+ * Displays the number of pending sync operations and lets the user retry the sync.
+ * Renders nothing when everything has been uploaded.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSynced - Called after a sync uploads at least one operation
+ * @param {Object} props.style - Optional container style
+ */
+const SyncStatusBadge = ({ onSynced, style }) => {
+  const [pendingCount, setPendingCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+
+  // Load the initial count and follow queue changes
+  useEffect(() => {
+    let isMounted = true;
+
+    getPendingSyncCount().then(count => {
+      if (isMounted) setPendingCount(count);
+    });
+
+    const unsubscribe = subscribeToSyncStatus(count => {
+      if (isMounted) setPendingCount(count);
+    });
+
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, []);
+
+  // Retry the sync on demand
+  const handlePress = async () => {
+    setSyncing(true);
+    const result = await processSyncQueue();
+    setSyncing(false);
+
+    if (result.synced > 0 && onSynced) {
+      onSynced(result);
+    }
+  };
+
+  if (pendingCount === 0) return null;
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, style]}
+      onPress={handlePress}
+      disabled={syncing}
+      activeOpacity={0.7}
+    >
+      {syncing ? (
+        <ActivityIndicator size="small" color={theme.colors.accent} />
+      ) : (
+        <Ionicons name="cloud-offline-outline" size={16} color={theme.colors.accent} />
+      )}
+      <Typography variant="caption" weight="semibold" style={styles.badgeText}>
+        {syncing ? "Syncing..." : `${pendingCount} pending sync`}
+      </Typography>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    backgroundColor: '#FFF3E0',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginBottom: theme.spacing.small,
+  },
+  badgeText: {
+    marginLeft: 6,
+    color: theme.colors.accent,
+  },
+});
+
+export default SyncStatusBadge;
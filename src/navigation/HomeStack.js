@@ -4,6 +4,7 @@ import React from "react";
 import { createStackNavigator } from "@react-navigation/stack";
 import HomeScreen from "../screens/HomeScreen";
 import CourseSelectorScreen from "../screens/CourseSelectorScreen";
+import CourseHistoryScreen from "../screens/CourseHistoryScreen";
 import TrackerScreen from "../screens/TrackerScreen";
 import ScorecardScreen from "../screens/ScorecardScreen";
 
@@ -15,6 +16,7 @@ const Stack = createStackNavigator();
  * Creates the navigation stack for the home tab with consistent native headers:
  * - HomeScreen: Starting point with recent rounds and "Start New Round" button
  * - CourseSelectorScreen: For selecting a course
+ * - CourseHistoryScreen: For the player's hole-by-hole history on a course
  * - TrackerScreen: For tracking shots during a round
  * - ScorecardScreen: For viewing detailed scorecard after completing a round
  */
@@ -31,6 +33,11 @@ export default function HomeStack() {
         component={CourseSelectorScreen}
         options={{ title: "Select Course" }}
       />
+      <Stack.Screen 
+        name="CourseHistory" 
+        component={CourseHistoryScreen}
+        options={{ title: "Hole History" }}
+      />
       <Stack.Screen 
         name="Tracker" 
         component={TrackerScreen}
@@ -11,6 +11,11 @@ import RoundsScreen from "../screens/RoundScreen";
 import ScorecardScreen from "../screens/ScorecardScreen";
 import InsightsScreen from "../screens/InsightsScreen";
 import ProfileScreen from "../screens/ProfileScreen";
+import ClubStatsScreen from "../screens/ClubStatsScreen";
+import LeaderboardScreen from "../screens/LeaderboardScreen";
+import TrendsScreen from "../screens/TrendsScreen";
+import CourseSelectorScreen from "../screens/CourseSelectorScreen";
+import PastRoundScreen from "../screens/PastRoundScreen";
 
 // Import authentication context
 import { AuthContext } from "../context/AuthContext";
@@ -24,7 +29,10 @@ const ProfileStack = createStackNavigator();
  * RoundsStackScreen Component
  * 
  * Creates a stack navigator for the Rounds tab with consistent headers
- * This allows navigation from the rounds list to the scorecard view
+ * This allows navigation from the rounds list to the scorecard view, and from
+ * live rounds and scorecards elsewhere in the app to the leaderboard.
+ * Past rounds are logged by picking the course and tee on the course selector,
+ * then entering the scores.
  */
 function RoundsStackScreen() {
   return (
@@ -39,6 +47,22 @@ function RoundsStackScreen() {
         component={ScorecardScreen} 
         options={{ title: "Scorecard" }}
       />
+      <RoundsStack.Screen 
+        name="LeaderboardScreen" 
+        component={LeaderboardScreen} 
+        options={{ title: "Leaderboard" }}
+      />
+      <RoundsStack.Screen 
+        name="PastRoundCourse" 
+        component={CourseSelectorScreen} 
+        options={{ title: "Log a Past Round" }}
+        initialParams={{ pastRound: true }}
+      />
+      <RoundsStack.Screen 
+        name="PastRoundScores" 
+        component={PastRoundScreen} 
+        options={{ title: "Enter Scores" }}
+      />
     </RoundsStack.Navigator>
   );
 }
@@ -56,6 +80,11 @@ function InsightsStackScreen() {
         component={InsightsScreen}
         options={{ title: "Insights" }}
       />
+      <InsightsStack.Screen 
+        name="TrendsScreen" 
+        component={TrendsScreen}
+        options={{ title: "Trends" }}
+      />
     </InsightsStack.Navigator>
   );
 }
@@ -73,6 +102,11 @@ function ProfileStackScreen() {
         component={ProfileScreen}
         options={{ title: "Your Profile" }}
       />
+      <ProfileStack.Screen 
+        name="ClubStatsScreen" 
+        component={ClubStatsScreen}
+        options={{ title: "Club Stats" }}
+      />
     </ProfileStack.Navigator>
   );
 }
@@ -0,0 +1,163 @@
+// src/screens/ClubStatsScreen.js
+
+import React, { useState, useEffect, useContext } from "react";
+import { View, StyleSheet, FlatList, ActivityIndicator } from "react-native";
+import { AuthContext } from "../context/AuthContext";
+import { getClubStats } from "../services/clubService";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+
+/**
+ * ClubStatsScreen Component
+ *
+ * Displays per-club stats built from the player's completed rounds:
+ * how often each club was used, its on-target rate and, where shots
+ * were recorded with GPS, the average distance hit.
+ */
+export default function ClubStatsScreen() {
+  const { user } = useContext(AuthContext);
+  const [clubStats, setClubStats] = useState([]);
+  const [roundCount, setRoundCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function fetchClubStats() {
+      if (!user) return;
+
+      try {
+        setLoading(true);
+        const stats = await getClubStats(user.id);
+        setClubStats(stats.clubs);
+        setRoundCount(stats.roundCount);
+        setError(null);
+      } catch (error) {
+        console.error("Error loading club stats:", error);
+        setError("Couldn't load your club stats. Please try again later.");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchClubStats();
+  }, [user]);
+
+  const renderClub = ({ item }) => (
+    <Card style={styles.clubCard}>
+      <View style={styles.clubHeader}>
+        <Typography variant="subtitle">{item.name}</Typography>
+        {!item.inBag && (
+          <Typography variant="caption" style={styles.removedText}>
+            Not in bag
+          </Typography>
+        )}
+      </View>
+
+      <View style={styles.statsRow}>
+        <View style={styles.statItem}>
+          <Typography variant="title">{item.uses}</Typography>
+          <Typography variant="caption" style={styles.statLabel}>Shots</Typography>
+        </View>
+        <View style={styles.statItem}>
+          <Typography variant="title">
+            {item.onTargetRate !== null ? `${item.onTargetRate}%` : "-"}
+          </Typography>
+          <Typography variant="caption" style={styles.statLabel}>On Target</Typography>
+        </View>
+        <View style={styles.statItem}>
+          <Typography variant="title">
+            {item.averageDistance !== null ? item.averageDistance : "-"}
+          </Typography>
+          <Typography variant="caption" style={styles.statLabel}>
+            {item.measuredShots > 0 ? `Avg Yds (${item.measuredShots})` : "Avg Yds"}
+          </Typography>
+        </View>
+      </View>
+    </Card>
+  );
+
+  return (
+    <Layout>
+      <View style={styles.container}>
+        {loading ? (
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        ) : error ? (
+          <View style={styles.emptyContainer}>
+            <Typography variant="secondary" italic style={styles.emptyText}>
+              {error}
+            </Typography>
+          </View>
+        ) : clubStats.length > 0 ? (
+          <FlatList
+            data={clubStats}
+            renderItem={renderClub}
+            keyExtractor={item => item.clubId}
+            ListHeaderComponent={
+              <Typography variant="caption" style={styles.summaryText}>
+                {`From ${roundCount} completed ${roundCount === 1 ? "round" : "rounds"}. Distances need shot GPS turned on while tracking.`}
+              </Typography>
+            }
+            contentContainerStyle={styles.listContainer}
+            showsVerticalScrollIndicator={true}
+          />
+        ) : (
+          <View style={styles.emptyContainer}>
+            <Typography variant="secondary" italic style={styles.emptyText}>
+              Add clubs to your bag on the Profile tab, then pick a club when you record shots.
+            </Typography>
+          </View>
+        )}
+      </View>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: theme.spacing.medium,
+  },
+  listContainer: {
+    paddingBottom: 20,
+  },
+  summaryText: {
+    color: theme.colors.secondary,
+    marginBottom: theme.spacing.small,
+  },
+  clubCard: {
+    marginBottom: theme.spacing.small,
+  },
+  clubHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  removedText: {
+    color: theme.colors.secondary,
+    fontStyle: "italic",
+  },
+  statsRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  statItem: {
+    flex: 1,
+    alignItems: "center",
+  },
+  statLabel: {
+    color: theme.colors.secondary,
+    marginTop: 2,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  emptyText: {
+    textAlign: "center",
+  }
+});
@@ -0,0 +1,248 @@
+// src/screens/CourseHistoryScreen.js
+
+import React, { useState, useEffect, useContext } from "react";
+import { View, StyleSheet, FlatList, ActivityIndicator } from "react-native";
+import { AuthContext } from "../context/AuthContext";
+import { getCourseHoleHistory } from "../services/courseService";
+import { SCORE_RESULTS, SCORE_RESULT_LABELS, SCORE_RESULT_COLORS } from "../utils/holeHistory";
+import { formatToPar } from "../utils/leaderboard";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import HoleMediaList from "../components/HoleMediaList";
+
+// Past notes shown per hole, newest first
+const MAX_NOTES_PER_HOLE = 3;
+
+/**
+ * Stacked bar of how often each score against par was made on a hole
+ */
+const DistributionBar = ({ distribution }) => (
+  <View style={styles.distributionBar}>
+    {Object.values(SCORE_RESULTS)
+      .filter(result => distribution[result] > 0)
+      .map(result => (
+        <View
+          key={result}
+          style={{ flex: distribution[result], backgroundColor: SCORE_RESULT_COLORS[result] }}
+        />
+      ))}
+  </View>
+);
+
+/**
+ * CourseHistoryScreen Component
+ *
+ * Hole-by-hole breakdown of the player's completed rounds on a course (route params
+ * courseId and courseName): average and best score, the spread of scores against par,
+ * the shot type most often behind trouble on each hole and the latest notes left on it.
+ */
+export default function CourseHistoryScreen({ route }) {
+  const { user } = useContext(AuthContext);
+  const { courseId, courseName } = route.params || {};
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function fetchHistory() {
+      if (!user || !courseId) return;
+
+      try {
+        setLoading(true);
+        setHistory(await getCourseHoleHistory(user.id, courseId));
+        setError(null);
+      } catch (error) {
+        console.error("Error loading hole history:", error);
+        setError("Couldn't load your history on this course. Please try again later.");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchHistory();
+  }, [user, courseId]);
+
+  const holes = history
+    ? Object.entries(history.holes)
+        .map(([holeNumber, hole]) => ({ number: Number(holeNumber), ...hole }))
+        .sort((a, b) => a.number - b.number)
+    : [];
+
+  const renderHole = ({ item }) => (
+    <Card style={styles.holeCard}>
+      <View style={styles.holeHeader}>
+        <Typography variant="subtitle">{`Hole ${item.number}`}</Typography>
+        <Typography variant="caption" style={styles.secondaryText}>
+          {item.par ? `Par ${item.par}` : "Par ?"}
+        </Typography>
+      </View>
+
+      <View style={styles.statsRow}>
+        <View style={styles.statItem}>
+          <Typography variant="title">{item.averageScore}</Typography>
+          <Typography variant="caption" style={styles.secondaryText}>
+            {item.par ? `Avg (${formatToPar(Math.round((item.averageScore - item.par) * 10) / 10)})` : "Avg"}
+          </Typography>
+        </View>
+        <View style={styles.statItem}>
+          <Typography variant="title">{item.bestScore}</Typography>
+          <Typography variant="caption" style={styles.secondaryText}>Best</Typography>
+        </View>
+        <View style={styles.statItem}>
+          <Typography variant="title">{item.played}</Typography>
+          <Typography variant="caption" style={styles.secondaryText}>Played</Typography>
+        </View>
+      </View>
+
+      {item.par && (
+        <>
+          <DistributionBar distribution={item.distribution} />
+          <View style={styles.legendRow}>
+            {Object.values(SCORE_RESULTS).map(result => (
+              <View key={result} style={styles.legendItem}>
+                <View style={[styles.legendSwatch, { backgroundColor: SCORE_RESULT_COLORS[result] }]} />
+                <Typography variant="caption" style={styles.secondaryText}>
+                  {`${SCORE_RESULT_LABELS[result]} ${item.distribution[result]}`}
+                </Typography>
+              </View>
+            ))}
+          </View>
+        </>
+      )}
+
+      <Typography variant="caption" style={styles.troubleText}>
+        {item.troubleShotType
+          ? `Most trouble: ${item.troubleShotType} (${item.troubleShots} ${item.troubleShots === 1 ? "time" : "times"})`
+          : "No trouble shots recorded"}
+      </Typography>
+
+      {item.notes.slice(0, MAX_NOTES_PER_HOLE).map(note => (
+        <View key={`note-${note.roundId}`} style={styles.note}>
+          <Typography variant="caption" weight="semibold" style={styles.secondaryText}>
+            {note.date ? new Date(note.date).toLocaleDateString() : "Note"}
+          </Typography>
+          {note.text !== "" && <Typography variant="body">{note.text}</Typography>}
+          <HoleMediaList media={note.media} />
+        </View>
+      ))}
+    </Card>
+  );
+
+  return (
+    <Layout>
+      <View style={styles.container}>
+        {loading ? (
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        ) : error ? (
+          <View style={styles.emptyContainer}>
+            <Typography variant="secondary" italic style={styles.emptyText}>
+              {error}
+            </Typography>
+          </View>
+        ) : holes.length > 0 ? (
+          <FlatList
+            data={holes}
+            renderItem={renderHole}
+            keyExtractor={item => String(item.number)}
+            ListHeaderComponent={
+              <View style={styles.header}>
+                <Typography variant="subtitle">{courseName}</Typography>
+                <Typography variant="caption" style={styles.secondaryText}>
+                  {`From ${history.roundsPlayed} completed ${history.roundsPlayed === 1 ? "round" : "rounds"}. Trouble shots needed a recovery or led to a penalty.`}
+                </Typography>
+              </View>
+            }
+            contentContainerStyle={styles.listContainer}
+            showsVerticalScrollIndicator={true}
+          />
+        ) : (
+          <View style={styles.emptyContainer}>
+            <Typography variant="secondary" italic style={styles.emptyText}>
+              Complete a round here to start building your hole-by-hole history.
+            </Typography>
+          </View>
+        )}
+      </View>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: theme.spacing.medium,
+  },
+  listContainer: {
+    paddingBottom: 20,
+  },
+  header: {
+    marginBottom: theme.spacing.medium,
+  },
+  secondaryText: {
+    color: theme.colors.secondary,
+  },
+  holeCard: {
+    marginBottom: theme.spacing.small,
+  },
+  holeHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  statsRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  statItem: {
+    flex: 1,
+    alignItems: "center",
+  },
+  distributionBar: {
+    flexDirection: "row",
+    height: 10,
+    borderRadius: 5,
+    overflow: "hidden",
+    backgroundColor: "#f0f0f0",
+    marginTop: theme.spacing.medium,
+  },
+  legendRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: theme.spacing.small,
+  },
+  legendItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginRight: theme.spacing.small,
+    marginBottom: 4,
+  },
+  legendSwatch: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 4,
+  },
+  troubleText: {
+    marginTop: theme.spacing.small,
+    color: theme.colors.secondary,
+  },
+  note: {
+    marginTop: theme.spacing.small,
+    paddingTop: theme.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: "#f0f0f0",
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginTop: theme.spacing.medium,
+  }
+});
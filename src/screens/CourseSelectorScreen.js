@@ -20,6 +20,7 @@ import {
   ActivityIndicator, 
   StyleSheet,
   TextInput,
+  ScrollView,
   Alert
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
@@ -27,10 +28,29 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 import { usePostHog } from 'posthog-react-native';
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
-import { getAllCourses, searchCourses, getRecentCourses, getCourseById, ensureCourseHasPoiData } from "../services/courseService";
+import { 
+  getAllCourses, 
+  searchCourses, 
+  getRecentCourses, 
+  getCourseById, 
+  ensureCourseHasPoiData, 
+  downloadCourseForOffline, 
+  getCourseHoleHistory 
+} from "../services/courseService";
+import { getCoursePackIndex, isCoursePackFresh } from "../services/coursePackStore";
 import Typography from "../ui/components/Typography";
 import SkeletonCourseCard from "../components/SkeletonCourseCard";
 import { AuthContext } from "../context/AuthContext";
+import { 
+  HOLE_SELECTIONS, 
+  HOLE_SELECTION_LABELS, 
+  getAvailableHoleSelections, 
+  getHoleNumbers 
+} from "../utils/holeSelection";
+import { SCORING_FORMATS, getScoringFormats } from "../utils/scoringFormats";
+import { TRACKING_MODES, TRACKING_MODE_LABELS, TRACKING_MODE_DESCRIPTIONS } from "../utils/quickScore";
+import { MAX_GROUP_PLAYERS, PLAYER_LOOKUP_LIMIT_CODE, createGroupPlayer, findPlayerByEmail } from "../services/groupService";
+import { createEvent, joinEvent, getTodaysEvents } from "../services/leaderboardService";
 
 /**
  * CourseSelectorScreen Component
@@ -44,11 +64,17 @@ import { AuthContext } from "../context/AuthContext";
  * 
  * ANALYTICS: Decoupled architecture prevents state conflicts while maintaining
  * comprehensive conversion funnel intelligence.
+ * 
+ * PAST ROUNDS: With the pastRound route param the screen only picks the course, tee
+ * and holes of a round played before, then hands over to PastRoundScreen for the scores.
  */
-export default function CourseSelectorScreen({ navigation }) {
+export default function CourseSelectorScreen({ navigation, route }) {
   // Get the current user from context
   const { user } = useContext(AuthContext);
   
+  // Logging a round played before rather than starting one
+  const isPastRound = !!route?.params?.pastRound;
+  
   // PostHog analytics hook
   const posthog = usePostHog();
   
@@ -57,12 +83,36 @@ export default function CourseSelectorScreen({ navigation }) {
   const [recentCourses, setRecentCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [selectedTeeId, setSelectedTeeId] = useState(null);
+  const [selectedHoleSelection, setSelectedHoleSelection] = useState(HOLE_SELECTIONS.FULL);
+  const [selectedStartingHole, setSelectedStartingHole] = useState(null); // null = first hole of the selection
+  const [selectedScoringFormat, setSelectedScoringFormat] = useState(SCORING_FORMATS.STROKE);
+  const [selectedTrackingMode, setSelectedTrackingMode] = useState(TRACKING_MODES.DETAILED);
+  
+  // Group players scored on this phone alongside the user
+  const [groupPlayers, setGroupPlayers] = useState([]);
+  const [newPlayerName, setNewPlayerName] = useState("");
+  const [newPlayerEmail, setNewPlayerEmail] = useState("");
+  const [newPlayerHandicap, setNewPlayerHandicap] = useState("");
+  const [isAddingPlayer, setIsAddingPlayer] = useState(false);
+  
+  // Event the round is played in, for the live leaderboard across groups
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [todaysEvents, setTodaysEvents] = useState([]);
+  const [eventCode, setEventCode] = useState("");
+  const [isJoiningEvent, setIsJoiningEvent] = useState(false);
+  
+  // The player's past scores on each hole of the selected course
+  const [holeHistory, setHoleHistory] = useState(null);
   
   // Loading states
   const [isLoadingAll, setIsLoadingAll] = useState(true);
   const [isLoadingRecent, setIsLoadingRecent] = useState(true);
   const [isLoadingCourseDetails, setIsLoadingCourseDetails] = useState(false);
   
+  // Offline course packs - summaries keyed by course ID
+  const [offlineCourses, setOfflineCourses] = useState({});
+  const [isDownloadingCourse, setIsDownloadingCourse] = useState(false);
+  
   // Search related state
   const [searchQuery, setSearchQuery] = useState("");
   const [isSearching, setIsSearching] = useState(false);
@@ -92,6 +142,38 @@ export default function CourseSelectorScreen({ navigation }) {
     }
   }, [posthog, user]);
 
+  // Load which courses are available offline
+  useEffect(() => {
+    getCoursePackIndex().then(setOfflineCourses);
+  }, []);
+
+  // Load today's events the player has joined (not available offline)
+  useEffect(() => {
+    if (!user) return;
+    
+    getTodaysEvents(user.id)
+      .then(setTodaysEvents)
+      .catch(error => console.log("Couldn't load today's events:", error.message));
+  }, [user]);
+
+  // Load the player's hole history for the selected course (not available offline)
+  const selectedCourseId = selectedCourse?.id;
+  useEffect(() => {
+    setHoleHistory(null);
+    if (!user || !selectedCourseId) return;
+    
+    let isCurrent = true;
+    getCourseHoleHistory(user.id, selectedCourseId)
+      .then(history => {
+        if (isCurrent) setHoleHistory(history);
+      })
+      .catch(error => console.log("Couldn't load hole history:", error.message));
+    
+    return () => {
+      isCurrent = false;
+    };
+  }, [user, selectedCourseId]);
+
   // DECOUPLED ANALYTICS: Monitor search query changes
   useEffect(() => {
     if (!user || !posthog) return;
@@ -423,6 +505,8 @@ export default function CourseSelectorScreen({ navigation }) {
       
       setSelectedCourse(courseWithValidTees);
       setSelectedTeeId(null); // Reset tee selection
+      setSelectedHoleSelection(HOLE_SELECTIONS.FULL); // Reset hole selection
+      setSelectedStartingHole(null); // Reset starting hole
       
       // If there's only one valid tee, select it automatically
       if (validTees.length === 1) {
@@ -566,6 +650,196 @@ export default function CourseSelectorScreen({ navigation }) {
     setSelectedTeeId(teeId);
   }, []);
   
+  /**
+   * Download the selected course for offline use
+   * Stores tees, holes and POI so the round can start without a connection
+   */
+  const handleDownloadCourse = useCallback(async () => {
+    if (!selectedCourse) return;
+    
+    setIsDownloadingCourse(true);
+    
+    if (posthog && user) {
+      posthog.capture('course_pack_download_started', {
+        profile_id: user.id,
+        course_id: selectedCourse.id,
+        course_name: selectedCourse.name,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    try {
+      const packInfo = await downloadCourseForOffline(selectedCourse.id);
+      setOfflineCourses(prev => ({ ...prev, [selectedCourse.id]: packInfo }));
+      
+      if (posthog && user) {
+        posthog.capture('course_pack_download_success', {
+          profile_id: user.id,
+          course_id: selectedCourse.id,
+          hole_count: packInfo.holeCount,
+          has_poi_data: packInfo.hasPoi,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error("Error downloading course for offline use:", error);
+      Alert.alert("Download Failed", error.message);
+      
+      if (posthog && user) {
+        posthog.capture('course_pack_download_error', {
+          profile_id: user.id,
+          course_id: selectedCourse.id,
+          error_message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } finally {
+      setIsDownloadingCourse(false);
+    }
+  }, [selectedCourse, posthog, user]);
+  
+  /**
+   * PURE STATE UPDATE: Handle selecting which holes to play
+   */
+  const handleHoleSelectionSelect = useCallback((holeSelection) => {
+    setSelectedHoleSelection(holeSelection);
+    setSelectedStartingHole(null); // Starting hole must belong to the new selection
+  }, []);
+  
+  /**
+   * PURE STATE UPDATE: Handle selecting the starting hole (shotgun / 10th tee starts)
+   */
+  const handleStartingHoleSelect = useCallback((holeNumber) => {
+    setSelectedStartingHole(holeNumber);
+  }, []);
+  
+  /**
+   * PURE STATE UPDATE: Handle selecting the scoring format
+   */
+  const handleScoringFormatSelect = useCallback((formatId) => {
+    setSelectedScoringFormat(formatId);
+  }, []);
+  
+  /**
+   * Add a player to the group
+   * With an email the player is linked to their account and is offered their own round;
+   * either way the handicap entered here is only used for net scores on this phone
+   */
+  const handleAddPlayer = useCallback(async () => {
+    const name = newPlayerName.trim();
+    const email = newPlayerEmail.trim();
+    if (!name || groupPlayers.length >= MAX_GROUP_PLAYERS) return;
+    
+    try {
+      setIsAddingPlayer(true);
+      
+      let player;
+      if (email) {
+        const linkedPlayer = await findPlayerByEmail(email);
+        if (!linkedPlayer) {
+          Alert.alert("Player Not Found", "No player uses that email. Leave it blank to add them as a guest.");
+          return;
+        }
+        if (linkedPlayer.isYou || groupPlayers.some(p => p.inviteToken === linkedPlayer.inviteToken)) {
+          Alert.alert("Already Playing", "That player is already in this round.");
+          return;
+        }
+        player = createGroupPlayer({
+          name,
+          inviteToken: linkedPlayer.inviteToken,
+          handicap: parseFloat(newPlayerHandicap)
+        });
+      } else {
+        player = createGroupPlayer({ name, handicap: parseFloat(newPlayerHandicap) });
+      }
+      
+      setGroupPlayers(prev => [...prev, player]);
+      setNewPlayerName("");
+      setNewPlayerEmail("");
+      setNewPlayerHandicap("");
+    } catch (error) {
+      console.error("Error adding player:", error);
+      if (error?.code === PLAYER_LOOKUP_LIMIT_CODE) {
+        Alert.alert("Too Many Searches", "You've looked up a lot of players recently. Add them as a guest or try again later.");
+      } else {
+        Alert.alert("Error", "Couldn't add that player. Please try again.");
+      }
+    } finally {
+      setIsAddingPlayer(false);
+    }
+  }, [newPlayerName, newPlayerEmail, newPlayerHandicap, groupPlayers, user]);
+  
+  /**
+   * PURE STATE UPDATE: Remove a player from the group
+   */
+  const handleRemovePlayer = useCallback((playerId) => {
+    setGroupPlayers(prev => prev.filter(player => player.id !== playerId));
+  }, []);
+  
+  // Name shown for the player on event leaderboards
+  const getDisplayName = () => user?.email?.split("@")[0] || "Player";
+  
+  /**
+   * PURE STATE UPDATE: Pick one of today's events, or tap again to play outside it
+   */
+  const handleEventSelect = useCallback((event) => {
+    setSelectedEvent(prev => prev?.id === event.id ? null : event);
+  }, []);
+  
+  /**
+   * Join an event with the code shared by its organiser
+   */
+  const handleJoinEvent = useCallback(async () => {
+    const code = eventCode.trim();
+    if (!code) return;
+    
+    try {
+      setIsJoiningEvent(true);
+      
+      const event = await joinEvent(code, getDisplayName());
+      if (!event) {
+        Alert.alert("Event Not Found", "Check the code with the event's organiser and try again.");
+        return;
+      }
+      
+      setSelectedEvent(event);
+      setTodaysEvents(prev => prev.some(candidate => candidate.id === event.id) ? prev : [event, ...prev]);
+      setEventCode("");
+    } catch (error) {
+      console.error("Error joining event:", error);
+      Alert.alert("Error", "Couldn't join that event. Please try again.");
+    } finally {
+      setIsJoiningEvent(false);
+    }
+  }, [eventCode, user]);
+  
+  /**
+   * Create an event on the selected course for other groups to join
+   */
+  const handleCreateEvent = useCallback(async () => {
+    if (!selectedCourse || !user) return;
+    
+    try {
+      setIsJoiningEvent(true);
+      
+      const event = await createEvent({
+        profileId: user.id,
+        name: `${selectedCourse.name} - ${new Date().toLocaleDateString()}`,
+        courseId: selectedCourse.id,
+        displayName: getDisplayName()
+      });
+      
+      setSelectedEvent(event);
+      setTodaysEvents(prev => [event, ...prev]);
+      Alert.alert("Event Created", `Share the code ${event.join_code} with the other groups so they can join.`);
+    } catch (error) {
+      console.error("Error creating event:", error);
+      Alert.alert("Error", "Couldn't create an event. Please check your connection and try again.");
+    } finally {
+      setIsJoiningEvent(false);
+    }
+  }, [selectedCourse, user]);
+  
   /**
    * Start a round with the selected course and tee
    * Enhanced to ensure proper data flow and direct navigation to tracker
@@ -638,12 +912,25 @@ export default function CourseSelectorScreen({ navigation }) {
         return;
       }
       
+      // Resolve the holes this round covers from the course layout and the player's choice
+      const roundHoleNumbers = getHoleNumbers(selectedHoleSelection, selectedCourse.num_holes);
+      const startingHole = roundHoleNumbers.includes(selectedStartingHole) 
+        ? selectedStartingHole 
+        : roundHoleNumbers[0];
+      
       console.log("Starting round with validated data:", {
         courseId: selectedCourse.id,
         courseName: selectedCourse.name,
         teeId: selectedTeeId,
         teeName: selectedTee.name,
         teeDistance: selectedTee.total_distance,
+        holeSelection: selectedHoleSelection,
+        holesPlayed: roundHoleNumbers.length,
+        startingHole,
+        scoringFormat: selectedScoringFormat,
+        trackingMode: selectedTrackingMode,
+        groupSize: groupPlayers.length + 1,
+        eventId: selectedEvent?.id || null,
         hasPoi: selectedCourse.poi ? "Yes" : "No"
       });
       
@@ -713,6 +1000,14 @@ export default function CourseSelectorScreen({ navigation }) {
         teeName: selectedTee.name,
         teeColor: selectedTee.color,
         teeDistance: selectedTee.total_distance, // Store verified distance
+        numHoles: selectedCourse.num_holes || courseWithPoi.num_holes || null,
+        holeSelection: selectedHoleSelection,
+        startingHole,
+        scoringFormat: selectedScoringFormat,
+        trackingMode: selectedTrackingMode,
+        players: groupPlayers,
+        event: selectedEvent ? { id: selectedEvent.id, name: selectedEvent.name } : null,
+        holeHistory: holeHistory?.roundsPlayed > 0 ? holeHistory : null,
         poi: courseWithPoi.poi || [] // Include POI data if available
       }));
       
@@ -733,6 +1028,15 @@ export default function CourseSelectorScreen({ navigation }) {
           tee_distance: selectedTee.total_distance,
           course_rating: selectedTee.course_rating_men,
           slope_rating: selectedTee.slope_men,
+          hole_selection: selectedHoleSelection,
+          holes_played: roundHoleNumbers.length,
+          starting_hole: startingHole,
+          scoring_format: selectedScoringFormat,
+          tracking_mode: selectedTrackingMode,
+          group_size: groupPlayers.length + 1,
+          linked_players: groupPlayers.filter(player => player.inviteToken).length,
+          event_round: !!selectedEvent,
+          has_hole_history: holeHistory?.roundsPlayed > 0,
           has_poi_data: !!(courseWithPoi.poi && courseWithPoi.poi.length > 0),
           poi_count: courseWithPoi.poi ? courseWithPoi.poi.length : 0,
           start_duration_ms: roundStartDuration,
@@ -765,7 +1069,23 @@ export default function CourseSelectorScreen({ navigation }) {
         });
       }
     }
-  }, [selectedCourse, selectedTeeId, searchQuery, navigation, posthog, user]);
+  }, [selectedCourse, selectedTeeId, selectedHoleSelection, selectedStartingHole, selectedScoringFormat, selectedTrackingMode, groupPlayers, selectedEvent, holeHistory, searchQuery, navigation, posthog, user]);
+  
+  /**
+   * Continue to score entry for a past round on the selected course and tee
+   */
+  const handleEnterPastRound = useCallback(() => {
+    const selectedTee = selectedCourse?.tees?.find(tee => tee.id === selectedTeeId);
+    if (!selectedTee) return;
+    
+    navigation.navigate("PastRoundScores", {
+      courseId: selectedCourse.id,
+      courseName: selectedCourse.name,
+      teeId: selectedTeeId,
+      teeName: selectedTee.name,
+      holeSelection: selectedHoleSelection
+    });
+  }, [selectedCourse, selectedTeeId, selectedHoleSelection, navigation]);
   
   /**
    * Render a course item in the list
@@ -792,6 +1112,15 @@ export default function CourseSelectorScreen({ navigation }) {
         <Typography variant="caption" style={styles.location}>
           {item.location}
         </Typography>
+        
+        {offlineCourses[item.id] && (
+          <View style={styles.offlineBadge}>
+            <Ionicons name="cloud-done-outline" size={14} color={theme.colors.success} />
+            <Typography variant="caption" style={styles.offlineBadgeText}>
+              Available offline
+            </Typography>
+          </View>
+        )}
       </View>
     </TouchableOpacity>
   );
@@ -827,6 +1156,78 @@ export default function CourseSelectorScreen({ navigation }) {
     </TouchableOpacity>
   );
   
+  /**
+   * Render a hole selection option (full round, front 9, back 9)
+   */
+  const renderHoleSelectionOption = (holeSelection) => (
+    <TouchableOpacity
+      key={holeSelection}
+      style={[
+        styles.holeSelectionOption,
+        selectedHoleSelection === holeSelection && styles.selectedHoleSelectionOption
+      ]}
+      onPress={() => handleHoleSelectionSelect(holeSelection)}
+    >
+      <Typography 
+        variant="body" 
+        weight={selectedHoleSelection === holeSelection ? "semibold" : "normal"}
+        color={selectedHoleSelection === holeSelection ? theme.colors.primary : theme.colors.text}
+      >
+        {HOLE_SELECTION_LABELS[holeSelection]}
+      </Typography>
+      <Typography variant="caption">
+        {getHoleNumbers(holeSelection, selectedCourse?.num_holes).length} holes
+      </Typography>
+    </TouchableOpacity>
+  );
+  
+  /**
+   * Render a starting hole option
+   */
+  const renderStartingHoleOption = (holeNumber, index) => {
+    // Default to the first hole of the selection until one is picked
+    const isSelected = selectedStartingHole === null ? index === 0 : selectedStartingHole === holeNumber;
+    
+    return (
+      <TouchableOpacity
+        key={`start-${holeNumber}`}
+        style={[styles.startingHoleOption, isSelected && styles.selectedStartingHoleOption]}
+        onPress={() => handleStartingHoleSelect(holeNumber)}
+      >
+        <Typography 
+          variant="body" 
+          weight={isSelected ? "semibold" : "normal"}
+          color={isSelected ? "#FFFFFF" : theme.colors.text}
+        >
+          {holeNumber}
+        </Typography>
+      </TouchableOpacity>
+    );
+  };
+  
+  /**
+   * Render a scoring format option
+   */
+  const renderScoringFormatOption = (format) => {
+    const isSelected = selectedScoringFormat === format.id;
+    
+    return (
+      <TouchableOpacity
+        key={format.id}
+        style={[styles.scoringFormatOption, isSelected && styles.selectedScoringFormatOption]}
+        onPress={() => handleScoringFormatSelect(format.id)}
+      >
+        <Typography 
+          variant="caption" 
+          weight={isSelected ? "semibold" : "normal"}
+          color={isSelected ? "#FFFFFF" : theme.colors.text}
+        >
+          {format.label}
+        </Typography>
+      </TouchableOpacity>
+    );
+  };
+  
   // Determine which courses to display based on search and recent courses
   let displayCourses = [];
   let isLoading = false;
@@ -926,9 +1327,49 @@ export default function CourseSelectorScreen({ navigation }) {
       {/* Tee Selection with Loading Indicator and Validation Feedback */}
       {selectedCourse && (
         <View style={styles.teeSelectionContainer}>
-          <Typography variant="subtitle" style={styles.teeSelectionTitle}>
-            Select Tee
-          </Typography>
+          <View style={styles.teeSelectionHeader}>
+            <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+              Select Tee
+            </Typography>
+            
+            {/* Offline download - refreshes the pack once it has expired */}
+            {!isPastRound && (
+              <TouchableOpacity
+                style={styles.downloadButton}
+                onPress={handleDownloadCourse}
+                disabled={isDownloadingCourse || isCoursePackFresh(offlineCourses[selectedCourse.id])}
+              >
+                {isDownloadingCourse ? (
+                  <ActivityIndicator size="small" color={theme.colors.primary} />
+                ) : (
+                  <Ionicons 
+                    name={isCoursePackFresh(offlineCourses[selectedCourse.id]) ? "cloud-done-outline" : "cloud-download-outline"} 
+                    size={16} 
+                    color={isCoursePackFresh(offlineCourses[selectedCourse.id]) ? theme.colors.success : theme.colors.primary} 
+                  />
+                )}
+                <Typography variant="caption" style={styles.downloadButtonText}>
+                  {isCoursePackFresh(offlineCourses[selectedCourse.id]) ? "Downloaded" : "Download for offline"}
+                </Typography>
+              </TouchableOpacity>
+            )}
+          </View>
+          
+          {/* Past rounds here - opens the hole-by-hole breakdown */}
+          {!isPastRound && holeHistory?.roundsPlayed > 0 && (
+            <TouchableOpacity
+              style={styles.holeHistoryLink}
+              onPress={() => navigation.navigate("CourseHistory", {
+                courseId: selectedCourse.id,
+                courseName: selectedCourse.name
+              })}
+            >
+              <Ionicons name="time-outline" size={16} color={theme.colors.primary} />
+              <Typography variant="caption" style={styles.holeHistoryLinkText}>
+                {`Played ${holeHistory.roundsPlayed} ${holeHistory.roundsPlayed === 1 ? "time" : "times"} • View hole history`}
+              </Typography>
+            </TouchableOpacity>
+          )}
           
           {isLoadingCourseDetails ? (
             <View style={styles.teeLoadingContainer}>
@@ -949,6 +1390,200 @@ export default function CourseSelectorScreen({ navigation }) {
               )}
             </View>
           )}
+          
+          {/* Hole selection - only offered when the course has a back nine */}
+          {!isLoadingCourseDetails && getAvailableHoleSelections(selectedCourse.num_holes).length > 1 && (
+            <View style={styles.holeSelectionList}>
+              {getAvailableHoleSelections(selectedCourse.num_holes).map(renderHoleSelectionOption)}
+            </View>
+          )}
+          
+          {/* Starting hole - for shotgun and 10th tee starts */}
+          {!isLoadingCourseDetails && !isPastRound && (
+            <View style={styles.startingHoleContainer}>
+              <Typography variant="caption" style={styles.startingHoleTitle}>
+                Starting hole
+              </Typography>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                {getHoleNumbers(selectedHoleSelection, selectedCourse.num_holes).map(renderStartingHoleOption)}
+              </ScrollView>
+            </View>
+          )}
+          
+          {/* Scoring format - net scores use the player's handicap */}
+          {!isLoadingCourseDetails && !isPastRound && (
+            <View style={styles.scoringFormatContainer}>
+              <Typography variant="caption" style={styles.startingHoleTitle}>
+                Scoring
+              </Typography>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                {getScoringFormats().map(renderScoringFormatOption)}
+              </ScrollView>
+              <Typography variant="caption" style={styles.scoringFormatDescription}>
+                {getScoringFormats().find(format => format.id === selectedScoringFormat)?.description}
+              </Typography>
+            </View>
+          )}
+          
+          {/* Tracking - every shot, or just a score per hole */}
+          {!isLoadingCourseDetails && !isPastRound && (
+            <View style={styles.scoringFormatContainer}>
+              <Typography variant="caption" style={styles.startingHoleTitle}>
+                Tracking
+              </Typography>
+              <View style={styles.trackingModeRow}>
+                {Object.values(TRACKING_MODES).map(mode => {
+                  const isSelected = selectedTrackingMode === mode;
+                  
+                  return (
+                    <TouchableOpacity
+                      key={mode}
+                      style={[styles.scoringFormatOption, isSelected && styles.selectedScoringFormatOption]}
+                      onPress={() => setSelectedTrackingMode(mode)}
+                    >
+                      <Typography 
+                        variant="caption" 
+                        weight={isSelected ? "semibold" : "normal"}
+                        color={isSelected ? "#FFFFFF" : theme.colors.text}
+                      >
+                        {TRACKING_MODE_LABELS[mode]}
+                      </Typography>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+              <Typography variant="caption" style={styles.scoringFormatDescription}>
+                {TRACKING_MODE_DESCRIPTIONS[selectedTrackingMode]}
+              </Typography>
+            </View>
+          )}
+          
+          {/* Group - other players scored on this phone */}
+          {!isLoadingCourseDetails && !isPastRound && (
+            <View style={styles.groupContainer}>
+              <Typography variant="caption" style={styles.startingHoleTitle}>
+                {`Group (${groupPlayers.length + 1} of ${MAX_GROUP_PLAYERS + 1})`}
+              </Typography>
+              {groupPlayers.map(player => (
+                <View key={player.id} style={styles.groupPlayerRow}>
+                  <Typography variant="body">
+                    {player.name}
+                    {player.handicap !== null ? ` (${player.handicap})` : ""}
+                  </Typography>
+                  <View style={styles.groupPlayerActions}>
+                    <Typography variant="caption" style={styles.groupPlayerType}>
+                      {player.inviteToken ? "Linked" : "Guest"}
+                    </Typography>
+                    <TouchableOpacity onPress={() => handleRemovePlayer(player.id)}>
+                      <Ionicons name="close-circle" size={18} color="#999" />
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              ))}
+              {groupPlayers.length < MAX_GROUP_PLAYERS && (
+                <>
+                  <View style={styles.groupInputRow}>
+                    <TextInput
+                      style={[styles.groupInput, styles.groupNameInput]}
+                      placeholder="Player name"
+                      value={newPlayerName}
+                      onChangeText={setNewPlayerName}
+                    />
+                    <TextInput
+                      style={styles.groupInput}
+                      placeholder="Hcp"
+                      value={newPlayerHandicap}
+                      onChangeText={setNewPlayerHandicap}
+                      keyboardType="decimal-pad"
+                    />
+                  </View>
+                  <View style={styles.groupInputRow}>
+                    <TextInput
+                      style={[styles.groupInput, styles.groupNameInput]}
+                      placeholder="Email to link their account (optional)"
+                      value={newPlayerEmail}
+                      onChangeText={setNewPlayerEmail}
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                      keyboardType="email-address"
+                    />
+                    <TouchableOpacity
+                      style={[styles.groupAddButton, (!newPlayerName.trim() || isAddingPlayer) && styles.disabledButton]}
+                      onPress={handleAddPlayer}
+                      disabled={!newPlayerName.trim() || isAddingPlayer}
+                    >
+                      {isAddingPlayer ? (
+                        <ActivityIndicator size="small" color="#FFFFFF" />
+                      ) : (
+                        <Typography variant="caption" weight="semibold" color="#FFFFFF">Add</Typography>
+                      )}
+                    </TouchableOpacity>
+                  </View>
+                </>
+              )}
+            </View>
+          )}
+          
+          {/* Event - live leaderboard shared with other groups */}
+          {!isLoadingCourseDetails && !isPastRound && (
+            <View style={styles.groupContainer}>
+              <Typography variant="caption" style={styles.startingHoleTitle}>
+                Event
+              </Typography>
+              {todaysEvents.length > 0 && (
+                <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                  {todaysEvents.map(event => {
+                    const isSelected = selectedEvent?.id === event.id;
+                    
+                    return (
+                      <TouchableOpacity
+                        key={event.id}
+                        style={[styles.scoringFormatOption, isSelected && styles.selectedScoringFormatOption]}
+                        onPress={() => handleEventSelect(event)}
+                      >
+                        <Typography 
+                          variant="caption" 
+                          weight={isSelected ? "semibold" : "normal"}
+                          color={isSelected ? "#FFFFFF" : theme.colors.text}
+                        >
+                          {event.name}
+                        </Typography>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </ScrollView>
+              )}
+              <View style={styles.groupInputRow}>
+                <TextInput
+                  style={[styles.groupInput, styles.groupNameInput]}
+                  placeholder="Join code"
+                  value={eventCode}
+                  onChangeText={setEventCode}
+                  autoCapitalize="characters"
+                  autoCorrect={false}
+                />
+                <TouchableOpacity
+                  style={[styles.groupAddButton, (!eventCode.trim() || isJoiningEvent) && styles.disabledButton]}
+                  onPress={handleJoinEvent}
+                  disabled={!eventCode.trim() || isJoiningEvent}
+                >
+                  <Typography variant="caption" weight="semibold" color="#FFFFFF">Join</Typography>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.eventCreateButton}
+                  onPress={handleCreateEvent}
+                  disabled={isJoiningEvent}
+                >
+                  <Typography variant="caption" weight="semibold" color={theme.colors.primary}>New</Typography>
+                </TouchableOpacity>
+              </View>
+              {selectedEvent && (
+                <Typography variant="caption" style={styles.scoringFormatDescription}>
+                  {`Playing in ${selectedEvent.name}. Other groups join with code ${selectedEvent.join_code}.`}
+                </Typography>
+              )}
+            </View>
+          )}
         </View>
       )}
       
@@ -958,7 +1593,7 @@ export default function CourseSelectorScreen({ navigation }) {
           styles.startButton,
           isStartDisabled && styles.disabledButton
         ]}
-        onPress={handleStartRound}
+        onPress={isPastRound ? handleEnterPastRound : handleStartRound}
         disabled={isStartDisabled}
       >
         <Typography 
@@ -966,7 +1601,7 @@ export default function CourseSelectorScreen({ navigation }) {
           color="#FFFFFF" 
           weight="bold"
         >
-          Start Round
+          {isPastRound ? "Enter Scores" : "Start Round"}
         </Typography>
       </TouchableOpacity>
     </Layout>
@@ -1063,9 +1698,42 @@ const styles = StyleSheet.create({
     marginTop: 16,
     marginBottom: 16,
   },
+  teeSelectionHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
   teeSelectionTitle: {
     marginBottom: 8,
   },
+  downloadButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginBottom: 8,
+  },
+  downloadButtonText: {
+    marginLeft: 4,
+  },
+  holeHistoryLink: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  holeHistoryLinkText: {
+    marginLeft: 4,
+    color: theme.colors.primary,
+  },
+  offlineBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  offlineBadgeText: {
+    marginLeft: 4,
+    color: theme.colors.success,
+  },
   teesList: {
     marginBottom: 8,
   },
@@ -1106,6 +1774,126 @@ const styles = StyleSheet.create({
     textAlign: "center",
     padding: 8,
   },
+  holeSelectionList: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  holeSelectionOption: {
+    flex: 1,
+    alignItems: "center",
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  selectedHoleSelectionOption: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  },
+  startingHoleContainer: {
+    marginTop: 12,
+  },
+  startingHoleTitle: {
+    marginBottom: 6,
+  },
+  startingHoleOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#fff",
+    marginRight: 6,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+  },
+  selectedStartingHoleOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  scoringFormatContainer: {
+    marginTop: 12,
+  },
+  scoringFormatOption: {
+    height: 32,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#fff",
+    marginRight: 6,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+  },
+  selectedScoringFormatOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  scoringFormatDescription: {
+    marginTop: 6,
+    color: theme.colors.secondary,
+  },
+  trackingModeRow: {
+    flexDirection: "row",
+  },
+  groupContainer: {
+    marginTop: 12,
+  },
+  groupPlayerRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 4,
+  },
+  groupPlayerActions: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  groupPlayerType: {
+    color: theme.colors.secondary,
+    marginRight: 8,
+  },
+  groupInputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 6,
+  },
+  groupInput: {
+    height: 36,
+    minWidth: 60,
+    paddingHorizontal: 10,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    borderRadius: 8,
+    backgroundColor: "#fff",
+    marginRight: 6,
+  },
+  groupNameInput: {
+    flex: 1,
+  },
+  groupAddButton: {
+    height: 36,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  eventCreateButton: {
+    height: 36,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    alignItems: "center",
+    justifyContent: "center",
+    marginLeft: 6,
+  },
   teeLoadingContainer: {
     alignItems: 'center',
     justifyContent: 'center',
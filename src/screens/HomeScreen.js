@@ -5,9 +5,13 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import { supabase } from "../services/supabase";
+import { getRoundFormatSummaries } from "../services/roundservice";
 import { AuthContext } from "../context/AuthContext";
 import InsightCard from "../components/InsightCard"; // New component
 import RoundSummaryCard from "../components/RoundSummaryCard";
+import SyncStatusBadge from "../components/SyncStatusBadge";
+import PendingGroupRounds from "../components/PendingGroupRounds";
+import { startSyncQueueListener } from "../services/syncQueue";
 import { getLatestInsights } from "../services/insightsService";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
@@ -25,6 +29,9 @@ export default function HomeScreen({ navigation }) {
   const [recentRounds, setRecentRounds] = useState([]);
   const [loading, setLoading] = useState(true);
   
+  // Bumped when queued offline rounds finish syncing, or a group round is accepted, so the list refreshes
+  const [syncVersion, setSyncVersion] = useState(0);
+  
   // Insights state for monetization surface
   const [insightsSummary, setInsightsSummary] = useState(null);
   const [insightsLoading, setInsightsLoading] = useState(true);
@@ -32,6 +39,12 @@ export default function HomeScreen({ navigation }) {
   // Determine premium status for conversion opportunities
   const hasPremiumAccess = hasPermission("product_a");
 
+  // Replay rounds tracked offline once signed in, when connectivity returns and whenever the app is foregrounded
+  useEffect(() => {
+    if (!user) return;
+    return startSyncQueueListener();
+  }, [user]);
+
   // Fetch recent rounds when component mounts
   useEffect(() => {
     async function fetchRecentRounds() {
@@ -50,10 +63,16 @@ export default function HomeScreen({ navigation }) {
             created_at,
             score,
             gross_shots,
-            is_complete
+            is_complete,
+            course_handicap,
+            hole_selection,
+            starting_hole,
+            scoring_format,
+            exclude_from_stats
           `)
           .eq("profile_id", user.id)
           .eq("is_complete", true) // Only get completed rounds
+          .is("archived_at", null)
           .order("created_at", { ascending: false })
           .limit(5);
           
@@ -82,6 +101,9 @@ export default function HomeScreen({ navigation }) {
             });
           }
           
+          // Points or match results for rounds not played as stroke play
+          const formatSummaries = await getRoundFormatSummaries(data);
+          
           // Format data for display
           const formattedRounds = data.map(round => ({
             id: round.id,
@@ -89,7 +111,12 @@ export default function HomeScreen({ navigation }) {
             courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
             score: round.score,
             grossShots: round.gross_shots,
-            isComplete: round.is_complete
+            netScore: round.gross_shots !== null && round.course_handicap !== null
+              ? round.gross_shots - round.course_handicap
+              : null,
+            formatSummary: formatSummaries[round.id] || null,
+            isComplete: round.is_complete,
+            excludedFromStats: round.exclude_from_stats
           }));
           
           setRecentRounds(formattedRounds);
@@ -104,7 +131,7 @@ export default function HomeScreen({ navigation }) {
     }
     
     fetchRecentRounds();
-  }, [user]);
+  }, [user, syncVersion]);
 
   // Fetch insights summary - monetization content
   useEffect(() => {
@@ -174,6 +201,15 @@ export default function HomeScreen({ navigation }) {
             ctaAction={() => navigation.navigate("Subscription")}
           />
           
+          {/* Pending offline sync indicator */}
+          <SyncStatusBadge onSynced={() => setSyncVersion(prev => prev + 1)} />
+          
+          {/* Group rounds other players scored for this player, waiting to be accepted */}
+          <PendingGroupRounds
+            profileId={user?.id}
+            onAccepted={() => setSyncVersion(prev => prev + 1)}
+          />
+          
           {/* Start New Round button */}
           <Button
             variant="primary"
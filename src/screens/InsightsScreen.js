@@ -7,6 +7,7 @@ import { AuthContext } from "../context/AuthContext";
 import { getLatestInsights } from "../services/insightsService";
 import InsightCard from "../components/InsightCard"; 
 import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
 
 /**
  * InsightsScreen Component
@@ -242,6 +243,16 @@ export default function InsightsScreen({ navigation }) {
           </>
         )}
         
+        {/* Scoring, putting and shot quality across all rounds */}
+        <Button
+          variant="outline"
+          onPress={() => navigation.navigate("TrendsScreen")}
+          iconRight="stats-chart-outline"
+          style={styles.trendsButton}
+        >
+          View Your Trends
+        </Button>
+        
         {/* Analytics metrics for generation date */}
         {insights.generatedAt && (
           <View style={styles.footerContainer}>
@@ -275,6 +286,9 @@ const styles = {
   loadingText: {
     marginTop: 16,
   },
+  trendsButton: {
+    marginTop: 16,
+  },
   footerContainer: {
     marginTop: 16,
     marginBottom: 24,
@@ -0,0 +1,239 @@
+// src/screens/LeaderboardScreen.js
+
+import React, { useState, useEffect, useContext, useCallback } from "react";
+import { View, StyleSheet, FlatList, ActivityIndicator, TouchableOpacity } from "react-native";
+import { AuthContext } from "../context/AuthContext";
+import { getLeaderboard, subscribeToLeaderboard } from "../services/leaderboardService";
+import { LEADERBOARD_MODES, rankStandings, formatToPar } from "../utils/leaderboard";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+
+const MODE_LABELS = {
+  [LEADERBOARD_MODES.GROSS]: "Gross",
+  [LEADERBOARD_MODES.NET]: "Net"
+};
+
+/**
+ * LeaderboardScreen Component
+ *
+ * Shows live standings for an event (route param eventId) or a single group round
+ * (route param roundId). Standings update as players finish holes, and can be
+ * switched between gross and net to-par totals.
+ */
+export default function LeaderboardScreen({ route }) {
+  const { user } = useContext(AuthContext);
+  const { eventId = null, roundId = null } = route.params || {};
+
+  const [event, setEvent] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [roundIds, setRoundIds] = useState([]);
+  const [roundPlayerIds, setRoundPlayerIds] = useState([]);
+  const [mode, setMode] = useState(LEADERBOARD_MODES.GROSS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadLeaderboard = useCallback(async () => {
+    try {
+      const leaderboard = await getLeaderboard({ eventId, roundId, profileId: user?.id });
+      setEvent(leaderboard.event);
+      setPlayers(leaderboard.players);
+      setRoundIds(prev =>
+        prev.join(",") === leaderboard.roundIds.join(",") ? prev : leaderboard.roundIds
+      );
+      setRoundPlayerIds(prev =>
+        prev.join(",") === leaderboard.roundPlayerIds.join(",") ? prev : leaderboard.roundPlayerIds
+      );
+      setError(null);
+    } catch (error) {
+      console.error("Error loading leaderboard:", error);
+      setError("Couldn't load the leaderboard. Please try again later.");
+    } finally {
+      setLoading(false);
+    }
+  }, [eventId, roundId, user]);
+
+  useEffect(() => {
+    loadLeaderboard();
+  }, [loadLeaderboard]);
+
+  // Follow score changes for the rounds on the board; re-subscribes as rounds join the
+  // event and players join a group
+  useEffect(() => {
+    if (!eventId && roundIds.length === 0) return;
+    return subscribeToLeaderboard({ eventId, roundIds, roundPlayerIds }, loadLeaderboard);
+  }, [eventId, roundIds, roundPlayerIds, loadLeaderboard]);
+
+  const standings = rankStandings(players, mode);
+
+  const renderPlayer = ({ item }) => {
+    const total = mode === LEADERBOARD_MODES.NET ? item.netToPar : item.toPar;
+    const isStarted = item.thru > 0;
+
+    return (
+      <View style={styles.playerRow}>
+        <Typography variant="body" weight="semibold" style={styles.positionColumn}>
+          {item.position ? `${item.tied ? "T" : ""}${item.position}` : "-"}
+        </Typography>
+        <Typography variant="body" style={styles.nameColumn} numberOfLines={1}>
+          {item.name}
+        </Typography>
+        <Typography variant="caption" style={styles.thruColumn}>
+          {item.isComplete ? "F" : isStarted ? item.thru : "-"}
+        </Typography>
+        <Typography
+          variant="body"
+          weight="bold"
+          style={styles.totalColumn}
+          color={isStarted && total < 0 ? theme.colors.success : theme.colors.text}
+        >
+          {isStarted ? formatToPar(total) : "-"}
+        </Typography>
+      </View>
+    );
+  };
+
+  return (
+    <Layout>
+      <View style={styles.container}>
+        {loading ? (
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        ) : error ? (
+          <View style={styles.emptyContainer}>
+            <Typography variant="secondary" italic style={styles.emptyText}>
+              {error}
+            </Typography>
+          </View>
+        ) : (
+          <>
+            {event && (
+              <Card style={styles.eventCard}>
+                <Typography variant="subtitle">{event.name}</Typography>
+                <Typography variant="caption" style={styles.eventCode}>
+                  {`Join code ${event.join_code}`}
+                </Typography>
+              </Card>
+            )}
+
+            <View style={styles.modeRow}>
+              {Object.values(LEADERBOARD_MODES).map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.modeOption, mode === option && styles.selectedModeOption]}
+                  onPress={() => setMode(option)}
+                >
+                  <Typography
+                    variant="caption"
+                    weight={mode === option ? "semibold" : "normal"}
+                    color={mode === option ? "#FFFFFF" : theme.colors.text}
+                  >
+                    {MODE_LABELS[option]}
+                  </Typography>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.headerRow}>
+              <Typography variant="caption" style={[styles.positionColumn, styles.headerText]}>Pos</Typography>
+              <Typography variant="caption" style={[styles.nameColumn, styles.headerText]}>Player</Typography>
+              <Typography variant="caption" style={[styles.thruColumn, styles.headerText]}>Thru</Typography>
+              <Typography variant="caption" style={[styles.totalColumn, styles.headerText]}>
+                {MODE_LABELS[mode]}
+              </Typography>
+            </View>
+
+            <FlatList
+              data={standings}
+              renderItem={renderPlayer}
+              keyExtractor={item => item.id}
+              contentContainerStyle={styles.listContainer}
+              ListEmptyComponent={
+                <Typography variant="secondary" italic style={styles.emptyText}>
+                  No one has started yet. Scores appear here as each hole is finished.
+                </Typography>
+              }
+            />
+          </>
+        )}
+      </View>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: theme.spacing.medium,
+  },
+  eventCard: {
+    marginBottom: theme.spacing.small,
+  },
+  eventCode: {
+    color: theme.colors.secondary,
+    marginTop: 2,
+  },
+  modeRow: {
+    flexDirection: "row",
+    marginBottom: theme.spacing.small,
+  },
+  modeOption: {
+    height: 32,
+    paddingHorizontal: 16,
+    borderRadius: 16,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#fff",
+    marginRight: 6,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+  },
+  selectedModeOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  headerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#e0e0e0",
+  },
+  headerText: {
+    color: theme.colors.secondary,
+  },
+  playerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  positionColumn: {
+    width: 40,
+  },
+  nameColumn: {
+    flex: 1,
+  },
+  thruColumn: {
+    width: 44,
+    textAlign: "center",
+  },
+  totalColumn: {
+    width: 56,
+    textAlign: "right",
+  },
+  listContainer: {
+    paddingBottom: 20,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginTop: theme.spacing.medium,
+  }
+});
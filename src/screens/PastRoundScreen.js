@@ -0,0 +1,327 @@
+// src/screens/PastRoundScreen.js
+
+import React, { useState, useEffect, useContext } from "react";
+import { View, StyleSheet, ScrollView, TextInput, ActivityIndicator, Alert } from "react-native";
+import { StackActions } from "@react-navigation/native";
+import { usePostHog } from "posthog-react-native";
+import { AuthContext } from "../context/AuthContext";
+import { supabase } from "../services/supabase";
+import { importPastRound } from "../services/roundservice";
+import { HOLE_SELECTION_LABELS, getHoleNumbers } from "../utils/holeSelection";
+import { TEE_SETS, getHolePar } from "../utils/handicap";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+
+// Highest score accepted on a single hole
+const MAX_HOLE_SCORE = 20;
+
+/**
+ * Parse a YYYY-MM-DD date typed by the player
+ * Returns the ISO timestamp of midday on that date (so time zones can't move it to
+ * another day), or null when the date isn't valid or is in the future
+ */
+const parsePlayedDate = (value) => {
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day, 12);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+
+  const endOfToday = new Date();
+  endOfToday.setHours(23, 59, 59, 999);
+  return date > endOfToday ? null : date.toISOString();
+};
+
+/**
+ * PastRoundScreen Component
+ *
+ * Score entry for a round played before the player started tracking, after picking
+ * the course, tee and holes on the course selector (route params courseId, courseName,
+ * teeId, teeName and holeSelection). The player types the date played and a score per
+ * hole in a grid, with putts if they kept them.
+ */
+export default function PastRoundScreen({ navigation, route }) {
+  const { user } = useContext(AuthContext);
+  const posthog = usePostHog();
+  const { courseId, courseName, teeId, teeName, holeSelection } = route.params || {};
+
+  const [holes, setHoles] = useState([]);
+  const [playedDate, setPlayedDate] = useState("");
+  const [scores, setScores] = useState({});
+  const [putts, setPutts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Holes covered by the round with their par for the player's tee set
+  useEffect(() => {
+    async function fetchHoles() {
+      if (!user || !courseId) return;
+
+      try {
+        setLoading(true);
+
+        const { data: course, error: courseError } = await supabase
+          .from("courses")
+          .select("holes, num_holes")
+          .eq("id", courseId)
+          .single();
+
+        if (courseError) throw courseError;
+
+        const { data: profile } = await supabase
+          .from("profiles")
+          .select("tee_set")
+          .eq("id", user.id)
+          .single();
+
+        const teeSet = profile?.tee_set || TEE_SETS.MEN;
+        setHoles(getHoleNumbers(holeSelection, course.num_holes).map(holeNumber => ({
+          number: holeNumber,
+          par: getHolePar(
+            Array.isArray(course.holes) ? course.holes.find(hole => hole.number === holeNumber) : null,
+            teeSet
+          )
+        })));
+        setError(null);
+      } catch (error) {
+        console.error("Error loading course holes:", error);
+        setError("Couldn't load this course's holes. Please try again later.");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchHoles();
+  }, [user, courseId, holeSelection]);
+
+  const parseCount = (value) => value === undefined || value.trim() === "" ? null : Number(value);
+
+  const totalScore = holes.reduce((sum, hole) => sum + (parseCount(scores[hole.number]) || 0), 0);
+  const totalPutts = holes.reduce((sum, hole) => sum + (parseCount(putts[hole.number]) || 0), 0);
+  const totalPar = holes.every(hole => hole.par) ? holes.reduce((sum, hole) => sum + hole.par, 0) : null;
+
+  const handleSave = async () => {
+    const date = parsePlayedDate(playedDate);
+    if (!date) {
+      Alert.alert("Check the Date", "Enter the date you played as YYYY-MM-DD. It can't be in the future.");
+      return;
+    }
+
+    const enteredHoles = holes.map(hole => ({
+      holeNumber: hole.number,
+      par: hole.par,
+      score: parseCount(scores[hole.number]),
+      putts: parseCount(putts[hole.number])
+    }));
+
+    const missingHole = enteredHoles.find(hole =>
+      !Number.isInteger(hole.score) || hole.score < 1 || hole.score > MAX_HOLE_SCORE
+    );
+    if (missingHole) {
+      Alert.alert("Check Your Scores", `Enter a score between 1 and ${MAX_HOLE_SCORE} for hole ${missingHole.holeNumber}.`);
+      return;
+    }
+
+    const invalidPutts = enteredHoles.find(hole =>
+      hole.putts !== null && (!Number.isInteger(hole.putts) || hole.putts > hole.score)
+    );
+    if (invalidPutts) {
+      Alert.alert("Check Your Putts", `Putts on hole ${invalidPutts.holeNumber} can't be more than the score.`);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const round = await importPastRound({
+        profileId: user.id,
+        courseId,
+        teeId,
+        teeName,
+        holeSelection,
+        date,
+        holes: enteredHoles
+      });
+
+      if (posthog) {
+        posthog.capture('past_round_imported', {
+          profile_id: user.id,
+          course_id: courseId,
+          holes_played: enteredHoles.length,
+          has_putts: enteredHoles.some(hole => hole.putts !== null),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      Alert.alert(
+        "Round Logged",
+        `Your ${totalScore} at ${courseName} now counts towards your stats and handicap.`,
+        [
+          // Back to the course selector for the next scorecard
+          { text: "Log Another", onPress: () => navigation.goBack() },
+          {
+            text: "View Scorecard",
+            onPress: () => {
+              navigation.dispatch(StackActions.popToTop());
+              navigation.navigate("ScorecardScreen", { roundId: round.id });
+            }
+          }
+        ]
+      );
+    } catch (error) {
+      console.error("Error logging past round:", error);
+      Alert.alert("Couldn't Log Round", "Please check your connection and try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || error) {
+    return (
+      <Layout>
+        <View style={styles.centered}>
+          {loading ? (
+            <ActivityIndicator size="large" color={theme.colors.primary} />
+          ) : (
+            <Typography variant="secondary" italic style={styles.centeredText}>{error}</Typography>
+          )}
+        </View>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        <Typography variant="subtitle">{courseName}</Typography>
+        <Typography variant="caption" style={styles.secondaryText}>
+          {`${teeName} tees • ${HOLE_SELECTION_LABELS[holeSelection] || `${holes.length} holes`}`}
+        </Typography>
+
+        <Typography variant="body" weight="semibold" style={styles.label}>Date played</Typography>
+        <TextInput
+          style={styles.dateInput}
+          placeholder="YYYY-MM-DD"
+          value={playedDate}
+          onChangeText={setPlayedDate}
+          keyboardType="numbers-and-punctuation"
+          autoCorrect={false}
+          maxLength={10}
+        />
+
+        {/* Score grid - putts are optional */}
+        <View style={[styles.gridRow, styles.gridHeader]}>
+          <Typography variant="caption" weight="semibold" style={styles.gridCell}>Hole</Typography>
+          <Typography variant="caption" weight="semibold" style={styles.gridCell}>Par</Typography>
+          <Typography variant="caption" weight="semibold" style={styles.gridCell}>Score</Typography>
+          <Typography variant="caption" weight="semibold" style={styles.gridCell}>Putts</Typography>
+        </View>
+        {holes.map(hole => (
+          <View key={`hole-${hole.number}`} style={styles.gridRow}>
+            <Typography variant="body" style={styles.gridCell}>{hole.number}</Typography>
+            <Typography variant="body" style={[styles.gridCell, styles.secondaryText]}>{hole.par || "-"}</Typography>
+            <View style={styles.gridCell}>
+              <TextInput
+                style={styles.gridInput}
+                value={scores[hole.number] || ""}
+                onChangeText={value => setScores(prev => ({ ...prev, [hole.number]: value }))}
+                keyboardType="number-pad"
+                maxLength={2}
+              />
+            </View>
+            <View style={styles.gridCell}>
+              <TextInput
+                style={styles.gridInput}
+                value={putts[hole.number] || ""}
+                onChangeText={value => setPutts(prev => ({ ...prev, [hole.number]: value }))}
+                keyboardType="number-pad"
+                maxLength={1}
+                placeholder="-"
+              />
+            </View>
+          </View>
+        ))}
+        <View style={[styles.gridRow, styles.gridHeader]}>
+          <Typography variant="body" weight="bold" style={styles.gridCell}>Total</Typography>
+          <Typography variant="body" weight="bold" style={styles.gridCell}>{totalPar || "-"}</Typography>
+          <Typography variant="body" weight="bold" style={styles.gridCell}>{totalScore || "-"}</Typography>
+          <Typography variant="body" weight="bold" style={styles.gridCell}>{totalPutts || "-"}</Typography>
+        </View>
+
+        <Button
+          variant="primary"
+          fullWidth
+          onPress={handleSave}
+          loading={saving}
+          style={styles.saveButton}
+        >
+          Log Round
+        </Button>
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.medium,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  centeredText: {
+    textAlign: "center",
+  },
+  secondaryText: {
+    color: theme.colors.secondary,
+  },
+  label: {
+    marginTop: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  dateInput: {
+    height: 44,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    backgroundColor: "#fff",
+    marginBottom: theme.spacing.medium,
+  },
+  gridRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+    backgroundColor: "#fff",
+  },
+  gridHeader: {
+    backgroundColor: "#f5f5f5",
+    paddingVertical: 8,
+  },
+  gridCell: {
+    flex: 1,
+    alignItems: "center",
+    textAlign: "center",
+  },
+  gridInput: {
+    width: 48,
+    height: 36,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    borderRadius: 6,
+    textAlign: "center",
+    fontSize: 16,
+  },
+  saveButton: {
+    marginTop: theme.spacing.large,
+  }
+});
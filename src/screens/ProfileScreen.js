@@ -9,8 +9,12 @@ import {
   Keyboard,
   Platform,
   Alert,
-  Linking
+  Linking,
+  TouchableOpacity,
+  Switch
 } from "react-native";
+import { useNavigation, useFocusEffect } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
 import { AuthContext } from "../context/AuthContext";
 import { supabase } from "../services/supabase";
 import Layout from "../ui/Layout";
@@ -20,6 +24,22 @@ import Typography from "../ui/components/Typography";
 import PremiumButton from "../components/PremiumButton";
 import Card from "../ui/components/Card";
 import debounce from 'lodash/debounce';
+import {
+  getBag,
+  addClub,
+  addDefaultBag,
+  removeClub,
+  CLUB_TYPES,
+  getPreferredApproachDistance,
+  setPreferredApproachDistance,
+  APPROACH_DISTANCE_RANGE
+} from "../services/clubService";
+import { getHandicapSummary, setHandicapManual, setTeeSet } from "../services/handicapService";
+import { TEE_SETS, TEE_SET_LABELS } from "../utils/handicap";
+import { shareExport } from "../services/exportService";
+import { EXPORT_FORMATS } from "../utils/dataExport";
+import { getPaceTarget, setPaceTarget, PACE_TARGET_RANGE } from "../services/paceService";
+import { DEFAULT_ROUND_MINUTES, formatPlayTime } from "../utils/paceOfPlay";
 
 /**
  * Subscription Management Component
@@ -148,6 +168,434 @@ const SubscriptionManagementSection = () => {
   );
 };
 
+/**
+ * Club Bag Section
+ * 
+ * Lets the player maintain the list of clubs they carry.
+ * Clubs in the bag can be selected for each shot on the TrackerScreen.
+ */
+const ClubBagSection = () => {
+  const { user } = useContext(AuthContext);
+  const navigation = useNavigation();
+  
+  const [clubs, setClubs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newClubName, setNewClubName] = useState("");
+  const [newClubType, setNewClubType] = useState("iron");
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [approachDistance, setApproachDistance] = useState("");
+  const [savedApproachDistance, setSavedApproachDistance] = useState(null);
+  
+  // Load the bag on mount
+  useEffect(() => {
+    const loadBag = async () => {
+      if (!user) return;
+      
+      const [bag, distance] = await Promise.all([
+        getBag(user.id),
+        getPreferredApproachDistance(user.id)
+      ]);
+      setClubs(bag);
+      setSavedApproachDistance(distance);
+      setApproachDistance(distance ? String(distance) : "");
+      setLoading(false);
+    };
+    
+    loadBag();
+  }, [user]);
+  
+  // Add a single club from the form
+  const handleAddClub = async () => {
+    if (!user || newClubName.trim() === "") return;
+    
+    setIsUpdating(true);
+    try {
+      const club = await addClub(user.id, { name: newClubName, type: newClubType });
+      setClubs(prevClubs => [...prevClubs, club]);
+      setNewClubName("");
+      Keyboard.dismiss();
+    } catch (error) {
+      Alert.alert("Couldn't Add Club", "Please check your connection and try again.");
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+  
+  // Fill an empty bag with a standard set
+  const handleAddDefaultBag = async () => {
+    if (!user) return;
+    
+    setIsUpdating(true);
+    try {
+      const bag = await addDefaultBag(user.id);
+      setClubs(bag);
+    } catch (error) {
+      Alert.alert("Couldn't Add Clubs", "Please check your connection and try again.");
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+  
+  // Save the approach distance lay-ups should leave once the player finishes editing
+  const handleApproachDistanceBlur = async () => {
+    if (!user) return;
+    
+    const distance = approachDistance.trim() === "" ? null : parseInt(approachDistance, 10);
+    if (distance === savedApproachDistance) return;
+    
+    if (distance !== null && (distance < APPROACH_DISTANCE_RANGE.min || distance > APPROACH_DISTANCE_RANGE.max)) {
+      Alert.alert(
+        "Check Approach Distance",
+        `Enter a distance between ${APPROACH_DISTANCE_RANGE.min} and ${APPROACH_DISTANCE_RANGE.max} yards.`
+      );
+      setApproachDistance(savedApproachDistance ? String(savedApproachDistance) : "");
+      return;
+    }
+    
+    try {
+      await setPreferredApproachDistance(user.id, distance);
+      setSavedApproachDistance(distance);
+    } catch (error) {
+      Alert.alert("Couldn't Save Approach Distance", "Please check your connection and try again.");
+      setApproachDistance(savedApproachDistance ? String(savedApproachDistance) : "");
+    }
+  };
+  
+  // Confirm before taking a club out of the bag
+  const handleRemoveClub = (club) => {
+    Alert.alert(
+      "Remove Club",
+      `Remove ${club.name} from your bag? Shots already hit with it keep their club.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Remove",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await removeClub(user.id, club.id);
+              setClubs(prevClubs => prevClubs.filter(existing => existing.id !== club.id));
+            } catch (error) {
+              Alert.alert("Couldn't Remove Club", "Please check your connection and try again.");
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  return (
+    <View style={styles.bagSection}>
+      <Typography variant="subtitle" style={styles.sectionTitle}>
+        Your Bag
+      </Typography>
+      
+      {!loading && clubs.length === 0 && (
+        <View style={styles.emptyBag}>
+          <Typography variant="body" style={styles.standardText}>
+            Add the clubs you carry to track which club you hit on each shot.
+          </Typography>
+          <Button
+            variant="outline"
+            onPress={handleAddDefaultBag}
+            disabled={isUpdating}
+            iconLeft="golf-outline"
+          >
+            Add a Standard Set
+          </Button>
+        </View>
+      )}
+      
+      {clubs.map(club => (
+        <View key={club.id} style={styles.clubRow}>
+          <View>
+            <Typography variant="body">{club.name}</Typography>
+            <Typography variant="caption" style={styles.clubType}>
+              {club.type}
+            </Typography>
+          </View>
+          <TouchableOpacity
+            onPress={() => handleRemoveClub(club)}
+            hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+          >
+            <Ionicons name="trash-outline" size={20} color={theme.colors.error || '#D32F2F'} />
+          </TouchableOpacity>
+        </View>
+      ))}
+      
+      {/* Add club form */}
+      <View style={styles.addClubRow}>
+        <TextInput
+          style={styles.clubInput}
+          value={newClubName}
+          onChangeText={setNewClubName}
+          placeholder="Club name, e.g. 7 Iron"
+          returnKeyType="done"
+          onSubmitEditing={handleAddClub}
+          maxLength={30}
+        />
+        <Button
+          variant="primary"
+          onPress={handleAddClub}
+          disabled={isUpdating || newClubName.trim() === ""}
+          style={styles.addClubButton}
+        >
+          Add
+        </Button>
+      </View>
+      
+      <View style={styles.clubTypeRow}>
+        {CLUB_TYPES.map(type => (
+          <TouchableOpacity
+            key={type}
+            style={[styles.clubTypePill, newClubType === type && styles.clubTypePillActive]}
+            onPress={() => setNewClubType(type)}
+          >
+            <Typography
+              variant="caption"
+              color={newClubType === type ? "#FFF" : theme.colors.text}
+            >
+              {type}
+            </Typography>
+          </TouchableOpacity>
+        ))}
+      </View>
+      
+      {/* Approach distance lay-up suggestions leave on the course */}
+      <View style={styles.settingRow}>
+        <View style={styles.settingLabel}>
+          <Typography variant="body">Preferred approach</Typography>
+          <Typography variant="caption" style={styles.settingHint}>
+            Lay-up suggestions leave this distance in
+          </Typography>
+        </View>
+        <TextInput
+          style={styles.settingInput}
+          value={approachDistance}
+          onChangeText={text => /^\d*$/.test(text) && setApproachDistance(text)}
+          onBlur={handleApproachDistanceBlur}
+          placeholder="yds"
+          keyboardType="number-pad"
+          returnKeyType="done"
+          maxLength={3}
+        />
+      </View>
+      
+      <Button
+        variant="outline"
+        onPress={() => navigation.navigate("ClubStatsScreen")}
+        iconRight="stats-chart-outline"
+        style={styles.clubStatsButton}
+      >
+        View Club Stats
+      </Button>
+    </View>
+  );
+};
+
+/**
+ * Handicap History Section
+ * 
+ * Shows how the calculated handicap index has changed and which of the
+ * most recent scores count towards it.
+ * 
+ * @param {Object} props
+ * @param {Object} props.summary - Result of getHandicapSummary
+ */
+const HandicapHistorySection = ({ summary }) => {
+  if (!summary || (summary.history.length === 0 && summary.recentScores.length === 0)) {
+    return null;
+  }
+  
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+  
+  return (
+    <View style={styles.handicapSection}>
+      <Typography variant="subtitle" style={styles.sectionTitle}>
+        Handicap History
+      </Typography>
+      
+      {summary.history.slice(0, 5).map(entry => (
+        <View key={entry.id} style={styles.infoItem}>
+          <Typography variant="body" style={styles.infoLabel}>
+            {formatDate(entry.created_at)}
+          </Typography>
+          <Typography variant="body" style={styles.infoValue}>
+            {entry.handicap_index.toFixed(1)}
+          </Typography>
+        </View>
+      ))}
+      
+      {summary.recentScores.length > 0 && (
+        <>
+          <Typography variant="body" weight="semibold" style={styles.scoresTitle}>
+            Recent Scores
+          </Typography>
+          {summary.recentScores.map(score => (
+            <View key={score.roundId} style={styles.infoItem}>
+              <View style={styles.scoreDetails}>
+                <Typography variant="body">{score.courseName}</Typography>
+                <Typography variant="caption" style={styles.infoLabel}>
+                  {`${formatDate(score.date)} • Adjusted ${score.adjustedGrossScore}`}
+                </Typography>
+              </View>
+              <Typography 
+                variant="body" 
+                weight={score.counted ? "bold" : "normal"}
+                color={score.counted ? theme.colors.primary : theme.colors.secondary}
+              >
+                {score.scoreDifferential.toFixed(1)}
+              </Typography>
+            </View>
+          ))}
+          <Typography variant="caption" style={styles.helpText}>
+            Highlighted differentials count towards your index. Only full 18-hole rounds from rated tees are included.
+          </Typography>
+        </>
+      )}
+    </View>
+  );
+};
+
+/**
+ * Pace of Play Section
+ * 
+ * The player's own target time for 18 holes, used by the tracker's pace indicator
+ * and the scorecard timing report in place of the course's target.
+ */
+const PaceOfPlaySection = () => {
+  const { user } = useContext(AuthContext);
+  const [paceTarget, setPaceTargetText] = useState("");
+  const [savedPaceTarget, setSavedPaceTarget] = useState(null);
+  
+  // Load the saved target on mount
+  useEffect(() => {
+    if (!user) return;
+    
+    getPaceTarget(user.id).then(minutes => {
+      setSavedPaceTarget(minutes);
+      setPaceTargetText(minutes ? String(minutes) : "");
+    });
+  }, [user]);
+  
+  // Save the target once the player finishes editing; empty goes back to the course's
+  const handlePaceTargetBlur = async () => {
+    if (!user) return;
+    
+    const minutes = paceTarget.trim() === "" ? null : parseInt(paceTarget, 10);
+    if (minutes === savedPaceTarget) return;
+    
+    if (minutes !== null && (minutes < PACE_TARGET_RANGE.min || minutes > PACE_TARGET_RANGE.max)) {
+      Alert.alert(
+        "Check Target Time",
+        `Enter a round time between ${PACE_TARGET_RANGE.min} and ${PACE_TARGET_RANGE.max} minutes.`
+      );
+      setPaceTargetText(savedPaceTarget ? String(savedPaceTarget) : "");
+      return;
+    }
+    
+    try {
+      await setPaceTarget(user.id, minutes);
+      setSavedPaceTarget(minutes);
+    } catch (error) {
+      Alert.alert("Couldn't Save Target Time", "Please check your connection and try again.");
+      setPaceTargetText(savedPaceTarget ? String(savedPaceTarget) : "");
+    }
+  };
+  
+  return (
+    <View style={styles.bagSection}>
+      <Typography variant="subtitle" style={styles.sectionTitle}>
+        Pace of Play
+      </Typography>
+      
+      <View style={styles.settingRow}>
+        <View style={styles.settingLabel}>
+          <Typography variant="body">Target round time</Typography>
+          <Typography variant="caption" style={styles.settingHint}>
+            {savedPaceTarget
+              ? `${formatPlayTime(savedPaceTarget)} for 18 holes`
+              : `Minutes for 18 holes. Without one, the course's target or ${formatPlayTime(DEFAULT_ROUND_MINUTES)} is used`}
+          </Typography>
+        </View>
+        <TextInput
+          style={styles.settingInput}
+          value={paceTarget}
+          onChangeText={text => /^\d*$/.test(text) && setPaceTargetText(text)}
+          onBlur={handlePaceTargetBlur}
+          placeholder="min"
+          keyboardType="number-pad"
+          returnKeyType="done"
+          maxLength={3}
+        />
+      </View>
+    </View>
+  );
+};
+
+/**
+ * Data Export Section
+ * 
+ * Exports every round with its holes, shots and insights through the share sheet,
+ * as a CSV for spreadsheets or a full JSON dump.
+ */
+const DataExportSection = () => {
+  const { user } = useContext(AuthContext);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  
+  const handleExport = async (format) => {
+    if (!user || exportingFormat) return;
+    
+    setExportingFormat(format);
+    try {
+      const { roundCount } = await shareExport(user.id, format);
+      if (roundCount === 0) {
+        Alert.alert("Nothing to Export", "Play or log a round and it will be included in your export.");
+      }
+    } catch (error) {
+      console.error("Error exporting data:", error);
+      Alert.alert("Couldn't Export Data", "Please check your connection and try again.");
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+  
+  return (
+    <View style={styles.bagSection}>
+      <Typography variant="subtitle" style={styles.sectionTitle}>
+        Export Your Data
+      </Typography>
+      
+      <Typography variant="caption" style={styles.exportText}>
+        Every round with its holes and shots. The CSV opens in a spreadsheet; the JSON also includes your insights and course details.
+      </Typography>
+      
+      <View style={styles.exportButtonRow}>
+        <Button
+          variant="outline"
+          onPress={() => handleExport(EXPORT_FORMATS.CSV)}
+          loading={exportingFormat === EXPORT_FORMATS.CSV}
+          disabled={!!exportingFormat}
+          iconLeft="document-text-outline"
+          style={styles.exportButton}
+        >
+          CSV
+        </Button>
+        <Button
+          variant="outline"
+          onPress={() => handleExport(EXPORT_FORMATS.JSON)}
+          loading={exportingFormat === EXPORT_FORMATS.JSON}
+          disabled={!!exportingFormat}
+          iconLeft="code-slash-outline"
+          style={styles.exportButton}
+        >
+          JSON
+        </Button>
+      </View>
+    </View>
+  );
+};
+
 /**
  * ProfileScreen Component
  * 
@@ -163,31 +611,31 @@ export default function ProfileScreen() {
   const [isSaving, setIsSaving] = useState(false);
   const [saveStatus, setSaveStatus] = useState(null); // 'success', 'error', or null
   
-  // Load user profile data on mount
-  useEffect(() => {
-    const loadUserProfile = async () => {
-      if (!user) return;
-      
-      try {
-        const { data, error } = await supabase
-          .from('profiles')
-          .select('handicap')
-          .eq('id', user.id)
-          .single();
-          
-        if (error) throw error;
+  // Calculated handicap index, its history and whether the manual handicap is kept
+  const [handicapSummary, setHandicapSummary] = useState(null);
+  
+  // Load user profile data whenever the screen is shown, as completed rounds update the index
+  useFocusEffect(
+    useCallback(() => {
+      const loadUserProfile = async () => {
+        if (!user) return;
         
-        // Format handicap properly for display
-        if (data && data.handicap !== null) {
-          setHandicap(data.handicap.toString());
+        try {
+          const summary = await getHandicapSummary(user.id);
+          setHandicapSummary(summary);
+          
+          // Format handicap properly for display
+          if (summary.handicap !== null) {
+            setHandicap(summary.handicap.toString());
+          }
+        } catch (error) {
+          console.error("Error loading profile data:", error.message);
         }
-      } catch (error) {
-        console.error("Error loading profile data:", error.message);
-      }
-    };
-    
-    loadUserProfile();
-  }, [user]);
+      };
+      
+      loadUserProfile();
+    }, [user])
+  );
   
   // Create debounced save function to prevent excessive database writes
   const debouncedSaveHandicap = useCallback(
@@ -208,12 +656,15 @@ export default function ProfileScreen() {
           .from('profiles')
           .update({ 
             handicap: handicapValue,
+            handicap_manual: true, // Entering a handicap keeps it over the calculated index
             updated_at: new Date().toISOString()
           })
           .eq('id', userId);
           
         if (error) throw error;
         
+        setHandicapSummary(prev => prev && { ...prev, handicap: handicapValue, handicapManual: true });
+        
         // Indicate success briefly
         setSaveStatus('success');
         setTimeout(() => setSaveStatus(null), 2000);
@@ -238,11 +689,39 @@ export default function ProfileScreen() {
   
   // Handle blur event (when user finishes editing)
   const handleHandicapBlur = () => {
-    if (user && handicap !== "") {
+    // Only an actual change counts as a manual handicap
+    if (user && handicap !== "" && parseFloat(handicap) !== handicapSummary?.handicap) {
       debouncedSaveHandicap(user.id, handicap);
     }
   };
   
+  // Switch between the manual handicap and the calculated index
+  const handleUseCalculatedChange = async (useCalculated) => {
+    if (!user) return;
+    
+    try {
+      const handicapInUse = await setHandicapManual(user.id, !useCalculated);
+      setHandicapSummary(prev => prev && { ...prev, handicap: handicapInUse, handicapManual: !useCalculated });
+      setHandicap(handicapInUse !== null ? handicapInUse.toString() : "");
+    } catch (error) {
+      console.error("Error updating handicap preference:", error.message);
+      Alert.alert("Couldn't Update Handicap", "Please check your connection and try again.");
+    }
+  };
+  
+  // Choose which ratings, pars and stroke indexes apply
+  const handleTeeSetChange = async (teeSet) => {
+    if (!user || handicapSummary?.teeSet === teeSet) return;
+    
+    try {
+      await setTeeSet(user.id, teeSet);
+      setHandicapSummary(prev => prev && { ...prev, teeSet });
+    } catch (error) {
+      console.error("Error updating tee set:", error.message);
+      Alert.alert("Couldn't Update Tees", "Please check your connection and try again.");
+    }
+  };
+  
   // Get status indicator styles and text
   const getStatusIndicator = () => {
     if (!saveStatus) return null;
@@ -314,11 +793,73 @@ export default function ProfileScreen() {
               </View>
             </View>
             
+            <View style={styles.handicapContainer}>
+              <Typography variant="body" style={styles.handicapLabel}>
+                Calculated Index
+              </Typography>
+              <Typography variant="body" style={styles.infoValue}>
+                {handicapSummary?.handicapIndex !== null && handicapSummary?.handicapIndex !== undefined
+                  ? handicapSummary.handicapIndex.toFixed(1)
+                  : "Needs 3 rounds"}
+              </Typography>
+            </View>
+            
+            <View style={styles.handicapContainer}>
+              <Typography variant="body" style={styles.handicapLabel}>
+                Use calculated index
+              </Typography>
+              <Switch
+                value={!!handicapSummary && !handicapSummary.handicapManual}
+                onValueChange={handleUseCalculatedChange}
+                disabled={!handicapSummary}
+                trackColor={{ true: theme.colors.primary }}
+              />
+            </View>
+            
+            <View style={styles.handicapContainer}>
+              <Typography variant="body" style={styles.handicapLabel}>
+                Ratings
+              </Typography>
+              <View style={styles.teeSetRow}>
+                {Object.values(TEE_SETS).map(teeSet => {
+                  const isSelected = (handicapSummary?.teeSet || TEE_SETS.MEN) === teeSet;
+                  
+                  return (
+                    <TouchableOpacity
+                      key={teeSet}
+                      style={[styles.clubTypePill, isSelected && styles.clubTypePillActive]}
+                      onPress={() => handleTeeSetChange(teeSet)}
+                      disabled={!handicapSummary}
+                    >
+                      <Typography variant="caption" color={isSelected ? "#FFF" : theme.colors.text}>
+                        {TEE_SET_LABELS[teeSet]}
+                      </Typography>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+            
             <Typography variant="caption" style={styles.helpText}>
-              Enter your official handicap index to track progress over time.
+              {handicapSummary && !handicapSummary.handicapManual
+                ? "Your handicap updates automatically from your completed rounds."
+                : "Enter your official handicap index, or switch on the calculated index to update it from your rounds."}
+              {" Ratings set which course ratings, pars and stroke indexes are used for net scores."}
             </Typography>
           </View>
           
+          {/* Handicap History Section */}
+          <HandicapHistorySection summary={handicapSummary} />
+          
+          {/* Club Bag Section */}
+          <ClubBagSection />
+          
+          {/* Pace of Play Section */}
+          <PaceOfPlaySection />
+          
+          {/* Data Export Section */}
+          <DataExportSection />
+          
           {/* Subscription Management Section */}
           <SubscriptionManagementSection />
           
@@ -429,6 +970,111 @@ const styles = StyleSheet.create({
     minWidth: 200,
   },
   
+  teeSetRow: {
+    flexDirection: "row",
+  },
+  
+  // Handicap history styles
+  scoresTitle: {
+    marginTop: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  scoreDetails: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  
+  // Club bag component styles
+  bagSection: {
+    width: "100%", 
+    backgroundColor: "#fff",
+    borderRadius: theme.layout.borderRadius.medium,
+    padding: theme.spacing.medium,
+    marginTop: theme.spacing.medium,
+    ...theme.elevation.low,
+  },
+  emptyBag: {
+    marginBottom: theme.spacing.small,
+  },
+  clubRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  clubType: {
+    color: theme.colors.secondary,
+    textTransform: "capitalize",
+  },
+  addClubRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: theme.spacing.medium,
+  },
+  clubInput: {
+    flex: 1,
+    fontSize: 16,
+    paddingVertical: Platform.OS === 'ios' ? 8 : 4,
+    paddingHorizontal: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+    marginRight: theme.spacing.small,
+  },
+  addClubButton: {
+    minWidth: 70,
+  },
+  settingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: theme.spacing.medium,
+  },
+  settingLabel: {
+    flex: 1,
+  },
+  settingHint: {
+    color: theme.colors.secondary,
+  },
+  settingInput: {
+    width: 64,
+    fontSize: 16,
+    textAlign: "center",
+    paddingVertical: Platform.OS === 'ios' ? 8 : 4,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  clubTypeRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: theme.spacing.small,
+  },
+  clubTypePill: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  clubTypePillActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  clubStatsButton: {
+    marginTop: theme.spacing.medium,
+  },
+  exportText: {
+    color: theme.colors.secondary,
+  },
+  exportButtonRow: {
+    flexDirection: "row",
+    marginTop: theme.spacing.medium,
+  },
+  exportButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  
   // Subscription component styles
   subscriptionCard: {
     width: "100%", 
@@ -1,13 +1,15 @@
 // src/screens/RoundScreen.js
 
-import React, { useState, useEffect, useContext } from "react";
-import { View, StyleSheet, FlatList, ActivityIndicator } from "react-native";
+import React, { useState, useEffect, useContext, useRef } from "react";
+import { View, StyleSheet, FlatList, ActivityIndicator, TouchableOpacity, Alert } from "react-native";
 import { useNavigation } from "@react-navigation/native";
 import { AuthContext } from "../context/AuthContext";
 import { supabase } from "../services/supabase";
+import { getRoundFormatSummaries, deleteRound, setRoundArchived } from "../services/roundservice";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import RoundSummaryCard from "../components/RoundSummaryCard";
+import SyncStatusBadge from "../components/SyncStatusBadge";
 import Typography from "../ui/components/Typography";
 
 /**
@@ -15,12 +17,28 @@ import Typography from "../ui/components/Typography";
  * 
  * Displays a list of all completed rounds with detailed information.
  * Each round card is touchable and navigates to the ScorecardScreen.
+ * Swiping a card archives (or restores) or deletes the round; archived rounds
+ * are listed separately.
  */
 export default function RoundsScreen() {
   const navigation = useNavigation();
   const { user } = useContext(AuthContext);
   const [rounds, setRounds] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [showArchived, setShowArchived] = useState(false);
+  
+  // Bumped when queued offline rounds finish syncing, or on returning to the list
+  // (e.g. after logging a past round), so the list refreshes
+  const [syncVersion, setSyncVersion] = useState(0);
+  const hasFocusedRef = useRef(false);
+
+  useEffect(() => {
+    return navigation.addListener("focus", () => {
+      // The first focus is covered by the initial fetch
+      if (hasFocusedRef.current) setSyncVersion(prev => prev + 1);
+      hasFocusedRef.current = true;
+    });
+  }, [navigation]);
 
   useEffect(() => {
     async function fetchRounds() {
@@ -31,7 +49,7 @@ export default function RoundsScreen() {
         
         // Fetch all COMPLETED rounds with scores and shots data
         // IMPORTANT CHANGE: Added filter for is_complete = true
-        const { data, error } = await supabase
+        let query = supabase
           .from("rounds")
           .select(`
             id, 
@@ -40,11 +58,24 @@ export default function RoundsScreen() {
             created_at,
             score,
             gross_shots,
-            is_complete
+            is_complete,
+            course_handicap,
+            hole_selection,
+            starting_hole,
+            scoring_format,
+            archived_at,
+            exclude_from_stats
           `)
           .eq("profile_id", user.id)
           .eq("is_complete", true) // Only get completed rounds
           .order("created_at", { ascending: false });
+        
+        // Archived rounds are only listed in the archive
+        query = showArchived
+          ? query.not("archived_at", "is", null)
+          : query.is("archived_at", null);
+        
+        const { data, error } = await query;
           
         if (error) {
           console.error("Error fetching rounds:", error);
@@ -71,6 +102,9 @@ export default function RoundsScreen() {
             });
           }
           
+          // Points or match results for rounds not played as stroke play
+          const formatSummaries = await getRoundFormatSummaries(data);
+          
           // Format data for display
           const formattedRounds = data.map(round => ({
             id: round.id,
@@ -78,7 +112,13 @@ export default function RoundsScreen() {
             courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
             score: round.score,
             grossShots: round.gross_shots,
-            isComplete: round.is_complete
+            netScore: round.gross_shots !== null && round.course_handicap !== null
+              ? round.gross_shots - round.course_handicap
+              : null,
+            formatSummary: formatSummaries[round.id] || null,
+            isComplete: round.is_complete,
+            archived: !!round.archived_at,
+            excludedFromStats: round.exclude_from_stats
           }));
           
           setRounds(formattedRounds);
@@ -93,7 +133,7 @@ export default function RoundsScreen() {
     }
     
     fetchRounds();
-  }, [user]);
+  }, [user, syncVersion, showArchived]);
 
   // Navigate to the scorecard
   const handleRoundPress = (roundId) => {
@@ -102,9 +142,60 @@ export default function RoundsScreen() {
     navigation.navigate("ScorecardScreen", { roundId });
   };
 
+  // Archiving and restoring both move the round to the other list
+  const handleArchive = async (round) => {
+    try {
+      await setRoundArchived(round.id, !round.archived);
+      setRounds(prev => prev.filter(candidate => candidate.id !== round.id));
+    } catch (error) {
+      console.error("Error archiving round:", error);
+      Alert.alert("Couldn't Update Round", "Please check your connection and try again.");
+    }
+  };
+
+  const handleDelete = (round) => {
+    Alert.alert(
+      "Delete Round?",
+      `This permanently deletes your round at ${round.courseName} with its scores and insights.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteRound(round.id);
+              setRounds(prev => prev.filter(candidate => candidate.id !== round.id));
+            } catch (error) {
+              console.error("Error deleting round:", error);
+              Alert.alert("Couldn't Delete Round", "Please check your connection and try again.");
+            }
+          }
+        }
+      ]
+    );
+  };
+
   return (
     <Layout>
       <View style={styles.container}>
+        {/* Pending offline sync indicator */}
+        <SyncStatusBadge onSynced={() => setSyncVersion(prev => prev + 1)} />
+        
+        <View style={styles.listActions}>
+          {/* Backfill rounds from paper scorecards */}
+          <TouchableOpacity onPress={() => navigation.navigate("PastRoundCourse")}>
+            <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+              Log a past round
+            </Typography>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => setShowArchived(prev => !prev)}>
+            <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+              {showArchived ? "Back to rounds" : "View archived rounds"}
+            </Typography>
+          </TouchableOpacity>
+        </View>
+        
         {loading ? (
           <ActivityIndicator size="large" color={theme.colors.primary} />
         ) : rounds.length > 0 ? (
@@ -114,6 +205,8 @@ export default function RoundsScreen() {
               <RoundSummaryCard 
                 round={item} 
                 onPress={() => handleRoundPress(item.id)}
+                onArchive={handleArchive}
+                onDelete={handleDelete}
               />
             )}
             keyExtractor={item => item.id}
@@ -127,7 +220,9 @@ export default function RoundsScreen() {
               italic 
               style={styles.emptyText}
             >
-              No completed rounds yet. Start a round from the Home tab!
+              {showArchived
+                ? "No archived rounds. Swipe a round to archive it."
+                : "No completed rounds yet. Start a round from the Home tab!"}
             </Typography>
           </View>
         )}
@@ -144,6 +239,11 @@ const styles = StyleSheet.create({
   listContainer: {
     paddingBottom: 20,
   },
+  listActions: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: theme.spacing.small,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: "center",
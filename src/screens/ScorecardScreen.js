@@ -1,12 +1,55 @@
 // src/screens/ScorecardScreen.js
 
-import React, { useEffect, useState } from "react";
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator } from "react-native";
+import React, { useEffect, useState, useContext } from "react";
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator, Alert } from "react-native";
 import { useNavigation, useRoute, StackActions } from '@react-navigation/native';
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "../services/supabase";
+import { AuthContext } from "../context/AuthContext";
+import { updateCompletedRound, generateInsights, setRoundExcluded } from "../services/roundservice";
+import RoundEditor from "../components/RoundEditor";
+import HoleMediaList from "../components/HoleMediaList";
+import { getRoundNotes } from "../utils/holeNotes";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
+import { 
+  HOLE_SELECTIONS, 
+  getHoleNumbers, 
+  getCourseHoleCount, 
+  getScorecardSegments, 
+  getPlayingOrder 
+} from "../utils/holeSelection";
+import {
+  STROKES_GAINED_VERSION,
+  SG_CATEGORY_LABELS,
+  calculateRoundStrokesGained
+} from "../utils/strokesGained";
+import {
+  TEE_SETS,
+  TEE_SET_LABELS,
+  getTeeRating,
+  getHolePar,
+  getHoleStrokeIndex,
+  calculateCourseHandicap,
+  allocateHandicapStrokes
+} from "../utils/handicap";
+import { SCORING_FORMATS, buildScoringHoles, scoreRound } from "../utils/scoringFormats";
+import { getRoundGroup } from "../services/groupService";
+import {
+  TRADITIONAL_STATS_VERSION,
+  TRADITIONAL_STAT_ROWS,
+  calculateRoundStats,
+  getStatCount,
+  formatStatCount,
+  getPuttsPerHole
+} from "../utils/traditionalStats";
+import {
+  NINE_LABELS,
+  buildRoundTimingReport,
+  getRoundTargetMinutes,
+  describePaceAndScore,
+  formatPlayTime
+} from "../utils/paceOfPlay";
 
 /**
  * ScorecardScreen Component
@@ -15,10 +58,13 @@ import theme from "../ui/theme";
  * Shows hole-by-hole scores and outcome breakdowns.
  * Updated to work with the new shots data structure.
  * Enhanced navigation to provide cleaner flow back to home screen.
+ * The player can switch their own completed rounds into edit mode to correct
+ * hole scores and shots, the tee or the date played.
  */
 export default function ScorecardScreen() {
   const navigation = useNavigation();
   const route = useRoute();
+  const { user } = useContext(AuthContext);
   // Get roundId from navigation params
   const { roundId, fromTracker } = route.params || {};
   
@@ -26,7 +72,29 @@ export default function ScorecardScreen() {
   const [roundData, setRoundData] = useState(null);
   const [courseData, setCourseData] = useState(null);
   const [holesData, setHolesData] = useState([]);
+  const [holeRecords, setHoleRecords] = useState([]);
+  const [holeNumbers, setHoleNumbers] = useState(() => getHoleNumbers(HOLE_SELECTIONS.FULL));
+  const [shotDistances, setShotDistances] = useState([]);
+  const [strokesGained, setStrokesGained] = useState(null);
+  const [roundStats, setRoundStats] = useState(null);
+  const [timingReport, setTimingReport] = useState(null);
+  
+  // Net scoring - course handicap for the round and strokes received per hole
+  const [teeSet, setTeeSet] = useState(TEE_SETS.MEN);
+  const [courseHandicap, setCourseHandicap] = useState(null);
+  const [handicapStrokes, setHandicapStrokes] = useState({});
+  
+  // Points or match status per hole for rounds not played as stroke play
+  const [formatResult, setFormatResult] = useState(null);
+  
+  // Other players in a group round, with their gross scores per hole
+  const [groupPlayers, setGroupPlayers] = useState([]);
   const [loading, setLoading] = useState(true);
+  
+  // Edit mode - reloadKey refetches the round once edits are saved
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
 
   // Define the outcome categories - used throughout the component
   const outcomes = ["On Target", "Slightly Off", "Recovery Needed"];
@@ -54,7 +122,17 @@ export default function ScorecardScreen() {
             gross_shots,
             created_at,
             is_complete,
-            selected_tee_name
+            selected_tee_name,
+            hole_selection,
+            strokes_gained,
+            traditional_stats,
+            selected_tee_id,
+            course_handicap,
+            starting_hole,
+            scoring_format,
+            event_id,
+            edited_at,
+            exclude_from_stats
           `)
           .eq("id", roundId)
           .single();
@@ -70,7 +148,7 @@ export default function ScorecardScreen() {
         // 2. Fetch the course data
         const { data: course, error: courseError } = await supabase
           .from("courses")
-          .select("id, name, par, holes")
+          .select("id, name, par, holes, num_holes, tees, pace_of_play_minutes")
           .eq("id", round.course_id)
           .single();
           
@@ -82,6 +160,40 @@ export default function ScorecardScreen() {
         }
         setCourseData(course);
         
+        // Only show the holes this round covered (front nine, back nine or full round)
+        const roundHoleNumbers = getHoleNumbers(round.hole_selection, course.num_holes);
+        setHoleNumbers(roundHoleNumbers);
+        
+        // Ratings, pars and stroke indexes follow the player's tee set
+        const { data: profile, error: profileError } = await supabase
+          .from("profiles")
+          .select("handicap, tee_set, pace_target_minutes")
+          .eq("id", round.profile_id)
+          .single();
+          
+        if (profileError) {
+          console.error("Error fetching profile:", profileError);
+        }
+        
+        const playerTeeSet = profile?.tee_set || TEE_SETS.MEN;
+        setTeeSet(playerTeeSet);
+        
+        // Rounds completed before net scoring store no course handicap, so use the current handicap
+        const roundCourseHandicap = round.course_handicap ?? calculateCourseHandicap(
+          profile?.handicap !== null && profile?.handicap !== undefined ? Number(profile.handicap) : null,
+          getTeeRating(course.tees, round.selected_tee_id, round.selected_tee_name, playerTeeSet),
+          calculateCoursePar(course, roundHoleNumbers, playerTeeSet),
+          roundHoleNumbers.length
+        );
+        setCourseHandicap(roundCourseHandicap);
+        setHandicapStrokes(allocateHandicapStrokes(
+          roundCourseHandicap,
+          roundHoleNumbers.map(holeNum => ({
+            number: holeNum,
+            strokeIndex: getHoleStrokeIndex(course.holes?.find(h => h.number === holeNum), playerTeeSet)
+          }))
+        ));
+        
         // 3. Fetch all hole data for this round using new table structure
         const { data: holes, error: holesError } = await supabase
           .from("shots")
@@ -96,10 +208,72 @@ export default function ScorecardScreen() {
           throw holesError;
         }
         
+        setHoleRecords(holes);
+        
         // Process the holes data to get outcome breakdowns for display
-        const processedHoles = processHolesData(holes, round.selected_tee_name?.toLowerCase());
+        const processedHoles = processHolesData(holes, roundHoleNumbers);
         setHolesData(processedHoles);
         
+        // Score the round in its format, in playing order so match status builds up hole by hole
+        if (round.scoring_format && round.scoring_format !== SCORING_FORMATS.STROKE) {
+          const holeScores = holes.reduce((scores, hole) => {
+            scores[hole.hole_number] = hole.total_score || hole.hole_data?.shots?.length || 0;
+            return scores;
+          }, {});
+          
+          setFormatResult(scoreRound(round.scoring_format, buildScoringHoles({
+            holeNumbers: getPlayingOrder(roundHoleNumbers, round.starting_hole),
+            courseHoles: course.holes,
+            holeScores,
+            courseHandicap: roundCourseHandicap,
+            teeSet: playerTeeSet
+          })));
+        }
+        
+        // Group rounds show a column for each other player
+        try {
+          setGroupPlayers(await getRoundGroup(roundId));
+        } catch (groupError) {
+          console.error("Error fetching group players:", groupError);
+        }
+        
+        // Distances carried by each shot type, from GPS-located shots
+        setShotDistances(summarizeShotDistances(holes));
+        
+        // Rounds completed before strokes gained existed, or with an older engine, are scored here
+        setStrokesGained(
+          round.strokes_gained?.version === STROKES_GAINED_VERSION
+            ? round.strokes_gained
+            : calculateRoundStrokesGained(holes, {
+                courseHoles: course.holes,
+                teeName: round.selected_tee_name
+              })
+        );
+        
+        // Fairways, greens, putts and short game stats, derived here for older rounds too
+        setRoundStats(
+          round.traditional_stats?.version === TRADITIONAL_STATS_VERSION
+            ? round.traditional_stats
+            : calculateRoundStats(holes, { courseHoles: course.holes })
+        );
+        
+        // Time per hole and per nine against the pace target, in the order the holes were played
+        setTimingReport(buildRoundTimingReport(
+          getPlayingOrder(roundHoleNumbers, round.starting_hole)
+            .map(holeNum => holes.find(hole => hole.hole_number === holeNum))
+            .filter(Boolean)
+            .map(hole => ({
+              holeNumber: hole.hole_number,
+              par: hole.hole_data?.par || getCourseHolePar(course, hole.hole_number, playerTeeSet),
+              score: hole.total_score || hole.hole_data?.shots?.length || 0,
+              holeData: hole.hole_data
+            })),
+          getRoundTargetMinutes({
+            profileMinutes: profile?.pace_target_minutes,
+            courseMinutes: course.pace_of_play_minutes
+          })
+        ));
+        
       } catch (error) {
         console.error("Error fetching scorecard data:", error);
       } finally {
@@ -108,17 +282,17 @@ export default function ScorecardScreen() {
     }
     
     fetchRoundData();
-  }, [roundId]);
+  }, [roundId, reloadKey]);
 
   /**
    * Process the holes data to get outcome breakdowns
    * This converts the JSONB hole_data into a format for display
    */
-  const processHolesData = (holes, selectedTee) => {
-    const processed = [];
+  const processHolesData = (holes, roundHoleNumbers) => {
+    const processed = {};
     
-    // Default empty data for all 18 holes
-    for (let i = 1; i <= 18; i++) {
+    // Default empty data for every hole in the round
+    roundHoleNumbers.forEach(i => {
       processed[i] = {
         number: i,
         score: 0,
@@ -128,15 +302,15 @@ export default function ScorecardScreen() {
           "Recovery Needed": 0
         }
       };
-    }
+    });
     
     // Process each hole with data
     holes.forEach(hole => {
       const holeNum = hole.hole_number;
       const holeData = hole.hole_data;
       
-      // Skip if missing data
-      if (!holeData || !holeData.shots || !Array.isArray(holeData.shots)) {
+      // Skip if missing data or outside the holes covered by the round
+      if (!processed[holeNum] || !holeData || !holeData.shots || !Array.isArray(holeData.shots)) {
         return;
       }
       
@@ -160,18 +334,21 @@ export default function ScorecardScreen() {
         score: hole.total_score || holeData.shots.length,
         par: holeData.par,
         distance: holeData.distance,
-        outcomes: outcomes
+        outcomes: outcomes,
+        quickScore: holeData.quickScore || null
       };
     });
     
-    // Return only valid holes (1-18)
-    return processed.filter((_, index) => index > 0 && index <= 18);
+    // Return holes in playing order
+    return roundHoleNumbers.map(holeNum => processed[holeNum]);
   };
 
-  // Calculate front nine, back nine, and total scores with outcome breakdowns
+  // Calculate scores per scorecard segment (Out / In) and overall with outcome breakdowns
   const calculateTotals = () => {
-    let frontNine = 0;
-    let backNine = 0;
+    const segmentScores = {};
+    const segmentNetScores = {};
+    let total = 0;
+    let netTotal = 0;
     
     // Initialize outcome totals
     let totalOnTarget = 0;
@@ -182,12 +359,15 @@ export default function ScorecardScreen() {
       const holeNum = hole.number;
       const score = hole.score || 0;
       
-      // Add to front or back nine
-      if (holeNum <= 9) {
-        frontNine += score;
-      } else {
-        backNine += score;
-      }
+      // Add to the front (Out) or back (In) nine
+      const segmentKey = holeNum <= 9 ? "out" : "in";
+      segmentScores[segmentKey] = (segmentScores[segmentKey] || 0) + score;
+      total += score;
+      
+      // Net only counts holes that were played
+      const netScore = score > 0 ? score - (handicapStrokes[holeNum] || 0) : 0;
+      segmentNetScores[segmentKey] = (segmentNetScores[segmentKey] || 0) + netScore;
+      netTotal += netScore;
       
       // Count outcomes
       totalOnTarget += hole.outcomes["On Target"] || 0;
@@ -196,9 +376,10 @@ export default function ScorecardScreen() {
     });
     
     return {
-      frontNine,
-      backNine,
-      total: frontNine + backNine,
+      segments: segmentScores,
+      netSegments: segmentNetScores,
+      total,
+      netTotal,
       outcomes: {
         "On Target": totalOnTarget,
         "Slightly Off": totalSlightlyOff,
@@ -231,6 +412,51 @@ export default function ScorecardScreen() {
     navigation.dispatch(StackActions.popToTop());
   };
 
+  /**
+   * Save corrections to the round, then offer to refresh insights with them
+   */
+  const handleSaveEdits = async (changes) => {
+    const hasChanges = Object.keys(changes.holes).length > 0 || changes.tee || changes.date;
+    if (!hasChanges) {
+      setEditing(false);
+      return;
+    }
+    
+    try {
+      setSaving(true);
+      await updateCompletedRound(roundId, changes);
+      setEditing(false);
+      setReloadKey(key => key + 1);
+      
+      Alert.alert(
+        "Round Updated",
+        "Your scorecard has been corrected. Regenerate your insights so they reflect the changes?",
+        [
+          { text: "Not Now", style: "cancel" },
+          { text: "Regenerate", onPress: () => generateInsights(user.id, roundId) }
+        ]
+      );
+    } catch (error) {
+      console.error("Error saving round edits:", error);
+      Alert.alert("Couldn't Save Changes", "Please check your connection and try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Leave a practice or joke round out of stats and handicap, or count it again
+   */
+  const handleToggleExcluded = async () => {
+    try {
+      const updatedRound = await setRoundExcluded(roundId, !roundData.exclude_from_stats);
+      setRoundData(prev => ({ ...prev, exclude_from_stats: updatedRound.exclude_from_stats }));
+    } catch (error) {
+      console.error("Error updating stats exclusion:", error);
+      Alert.alert("Couldn't Update Round", "Please check your connection and try again.");
+    }
+  };
+
   // If still loading, show loading indicator
   if (loading) {
     return (
@@ -243,8 +469,54 @@ export default function ScorecardScreen() {
     );
   }
 
+  if (editing) {
+    return (
+      <Layout>
+        <View style={styles.container}>
+          <View style={styles.courseInfo}>
+            <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
+            <Text style={styles.roundDate}>Editing round</Text>
+          </View>
+          <RoundEditor
+            round={roundData}
+            course={courseData}
+            holeNumbers={holeNumbers}
+            holeRecords={holeRecords}
+            getHolePar={holeNum => getCourseHolePar(courseData, holeNum, teeSet)}
+            saving={saving}
+            onSave={handleSaveEdits}
+            onCancel={() => setEditing(false)}
+          />
+        </View>
+      </Layout>
+    );
+  }
+
+  // Only the player's own completed rounds can be corrected
+  const canEdit = !!roundData?.is_complete && roundData.profile_id === user?.id;
+
   // Calculate totals for display
   const totals = calculateTotals();
+  const roundNotes = getRoundNotes(holeRecords);
+  const scorecardSegments = getScorecardSegments(holeNumbers);
+  
+  // Full rounds use the course par; partial rounds sum the par of the holes played
+  const roundPar = holeNumbers.length === getCourseHoleCount(courseData?.num_holes) && courseData?.par
+    ? courseData.par
+    : calculateCoursePar(courseData, holeNumbers, teeSet);
+  
+  // Net columns are only shown once a course handicap is known
+  const showNet = typeof courseHandicap === 'number';
+  
+  // Gross total for a group player over a set of holes
+  const getPlayerTotal = (player, segmentHoles) =>
+    segmentHoles.reduce((sum, holeNum) => sum + (player.scores[holeNum] || 0), 0);
+  
+  // Per-nine subtotals of format values, e.g. Stableford points out and in
+  const getFormatSegmentTotal = (segmentHoles) => {
+    if (!formatResult?.format.additive) return "";
+    return segmentHoles.reduce((sum, holeNum) => sum + (formatResult.holes[holeNum]?.value || 0), 0);
+  };
 
   return (
     <Layout>
@@ -254,7 +526,45 @@ export default function ScorecardScreen() {
           <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
           <Text style={styles.roundDate}>
             {roundData?.created_at ? new Date(roundData.created_at).toLocaleDateString() : ""}
+            {roundData?.edited_at ? ` • Edited ${new Date(roundData.edited_at).toLocaleDateString()}` : ""}
           </Text>
+          {showNet && (
+            <Text style={styles.roundDate}>
+              {`Course handicap ${courseHandicap} • ${TEE_SET_LABELS[teeSet]} ratings`}
+            </Text>
+          )}
+          {formatResult && (
+            <Text style={styles.formatSummary}>
+              {`${formatResult.format.label}: ${formatResult.summary.display}`}
+            </Text>
+          )}
+          {(roundData?.event_id || groupPlayers.length > 0) && (
+            <TouchableOpacity
+              onPress={() => navigation.navigate("Rounds", {
+                screen: "LeaderboardScreen",
+                params: roundData.event_id ? { eventId: roundData.event_id } : { roundId }
+              })}
+            >
+              <Text style={styles.leaderboardLink}>
+                {roundData?.event_id ? "View event leaderboard" : "View group leaderboard"}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {roundData?.exclude_from_stats && (
+            <Text style={styles.roundDate}>Not counted in stats or handicap</Text>
+          )}
+          {canEdit && (
+            <View style={styles.roundActions}>
+              <TouchableOpacity onPress={() => setEditing(true)}>
+                <Text style={styles.leaderboardLink}>Edit round</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleToggleExcluded}>
+                <Text style={styles.leaderboardLink}>
+                  {roundData.exclude_from_stats ? "Include in stats" : "Exclude from stats"}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
         </View>
         
         {/* Scorecard */}
@@ -263,7 +573,14 @@ export default function ScorecardScreen() {
           <View style={styles.headerRow}>
             <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
             <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
-            <Text style={[styles.scoreColumn, styles.headerText]}>Score</Text>
+            <Text style={[styles.scoreColumn, styles.headerText]}>{groupPlayers.length > 0 ? "You" : "Score"}</Text>
+            {groupPlayers.map(player => (
+              <Text key={`header-${player.id}`} style={[styles.scoreColumn, styles.headerText]} numberOfLines={1}>
+                {player.name.split(" ")[0]}
+              </Text>
+            ))}
+            {showNet && <Text style={[styles.scoreColumn, styles.headerText]}>Net</Text>}
+            {formatResult && <Text style={[styles.scoreColumn, styles.headerText]}>{formatResult.format.shortLabel}</Text>}
             {/* Outcome columns with new categories */}
             <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("On Target")}]}>
               On Target
@@ -276,83 +593,232 @@ export default function ScorecardScreen() {
             </Text>
           </View>
           
-          {/* Hole rows - Front Nine */}
-          {[1, 2, 3, 4, 5, 6, 7, 8, 9].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
+          {/* Hole rows and subtotals for each nine played */}
+          {scorecardSegments.map(segment => (
+            <React.Fragment key={`segment-${segment.key}`}>
+              {segment.holes.map(holeNum => {
+                // Find this hole's data
+                const holeData = holesData.find(h => h.number === holeNum) || {
+                  number: holeNum,
+                  score: 0,
+                  par: getCourseHolePar(courseData, holeNum, teeSet),
+                  outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
+                };
+                
+                // Dots mark handicap strokes received on the hole
+                const strokes = handicapStrokes[holeNum] || 0;
+                
+                return (
+                  <View key={`hole-${holeNum}`} style={styles.holeRow}>
+                    <Text style={styles.holeColumn}>
+                      {holeNum}
+                      {showNet && strokes > 0 && <Text style={styles.strokeDots}>{` ${"•".repeat(strokes)}`}</Text>}
+                    </Text>
+                    <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
+                    <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
+                    {groupPlayers.map(player => (
+                      <Text key={`hole-${holeNum}-${player.id}`} style={styles.scoreColumn}>
+                        {player.scores[holeNum] || "-"}
+                      </Text>
+                    ))}
+                    {showNet && (
+                      <Text style={styles.scoreColumn}>
+                        {holeData.score ? holeData.score - strokes : "-"}
+                      </Text>
+                    )}
+                    {formatResult && (
+                      <Text style={styles.scoreColumn}>{formatResult.holes[holeNum]?.display || "-"}</Text>
+                    )}
+                    {/* Outcome values - quick score holes have no shot outcomes */}
+                    <Text style={styles.outcomeColumn}>{holeData.quickScore ? "-" : holeData.outcomes["On Target"] || 0}</Text>
+                    <Text style={styles.outcomeColumn}>{holeData.quickScore ? "-" : holeData.outcomes["Slightly Off"] || 0}</Text>
+                    <Text style={styles.outcomeColumn}>{holeData.quickScore ? "-" : holeData.outcomes["Recovery Needed"] || 0}</Text>
+                  </View>
+                );
+              })}
+              
+              {/* Out / In totals */}
+              <View style={[styles.holeRow, styles.totalRow]}>
+                <Text style={[styles.holeColumn, styles.totalText]}>{segment.label}</Text>
+                <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, segment.holes, teeSet) || "-"}</Text>
+                <Text style={[styles.scoreColumn, styles.totalText]}>{totals.segments[segment.key] || 0}</Text>
+                {groupPlayers.map(player => (
+                  <Text key={`segment-${segment.key}-${player.id}`} style={[styles.scoreColumn, styles.totalText]}>
+                    {getPlayerTotal(player, segment.holes)}
+                  </Text>
+                ))}
+                {showNet && (
+                  <Text style={[styles.scoreColumn, styles.totalText]}>{totals.netSegments[segment.key] || 0}</Text>
+                )}
+                {formatResult && (
+                  <Text style={[styles.scoreColumn, styles.totalText]}>{getFormatSegmentTotal(segment.holes)}</Text>
+                )}
+                <Text style={styles.outcomeColumn}></Text>
+                <Text style={styles.outcomeColumn}></Text>
+                <Text style={styles.outcomeColumn}></Text>
               </View>
-            );
-          })}
-          
-          {/* Out (Front Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>Out</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 1, 9)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.frontNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
-          
-          {/* Hole rows - Back Nine */}
-          {[10, 11, 12, 13, 14, 15, 16, 17, 18].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
-          
-          {/* In (Back Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>In</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 10, 18)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.backNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
+            </React.Fragment>
+          ))}
           
           {/* Total row - updated with new outcome totals */}
           <View style={[styles.holeRow, styles.totalRow]}>
             <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{courseData?.par || "-"}</Text>
+            <Text style={[styles.parColumn, styles.totalText]}>{roundPar || "-"}</Text>
             <Text style={[styles.scoreColumn, styles.totalText]}>{totals.total}</Text>
+            {groupPlayers.map(player => (
+              <Text key={`total-${player.id}`} style={[styles.scoreColumn, styles.totalText]}>
+                {getPlayerTotal(player, holeNumbers)}
+              </Text>
+            ))}
+            {showNet && <Text style={[styles.scoreColumn, styles.totalText]}>{totals.netTotal}</Text>}
+            {formatResult && (
+              <Text style={[styles.scoreColumn, styles.totalText]}>
+                {formatResult.format.additive ? formatResult.summary.value : ""}
+              </Text>
+            )}
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["On Target"]}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Slightly Off"]}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Recovery Needed"]}</Text>
           </View>
+          
+          {/* Notes, photos and voice memos taken during the round */}
+          {roundNotes.length > 0 && (
+            <View style={styles.holeNotes}>
+              <Text style={styles.shotDistancesTitle}>Hole Notes</Text>
+              {roundNotes.map(note => (
+                <View key={`note-${note.holeNumber}`} style={styles.holeNote}>
+                  <Text style={styles.holeNoteTitle}>{`Hole ${note.holeNumber}`}</Text>
+                  {note.text !== "" && <Text style={styles.holeNoteText}>{note.text}</Text>}
+                  <HoleMediaList media={note.media} />
+                </View>
+              ))}
+            </View>
+          )}
         </ScrollView>
         
+        {/* Shot distances - only shown when shots were recorded with GPS */}
+        {shotDistances.length > 0 && (
+          <View style={styles.shotDistances}>
+            <Text style={styles.shotDistancesTitle}>Shot Distances</Text>
+            <View style={styles.headerRow}>
+              <Text style={[styles.shotTypeColumn, styles.headerText]}>Shot</Text>
+              <Text style={[styles.distanceColumn, styles.headerText]}>Shots</Text>
+              <Text style={[styles.distanceColumn, styles.headerText]}>Avg (yd)</Text>
+              <Text style={[styles.distanceColumn, styles.headerText]}>Longest (yd)</Text>
+            </View>
+            {shotDistances.map(summary => (
+              <View key={`distance-${summary.type}`} style={styles.holeRow}>
+                <Text style={styles.shotTypeColumn}>{summary.type}</Text>
+                <Text style={styles.distanceColumn}>{summary.count}</Text>
+                <Text style={styles.distanceColumn}>{summary.average}</Text>
+                <Text style={styles.distanceColumn}>{summary.longest}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+        
+        {/* Traditional stats - fairways, greens, putting and the short game */}
+        {roundStats && (
+          <View style={styles.shotDistances}>
+            <Text style={styles.shotDistancesTitle}>Round Stats</Text>
+            <View style={styles.holeRow}>
+              <Text style={styles.shotTypeColumn}>Putts</Text>
+              <Text style={styles.distanceColumn}>
+                {roundStats.putts.holes > 0
+                  ? `${roundStats.putts.total} (${getPuttsPerHole(roundStats)} per hole)`
+                  : "-"}
+              </Text>
+            </View>
+            {TRADITIONAL_STAT_ROWS.map(({ key, label }) => (
+              <View key={`stat-${key}`} style={styles.holeRow}>
+                <Text style={styles.shotTypeColumn}>{label}</Text>
+                <Text style={styles.distanceColumn}>{formatStatCount(getStatCount(roundStats, key))}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+        
+        {/* Strokes gained against the tour baseline */}
+        {strokesGained && (
+          <View style={styles.shotDistances}>
+            <Text style={styles.shotDistancesTitle}>Strokes Gained</Text>
+            {Object.entries(SG_CATEGORY_LABELS).map(([category, label]) => (
+              <View key={`sg-${category}`} style={styles.holeRow}>
+                <Text style={styles.shotTypeColumn}>{label}</Text>
+                <Text style={[styles.distanceColumn, getStrokesGainedStyle(strokesGained[category])]}>
+                  {formatStrokesGained(strokesGained[category])}
+                </Text>
+              </View>
+            ))}
+            <View style={[styles.holeRow, styles.totalRow]}>
+              <Text style={[styles.shotTypeColumn, styles.totalText]}>Total</Text>
+              <Text style={[styles.distanceColumn, styles.totalText, getStrokesGainedStyle(strokesGained.total)]}>
+                {formatStrokesGained(strokesGained.total)}
+              </Text>
+            </View>
+            <Text style={styles.strokesGainedNote}>
+              {strokesGained.measuredShots > 0
+                ? "Against a tour baseline, using GPS shot positions where recorded."
+                : "Against a tour baseline. Shot positions are estimated - turn on shot GPS for more accuracy."}
+            </Text>
+          </View>
+        )}
+        
+        {/* Pace of play - time per hole and per nine against the target */}
+        {timingReport && (
+          <View style={styles.shotDistances}>
+            <Text style={styles.shotDistancesTitle}>Pace of Play</Text>
+            <View style={[styles.holeRow, styles.totalRow]}>
+              <Text style={[styles.shotTypeColumn, styles.totalText]}>Round</Text>
+              <Text style={[styles.distanceColumn, styles.totalText]}>{formatPlayTime(timingReport.totalMinutes)}</Text>
+              <Text style={styles.distanceColumn}>{`Target ${formatPlayTime(timingReport.targetMinutes)}`}</Text>
+            </View>
+            {timingReport.nines.map(nine => (
+              <View key={`nine-${nine.key}`} style={styles.holeRow}>
+                <Text style={styles.shotTypeColumn}>{NINE_LABELS[nine.key]}</Text>
+                <Text style={styles.distanceColumn}>{formatPlayTime(nine.minutes)}</Text>
+                <Text style={styles.distanceColumn}>{`Target ${formatPlayTime(nine.targetMinutes)}`}</Text>
+              </View>
+            ))}
+            <View style={styles.headerRow}>
+              <Text style={[styles.shotTypeColumn, styles.headerText]}>Hole</Text>
+              <Text style={[styles.distanceColumn, styles.headerText]}>Time</Text>
+              <Text style={[styles.distanceColumn, styles.headerText]}>Target</Text>
+              <Text style={[styles.distanceColumn, styles.headerText]}>Score</Text>
+            </View>
+            {timingReport.holes.map(hole => (
+              <View key={`timing-${hole.holeNumber}`} style={styles.holeRow}>
+                <Text style={styles.shotTypeColumn}>{hole.holeNumber}</Text>
+                <Text
+                  style={[
+                    styles.distanceColumn,
+                    timingReport.slowestHoles.some(slow => slow.holeNumber === hole.holeNumber) && styles.strokesGainedNegative
+                  ]}
+                >
+                  {formatPlayTime(hole.minutes)}
+                </Text>
+                <Text style={styles.distanceColumn}>{formatPlayTime(hole.targetMinutes)}</Text>
+                <Text style={styles.distanceColumn}>{formatScoreToPar(hole.scoreToPar)}</Text>
+              </View>
+            ))}
+            {timingReport.slowestHoles.length > 0 && (
+              <Text style={styles.timingNote}>
+                {`Slowest against target: ${timingReport.slowestHoles
+                  .map(hole => `hole ${hole.holeNumber} (+${Math.round(hole.overTarget)} min)`)
+                  .join(", ")}`}
+              </Text>
+            )}
+            {describePaceAndScore(timingReport.paceAndScore) && (
+              <Text style={styles.timingNote}>{describePaceAndScore(timingReport.paceAndScore)}</Text>
+            )}
+            <Text style={styles.strokesGainedNote}>
+              {timingReport.estimated
+                ? "Holes run tee to tee. Some times are estimated from shot times and leave out the walk to the next tee."
+                : "Holes run tee to tee, including the walk to the next tee."}
+            </Text>
+          </View>
+        )}
+        
         {/* Round summary - updated label to match new categories */}
         <View style={styles.summary}>
           <View style={styles.summaryItem}>
@@ -386,33 +852,85 @@ export default function ScorecardScreen() {
   );
 }
 
+/**
+ * Format a strokes gained value with an explicit sign
+ */
+function formatStrokesGained(value) {
+  if (typeof value !== 'number') return "-";
+  return value > 0 ? `+${value.toFixed(2)}` : value.toFixed(2);
+}
+
+/**
+ * Format a hole's score against par, e.g. "+1" or "E"
+ */
+function formatScoreToPar(value) {
+  if (typeof value !== 'number') return "-";
+  if (value === 0) return "E";
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+/**
+ * Colour strokes gained values by whether strokes were gained or lost
+ */
+function getStrokesGainedStyle(value) {
+  if (typeof value !== 'number' || value === 0) return null;
+  return value > 0 ? styles.strokesGainedPositive : styles.strokesGainedNegative;
+}
+
 /**
  * Helper function to get par for a specific hole from course data
  */
-function getCourseHolePar(courseData, holeNumber) {
+function getCourseHolePar(courseData, holeNumber, teeSet = TEE_SETS.MEN) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   const holeData = courseData.holes.find(h => h.number === holeNumber);
-  return holeData ? holeData.par_men : null;
+  return holeData ? getHolePar(holeData, teeSet) : null;
 }
 
 /**
- * Helper function to calculate par for a range of holes
+ * Helper function to summarize how far each shot type carried
+ * Uses the distances derived from GPS shot locations stored in hole_data
  */
-function calculateCoursePar(courseData, startHole, endHole) {
+function summarizeShotDistances(holes) {
+  const distancesByType = {};
+  
+  (holes || []).forEach(hole => {
+    const shots = hole.hole_data?.shots;
+    if (!Array.isArray(shots)) return;
+    
+    shots.forEach(shot => {
+      if (typeof shot.distance !== 'number' || shot.type === "Penalties") return;
+      
+      distancesByType[shot.type] = distancesByType[shot.type] || [];
+      distancesByType[shot.type].push(shot.distance);
+    });
+  });
+  
+  return Object.entries(distancesByType).map(([type, distances]) => ({
+    type,
+    count: distances.length,
+    average: Math.round(distances.reduce((sum, distance) => sum + distance, 0) / distances.length),
+    longest: Math.max(...distances)
+  }));
+}
+
+/**
+ * Helper function to calculate par for a set of holes
+ */
+function calculateCoursePar(courseData, holeNumbers, teeSet = TEE_SETS.MEN) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   let totalPar = 0;
-  for (let i = startHole; i <= endHole; i++) {
-    const holePar = getCourseHolePar(courseData, i);
+  holeNumbers.forEach(holeNum => {
+    const holePar = getCourseHolePar(courseData, holeNum, teeSet);
     if (holePar) {
       totalPar += holePar;
     }
-  }
+  });
   
   return totalPar || null;
 }
@@ -447,6 +965,26 @@ const styles = StyleSheet.create({
     color: "#666",
     marginTop: 4,
   },
+  leaderboardLink: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: theme.colors.primary,
+    marginTop: 6,
+  },
+  roundActions: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  formatSummary: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: theme.colors.primary,
+    marginTop: 4,
+  },
+  strokeDots: {
+    fontSize: 10,
+    color: theme.colors.primary,
+  },
   scorecard: {
     backgroundColor: "#fff",
     flex: 1,
@@ -493,6 +1031,59 @@ const styles = StyleSheet.create({
   totalText: {
     fontWeight: "bold",
   },
+  shotDistances: {
+    backgroundColor: "#fff",
+    marginBottom: 8,
+  },
+  shotDistancesTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+    padding: 12,
+  },
+  holeNotes: {
+    backgroundColor: "#fff",
+    marginTop: 8,
+  },
+  holeNote: {
+    paddingHorizontal: 12,
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  holeNoteTitle: {
+    fontWeight: "600",
+    marginTop: 8,
+  },
+  holeNoteText: {
+    marginTop: 4,
+    color: "#333",
+  },
+  shotTypeColumn: {
+    flex: 2,
+    paddingLeft: 12,
+  },
+  distanceColumn: {
+    flex: 1,
+    textAlign: "center",
+  },
+  strokesGainedPositive: {
+    color: theme.colors.success || "#4CAF50",
+  },
+  strokesGainedNegative: {
+    color: theme.colors.error || "#D32F2F",
+  },
+  timingNote: {
+    fontSize: 14,
+    color: "#333",
+    paddingHorizontal: 12,
+    paddingTop: 12,
+  },
+  strokesGainedNote: {
+    fontSize: 12,
+    color: "#666",
+    fontStyle: "italic",
+    padding: 12,
+  },
   summary: {
     flexDirection: "row",
     backgroundColor: "#fff",
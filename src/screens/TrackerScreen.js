@@ -13,27 +13,145 @@ import {
   ScrollView, 
   SafeAreaView,
   BackHandler,
-  TouchableOpacity
+  TouchableOpacity,
+  Switch
 } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
-import { useFocusEffect } from '@react-navigation/native';
+import * as Location from 'expo-location';
+import { useFocusEffect, StackActions } from '@react-navigation/native';
 import { usePostHog } from 'posthog-react-native';
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import { 
   createRound, 
   saveHoleData, 
+  publishHole,
   deleteAbandonedRound,
   completeRoundSequential,
   setPostHogInstance,
   detectResumePoint
 } from "../services/roundservice";
+import { resolveRoundId, isLocalId } from "../services/syncQueue";
+import { getCoursePack, getCoursePackHolePoi } from "../services/coursePackStore";
+import { withShotDistances } from "../utils/geo";
+import { getBag, getPreferredApproachDistance } from "../services/clubService";
+import { 
+  loadLocalGroup, 
+  saveLocalGroup, 
+  clearLocalGroup, 
+  publishGroupHole
+} from "../services/groupService";
 import ShotTable from "../components/ShotTable";
+import QuickScoreEntry from "../components/QuickScoreEntry";
 import HoleNavigator from "../components/HoleNavigator";
 import { AuthContext } from "../context/AuthContext";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
 import DistanceIndicator from '../components/DistanceIndicator';
+import HoleMap from '../components/HoleMap';
+import HoleHistorySummary from '../components/HoleHistorySummary';
+import HoleNotesPanel from '../components/HoleNotesPanel';
+import HoleAdvanceBanner from '../components/HoleAdvanceBanner';
+import { uploadHoleMedia, deleteHoleMedia } from "../services/holeNotesService";
+import { createHoleNotes } from "../utils/holeNotes";
+import {
+  HOLE_ADVANCE_MODES,
+  HOLE_ADVANCE_MODE_LABELS,
+  HOLE_ADVANCE_CONFIDENCE,
+  createHoleTracking,
+  updateHoleTracking,
+  getHoleAdvanceConfidence
+} from "../utils/holeDetection";
+import { PACE_STATUS, PACE_STATUS_LABELS, getPaceStatus, getRoundTargetMinutes, formatPlayTime } from "../utils/paceOfPlay";
+import { getPaceTarget } from "../services/paceService";
+import { HOLE_SELECTIONS, getHoleNumbers, getPlayingOrder } from "../utils/holeSelection";
+import { SCORING_FORMATS } from "../utils/scoringFormats";
+import { 
+  TRACKING_MODES, 
+  createQuickScore, 
+  getHoleScore, 
+  stepHoleScore, 
+  stepPutts 
+} from "../utils/quickScore";
+
+// AsyncStorage key for the shot GPS capture preference
+const SHOT_GPS_PREFERENCE_KEY = "shotGpsEnabled";
+
+// AsyncStorage key for how GPS moves the round on to the next hole
+const HOLE_ADVANCE_MODE_KEY = "holeAdvanceMode";
+
+/**
+ * Create the empty tracking state for a single hole
+ */
+const createEmptyHoleState = () => ({
+  par: null,
+  distance: null,
+  index: null,
+  features: [],
+  shots: [],
+  shotCounts: {
+    "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
+    "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
+  },
+  poi: null
+});
+
+/**
+ * Build the hole data structure for the holes covered by a round
+ * Keeps any data already tracked for those holes
+ * 
+ * @param {Array<number>} holeNumbers - Hole numbers covered by the round
+ * @param {Object} existing - Existing hole data keyed by hole number
+ * @returns {Object} Hole data keyed by hole number
+ */
+const buildInitialHoleState = (holeNumbers, existing = {}) => {
+  const state = {};
+  holeNumbers.forEach(holeNum => {
+    state[holeNum] = existing[holeNum] || createEmptyHoleState();
+  });
+  return state;
+};
+
+/**
+ * A hole's timing with its finish stamped
+ * A hole finished before keeps its first finish, so going back to fix a score
+ * doesn't add to its time
+ * 
+ * @param {Object} hole - The hole's tracking state
+ * @param {number} finishedAt - When play moved on, in milliseconds
+ * @returns {Object} Timing ({ startedAt, finishedAt })
+ */
+const finishHoleTiming = (hole, finishedAt) => ({
+  ...hole?.timing,
+  finishedAt: hole?.timing?.finishedAt || new Date(finishedAt).toISOString()
+});
+
+/**
+ * Find the hole to resume a round on
+ * Returns the first hole in playing order without saved shots, so resumed
+ * shotgun rounds land where the player left off rather than on hole 1
+ * 
+ * @param {string} roundId - Round ID
+ * @param {Array<number>} playingOrder - Hole numbers in playing order
+ * @returns {Promise<number>} Hole number to show
+ */
+const getResumeHole = async (roundId, playingOrder) => {
+  try {
+    const storedDataStr = await AsyncStorage.getItem(`round_${roundId}_holes`);
+    const storedData = storedDataStr ? JSON.parse(storedDataStr) : {};
+    
+    const nextHole = playingOrder.find(holeNum => !(getHoleScore(storedData[holeNum]) > 0));
+    return nextHole || playingOrder[playingOrder.length - 1];
+  } catch (error) {
+    console.error("Error finding resume hole:", error);
+    return playingOrder[0];
+  }
+};
 
 /**
  * Enhanced TrackerScreen Component
@@ -57,39 +175,58 @@ export default function TrackerScreen({ navigation }) {
   }, [posthog]);
   
   // Local state for tracking current hole and shots
+  // Holes covered by this round in playing order (full round until the course is loaded)
+  // Starts from the round's starting hole and wraps past the last hole
+  const [holeNumbers, setHoleNumbers] = useState(() => getHoleNumbers(HOLE_SELECTIONS.FULL));
   const [currentHole, setCurrentHole] = useState(1);
-  const [totalHoles] = useState(18);
-  
-  // Initialize hole data structure for all holes
-  const initialHoleState = {};
-  for (let i = 1; i <= 18; i++) {
-    initialHoleState[i] = {
-      par: null,
-      distance: null,
-      index: null,
-      features: [],
-      shots: [],
-      shotCounts: {
-        "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-      },
-      poi: null
-    };
-  }
+  const totalHoles = holeNumbers.length;
+  const currentHoleIndex = holeNumbers.indexOf(currentHole);
+  const isLastHole = currentHole === holeNumbers[holeNumbers.length - 1];
   
   // Main state variables for the component
-  const [holeData, setHoleData] = useState(initialHoleState);
+  const [holeData, setHoleData] = useState(() => buildInitialHoleState(holeNumbers));
   const [round, setRound] = useState(null);
   const [activeColumn, setActiveColumn] = useState("On Target");
   const [loading, setLoading] = useState(false);
   const [course, setCourse] = useState(null);
   const [courseDetails, setCourseDetails] = useState(null);
   
+  // Optional GPS capture of where each shot was played from
+  const [shotGpsEnabled, setShotGpsEnabled] = useState(false);
+  
+  // Player's clubs and the club picked for the next shot
+  const [clubs, setClubs] = useState([]);
+  const [preferredApproachDistance, setPreferredApproachDistance] = useState(null);
+  const [selectedClubId, setSelectedClubId] = useState(null);
+  
+  // Whether a hole note photo or voice memo is uploading
+  const [uploadingMedia, setUploadingMedia] = useState(false);
+  
+  // Hole map under the distances, kept open from hole to hole once shown
+  const [showHoleMap, setShowHoleMap] = useState(false);
+  
+  // Latest GPS fix from the DistanceIndicator ({ lat, lng }), shared with the hole map
+  const [playerPosition, setPlayerPosition] = useState(null);
+  
+  // Moving on to the next hole from GPS: whether to ask or just go, and the banner
+  // offering the move or undoing it ({ type: 'offer' | 'undo', fromHole, toHole, detectedAt })
+  const [holeAdvanceMode, setHoleAdvanceMode] = useState(HOLE_ADVANCE_MODES.ASK);
+  const [holeAdvance, setHoleAdvance] = useState(null);
+  
+  // Pace of play: the player's own target for 18 holes, and the time it's judged at
+  const [paceTarget, setPaceTarget] = useState(null);
+  const [paceNow, setPaceNow] = useState(Date.now());
+  
+  // Group play - other players scored on this phone, kept on the device until completion
+  // Their holes are keyed by player ID then hole number; activePlayerId null is the owner
+  const [groupPlayers, setGroupPlayers] = useState([]);
+  const [groupHoles, setGroupHoles] = useState({});
+  const [activePlayerId, setActivePlayerId] = useState(null);
+  const [trackGroupShots, setTrackGroupShots] = useState(false);
+  
+  // Quick score rounds take a score per hole instead of every shot
+  const [trackingMode, setTrackingMode] = useState(TRACKING_MODES.DETAILED);
+  
   // ENHANCED: Completion progress state
   const [completionProgress, setCompletionProgress] = useState({
     isCompleting: false,
@@ -105,6 +242,13 @@ export default function TrackerScreen({ navigation }) {
   const roundStartTimeRef = useRef(null);
   const holeStartTimesRef = useRef({});
   const roundCompletionStartRef = useRef(null);
+  const holePositionedRef = useRef(false);
+  
+  // GPS evidence that the current hole is finished, the POI it's judged against, and
+  // the hole the player last turned an advance down on
+  const holeTrackingRef = useRef(createHoleTracking());
+  const advancePoiRef = useRef({ current: null, next: null });
+  const holeAdvanceDeclinedRef = useRef(null);
   
   // Analytics monitoring references
   const previousShotCountsRef = useRef({});
@@ -138,6 +282,7 @@ export default function TrackerScreen({ navigation }) {
         hole_number: currentHole,
         shot_type: newShot.type,
         shot_outcome: newShot.result,
+        club_name: newShot.clubName || null,
         hole_par: holeData[currentHole]?.par,
         current_hole_shots: currentHoleShots.length,
         timestamp: new Date().toISOString()
@@ -223,6 +368,7 @@ export default function TrackerScreen({ navigation }) {
                     await deleteAbandonedRound(round.id);
                     await AsyncStorage.removeItem(`round_${round.id}_holes`);
                     await AsyncStorage.removeItem("currentRound");
+                    await clearLocalGroup(round.id);
                     
                     // Analytics: Track successful abandonment
                     const abandonmentDuration = Date.now() - abandonmentStart;
@@ -287,6 +433,7 @@ export default function TrackerScreen({ navigation }) {
                     await deleteAbandonedRound(round.id);
                     await AsyncStorage.removeItem(`round_${round.id}_holes`);
                     await AsyncStorage.removeItem("currentRound");
+                    await clearLocalGroup(round.id);
                     
                     if (posthog && user) {
                       posthog.capture('round_abandonment_completed', {
@@ -323,18 +470,18 @@ export default function TrackerScreen({ navigation }) {
   const getTotalShotsRecorded = useCallback(() => {
     let totalShots = 0;
     Object.keys(holeData).forEach(holeNum => {
-      if (holeData[holeNum].shots) {
-        totalShots += holeData[holeNum].shots.length;
-      }
+      totalShots += getHoleScore(holeData[holeNum]);
     });
     return totalShots;
   }, [holeData]);
 
   /**
    * Save the current hole data to AsyncStorage
-   * UNCHANGED - preserves existing functionality
+   * Changes made in the same handler, not yet in state, can be passed in
+   * 
+   * @param {Object} holeUpdate - Fields to save over the hole's state
    */
-  const saveCurrentHoleToStorage = useCallback(async () => {
+  const saveCurrentHoleToStorage = useCallback(async (holeUpdate = null) => {
     if (!round) return;
     
     try {
@@ -352,7 +499,7 @@ export default function TrackerScreen({ navigation }) {
       const existingDataStr = await AsyncStorage.getItem(`round_${round.id}_holes`);
       const existingData = existingDataStr ? JSON.parse(existingDataStr) : {};
       
-      existingData[currentHole] = holeData[currentHole];
+      existingData[currentHole] = { ...holeData[currentHole], ...holeUpdate };
       
       await AsyncStorage.setItem(`round_${round.id}_holes`, JSON.stringify(existingData));
       console.log(`Saved hole ${currentHole} data to AsyncStorage`);
@@ -388,7 +535,6 @@ export default function TrackerScreen({ navigation }) {
 
   /**
    * Load hole data from AsyncStorage
-   * UNCHANGED - preserves existing functionality
    */
   const loadHoleDataFromStorage = useCallback(async () => {
     if (!round) return;
@@ -444,14 +590,74 @@ export default function TrackerScreen({ navigation }) {
     }
   }, [round, posthog, user]);
 
+  // Event and group rounds publish each finished hole for the live leaderboard
+  const isLiveRound = !!round?.event_id || groupPlayers.length > 0;
+  
+  /**
+   * Publish a finished hole to the live leaderboard
+   * Runs in the background - anything that fails to publish is saved on completion
+   */
+  const publishFinishedHole = useCallback((holeNum) => {
+    if (!round || !isLiveRound) return;
+    
+    const holeInfo = holeData[holeNum];
+    publishHole(round.id, holeNum, holeInfo).catch(error => {
+      console.error(`Error publishing hole ${holeNum}:`, error);
+    });
+    publishGroupHole(round.id, { players: groupPlayers, holes: groupHoles }, holeNum, {
+      par: holeInfo?.par || null,
+      index: holeInfo?.index || null
+    }).catch(error => {
+      console.error(`Error publishing group scores for hole ${holeNum}:`, error);
+    });
+  }, [round, isLiveRound, holeData, groupPlayers, groupHoles]);
+  
+  /**
+   * Open the live leaderboard for this round's event, or for the group
+   */
+  const openLeaderboard = useCallback(async () => {
+    if (!round) return;
+    
+    const serverRoundId = await resolveRoundId(round.id);
+    if (!round.event_id && isLocalId(serverRoundId)) {
+      Alert.alert("Leaderboard Offline", "The leaderboard will be available once your round has synced.");
+      return;
+    }
+    
+    navigation.navigate("Rounds", {
+      screen: "LeaderboardScreen",
+      params: round.event_id ? { eventId: round.event_id } : { roundId: serverRoundId }
+    });
+  }, [round, navigation]);
+
+  /**
+   * Stamp when play moved onto a hole, for pace of play
+   * A hole already under way keeps its first start
+   */
+  const stampHoleStart = useCallback((holeNumber, startedAt) => {
+    setHoleData(prevData => {
+      const hole = prevData[holeNumber];
+      if (!hole || hole.timing?.startedAt) return prevData;
+      
+      return {
+        ...prevData,
+        [holeNumber]: { ...hole, timing: { ...hole.timing, startedAt: new Date(startedAt).toISOString() } }
+      };
+    });
+  }, []);
+
   /**
    * Function to navigate to the next hole
-   * UNCHANGED - preserves existing functionality
+   * A move detected from GPS passes the time the player left the green, so hole
+   * timing doesn't depend on when the move was accepted
+   *
+   * @param {Object} options
+   * @param {number} options.advancedAt - When the hole was finished (defaults to now)
    */
-  const handleNextHole = useCallback(async () => {
-    if (currentHole < totalHoles) {
+  const handleNextHole = useCallback(async ({ advancedAt = Date.now() } = {}) => {
+    if (!isLastHole) {
       const holeStartTime = holeStartTimesRef.current[currentHole];
-      const holeDuration = holeStartTime ? Date.now() - holeStartTime : null;
+      const holeDuration = holeStartTime ? advancedAt - holeStartTime : null;
       const shotsOnHole = holeData[currentHole]?.shots?.length || 0;
       
       if (posthog && user && round) {
@@ -467,11 +673,16 @@ export default function TrackerScreen({ navigation }) {
         });
       }
       
-      await saveCurrentHoleToStorage();
+      // Hole times run tee to tee, so this hole finishes as the next one starts
+      const timing = finishHoleTiming(holeData[currentHole], advancedAt);
+      setHoleData(prevData => ({ ...prevData, [currentHole]: { ...prevData[currentHole], timing } }));
+      await saveCurrentHoleToStorage({ timing });
+      publishFinishedHole(currentHole);
+      stampHoleStart(holeNumbers[holeNumbers.indexOf(currentHole) + 1], advancedAt);
       
       setCurrentHole(prev => {
-        const nextHole = prev + 1;
-        holeStartTimesRef.current[nextHole] = Date.now();
+        const nextHole = holeNumbers[holeNumbers.indexOf(prev) + 1];
+        holeStartTimesRef.current[nextHole] = advancedAt;
         
         if (posthog && user && round) {
           posthog.capture('hole_navigation', {
@@ -489,7 +700,7 @@ export default function TrackerScreen({ navigation }) {
     } else {
       Alert.alert(
         "End of Round",
-        "You've reached the last hole. Would you like to finish the round?",
+        `You've played all ${totalHoles} holes. Would you like to finish the round?`,
         [
           { text: "Cancel", style: "cancel" },
           { 
@@ -510,18 +721,17 @@ export default function TrackerScreen({ navigation }) {
         ]
       );
     }
-  }, [currentHole, totalHoles, saveCurrentHoleToStorage, posthog, user, round, holeData, getTotalShotsRecorded]);
+  }, [currentHole, isLastHole, holeNumbers, totalHoles, saveCurrentHoleToStorage, publishFinishedHole, stampHoleStart, posthog, user, round, holeData, getTotalShotsRecorded]);
 
   /**
-   * Function to navigate to the previous hole
-   * UNCHANGED - preserves existing functionality
+   * Function to navigate to the previous hole in playing order
    */
   const handlePreviousHole = useCallback(async () => {
-    if (currentHole > 1) {
+    if (currentHoleIndex > 0) {
       await saveCurrentHoleToStorage();
       
       setCurrentHole(prev => {
-        const prevHole = prev - 1;
+        const prevHole = holeNumbers[holeNumbers.indexOf(prev) - 1];
         
         if (posthog && user && round) {
           posthog.capture('hole_navigation', {
@@ -537,7 +747,7 @@ export default function TrackerScreen({ navigation }) {
         return prevHole;
       });
     }
-  }, [currentHole, saveCurrentHoleToStorage, posthog, user, round]);
+  }, [currentHoleIndex, holeNumbers, saveCurrentHoleToStorage, posthog, user, round]);
 
   /**
    * Update hole information when courseDetails or currentHole changes
@@ -610,7 +820,6 @@ export default function TrackerScreen({ navigation }) {
 
   /**
    * Initialize round on component mount
-   * UNCHANGED - preserves existing functionality
    */
   useEffect(() => {
     const initializeRound = async () => {
@@ -647,6 +856,10 @@ export default function TrackerScreen({ navigation }) {
         
         const courseData = JSON.parse(storedCourseData);
         setCourse(courseData);
+        setTrackingMode(courseData.trackingMode || TRACKING_MODES.DETAILED);
+        
+        // Limit tracking to the holes chosen for this round
+        const roundHoleNumbers = getHoleNumbers(courseData.holeSelection, courseData.numHoles);
         
         console.log("Starting round with course and tee:", courseData);
         
@@ -700,12 +913,24 @@ export default function TrackerScreen({ navigation }) {
             user.id,
             courseData.id,
             courseData.teeId,
-            courseData.teeName
+            courseData.teeName,
+            {
+              holeSelection: courseData.holeSelection || HOLE_SELECTIONS.FULL,
+              holesPlayed: roundHoleNumbers.length,
+              startingHole: courseData.startingHole || roundHoleNumbers[0],
+              scoringFormat: courseData.scoringFormat || SCORING_FORMATS.STROKE,
+              eventId: courseData.event?.id || null
+            }
           );
           
           console.log("New round created:", roundData);
           setRound(roundData);
           
+          // Group players picked in the course selector score alongside the owner
+          if (courseData.players?.length > 0) {
+            await saveLocalGroup(roundData.id, { players: courseData.players, holes: {} });
+          }
+          
           await AsyncStorage.setItem("currentRound", JSON.stringify(roundData));
           
           if (posthog && user) {
@@ -715,12 +940,38 @@ export default function TrackerScreen({ navigation }) {
               course_id: roundData.course_id,
               selected_tee_id: roundData.selected_tee_id,
               selected_tee_name: roundData.selected_tee_name,
+              hole_selection: roundData.hole_selection,
+              holes_played: roundHoleNumbers.length,
+              starting_hole: roundData.starting_hole,
+              scoring_format: roundData.scoring_format,
+              tracking_mode: courseData.trackingMode || TRACKING_MODES.DETAILED,
               data_availability: true,
               timestamp: new Date().toISOString()
             });
           }
         }
         
+        // Play the round's holes in order from the starting hole, wrapping past the last hole
+        const playingOrder = getPlayingOrder(
+          roundHoleNumbers, 
+          roundData.starting_hole || courseData.startingHole
+        );
+        setHoleNumbers(playingOrder);
+        setHoleData(prevData => buildInitialHoleState(playingOrder, prevData));
+        
+        const group = await loadLocalGroup(roundData.id);
+        setGroupPlayers(group.players);
+        setGroupHoles(group.holes || {});
+        
+        // Position on the starting hole (or where a resumed round left off) once per visit
+        if (!holePositionedRef.current) {
+          holePositionedRef.current = true;
+          const resumeHole = await getResumeHole(roundData.id, playingOrder);
+          setCurrentHole(resumeHole);
+          holeStartTimesRef.current[resumeHole] = Date.now();
+          stampHoleStart(resumeHole, Date.now());
+        }
+        
         const { supabase } = require("../services/supabase");
         
         try {
@@ -733,11 +984,16 @@ export default function TrackerScreen({ navigation }) {
             });
           }
           
-          const { data: fullCourseData, error } = await supabase
-            .from("courses")
-            .select("*")
-            .eq("id", courseData.id)
-            .single();
+          // Downloaded courses load without a connection
+          const packedCourse = await getCoursePack(courseData.id, { allowExpired: true });
+          
+          const { data: fullCourseData, error } = packedCourse
+            ? { data: packedCourse, error: null }
+            : await supabase
+                .from("courses")
+                .select("*")
+                .eq("id", courseData.id)
+                .single();
             
           if (error) {
             console.error("Error fetching course details:", error);
@@ -763,6 +1019,7 @@ export default function TrackerScreen({ navigation }) {
                 course_id: courseData.id,
                 course_holes_count: fullCourseData.holes?.length || 0,
                 course_par: fullCourseData.par,
+                from_offline_pack: !!packedCourse,
                 data_availability: true,
                 timestamp: new Date().toISOString()
               });
@@ -787,8 +1044,6 @@ export default function TrackerScreen({ navigation }) {
           await loadHoleDataFromStorage();
         }
         
-        holeStartTimesRef.current[1] = Date.now();
-        
         const initializationDuration = Date.now() - roundStartTimeRef.current;
         if (posthog && user) {
           posthog.capture('round_initialization_completed', {
@@ -821,14 +1076,281 @@ export default function TrackerScreen({ navigation }) {
     };
     
     initializeRound();
-  }, [user, navigation, posthog, loadHoleDataFromStorage]);
+  }, [user, navigation, posthog, loadHoleDataFromStorage, stampHoleStart]);
+
+  // Load the shot GPS preference
+  useEffect(() => {
+    AsyncStorage.getItem(SHOT_GPS_PREFERENCE_KEY).then(value => {
+      setShotGpsEnabled(value === "true");
+    });
+  }, []);
+
+  // Load the player's bag for club selection, and the approach distance lay-ups leave
+  useEffect(() => {
+    if (!user) return;
+    
+    getBag(user.id).then(setClubs);
+    getPreferredApproachDistance(user.id).then(setPreferredApproachDistance);
+  }, [user]);
+
+  // Load the player's pace of play target
+  useEffect(() => {
+    if (!user) return;
+    
+    getPaceTarget(user.id).then(setPaceTarget);
+  }, [user]);
+
+  // Re-check pace every minute and whenever the hole changes
+  useEffect(() => {
+    setPaceNow(Date.now());
+    const interval = setInterval(() => setPaceNow(Date.now()), 60 * 1000);
+    
+    return () => clearInterval(interval);
+  }, [currentHole]);
+
+  // Keep group scores on the device as they're entered
+  useEffect(() => {
+    if (!round || groupPlayers.length === 0) return;
+    
+    saveLocalGroup(round.id, { players: groupPlayers, holes: groupHoles });
+  }, [round, groupPlayers, groupHoles]);
+  
+  // Each hole starts on the owner's scores
+  useEffect(() => {
+    setActivePlayerId(null);
+  }, [currentHole]);
+
+  // Load how GPS moves the round on to the next hole
+  useEffect(() => {
+    AsyncStorage.getItem(HOLE_ADVANCE_MODE_KEY).then(value => {
+      if (Object.values(HOLE_ADVANCE_MODES).includes(value)) setHoleAdvanceMode(value);
+    });
+  }, []);
+
+  // Each hole is judged afresh; an undo banner for the hole just reached stays up
+  useEffect(() => {
+    holeTrackingRef.current = createHoleTracking();
+    setHoleAdvance(prev => (prev?.type === 'undo' && prev.toHole === currentHole ? prev : null));
+  }, [currentHole]);
+
+  // Green of the current hole and tees of the next, from the course or a downloaded pack
+  useEffect(() => {
+    let isMounted = true;
+    const nextHole = holeNumbers[holeNumbers.indexOf(currentHole) + 1];
+    
+    const findHolePoi = async (holeNumber) => {
+      if (!holeNumber) return null;
+      
+      const coursePoi = Array.isArray(course?.poi) ? course.poi.find(poi => poi.hole === holeNumber) : null;
+      if (coursePoi || !course?.id) return coursePoi || null;
+      
+      return getCoursePackHolePoi(course.id, holeNumber);
+    };
+    
+    advancePoiRef.current = { current: null, next: null };
+    Promise.all([findHolePoi(currentHole), findHolePoi(nextHole)]).then(([current, next]) => {
+      if (isMounted) advancePoiRef.current = { current, next };
+    });
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [course, currentHole, holeNumbers]);
+
+  /**
+   * Toggle GPS capture for shots, asking for location access when enabling
+   */
+  const toggleShotGps = useCallback(async (enabled) => {
+    if (enabled) {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert("Location Needed", "Allow location access to record where each shot was played.");
+        return;
+      }
+    }
+    
+    setShotGpsEnabled(enabled);
+    await AsyncStorage.setItem(SHOT_GPS_PREFERENCE_KEY, enabled ? "true" : "false");
+    
+    if (posthog && user) {
+      posthog.capture('shot_gps_toggled', {
+        profile_id: user.id,
+        round_id: round?.id,
+        enabled,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }, [posthog, user, round]);
+
+  /**
+   * Change whether GPS offers the next hole, moves there by itself, or does nothing
+   */
+  const changeHoleAdvanceMode = useCallback(async (mode) => {
+    setHoleAdvanceMode(mode);
+    setHoleAdvance(null);
+    await AsyncStorage.setItem(HOLE_ADVANCE_MODE_KEY, mode);
+    
+    if (posthog && user) {
+      posthog.capture('hole_advance_mode_changed', {
+        profile_id: user.id,
+        round_id: round?.id,
+        mode,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }, [posthog, user, round]);
 
   /**
-   * UNCHANGED: Pure state update functions for shot management
+   * Follow the player's GPS fixes from the DistanceIndicator and, once they've walked
+   * off the green toward the next tee, offer the next hole or move there directly
+   */
+  const handleHoleLocation = useCallback((fix) => {
+    if (holeAdvanceMode === HOLE_ADVANCE_MODES.OFF || isLastHole || holeAdvance) return;
+    if (holeAdvanceDeclinedRef.current === currentHole) return;
+    
+    const { current, next } = advancePoiRef.current;
+    holeTrackingRef.current = updateHoleTracking(holeTrackingRef.current, fix, {
+      currentPoi: current,
+      nextPoi: next
+    });
+    
+    const confidence = getHoleAdvanceConfidence(holeTrackingRef.current);
+    if (confidence < HOLE_ADVANCE_CONFIDENCE.OFFER) return;
+    
+    const automatic = holeAdvanceMode === HOLE_ADVANCE_MODES.AUTO &&
+      confidence >= HOLE_ADVANCE_CONFIDENCE.AUTO;
+    const advance = {
+      type: automatic ? 'undo' : 'offer',
+      fromHole: currentHole,
+      toHole: holeNumbers[currentHoleIndex + 1],
+      detectedAt: Date.now()
+    };
+    
+    // Fixes keep arriving while the move happens, so start collecting evidence again
+    holeTrackingRef.current = createHoleTracking();
+    setHoleAdvance(advance);
+    
+    if (posthog && user && round) {
+      posthog.capture('hole_advance_detected', {
+        profile_id: user.id,
+        round_id: round.id,
+        hole_number: currentHole,
+        confidence,
+        automatic,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (automatic) {
+      handleNextHole({ advancedAt: advance.detectedAt });
+    }
+  }, [holeAdvanceMode, isLastHole, holeAdvance, currentHole, currentHoleIndex, holeNumbers, handleNextHole, posthog, user, round]);
+
+  /**
+   * Keep the player's position for the hole map, then check it for a move to the next hole
+   */
+  const handleLocationUpdate = useCallback((fix) => {
+    setPlayerPosition({ lat: fix.lat, lng: fix.lng });
+    handleHoleLocation(fix);
+  }, [handleHoleLocation]);
+
+  /**
+   * Accept the offered move to the next hole, timed from when it was detected
+   */
+  const acceptHoleAdvance = useCallback(() => {
+    if (!holeAdvance) return;
+    
+    setHoleAdvance(null);
+    if (holeAdvance.fromHole === currentHole) {
+      handleNextHole({ advancedAt: holeAdvance.detectedAt });
+    }
+  }, [holeAdvance, currentHole, handleNextHole]);
+
+  /**
+   * Go back to the hole GPS moved on from, and stop suggesting it's finished
+   */
+  const undoHoleAdvance = useCallback(() => {
+    if (!holeAdvance) return;
+    
+    setHoleAdvance(null);
+    holeAdvanceDeclinedRef.current = holeAdvance.fromHole;
+    if (holeAdvance.toHole === currentHole) {
+      handlePreviousHole();
+    }
+    
+    // The hole wasn't finished after all, so neither timing stamp stands
+    const { fromHole, toHole } = holeAdvance;
+    setHoleData(prevData => ({
+      ...prevData,
+      [fromHole]: { ...prevData[fromHole], timing: { ...prevData[fromHole]?.timing, finishedAt: null } },
+      [toHole]: { ...prevData[toHole], timing: { ...prevData[toHole]?.timing, startedAt: null } }
+    }));
+    delete holeStartTimesRef.current[toHole];
+    
+    if (posthog && user && round) {
+      posthog.capture('hole_advance_undone', {
+        profile_id: user.id,
+        round_id: round.id,
+        hole_number: holeAdvance.fromHole,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }, [holeAdvance, currentHole, handlePreviousHole, posthog, user, round]);
+
+  /**
+   * Hide the banner; turning down an offer keeps it from coming back on this hole
+   */
+  const dismissHoleAdvance = useCallback(() => {
+    if (holeAdvance?.type === 'offer') {
+      holeAdvanceDeclinedRef.current = holeAdvance.fromHole;
+    }
+    setHoleAdvance(null);
+  }, [holeAdvance]);
+
+  /**
+   * Attach the device's position to a recorded shot and re-derive shot distances
+   * Runs after the shot is added so recording stays instant
+   */
+  const captureShotLocation = useCallback(async (holeNumber, shotTimestamp) => {
+    try {
+      const position = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.High
+      });
+      
+      const location = {
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy: position.coords.accuracy
+      };
+      
+      setHoleData(prevData => {
+        const holeInfo = prevData[holeNumber];
+        if (!holeInfo) return prevData;
+        
+        const shots = holeInfo.shots.map(shot => 
+          shot.timestamp === shotTimestamp ? { ...shot, location } : shot
+        );
+        
+        return {
+          ...prevData,
+          [holeNumber]: { ...holeInfo, shots: withShotDistances(shots) }
+        };
+      });
+    } catch (error) {
+      console.warn("Could not capture shot location:", error);
+    }
+  }, []);
+
+  /**
+   * Pure state update functions for shot management
+   * Shots carry the selected club, if any, and are optionally located via GPS once recorded
    */
   const addShot = useCallback((type, outcome) => {
     console.log(`Adding ${outcome} ${type} shot for hole ${currentHole}`);
     
+    const shotTimestamp = new Date().toISOString();
+    const selectedClub = clubs.find(club => club.id === selectedClubId);
+    
     setHoleData(prevData => {
       const newData = { ...prevData };
       const currentHoleInfo = { ...newData[currentHole] };
@@ -836,7 +1358,8 @@ export default function TrackerScreen({ navigation }) {
       currentHoleInfo.shots.push({
         type,
         result: outcome,
-        timestamp: new Date().toISOString()
+        timestamp: shotTimestamp,
+        ...(selectedClub && { clubId: selectedClub.id, clubName: selectedClub.name })
       });
       
       currentHoleInfo.shotCounts[type][outcome] += 1;
@@ -845,7 +1368,14 @@ export default function TrackerScreen({ navigation }) {
       
       return newData;
     });
-  }, [currentHole]);
+    
+    // Each shot's club is picked individually
+    setSelectedClubId(null);
+    
+    if (shotGpsEnabled) {
+      captureShotLocation(currentHole, shotTimestamp);
+    }
+  }, [currentHole, shotGpsEnabled, captureShotLocation, clubs, selectedClubId]);
 
   const removeShot = useCallback((type, outcome) => {
     console.log(`Removing ${outcome} ${type} shot for hole ${currentHole}`);
@@ -868,6 +1398,9 @@ export default function TrackerScreen({ navigation }) {
         currentHoleInfo.shots.splice(actualIndex, 1);
         currentHoleInfo.shotCounts[type][outcome] -= 1;
         
+        // Distances depend on the following shot, so re-derive them
+        currentHoleInfo.shots = withShotDistances(currentHoleInfo.shots);
+        
         newData[currentHole] = currentHoleInfo;
       }
       
@@ -876,8 +1409,146 @@ export default function TrackerScreen({ navigation }) {
   }, [currentHole]);
 
   /**
-   * Complete a hole and save data to AsyncStorage
-   * UNCHANGED - preserves existing functionality
+   * Update the active group player's current hole
+   */
+  const updateGroupHole = useCallback((updater) => {
+    if (!activePlayerId) return;
+    
+    setGroupHoles(prevHoles => {
+      const playerHoles = prevHoles[activePlayerId] || {};
+      const hole = playerHoles[currentHole] || { ...createEmptyHoleState(), score: 0 };
+      
+      return {
+        ...prevHoles,
+        [activePlayerId]: { ...playerHoles, [currentHole]: updater(hole) }
+      };
+    });
+  }, [activePlayerId, currentHole]);
+  
+  /**
+   * Shot tracking for group players - shots replace any quick-entry score
+   */
+  const addGroupShot = useCallback((type, outcome) => {
+    updateGroupHole(hole => ({
+      ...hole,
+      score: 0,
+      shots: [...hole.shots, { type, result: outcome, timestamp: new Date().toISOString() }],
+      shotCounts: {
+        ...hole.shotCounts,
+        [type]: { ...hole.shotCounts[type], [outcome]: hole.shotCounts[type][outcome] + 1 }
+      }
+    }));
+  }, [updateGroupHole]);
+  
+  const removeGroupShot = useCallback((type, outcome) => {
+    updateGroupHole(hole => {
+      const shotIndex = hole.shots.map(shot => shot.type === type && shot.result === outcome).lastIndexOf(true);
+      if (shotIndex === -1) return hole;
+      
+      return {
+        ...hole,
+        score: 0,
+        shots: hole.shots.filter((shot, index) => index !== shotIndex),
+        shotCounts: {
+          ...hole.shotCounts,
+          [type]: { ...hole.shotCounts[type], [outcome]: hole.shotCounts[type][outcome] - 1 }
+        }
+      };
+    });
+  }, [updateGroupHole]);
+  
+  /**
+   * Quick gross-score entry for group players
+   */
+  const changeGroupScore = useCallback((change) => {
+    const par = holeData[currentHole]?.par || 0;
+    
+    updateGroupHole(hole => ({ ...hole, score: stepHoleScore(getHoleScore(hole), change, par) }));
+  }, [updateGroupHole, holeData, currentHole]);
+  
+  /**
+   * Apply a change to the owner's current hole in quick score mode
+   */
+  const updateQuickHole = useCallback((update) => {
+    setHoleData(prevData => {
+      const hole = prevData[currentHole];
+      return {
+        ...prevData,
+        [currentHole]: update({ ...hole, quickScore: hole.quickScore || createQuickScore() })
+      };
+    });
+  }, [currentHole]);
+  
+  const changeQuickScore = useCallback((change) => {
+    updateQuickHole(hole => ({ ...hole, score: stepHoleScore(getHoleScore(hole), change, hole.par) }));
+  }, [updateQuickHole]);
+  
+  const changeQuickPutts = useCallback((change) => {
+    updateQuickHole(hole => ({
+      ...hole,
+      quickScore: { ...hole.quickScore, putts: stepPutts(hole.quickScore.putts, change, getHoleScore(hole)) }
+    }));
+  }, [updateQuickHole]);
+  
+  const changeQuickStat = useCallback((stat, value) => {
+    updateQuickHole(hole => ({ ...hole, quickScore: { ...hole.quickScore, [stat]: value } }));
+  }, [updateQuickHole]);
+  
+  /**
+   * Apply a change to the notes of one of the owner's holes
+   * Takes the hole number so uploads land on the hole they were taken on,
+   * even if the player has moved on by the time they finish
+   */
+  const updateHoleNotes = useCallback((holeNumber, update) => {
+    setHoleData(prevData => {
+      const hole = prevData[holeNumber];
+      if (!hole) return prevData;
+      return { ...prevData, [holeNumber]: { ...hole, notes: update(hole.notes || createHoleNotes()) } };
+    });
+  }, []);
+  
+  const changeHoleNoteText = useCallback((text) => {
+    updateHoleNotes(currentHole, notes => ({ ...notes, text }));
+  }, [updateHoleNotes, currentHole]);
+  
+  const addHoleMedia = useCallback(async (capture) => {
+    if (!user || !round) return;
+    
+    const holeNumber = currentHole;
+    setUploadingMedia(true);
+    try {
+      const mediaItem = await uploadHoleMedia(user.id, round.id, holeNumber, capture);
+      updateHoleNotes(holeNumber, notes => ({ ...notes, media: [...notes.media, mediaItem] }));
+      
+      if (posthog) {
+        posthog.capture('hole_media_added', {
+          profile_id: user.id,
+          round_id: round.id,
+          hole_number: holeNumber,
+          media_type: capture.type,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      Alert.alert("Couldn't Upload", "Photos and voice memos need a connection. Your text note is still saved with the hole.");
+    } finally {
+      setUploadingMedia(false);
+    }
+  }, [user, round, currentHole, updateHoleNotes, posthog]);
+  
+  const removeHoleMedia = useCallback((mediaItem) => {
+    updateHoleNotes(currentHole, notes => ({
+      ...notes,
+      media: notes.media.filter(existing => existing.path !== mediaItem.path)
+    }));
+    
+    // The note no longer points at the file, so a failed delete only leaves it unused
+    deleteHoleMedia([mediaItem.path]).catch(() => {});
+  }, [updateHoleNotes, currentHole]);
+
+  /**
+   * Complete a hole, save it to AsyncStorage and move on to the next one
+   * Timed tee to tee like handleNextHole, so pace of play counts holes finished here too
    */
   const completeHole = async () => {
     try {
@@ -893,11 +1564,21 @@ export default function TrackerScreen({ navigation }) {
         });
       }
       
-      await saveCurrentHoleToStorage();
-      
-      if (currentHole < totalHoles) {
-        setCurrentHole(prev => prev + 1);
-        holeStartTimesRef.current[currentHole + 1] = Date.now();
+      // The last hole's timing is finished when the round is completed
+      if (isLastHole) {
+        await saveCurrentHoleToStorage();
+        publishFinishedHole(currentHole);
+      } else {
+        const finishedAt = Date.now();
+        const timing = finishHoleTiming(holeData[currentHole], finishedAt);
+        setHoleData(prevData => ({ ...prevData, [currentHole]: { ...prevData[currentHole], timing } }));
+        await saveCurrentHoleToStorage({ timing });
+        publishFinishedHole(currentHole);
+        
+        const nextHole = holeNumbers[currentHoleIndex + 1];
+        stampHoleStart(nextHole, finishedAt);
+        setCurrentHole(nextHole);
+        holeStartTimesRef.current[nextHole] = finishedAt;
       }
       
       if (posthog && user && round) {
@@ -930,6 +1611,28 @@ export default function TrackerScreen({ navigation }) {
     }
   };
 
+  /**
+   * Leave the tracker once the round is completed
+   * Completions queued while offline return home until they sync, as the
+   * scorecard can't be loaded before the round reaches the server
+   */
+  const navigateAfterCompletion = (result, scorecardRoundId) => {
+    if (result.pendingSync) {
+      navigation.dispatch(StackActions.popToTop());
+      Alert.alert(
+        "Round Saved Offline",
+        "Your round is saved on this device and will upload automatically when you're back online."
+      );
+      return;
+    }
+    
+    // Navigate to scorecard
+    navigation.replace("ScorecardScreen", { 
+      roundId: scorecardRoundId,
+      fromTracker: true
+    });
+  };
+
   /**
    * ENHANCED: Complete the round using the new sequential completion system
    * Provides step-by-step progress and intelligent retry capabilities
@@ -988,6 +1691,7 @@ export default function TrackerScreen({ navigation }) {
         'validateData': 'Validating round data...',
         'saveToDatabase': 'Uploading to cloud...',
         'markComplete': 'Finalizing round...',
+        'completeGroup': 'Saving group scores...',
         'generateInsights': 'Analyzing performance...',
         'cleanup': 'Cleaning up...'
       };
@@ -1006,10 +1710,14 @@ export default function TrackerScreen({ navigation }) {
       const result = await completeRoundSequential(
         round.id, 
         currentHole, 
-        holeData[currentHole],
-        user.id
+        { ...holeData[currentHole], timing: finishHoleTiming(holeData[currentHole], Date.now()) },
+        user.id,
+        { holeNumbers }
       );
       
+      // Rounds created offline open their scorecard under the server ID once synced
+      const scorecardRoundId = result.pendingSync ? null : await resolveRoundId(round.id);
+      
       // Success - completion finished
       const roundCompletionDuration = roundCompletionStartRef.current ? 
         Date.now() - roundCompletionStartRef.current : null;
@@ -1023,6 +1731,7 @@ export default function TrackerScreen({ navigation }) {
           total_shots: getTotalShotsRecorded(),
           completion_duration_ms: roundCompletionDuration,
           resumed_from_checkpoint: result.resumedFromCheckpoint,
+          pending_sync: result.pendingSync,
           completion_method: 'sequential',
           data_availability: true,
           timestamp: new Date().toISOString()
@@ -1039,11 +1748,7 @@ export default function TrackerScreen({ navigation }) {
         preservedErrorContext: null
       });
       
-      // Navigate to scorecard
-      navigation.replace("ScorecardScreen", { 
-        roundId: round.id,
-        fromTracker: true
-      });
+      navigateAfterCompletion(result, scorecardRoundId);
       
     } catch (error) {
       console.error("Error in enhanced round completion:", error);
@@ -1109,10 +1814,14 @@ export default function TrackerScreen({ navigation }) {
       const result = await completeRoundSequential(
         round.id, 
         currentHole, 
-        holeData[currentHole],
-        user.id
+        { ...holeData[currentHole], timing: finishHoleTiming(holeData[currentHole], Date.now()) },
+        user.id,
+        { holeNumbers }
       );
       
+      // Rounds created offline open their scorecard under the server ID once synced
+      const scorecardRoundId = result.pendingSync ? null : await resolveRoundId(round.id);
+      
       if (posthog && user && round) {
         posthog.capture('round_completion_retry_success', {
           profile_id: user.id,
@@ -1132,11 +1841,7 @@ export default function TrackerScreen({ navigation }) {
         preservedErrorContext: null
       });
       
-      // Navigate to scorecard
-      navigation.replace("ScorecardScreen", { 
-        roundId: round.id,
-        fromTracker: true
-      });
+      navigateAfterCompletion(result, scorecardRoundId);
       
     } catch (retryError) {
       console.error("Error in completion retry:", retryError);
@@ -1163,8 +1868,16 @@ export default function TrackerScreen({ navigation }) {
     }
   };
 
+  // Group player whose scores are being entered, if not the owner
+  const activePlayer = groupPlayers.find(player => player.id === activePlayerId) || null;
+  const activePlayerHole = activePlayer
+    ? groupHoles[activePlayer.id]?.[currentHole] || createEmptyHoleState()
+    : null;
+  
   // Calculate total score for current hole
-  const currentHoleScore = holeData[currentHole]?.shots?.length || 0;
+  const currentHoleScore = activePlayer
+    ? getHoleScore(activePlayerHole)
+    : getHoleScore(holeData[currentHole]);
   const currentHolePar = holeData[currentHole]?.par || 0;
   const scoreRelativeToPar = currentHoleScore - currentHolePar;
   
@@ -1174,6 +1887,14 @@ export default function TrackerScreen({ navigation }) {
     return theme.colors.text;
   };
 
+  // Live pace against the player's target, then the course's
+  const paceStatus = getPaceStatus(
+    holeNumbers.map(holeNumber => ({ holeNumber, par: holeData[holeNumber]?.par, holeData: holeData[holeNumber] })),
+    currentHole,
+    paceNow,
+    getRoundTargetMinutes({ profileMinutes: paceTarget, courseMinutes: courseDetails?.pace_of_play_minutes })
+  );
+
   return (
     <SafeAreaView style={styles.safeArea}>
       <ScrollView contentContainerStyle={styles.container}>
@@ -1182,10 +1903,66 @@ export default function TrackerScreen({ navigation }) {
           <HoleNavigator
             currentHole={currentHole}
             onPreviousHole={handlePreviousHole}
-            onNextHole={handleNextHole}
+            onNextHole={() => handleNextHole()}
             totalHoles={totalHoles}
+            holeNumbers={holeNumbers}
           />
         </View>
+        
+        {/* Pace of play */}
+        {paceStatus && (
+          <View style={styles.paceRow}>
+            <Typography
+              variant="caption"
+              weight="semibold"
+              color={paceStatus.status === PACE_STATUS.BEHIND ? theme.colors.error : theme.colors.primary}
+            >
+              {paceStatus.status === PACE_STATUS.BEHIND
+                ? `${PACE_STATUS_LABELS[paceStatus.status]} • ${paceStatus.minutesBehind} min`
+                : PACE_STATUS_LABELS[paceStatus.status]}
+            </Typography>
+            <Typography variant="caption" style={styles.paceElapsed}>
+              {`${formatPlayTime(paceStatus.elapsedMinutes)} played`}
+            </Typography>
+          </View>
+        )}
+
+        {/* Player switcher - only for group rounds */}
+        {groupPlayers.length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.playerSwitcher}>
+            {[{ id: null, name: "You" }, ...groupPlayers].map(player => {
+              const isActive = player.id === activePlayerId;
+              const score = player.id
+                ? getHoleScore(groupHoles[player.id]?.[currentHole])
+                : getHoleScore(holeData[currentHole]);
+              
+              return (
+                <TouchableOpacity
+                  key={player.id || "owner"}
+                  style={[styles.playerChip, isActive && styles.playerChipActive]}
+                  onPress={() => setActivePlayerId(player.id)}
+                >
+                  <Typography 
+                    variant="caption" 
+                    weight={isActive ? "semibold" : "normal"}
+                    color={isActive ? "#FFFFFF" : theme.colors.text}
+                  >
+                    {`${player.name} • ${score || "-"}`}
+                  </Typography>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        )}
+
+        {/* Live leaderboard - event and group rounds */}
+        {isLiveRound && (
+          <TouchableOpacity style={styles.leaderboardLink} onPress={openLeaderboard}>
+            <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+              {round?.event_id ? "Event leaderboard" : "Group leaderboard"}
+            </Typography>
+          </TouchableOpacity>
+        )}
 
         {/* Hole info + Score */}
         <View style={styles.holeInfoContainer}>
@@ -1247,34 +2024,165 @@ export default function TrackerScreen({ navigation }) {
           </View>
         ) : (
           <View style={styles.contentContainer}>
+            {/* Next hole offered, or undoable, after walking off the green */}
+            {holeAdvance && (
+              <HoleAdvanceBanner
+                message={holeAdvance.type === 'offer'
+                  ? `Heading to hole ${holeAdvance.toHole}?`
+                  : `Moved on to hole ${holeAdvance.toHole}`}
+                actionLabel={holeAdvance.type === 'offer' ? "Go" : "Undo"}
+                onAction={holeAdvance.type === 'offer' ? acceptHoleAdvance : undoHoleAdvance}
+                onDismiss={dismissHoleAdvance}
+                duration={holeAdvance.type === 'offer' ? 30000 : 8000}
+              />
+            )}
+            
             {/* Distance Indicator */}
             <DistanceIndicator 
               holeData={holeData[currentHole]} 
               active={!loading} 
+              courseId={course?.id}
+              holeNumber={currentHole}
+              preferredApproachDistance={preferredApproachDistance}
+              onLocationUpdate={handleLocationUpdate}
             />
             
-            {/* Shot Table */}
-            <View style={styles.tableContainer}>
-              <ShotTable
-                shotCounts={holeData[currentHole].shotCounts}
-                activeColumn={activeColumn}
-                setActiveColumn={setActiveColumn}
-                addShot={addShot}
-                removeShot={removeShot}
-              />
+            {/* How GPS moves the round on to the next hole */}
+            <View style={styles.shotGpsRow}>
+              <Typography variant="caption" style={styles.shotGpsLabel}>
+                Next hole from GPS
+              </Typography>
+              {Object.values(HOLE_ADVANCE_MODES).map(mode => (
+                <TouchableOpacity
+                  key={mode}
+                  style={[styles.holeAdvanceMode, holeAdvanceMode === mode && styles.holeAdvanceModeActive]}
+                  onPress={() => changeHoleAdvanceMode(mode)}
+                >
+                  <Typography
+                    variant="caption"
+                    color={holeAdvanceMode === mode ? "#FFF" : theme.colors.text}
+                  >
+                    {HOLE_ADVANCE_MODE_LABELS[mode]}
+                  </Typography>
+                </TouchableOpacity>
+              ))}
             </View>
             
+            {/* Hole map drawn from POI data with tap-to-measure distances */}
+            <TouchableOpacity style={styles.holeMapToggle} onPress={() => setShowHoleMap(!showHoleMap)}>
+              <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+                {showHoleMap ? "Hide hole map" : "Show hole map"}
+              </Typography>
+            </TouchableOpacity>
+            {showHoleMap && (
+              <HoleMap
+                key={`map-${currentHole}`}
+                holeData={holeData[currentHole]}
+                courseId={course?.id}
+                holeNumber={currentHole}
+                playerPosition={playerPosition}
+              />
+            )}
+            
+            {/* How this hole has gone in past rounds on the course */}
+            <HoleHistorySummary history={course?.holeHistory?.holes?.[currentHole]} />
+            
+            {activePlayer ? (
+              <>
+                {/* Group player - quick gross score or shot by shot */}
+                <View style={styles.shotGpsRow}>
+                  <Typography variant="caption" style={styles.shotGpsLabel}>
+                    Track {activePlayer.name}'s shots
+                  </Typography>
+                  <Switch
+                    value={trackGroupShots}
+                    onValueChange={setTrackGroupShots}
+                    trackColor={{ true: theme.colors.primary }}
+                  />
+                </View>
+                
+                {trackGroupShots ? (
+                  <View style={styles.tableContainer}>
+                    <ShotTable
+                      shotCounts={activePlayerHole.shotCounts}
+                      activeColumn={activeColumn}
+                      setActiveColumn={setActiveColumn}
+                      addShot={addGroupShot}
+                      removeShot={removeGroupShot}
+                    />
+                  </View>
+                ) : (
+                  <QuickScoreEntry
+                    score={currentHoleScore}
+                    label={activePlayer.name}
+                    onChangeScore={changeGroupScore}
+                  />
+                )}
+              </>
+            ) : trackingMode === TRACKING_MODES.QUICK ? (
+              <QuickScoreEntry
+                score={currentHoleScore}
+                label="Strokes"
+                onChangeScore={changeQuickScore}
+                showStats
+                quickScore={holeData[currentHole]?.quickScore || createQuickScore()}
+                par={holeData[currentHole]?.par}
+                onChangePutts={changeQuickPutts}
+                onChangeStat={changeQuickStat}
+              />
+            ) : (
+              <>
+                {/* Shot GPS capture toggle */}
+                <View style={styles.shotGpsRow}>
+                  <Typography variant="caption" style={styles.shotGpsLabel}>
+                    Record shot locations
+                  </Typography>
+                  <Switch
+                    value={shotGpsEnabled}
+                    onValueChange={toggleShotGps}
+                    trackColor={{ true: theme.colors.primary }}
+                  />
+                </View>
+                
+                {/* Shot Table */}
+                <View style={styles.tableContainer}>
+                  <ShotTable
+                    shotCounts={holeData[currentHole].shotCounts}
+                    activeColumn={activeColumn}
+                    setActiveColumn={setActiveColumn}
+                    addShot={addShot}
+                    removeShot={removeShot}
+                    clubs={clubs}
+                    selectedClubId={selectedClubId}
+                    onSelectClub={setSelectedClubId}
+                  />
+                </View>
+              </>
+            )}
+            
+            {/* Notes, photos and voice memos for the owner's hole */}
+            {!activePlayer && (
+              <HoleNotesPanel
+                key={`notes-${currentHole}`}
+                notes={holeData[currentHole]?.notes}
+                onChangeText={changeHoleNoteText}
+                onAddMedia={addHoleMedia}
+                onRemoveMedia={removeHoleMedia}
+                uploading={uploadingMedia}
+              />
+            )}
+            
             {/* Action Button */}
             <View style={styles.buttonContainer}>
               <Button
                 variant="primary"
                 size="large"
                 fullWidth
-                onPress={currentHole === totalHoles ? finishRound : completeHole}
+                onPress={isLastHole ? finishRound : completeHole}
                 loading={loading || completionProgress.isCompleting}
                 disabled={loading || completionProgress.isCompleting}
               >
-                {currentHole === totalHoles ? "Complete Round" : "Complete Hole"}
+                {isLastHole ? "Complete Round" : "Complete Hole"}
               </Button>
             </View>
           </View>
@@ -1299,6 +2207,16 @@ const styles = StyleSheet.create({
     marginBottom: 6,
     alignItems: 'center',
   },
+  paceRow: {
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 6,
+  },
+  paceElapsed: {
+    marginLeft: 8,
+    color: theme.colors.secondary,
+  },
   holeInfoContainer: {
     marginBottom: 12,
     backgroundColor: '#f8f8f8',
@@ -1384,8 +2302,57 @@ const styles = StyleSheet.create({
     width: '100%',
     marginBottom: 12,
   },
+  shotGpsRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    marginHorizontal: 8,
+    marginBottom: 8,
+  },
+  shotGpsLabel: {
+    marginRight: 8,
+    color: theme.colors.secondary,
+  },
   buttonContainer: {
     marginBottom: theme.spacing.medium,
     paddingHorizontal: theme.spacing.medium,
+  },
+  playerSwitcher: {
+    flexGrow: 0,
+    marginBottom: 8,
+  },
+  leaderboardLink: {
+    alignSelf: "flex-end",
+    paddingVertical: 4,
+    marginBottom: 8,
+  },
+  holeMapToggle: {
+    alignSelf: "flex-end",
+    paddingVertical: 4,
+    marginHorizontal: 8,
+    marginBottom: 4,
+  },
+  holeAdvanceMode: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: "#f0f0f0",
+    marginLeft: 4,
+  },
+  holeAdvanceModeActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  playerChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    backgroundColor: "#fff",
+    marginRight: 6,
+  },
+  playerChipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
   }
 });
\ No newline at end of file
@@ -0,0 +1,424 @@
+// src/screens/TrendsScreen.js
+
+import React, { useState, useEffect, useContext, useMemo } from "react";
+import { View, StyleSheet, ScrollView, ActivityIndicator, TouchableOpacity, Dimensions } from "react-native";
+import { LineChart } from "react-native-chart-kit";
+import { AuthContext } from "../context/AuthContext";
+import { getTrendRounds } from "../services/trendsService";
+import {
+  TRADITIONAL_STAT_ROWS,
+  getStatCount,
+  getStatPercentage,
+  formatStatCount,
+  getPuttsPerHole
+} from "../utils/traditionalStats";
+import {
+  TREND_SHOT_TYPES,
+  TREND_DATE_RANGES,
+  TREND_DATE_RANGE_LABELS,
+  TREND_METRICS,
+  TREND_METRIC_LABELS,
+  getTrendFilterOptions,
+  filterTrendRounds,
+  buildTrendSeries,
+  summarizeTrends
+} from "../utils/trends";
+import { formatToPar } from "../utils/leaderboard";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+
+// Stats shown for each round in the list
+const ROUND_COLUMNS = [
+  { key: 'fairways', label: "FIR" },
+  { key: 'greens', label: "GIR" },
+  { key: 'scrambling', label: "Scr" }
+];
+
+// Charts fill the card inside the screen padding
+const CHART_WIDTH = Dimensions.get("window").width - theme.spacing.medium * 2 - 32;
+const CHART_HEIGHT = 200;
+
+// Roughly this many dates fit under a chart
+const MAX_CHART_LABELS = 6;
+
+const CHART_CONFIG = {
+  backgroundGradientFrom: "#FFFFFF",
+  backgroundGradientTo: "#FFFFFF",
+  decimalPlaces: 0,
+  color: (opacity = 1) => `rgba(0, 122, 255, ${opacity})`,
+  labelColor: () => theme.colors.secondary,
+  propsForDots: {
+    r: "3"
+  }
+};
+
+const formatPercentage = (count) => {
+  const percentage = getStatPercentage(count);
+  return percentage === null ? "-" : `${percentage}%`;
+};
+
+const formatChartDate = (date) => {
+  const value = new Date(date);
+  return `${value.getDate()}/${value.getMonth() + 1}`;
+};
+
+/**
+ * Row of selectable pills, scrolling sideways when they don't fit
+ */
+const PillRow = ({ options, selected, onSelect }) => (
+  <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.pillRow}>
+    {options.map(option => {
+      const isSelected = option.value === selected;
+      return (
+        <TouchableOpacity
+          key={option.value ?? "all"}
+          style={[styles.pill, isSelected && styles.selectedPill]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Typography
+            variant="caption"
+            weight={isSelected ? "semibold" : "normal"}
+            color={isSelected ? "#FFFFFF" : theme.colors.text}
+          >
+            {option.label}
+          </Typography>
+        </TouchableOpacity>
+      );
+    })}
+  </ScrollView>
+);
+
+/**
+ * Headline figure with a caption
+ */
+const SummaryStat = ({ value, label }) => (
+  <View style={styles.summaryStat}>
+    <Typography variant="subtitle">{value ?? "-"}</Typography>
+    <Typography variant="caption" style={styles.secondaryText}>{label}</Typography>
+  </View>
+);
+
+/**
+ * TrendsScreen Component
+ *
+ * Performance trends across the player's completed rounds: scoring average, score to
+ * par, putts and penalties per round, on-target rates per shot type and the traditional
+ * stats (fairways, greens, scrambling, sand saves, three-putts). Rounds can be filtered
+ * by course, tee and date range, and each metric charted over time.
+ */
+export default function TrendsScreen({ navigation }) {
+  const { user } = useContext(AuthContext);
+  const [allRounds, setAllRounds] = useState([]);
+  const [courseId, setCourseId] = useState(null);
+  const [teeName, setTeeName] = useState(null);
+  const [dateRange, setDateRange] = useState(TREND_DATE_RANGES.ALL);
+  const [metric, setMetric] = useState(TREND_METRICS.SCORE);
+  const [shotType, setShotType] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function fetchTrends() {
+      if (!user) return;
+
+      try {
+        setLoading(true);
+        setAllRounds(await getTrendRounds(user.id));
+        setError(null);
+      } catch (error) {
+        console.error("Error loading trends:", error);
+        setError("Couldn't load your trends. Please try again later.");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchTrends();
+  }, [user]);
+
+  const filterOptions = useMemo(() => getTrendFilterOptions(allRounds), [allRounds]);
+  const rounds = useMemo(
+    () => filterTrendRounds(allRounds, { courseId, teeName, dateRange }),
+    [allRounds, courseId, teeName, dateRange]
+  );
+  const summary = useMemo(() => summarizeTrends(rounds), [rounds]);
+  const series = useMemo(() => buildTrendSeries(rounds, metric, shotType), [rounds, metric, shotType]);
+
+  // Scorecards live in the Rounds tab; keep its round list underneath for the back button
+  const openScorecard = (roundId) => {
+    navigation.navigate("Rounds", { screen: "ScorecardScreen", params: { roundId }, initial: false });
+  };
+
+  const renderFilters = () => (
+    <Card style={styles.card}>
+      <PillRow
+        options={[
+          { value: null, label: "All Courses" },
+          ...filterOptions.courses.map(course => ({ value: course.id, label: course.name }))
+        ]}
+        selected={courseId}
+        onSelect={setCourseId}
+      />
+      {filterOptions.tees.length > 1 && (
+        <PillRow
+          options={[
+            { value: null, label: "All Tees" },
+            ...filterOptions.tees.map(tee => ({ value: tee, label: tee }))
+          ]}
+          selected={teeName}
+          onSelect={setTeeName}
+        />
+      )}
+      <PillRow
+        options={Object.values(TREND_DATE_RANGES).map(range => ({ value: range, label: TREND_DATE_RANGE_LABELS[range] }))}
+        selected={dateRange}
+        onSelect={setDateRange}
+      />
+    </Card>
+  );
+
+  const renderChart = () => {
+    const labelStep = Math.ceil(series.length / MAX_CHART_LABELS);
+
+    return (
+      <Card style={styles.card}>
+        <PillRow
+          options={Object.values(TREND_METRICS).map(option => ({ value: option, label: TREND_METRIC_LABELS[option] }))}
+          selected={metric}
+          onSelect={setMetric}
+        />
+        {metric === TREND_METRICS.ON_TARGET && (
+          <PillRow
+            options={[
+              { value: null, label: "All Shots" },
+              ...TREND_SHOT_TYPES.map(type => ({ value: type, label: type }))
+            ]}
+            selected={shotType}
+            onSelect={setShotType}
+          />
+        )}
+
+        {series.length >= 2 ? (
+          <LineChart
+            data={{
+              labels: series.map((point, index) => index % labelStep === 0 ? formatChartDate(point.date) : ""),
+              datasets: [{ data: series.map(point => point.value) }]
+            }}
+            width={CHART_WIDTH}
+            height={CHART_HEIGHT}
+            yAxisSuffix={metric === TREND_METRICS.ON_TARGET ? "%" : ""}
+            chartConfig={CHART_CONFIG}
+            fromZero={metric === TREND_METRICS.ON_TARGET || metric === TREND_METRICS.PENALTIES}
+            style={styles.chart}
+          />
+        ) : (
+          <Typography variant="secondary" italic style={styles.emptyText}>
+            {metric === TREND_METRICS.SCORE
+              ? "Play at least two full rounds to chart your score."
+              : "At least two rounds with this stat are needed for a chart."}
+          </Typography>
+        )}
+      </Card>
+    );
+  };
+
+  const renderSummary = () => (
+    <Card style={styles.card}>
+      <Typography variant="caption" style={styles.secondaryText}>
+        {`${summary.roundsCounted} ${summary.roundsCounted === 1 ? "round" : "rounds"}. Scoring average is from the ${summary.fullRounds} full ${summary.fullRounds === 1 ? "round" : "rounds"}.`}
+      </Typography>
+      <View style={styles.summaryRow}>
+        <SummaryStat value={summary.scoringAverage} label="Scoring Avg" />
+        <SummaryStat
+          value={summary.averageToPar !== null ? formatToPar(summary.averageToPar) : null}
+          label="Avg To Par"
+        />
+        <SummaryStat value={summary.puttsPerRound} label="Putts / Rd" />
+        <SummaryStat value={summary.penaltiesPerRound} label="Penalties / Rd" />
+      </View>
+    </Card>
+  );
+
+  const renderOnTarget = () => (
+    <Card style={styles.card}>
+      <Typography variant="subtitle">On Target by Shot</Typography>
+      {TREND_SHOT_TYPES.map(type => (
+        <View key={type} style={styles.statRow}>
+          <Typography variant="body" style={styles.statLabel}>{type}</Typography>
+          <Typography variant="body" weight="semibold">
+            {summary.onTarget[type] !== null ? `${summary.onTarget[type]}%` : "-"}
+          </Typography>
+        </View>
+      ))}
+    </Card>
+  );
+
+  const renderTraditionalStats = () => (
+    <Card style={styles.card}>
+      <Typography variant="subtitle">Round Stats</Typography>
+      <Typography variant="caption" style={styles.secondaryText}>
+        {`${summary.stats.holesCounted} holes`}
+      </Typography>
+
+      <View style={styles.statRow}>
+        <Typography variant="body" style={styles.statLabel}>Putts per Hole</Typography>
+        <Typography variant="body" weight="semibold">{getPuttsPerHole(summary.stats) ?? "-"}</Typography>
+      </View>
+      {TRADITIONAL_STAT_ROWS.map(({ key, label }) => (
+        <View key={key} style={styles.statRow}>
+          <Typography variant="body" style={styles.statLabel}>{label}</Typography>
+          <Typography variant="body" weight="semibold">{formatStatCount(getStatCount(summary.stats, key))}</Typography>
+        </View>
+      ))}
+    </Card>
+  );
+
+  const renderRound = (round) => (
+    <TouchableOpacity key={round.id} onPress={() => openScorecard(round.id)}>
+      <Card style={styles.roundCard}>
+        <View style={styles.roundHeader}>
+          <Typography variant="body" weight="semibold" numberOfLines={1} style={styles.courseName}>
+            {round.courseName}
+          </Typography>
+          <Typography variant="caption" style={styles.secondaryText}>
+            {new Date(round.date).toLocaleDateString()}
+          </Typography>
+        </View>
+
+        <View style={styles.summaryRow}>
+          <SummaryStat value={round.grossShots} label="Score" />
+          <SummaryStat
+            value={round.stats?.putts.holes > 0 ? round.stats.putts.total : null}
+            label="Putts"
+          />
+          {ROUND_COLUMNS.map(({ key, label }) => (
+            <SummaryStat key={key} value={formatPercentage(getStatCount(round.stats, key))} label={label} />
+          ))}
+        </View>
+      </Card>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Layout>
+      {loading ? (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      ) : error ? (
+        <View style={styles.emptyContainer}>
+          <Typography variant="secondary" italic style={styles.emptyText}>
+            {error}
+          </Typography>
+        </View>
+      ) : allRounds.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Typography variant="secondary" italic style={styles.emptyText}>
+            Complete a round to start following your scoring, putting, penalties and shot quality over time.
+          </Typography>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.container}>
+          {renderFilters()}
+
+          {summary ? (
+            <>
+              {renderSummary()}
+              {renderChart()}
+              {renderOnTarget()}
+              {summary.stats && renderTraditionalStats()}
+
+              <Typography variant="subtitle" style={styles.sectionTitle}>Rounds</Typography>
+              {rounds.map(renderRound)}
+            </>
+          ) : (
+            <Typography variant="secondary" italic style={styles.emptyText}>
+              No rounds match these filters.
+            </Typography>
+          )}
+        </ScrollView>
+      )}
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: theme.spacing.medium,
+    paddingBottom: 20,
+  },
+  card: {
+    marginBottom: theme.spacing.medium,
+  },
+  secondaryText: {
+    color: theme.colors.secondary,
+  },
+  pillRow: {
+    flexGrow: 0,
+    marginBottom: theme.spacing.small,
+  },
+  pill: {
+    height: 32,
+    paddingHorizontal: 16,
+    borderRadius: 16,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#fff",
+    marginRight: 6,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+  },
+  selectedPill: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chart: {
+    marginTop: theme.spacing.small,
+  },
+  summaryRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: theme.spacing.small,
+  },
+  summaryStat: {
+    flex: 1,
+    alignItems: "center",
+  },
+  statRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  statLabel: {
+    flex: 1,
+  },
+  sectionTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  roundCard: {
+    marginBottom: theme.spacing.small,
+  },
+  roundHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  courseName: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginTop: theme.spacing.medium,
+  }
+});
@@ -0,0 +1,357 @@
+// src/services/clubService.js
+//
+// PERSONAL CLUB BAG
+// Each player keeps a list of the clubs in their bag. Shots can be tagged with a club
+// (clubId + clubName on the shot inside shots.hole_data) so per-club stats can be
+// built from completed rounds. The bag is cached locally so it can still be picked
+// from on the course without a connection, as is the player's preferred approach
+// distance that lay-up suggestions leave.
+
+import { supabase, selectAllForIds } from './supabase';
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Storage key prefix for the cached bag
+const CLUB_BAG_CACHE_PREFIX = 'club_bag_';
+
+// Storage key prefix for the cached preferred approach distance
+const APPROACH_DISTANCE_CACHE_PREFIX = 'approach_distance_';
+
+// Preferred approach distances accepted, matching profiles_preferred_approach_distance_check
+export const APPROACH_DISTANCE_RANGE = { min: 30, max: 250 };
+
+// Club categories, matching the clubs_type_check constraint
+export const CLUB_TYPES = ['driver', 'wood', 'hybrid', 'iron', 'wedge', 'putter', 'other'];
+
+// A typical 14-club setup offered to players with an empty bag
+export const DEFAULT_BAG = [
+  { name: 'Driver', type: 'driver' },
+  { name: '3 Wood', type: 'wood' },
+  { name: '5 Wood', type: 'wood' },
+  { name: '4 Hybrid', type: 'hybrid' },
+  { name: '5 Iron', type: 'iron' },
+  { name: '6 Iron', type: 'iron' },
+  { name: '7 Iron', type: 'iron' },
+  { name: '8 Iron', type: 'iron' },
+  { name: '9 Iron', type: 'iron' },
+  { name: 'Pitching Wedge', type: 'wedge' },
+  { name: 'Gap Wedge', type: 'wedge' },
+  { name: 'Sand Wedge', type: 'wedge' },
+  { name: 'Lob Wedge', type: 'wedge' },
+  { name: 'Putter', type: 'putter' }
+];
+
+/**
+ * Cache the bag for offline use
+ */
+const cacheBag = async (profileId, clubs) => {
+  try {
+    await AsyncStorage.setItem(`${CLUB_BAG_CACHE_PREFIX}${profileId}`, JSON.stringify(clubs));
+  } catch (error) {
+    console.error("[clubService] Failed to cache bag:", error);
+  }
+};
+
+/**
+ * Load the cached bag
+ */
+const getCachedBag = async (profileId) => {
+  try {
+    const bagStr = await AsyncStorage.getItem(`${CLUB_BAG_CACHE_PREFIX}${profileId}`);
+    return bagStr ? JSON.parse(bagStr) : [];
+  } catch (error) {
+    console.error("[clubService] Failed to load cached bag:", error);
+    return [];
+  }
+};
+
+/**
+ * Get the active clubs in a player's bag
+ * Falls back to the cached bag when Supabase can't be reached
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<Array>} Clubs in bag order
+ */
+export const getBag = async (profileId) => {
+  if (!profileId) return [];
+
+  try {
+    const { data, error } = await supabase
+      .from('clubs')
+      .select('id, name, type, sort_order')
+      .eq('profile_id', profileId)
+      .eq('is_active', true)
+      .order('sort_order', { ascending: true });
+
+    if (error) throw error;
+
+    const clubs = data || [];
+    await cacheBag(profileId, clubs);
+    return clubs;
+  } catch (error) {
+    console.error("[clubService] Error loading bag, using cached copy:", error);
+    return getCachedBag(profileId);
+  }
+};
+
+/**
+ * Add a club to the end of a player's bag
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {Object} club - { name, type }
+ * @returns {Promise<Object>} The created club
+ */
+export const addClub = async (profileId, club) => {
+  const name = club.name?.trim();
+  if (!name) {
+    throw new Error("Club name is required");
+  }
+
+  const type = CLUB_TYPES.includes(club.type) ? club.type : 'other';
+  const currentBag = await getBag(profileId);
+  const sortOrder = currentBag.length > 0
+    ? Math.max(...currentBag.map(existing => existing.sort_order || 0)) + 1
+    : 0;
+
+  const { data, error } = await supabase
+    .from('clubs')
+    .insert({
+      profile_id: profileId,
+      name,
+      type,
+      sort_order: sortOrder
+    })
+    .select('id, name, type, sort_order')
+    .single();
+
+  if (error) {
+    console.error("[clubService] Error adding club:", error);
+    throw error;
+  }
+
+  await cacheBag(profileId, [...currentBag, data]);
+  return data;
+};
+
+/**
+ * Fill an empty bag with the default set of clubs
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<Array>} The player's bag
+ */
+export const addDefaultBag = async (profileId) => {
+  const { error } = await supabase
+    .from('clubs')
+    .insert(DEFAULT_BAG.map((club, index) => ({
+      profile_id: profileId,
+      name: club.name,
+      type: club.type,
+      sort_order: index
+    })));
+
+  if (error) {
+    console.error("[clubService] Error adding default bag:", error);
+    throw error;
+  }
+
+  return getBag(profileId);
+};
+
+/**
+ * Take a club out of the bag
+ * The club is deactivated rather than deleted so shots already tagged with it keep their history
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {string} clubId - Club to remove
+ */
+export const removeClub = async (profileId, clubId) => {
+  const { error } = await supabase
+    .from('clubs')
+    .update({ is_active: false })
+    .eq('id', clubId)
+    .eq('profile_id', profileId);
+
+  if (error) {
+    console.error("[clubService] Error removing club:", error);
+    throw error;
+  }
+
+  const cachedBag = await getCachedBag(profileId);
+  await cacheBag(profileId, cachedBag.filter(club => club.id !== clubId));
+  return true;
+};
+
+/**
+ * Get the yardage the player likes to hit approach shots from
+ * Falls back to the cached value when Supabase can't be reached
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<number|null>} Yards, or null when not set
+ */
+export const getPreferredApproachDistance = async (profileId) => {
+  if (!profileId) return null;
+
+  const cacheKey = `${APPROACH_DISTANCE_CACHE_PREFIX}${profileId}`;
+
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('preferred_approach_distance')
+      .eq('id', profileId)
+      .single();
+
+    if (error) throw error;
+
+    const distance = data?.preferred_approach_distance ?? null;
+    await AsyncStorage.setItem(cacheKey, JSON.stringify(distance));
+    return distance;
+  } catch (error) {
+    console.error("[clubService] Error loading approach distance, using cached copy:", error);
+    try {
+      const cached = await AsyncStorage.getItem(cacheKey);
+      return cached ? JSON.parse(cached) : null;
+    } catch (cacheError) {
+      return null;
+    }
+  }
+};
+
+/**
+ * Save the yardage the player likes to hit approach shots from
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {number|null} distance - Yards within APPROACH_DISTANCE_RANGE, or null to clear it
+ * @returns {Promise<number|null>} The saved distance
+ */
+export const setPreferredApproachDistance = async (profileId, distance) => {
+  if (distance !== null && !(distance >= APPROACH_DISTANCE_RANGE.min && distance <= APPROACH_DISTANCE_RANGE.max)) {
+    throw new Error(`Approach distance must be between ${APPROACH_DISTANCE_RANGE.min} and ${APPROACH_DISTANCE_RANGE.max} yards`);
+  }
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({
+      preferred_approach_distance: distance,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', profileId);
+
+  if (error) {
+    console.error("[clubService] Error saving approach distance:", error);
+    throw error;
+  }
+
+  await AsyncStorage.setItem(`${APPROACH_DISTANCE_CACHE_PREFIX}${profileId}`, JSON.stringify(distance));
+  return distance;
+};
+
+/**
+ * Build per-club stats from stored hole records
+ *
+ * @param {Array} holeRecords - Rows from the shots table
+ * @param {Array} clubs - The player's current bag, used for ordering and names
+ * @returns {Array} { clubId, name, type, inBag, uses, onTarget, onTargetRate, averageDistance, measuredShots }
+ */
+export const summarizeClubStats = (holeRecords, clubs = []) => {
+  const statsByClub = {};
+
+  clubs.forEach(club => {
+    statsByClub[club.id] = {
+      clubId: club.id,
+      name: club.name,
+      type: club.type,
+      inBag: true,
+      uses: 0,
+      onTarget: 0,
+      totalDistance: 0,
+      measuredShots: 0
+    };
+  });
+
+  holeRecords.forEach(record => {
+    const shots = record.hole_data?.shots || [];
+
+    shots.forEach(shot => {
+      if (!shot.clubId) return;
+
+      if (!statsByClub[shot.clubId]) {
+        // Club has since been removed from the bag
+        statsByClub[shot.clubId] = {
+          clubId: shot.clubId,
+          name: shot.clubName || 'Unknown club',
+          type: null,
+          inBag: false,
+          uses: 0,
+          onTarget: 0,
+          totalDistance: 0,
+          measuredShots: 0
+        };
+      }
+
+      const stats = statsByClub[shot.clubId];
+      stats.uses++;
+
+      if (shot.result === 'On Target') {
+        stats.onTarget++;
+      }
+
+      if (typeof shot.distance === 'number') {
+        stats.totalDistance += shot.distance;
+        stats.measuredShots++;
+      }
+    });
+  });
+
+  return Object.values(statsByClub)
+    .filter(stats => stats.inBag || stats.uses > 0)
+    .map(({ totalDistance, ...stats }) => ({
+      ...stats,
+      onTargetRate: stats.uses > 0 ? Math.round((stats.onTarget / stats.uses) * 100) : null,
+      averageDistance: stats.measuredShots > 0 ? Math.round(totalDistance / stats.measuredShots) : null
+    }));
+};
+
+/**
+ * Get per-club stats across a player's completed rounds
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<Object>} { clubs: per-club stats, roundCount }
+ */
+export const getClubStats = async (profileId) => {
+  const clubs = await getBag(profileId);
+
+  const { data: rounds, error: roundsError } = await supabase
+    .from('rounds')
+    .select('id')
+    .eq('profile_id', profileId)
+    .eq('is_complete', true)
+    .eq('exclude_from_stats', false);
+
+  if (roundsError) {
+    console.error("[clubService] Error loading rounds for club stats:", roundsError);
+    throw roundsError;
+  }
+
+  if (!rounds || rounds.length === 0) {
+    return { clubs: summarizeClubStats([], clubs), roundCount: 0 };
+  }
+
+  let holeRecords;
+  try {
+    holeRecords = await selectAllForIds(
+      roundIds => supabase
+        .from('shots')
+        .select('hole_data')
+        .in('round_id', roundIds)
+        .order('id'),
+      rounds.map(round => round.id)
+    );
+  } catch (shotsError) {
+    console.error("[clubService] Error loading shots for club stats:", shotsError);
+    throw shotsError;
+  }
+
+  return {
+    clubs: summarizeClubStats(holeRecords, clubs),
+    roundCount: rounds.length
+  };
+};
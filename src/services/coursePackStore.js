@@ -0,0 +1,147 @@
+// src/services/coursePackStore.js
+//
+// OFFLINE COURSE PACKS
+// Versioned local store of full course data (tees, holes and POI) so a course
+// chosen at the clubhouse still loads at the first tee without a connection.
+// Packs expire so stale layouts are eventually refreshed, but expired packs are
+// still served when the network is unavailable.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Bump when the stored pack shape changes - older packs are ignored
+export const COURSE_PACK_VERSION = 1;
+
+// Storage keys
+const COURSE_PACK_PREFIX = `course_pack_v${COURSE_PACK_VERSION}_`;
+const COURSE_PACK_INDEX_KEY = 'course_pack_index';
+
+// Packs are refreshed after 30 days
+const COURSE_PACK_EXPIRY_DAYS = 30;
+
+/**
+ * Load the index of downloaded course packs
+ *
+ * @returns {Promise<Object>} Pack summaries keyed by course ID
+ */
+export const getCoursePackIndex = async () => {
+  try {
+    const indexStr = await AsyncStorage.getItem(COURSE_PACK_INDEX_KEY);
+    const index = indexStr ? JSON.parse(indexStr) : {};
+
+    // Drop entries written by an older pack version
+    Object.keys(index).forEach(courseId => {
+      if (index[courseId].version !== COURSE_PACK_VERSION) {
+        delete index[courseId];
+      }
+    });
+
+    return index;
+  } catch (error) {
+    console.error("[coursePackStore] Failed to load pack index:", error);
+    return {};
+  }
+};
+
+/**
+ * Check whether a pack summary is still within its expiry
+ */
+export const isCoursePackFresh = (packInfo) => {
+  return !!packInfo && new Date(packInfo.expiresAt) > new Date();
+};
+
+/**
+ * Save a full course to the offline store
+ *
+ * @param {Object} course - Course with tees, holes and poi
+ * @returns {Promise<Object>} Pack summary
+ */
+export const saveCoursePack = async (course) => {
+  if (!course || !course.id) {
+    throw new Error("Cannot save a course pack without a course ID");
+  }
+
+  const downloadedAt = new Date();
+  const packInfo = {
+    courseId: course.id,
+    name: course.name,
+    version: COURSE_PACK_VERSION,
+    downloadedAt: downloadedAt.toISOString(),
+    expiresAt: new Date(downloadedAt.getTime() + (COURSE_PACK_EXPIRY_DAYS * 24 * 60 * 60 * 1000)).toISOString(),
+    holeCount: Array.isArray(course.holes) ? course.holes.length : 0,
+    hasPoi: Array.isArray(course.poi) && course.poi.length > 0
+  };
+
+  await AsyncStorage.setItem(
+    `${COURSE_PACK_PREFIX}${course.id}`,
+    JSON.stringify({ ...packInfo, course })
+  );
+
+  const index = await getCoursePackIndex();
+  index[course.id] = packInfo;
+  await AsyncStorage.setItem(COURSE_PACK_INDEX_KEY, JSON.stringify(index));
+
+  console.log(`[coursePackStore] Saved offline pack for ${course.name} (${packInfo.holeCount} holes)`);
+  return packInfo;
+};
+
+/**
+ * Get a downloaded course
+ *
+ * @param {string} courseId - Course ID
+ * @param {Object} options
+ * @param {boolean} options.allowExpired - Return expired packs (used when offline)
+ * @returns {Promise<Object|null>} The stored course or null
+ */
+export const getCoursePack = async (courseId, options = {}) => {
+  const { allowExpired = false } = options;
+
+  if (!courseId) return null;
+
+  try {
+    const packStr = await AsyncStorage.getItem(`${COURSE_PACK_PREFIX}${courseId}`);
+    if (!packStr) return null;
+
+    const pack = JSON.parse(packStr);
+
+    if (!allowExpired && !isCoursePackFresh(pack)) {
+      console.log(`[coursePackStore] Pack for course ${courseId} has expired`);
+      return null;
+    }
+
+    return { ...pack.course, offline_pack: true };
+  } catch (error) {
+    console.error("[coursePackStore] Failed to load course pack:", error);
+    return null;
+  }
+};
+
+/**
+ * Get the POI entry for a single hole from a downloaded course
+ *
+ * @returns {Promise<Object|null>} POI for the hole or null
+ */
+export const getCoursePackHolePoi = async (courseId, holeNumber) => {
+  const course = await getCoursePack(courseId, { allowExpired: true });
+  if (!course || !Array.isArray(course.poi)) return null;
+
+  return course.poi.find(poi => poi.hole === holeNumber) || null;
+};
+
+/**
+ * Remove a downloaded course
+ */
+export const removeCoursePack = async (courseId) => {
+  try {
+    await AsyncStorage.removeItem(`${COURSE_PACK_PREFIX}${courseId}`);
+
+    const index = await getCoursePackIndex();
+    delete index[courseId];
+    await AsyncStorage.setItem(COURSE_PACK_INDEX_KEY, JSON.stringify(index));
+
+    console.log(`[coursePackStore] Removed offline pack for course ${courseId}`);
+    return true;
+  } catch (error) {
+    console.error("[coursePackStore] Failed to remove course pack:", error);
+    return false;
+  }
+};
@@ -1,7 +1,9 @@
 // src/services/courseService.js
 
-import { supabase } from './supabase';
+import { supabase, selectAllForIds } from './supabase';
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { getCoursePack, getCoursePackIndex, saveCoursePack } from './coursePackStore';
+import { buildHoleHistory } from '../utils/holeHistory';
 
 // Base URL for edge functions
 const EDGE_FUNCTION_BASE_URL = "https://mxqhgktcdmymmwbsbfws.supabase.co/functions/v1";
@@ -109,7 +111,7 @@ export const searchCourses = async (searchTerm) => {
       
       const { data, error } = await supabase
         .from('courses')
-        .select('id, name, club_name, location, tees, poi')  // Now also requesting POI data
+        .select('id, name, club_name, location, tees, poi, num_holes')  // Now also requesting POI data
         .or(`name.ilike.%${processedTerm}%,location.ilike.%${processedTerm}%,club_name.ilike.%${processedTerm}%`)
         .order('name')
         .limit(15);
@@ -198,7 +200,7 @@ export const getRecentCourses = async (userId, limit = 5) => {
       // Get course details for unique IDs
       const { data: courses, error: coursesError } = await supabase
         .from('courses')
-        .select('id, name, club_name, location, tees, poi')  // Now also requesting POI data
+        .select('id, name, club_name, location, tees, poi, num_holes')  // Now also requesting POI data
         .in('id', uniqueCourseIds);
       
       if (coursesError) {
@@ -259,7 +261,7 @@ export const getAllCourses = async () => {
       
       const { data, error } = await supabase
         .from('courses')
-        .select('id, name, club_name, location, tees, poi') // Now also requesting POI data
+        .select('id, name, club_name, location, tees, poi, num_holes') // Now also requesting POI data
         .order('name');
       
       if (error) {
@@ -281,12 +283,52 @@ export const getAllCourses = async () => {
     
   } catch (error) {
     console.error('[courseService] Exception in getAllCourses:', error);
+    
+    // Offline - downloaded courses can still be played
+    return getOfflineCourses();
+  }
+};
+
+/**
+ * Get all courses downloaded for offline use
+ * 
+ * @return {Promise<Array>} - Array of course objects from the offline store
+ */
+export const getOfflineCourses = async () => {
+  try {
+    const packIndex = await getCoursePackIndex();
+    const courses = await Promise.all(
+      Object.keys(packIndex).map(courseId => getCoursePack(courseId, { allowExpired: true }))
+    );
+    
+    return courses
+      .filter(Boolean)
+      .map(addCourseDataFlags)
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  } catch (error) {
+    console.error('[courseService] Exception in getOfflineCourses:', error);
     return [];
   }
 };
 
+/**
+ * Add has_tee_data / has_poi_data flags to a course object
+ */
+const addCourseDataFlags = (courseData) => {
+  courseData.has_tee_data = courseData.tees !== null && 
+                          Array.isArray(courseData.tees) && 
+                          courseData.tees.length > 0;
+                          
+  courseData.has_poi_data = courseData.poi !== null && 
+                         Array.isArray(courseData.poi) && 
+                         courseData.poi.length > 0;
+  return courseData;
+};
+
 /**
  * Get full course details by ID, with enhanced POI data
+ * Reads from the offline course pack store first and falls back to it
+ * (even if expired) when the edge functions can't be reached
  * 
  * @param {string} courseId - The course ID to fetch
  * @param {boolean} forcePOIRefresh - Force refresh of POI data even if already present
@@ -299,6 +341,15 @@ export const getCourseById = async (courseId, forcePOIRefresh = false) => {
       return null;
     }
     
+    // Downloaded courses don't need the network unless a refresh is forced
+    if (!forcePOIRefresh) {
+      const packedCourse = await getCoursePack(courseId);
+      if (packedCourse) {
+        console.log('[courseService] Using offline course pack for ID:', courseId);
+        return addCourseDataFlags(packedCourse);
+      }
+    }
+    
     console.log('[courseService] Getting course details for ID:', courseId);
     
     // Get auth token for request
@@ -365,23 +416,55 @@ export const getCourseById = async (courseId, forcePOIRefresh = false) => {
     
     // Add flags for data presence
     if (courseData) {
-      courseData.has_tee_data = courseData.tees !== null && 
-                              Array.isArray(courseData.tees) && 
-                              courseData.tees.length > 0;
-                              
-      courseData.has_poi_data = courseData.poi !== null && 
-                             Array.isArray(courseData.poi) && 
-                             courseData.poi.length > 0;
+      addCourseDataFlags(courseData);
+      
+      // Keep downloaded packs current whenever we fetch fresh data
+      const packIndex = await getCoursePackIndex();
+      if (packIndex[courseId] && Array.isArray(courseData.holes) && courseData.holes.length > 0) {
+        await saveCoursePack(courseData);
+      }
     }
     
     return courseData;
     
   } catch (error) {
     console.error('[courseService] Exception in getCourseById:', error);
+    
+    // Offline - serve the downloaded pack even if it has expired
+    const packedCourse = await getCoursePack(courseId, { allowExpired: true });
+    if (packedCourse) {
+      console.log('[courseService] Falling back to offline course pack for ID:', courseId);
+      return addCourseDataFlags(packedCourse);
+    }
+    
     return null;
   }
 };
 
+/**
+ * Download a course for offline use
+ * Fetches the full course (tees, holes and POI) and stores it as a course pack
+ * 
+ * @param {string} courseId - The course ID to download
+ * @return {Promise<Object>} - The pack summary
+ */
+export const downloadCourseForOffline = async (courseId) => {
+  console.log('[courseService] Downloading course for offline use:', courseId);
+  
+  // Force a network fetch so the pack contains the latest POI data
+  const course = await getCourseById(courseId, true);
+  
+  if (!course || course.offline_pack) {
+    throw new Error('Could not download course details. Check your connection and try again.');
+  }
+  
+  if (!Array.isArray(course.holes) || course.holes.length === 0) {
+    throw new Error('This course has no hole data to download.');
+  }
+  
+  return saveCoursePack(course);
+};
+
 /**
  * Pre-load POI data for a course if needed
  * This is particularly useful before starting a round to ensure
@@ -392,6 +475,13 @@ export const getCourseById = async (courseId, forcePOIRefresh = false) => {
  */
 export const ensureCourseHasPoiData = async (courseId) => {
   try {
+    // Downloaded courses already carry their POI data
+    const packedCourse = await getCoursePack(courseId);
+    if (packedCourse && Array.isArray(packedCourse.poi) && packedCourse.poi.length > 0) {
+      console.log('[courseService] Using POI data from offline course pack');
+      return addCourseDataFlags(packedCourse);
+    }
+    
     // Get the course with a forced POI refresh
     const course = await getCourseById(courseId, true);
     
@@ -406,4 +496,60 @@ export const ensureCourseHasPoiData = async (courseId) => {
     console.error('[courseService] Error ensuring course has POI data:', error);
     return null;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the player's hole-by-hole history on a course from their completed rounds there
+ * 
+ * @param {string} profileId - The player's profile ID
+ * @param {string} courseId - The course ID
+ * @return {Promise<Object>} - { roundsPlayed, holes } where holes is keyed by hole number
+ *   (see buildHoleHistory)
+ */
+export const getCourseHoleHistory = async (profileId, courseId) => {
+  const { data: rounds, error: roundsError } = await supabase
+    .from('rounds')
+    .select('id, created_at')
+    .eq('profile_id', profileId)
+    .eq('course_id', courseId)
+    .eq('is_complete', true)
+    .eq('exclude_from_stats', false);
+  
+  if (roundsError) {
+    console.error('[courseService] Error loading rounds for hole history:', roundsError);
+    throw roundsError;
+  }
+  
+  if (!rounds || rounds.length === 0) {
+    return { roundsPlayed: 0, holes: {} };
+  }
+  
+  let holeRecords;
+  try {
+    holeRecords = await selectAllForIds(
+      roundIds => supabase
+        .from('shots')
+        .select('round_id, hole_number, hole_data, total_score')
+        .in('round_id', roundIds)
+        .order('id'),
+      rounds.map(round => round.id)
+    );
+  } catch (shotsError) {
+    console.error('[courseService] Error loading shots for hole history:', shotsError);
+    throw shotsError;
+  }
+  
+  const { data: course } = await supabase
+    .from('courses')
+    .select('holes')
+    .eq('id', courseId)
+    .single();
+  
+  return {
+    roundsPlayed: rounds.length,
+    holes: buildHoleHistory(holeRecords, {
+      courseHoles: course?.holes,
+      roundDates: Object.fromEntries(rounds.map(round => [round.id, round.created_at]))
+    })
+  };
+};
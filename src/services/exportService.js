@@ -0,0 +1,131 @@
+// src/services/exportService.js
+//
+// DATA EXPORT
+// Exports all of the player's rounds, including archived, excluded and unfinished ones,
+// with their hole records, insights and the metadata of the courses they were played
+// on. The files are built by the serializers in utils/dataExport.js, written to the
+// cache directory and handed to the OS share sheet.
+
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { supabase, selectAllForIds } from "./supabase";
+import {
+  EXPORT_FORMATS,
+  buildExportCsv,
+  buildExportJson,
+  getExportFileName
+} from "../utils/dataExport";
+
+/**
+ * Load everything the player has recorded
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<Object>} { rounds, holeRecords, insights, courses }, rounds oldest first
+ */
+export const getExportData = async (profileId) => {
+  const { data: rounds, error: roundsError } = await supabase
+    .from("rounds")
+    .select("*")
+    .eq("profile_id", profileId)
+    .order("created_at", { ascending: true });
+
+  if (roundsError) {
+    console.error("[exportService] Error loading rounds for export:", roundsError);
+    throw roundsError;
+  }
+
+  if (!rounds || rounds.length === 0) {
+    return { rounds: [], holeRecords: [], insights: [], courses: [] };
+  }
+
+  let holeRecords;
+  try {
+    holeRecords = await selectAllForIds(
+      roundIds => supabase
+        .from("shots")
+        .select("*")
+        .in("round_id", roundIds)
+        .order("round_id")
+        .order("hole_number", { ascending: true })
+        .order("id"),
+      rounds.map(round => round.id)
+    );
+  } catch (shotsError) {
+    console.error("[exportService] Error loading shots for export:", shotsError);
+    throw shotsError;
+  }
+
+  const { data: insights, error: insightsError } = await supabase
+    .from("insights")
+    .select("*")
+    .eq("profile_id", profileId)
+    .order("created_at", { ascending: true });
+
+  if (insightsError) {
+    console.error("[exportService] Error loading insights for export:", insightsError);
+    throw insightsError;
+  }
+
+  // Course metadata only - POI data is large and not the player's own
+  const { data: courses, error: coursesError } = await supabase
+    .from("courses")
+    .select("id, name, club_name, location, par, num_holes, holes, tees")
+    .in("id", [...new Set(rounds.map(round => round.course_id))]);
+
+  if (coursesError) {
+    console.error("[exportService] Error loading courses for export:", coursesError);
+    throw coursesError;
+  }
+
+  return {
+    rounds,
+    holeRecords,
+    insights: insights || [],
+    courses: courses || []
+  };
+};
+
+// Type of each export file, for the share sheet
+const EXPORT_FILE_TYPES = {
+  [EXPORT_FORMATS.CSV]: { mimeType: "text/csv", UTI: "public.comma-separated-values-text" },
+  [EXPORT_FORMATS.JSON]: { mimeType: "application/json", UTI: "public.json" }
+};
+
+/**
+ * Export the player's data and open the share sheet with the written file
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {string} format - EXPORT_FORMATS value
+ * @returns {Promise<Object>} { roundCount } - nothing is shared when there are no rounds
+ */
+export const shareExport = async (profileId, format) => {
+  const data = await getExportData(profileId);
+  if (data.rounds.length === 0) return { roundCount: 0 };
+
+  const exportDate = new Date();
+
+  const contents = format === EXPORT_FORMATS.JSON
+    ? buildExportJson({ profileId, ...data }, exportDate.toISOString())
+    : buildExportCsv(data);
+
+  const fileName = getExportFileName(format, exportDate);
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+
+  try {
+    await FileSystem.writeAsStringAsync(fileUri, contents, { encoding: FileSystem.EncodingType.UTF8 });
+  } catch (error) {
+    console.error("[exportService] Error writing export file:", error);
+    throw error;
+  }
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing isn't available on this device");
+  }
+
+  await Sharing.shareAsync(fileUri, {
+    ...EXPORT_FILE_TYPES[format],
+    dialogTitle: "Export Golf Data"
+  });
+
+  return { roundCount: data.rounds.length };
+};
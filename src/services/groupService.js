@@ -0,0 +1,477 @@
+// src/services/groupService.js
+//
+// GROUP ROUNDS
+// One phone keeps score for the whole group. The round owner's holes are tracked as
+// usual; everyone else is a group player - a guest (just a name) or a linked player
+// (another app user found by email). Group scores are kept on the device while the
+// round is played and uploaded to round_players / round_player_holes when the round
+// is completed (hole by hole during live rounds, for the leaderboard). Linked players
+// are then offered their round; once they accept it they get their own completed
+// round, scored for handicap from their own handicap and tee set, and insights.
+
+import { supabase } from "./supabase";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { createLocalId, resolveRoundId, isLocalId } from "./syncQueue";
+import { getHoleNumbers, calculateRoundPar } from "../utils/holeSelection";
+import { TEE_SETS } from "../utils/handicap";
+import { calculateRoundStrokesGained } from "../utils/strokesGained";
+import { calculateRoundStats } from "../utils/traditionalStats";
+import { getHoleScore } from "../utils/quickScore";
+import { updateHandicapAfterRound } from "./handicapService";
+
+// Storage key suffix for a round's group on the device
+const GROUP_STORAGE_SUFFIX = '_group';
+
+// Most players one phone scores for alongside the owner
+export const MAX_GROUP_PLAYERS = 3;
+
+// Error code find_player_by_email raises once a player has searched too often
+export const PLAYER_LOOKUP_LIMIT_CODE = 'P0429';
+
+// Where a linked player's round stands, matching round_players.link_status
+export const LINK_STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined'
+};
+
+const ROUND_PLAYER_COLUMNS = "id, profile_id, name, handicap, tee_set, position, player_round_id, link_status";
+
+const getGroupStorageKey = (roundId) => `round_${roundId}${GROUP_STORAGE_SUFFIX}`;
+
+/**
+ * Create a group player
+ *
+ * @param {Object} player
+ * @param {string} player.name - Name shown on the tracker and scorecard
+ * @param {string|null} player.inviteToken - From findPlayerByEmail for linked players, null for guests
+ * @param {number|null} player.handicap - Handicap for net scores
+ * @param {string} player.teeSet - TEE_SETS value
+ * @returns {Object} Player with a device-local ID
+ */
+export const createGroupPlayer = ({ name, inviteToken = null, handicap = null, teeSet = TEE_SETS.MEN }) => ({
+  id: createLocalId(),
+  name: name.trim(),
+  inviteToken,
+  handicap: typeof handicap === 'number' && !isNaN(handicap) ? handicap : null,
+  teeSet
+});
+
+/**
+ * Find another app user to link to a group by their email address
+ * Only an invite token comes back, never the player's profile; the same player found
+ * twice gets the same token. Searches are limited per hour (PLAYER_LOOKUP_LIMIT_CODE).
+ *
+ * @param {string} email - Exact email address
+ * @returns {Promise<Object|null>} { inviteToken, isYou } or null if no player matches
+ */
+export const findPlayerByEmail = async (email) => {
+  const { data, error } = await supabase.rpc("find_player_by_email", { p_email: email });
+
+  if (error) {
+    console.error("[groupService] Error finding player:", error);
+    throw error;
+  }
+
+  const match = data?.[0];
+  if (!match) return null;
+
+  return {
+    inviteToken: match.invite_token,
+    isYou: !!match.is_you
+  };
+};
+
+/**
+ * Save a round's group to the device
+ *
+ * @param {string} roundId - Round ID (local or server)
+ * @param {Object} group - { players, holes } where holes are keyed by player ID then hole number
+ */
+export const saveLocalGroup = async (roundId, group) => {
+  try {
+    await AsyncStorage.setItem(getGroupStorageKey(roundId), JSON.stringify(group));
+  } catch (error) {
+    console.error("[groupService] Failed to save group:", error);
+  }
+};
+
+/**
+ * Load a round's group from the device
+ *
+ * @returns {Promise<Object>} { players, holes } - empty for solo rounds
+ */
+export const loadLocalGroup = async (roundId) => {
+  try {
+    const groupStr = await AsyncStorage.getItem(getGroupStorageKey(roundId));
+    return groupStr ? JSON.parse(groupStr) : { players: [], holes: {} };
+  } catch (error) {
+    console.error("[groupService] Failed to load group:", error);
+    return { players: [], holes: {} };
+  }
+};
+
+/**
+ * Remove a round's group from the device
+ */
+export const clearLocalGroup = async (roundId) => {
+  await AsyncStorage.removeItem(getGroupStorageKey(roundId));
+};
+
+/**
+ * Upload the group's players and holes for a completed round
+ * Players already uploaded by an earlier attempt are reused so retries don't duplicate them
+ */
+const saveGroupPlayers = async (roundId, group) => {
+  const { data: existingPlayers, error: existingError } = await supabase
+    .from("round_players")
+    .select(ROUND_PLAYER_COLUMNS)
+    .eq("round_id", roundId)
+    .order("position");
+
+  if (existingError) throw existingError;
+  if (existingPlayers.length > 0) return existingPlayers;
+
+  const { data: savedPlayers, error: playersError } = await supabase
+    .from("round_players")
+    .insert(group.players.map((player, index) => ({
+      round_id: roundId,
+      invite_token: player.inviteToken || null,
+      name: player.name,
+      handicap: player.handicap,
+      tee_set: player.teeSet || TEE_SETS.MEN,
+      position: index + 1
+    })))
+    .select(ROUND_PLAYER_COLUMNS);
+
+  if (playersError) throw playersError;
+  return savedPlayers.sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Build a round_player_holes record from a group player's hole
+ *
+ * @param {string} roundPlayerId - round_players ID
+ * @param {number} holeNumber - Hole number
+ * @param {Object} playerHole - { score, shots, shotCounts } as kept on the device
+ * @param {Object} holeInfo - { par, index } of the hole
+ */
+const buildPlayerHoleRecord = (roundPlayerId, holeNumber, playerHole, { par, index }) => ({
+  round_player_id: roundPlayerId,
+  hole_number: holeNumber,
+  hole_data: {
+    par,
+    index,
+    shots: playerHole.shots || [],
+    shotCounts: playerHole.shotCounts || null
+  },
+  total_score: getHoleScore(playerHole)
+});
+
+/**
+ * Publish the group's scores for a finished hole so the live leaderboard shows them
+ * Rounds that haven't reached the server yet are skipped; completion uploads every hole
+ *
+ * @param {string} roundId - Round ID (local or server)
+ * @param {Object} group - { players, holes } as kept on the device
+ * @param {number} holeNumber - Hole just finished
+ * @param {Object} holeInfo - { par, index } of the hole
+ * @returns {Promise<boolean>} Whether the scores were published
+ */
+export const publishGroupHole = async (roundId, group, holeNumber, holeInfo) => {
+  if (!group?.players?.length) return false;
+
+  const serverRoundId = await resolveRoundId(roundId);
+  if (isLocalId(serverRoundId)) return false;
+
+  const savedPlayers = await saveGroupPlayers(serverRoundId, group);
+
+  const holeRecords = savedPlayers
+    .map(savedPlayer => {
+      const player = group.players[savedPlayer.position - 1];
+      const playerHole = group.holes?.[player?.id]?.[holeNumber];
+      return getHoleScore(playerHole) > 0
+        ? buildPlayerHoleRecord(savedPlayer.id, holeNumber, playerHole, holeInfo)
+        : null;
+    })
+    .filter(Boolean);
+
+  if (holeRecords.length === 0) return false;
+
+  const { error } = await supabase
+    .from("round_player_holes")
+    .upsert(holeRecords, { onConflict: "round_player_id,hole_number" });
+
+  if (error) throw error;
+
+  console.log(`[groupService] Published hole ${holeNumber} for ${holeRecords.length} group players`);
+  return true;
+};
+
+/**
+ * Complete the group side of a round
+ * Uploads every group player's holes, then offers each linked player their round.
+ * Nothing is added to a linked player's history, handicap or insights until they
+ * accept it (acceptGroupRound).
+ *
+ * @param {string} roundId - Server round ID of the owner's round
+ * @param {Object} group - { players, holes } as kept on the device
+ * @returns {Promise<Object>} { players: [{ name, linkStatus }] } with a null linkStatus for guests
+ */
+export const completeGroupRound = async (roundId, group) => {
+  if (!group?.players?.length) return { players: [] };
+
+  const { data: round, error: roundError } = await supabase
+    .from("rounds")
+    .select("course_id, hole_selection")
+    .eq("id", roundId)
+    .single();
+
+  if (roundError) throw roundError;
+
+  const { data: course, error: courseError } = await supabase
+    .from("courses")
+    .select("holes, num_holes")
+    .eq("id", round.course_id)
+    .single();
+
+  if (courseError) throw courseError;
+
+  const roundHoles = getHoleNumbers(round.hole_selection, course.num_holes);
+  const savedPlayers = await saveGroupPlayers(roundId, group);
+
+  const results = [];
+  for (const savedPlayer of savedPlayers) {
+    const player = group.players[savedPlayer.position - 1];
+    const playerHoles = group.holes?.[player?.id] || {};
+
+    const holeRecords = roundHoles
+      .filter(holeNumber => getHoleScore(playerHoles[holeNumber]) > 0)
+      .map(holeNumber => {
+        const courseHole = course.holes?.find(hole => hole.number === holeNumber);
+        return buildPlayerHoleRecord(savedPlayer.id, holeNumber, playerHoles[holeNumber], {
+          par: courseHole?.par_men || null,
+          index: courseHole?.index_men || null
+        });
+      });
+
+    if (holeRecords.length > 0) {
+      const { error: holesError } = await supabase
+        .from("round_player_holes")
+        .upsert(holeRecords, { onConflict: "round_player_id,hole_number" });
+
+      if (holesError) throw holesError;
+    }
+
+    if (!savedPlayer.profile_id) {
+      results.push({ name: savedPlayer.name, linkStatus: null });
+      continue;
+    }
+
+    const { data: linkStatus, error: linkError } = await supabase.rpc("offer_linked_player_round", {
+      p_round_player_id: savedPlayer.id
+    });
+
+    if (linkError) throw linkError;
+
+    console.log(`[groupService] Offered round to linked player ${savedPlayer.name} (${linkStatus})`);
+    results.push({ name: savedPlayer.name, linkStatus });
+  }
+
+  return { players: results };
+};
+
+/**
+ * Get the group rounds other players scored for this player that are waiting for an answer
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<Array>} [{ roundPlayerId, date, courseName, grossShots, holesScored }]
+ *   newest first
+ */
+export const getPendingGroupRounds = async (profileId) => {
+  const { data, error } = await supabase
+    .from("round_players")
+    .select(`
+      id,
+      rounds:round_id (date, created_at, courses:course_id (name)),
+      round_player_holes (total_score)
+    `)
+    .eq("profile_id", profileId)
+    .eq("link_status", LINK_STATUSES.PENDING)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    console.error("[groupService] Error loading pending group rounds:", error);
+    throw error;
+  }
+
+  return (data || []).map(entry => {
+    const holes = entry.round_player_holes || [];
+    return {
+      roundPlayerId: entry.id,
+      date: entry.rounds?.date || entry.rounds?.created_at || null,
+      courseName: entry.rounds?.courses?.name || "Unknown Course",
+      grossShots: holes.reduce((sum, hole) => sum + (hole.total_score || 0), 0),
+      holesScored: holes.length
+    };
+  });
+};
+
+/**
+ * Score an accepted group round as the player's own rounds are scored on completion
+ * Strokes gained and the traditional stats are bonus statistics, as for the player's
+ * own rounds - a failure in either leaves it null.
+ */
+const scoreAcceptedGroupRound = async (playerRoundId) => {
+  const { data: round, error: roundError } = await supabase
+    .from("rounds")
+    .select("course_id, selected_tee_name, hole_selection")
+    .eq("id", playerRoundId)
+    .single();
+
+  if (roundError) throw roundError;
+
+  const { data: course, error: courseError } = await supabase
+    .from("courses")
+    .select("par, holes, num_holes")
+    .eq("id", round.course_id)
+    .single();
+
+  if (courseError) throw courseError;
+
+  const { data: holeRecords, error: holesError } = await supabase
+    .from("shots")
+    .select("hole_number, hole_data, total_score")
+    .eq("round_id", playerRoundId);
+
+  if (holesError) throw holesError;
+
+  const grossShots = holeRecords.reduce((sum, hole) => sum + (hole.total_score || 0), 0);
+  const coursePar = calculateRoundPar(course, getHoleNumbers(round.hole_selection, course.num_holes));
+
+  let strokesGained = null;
+  try {
+    strokesGained = calculateRoundStrokesGained(holeRecords, {
+      courseHoles: course.holes,
+      teeName: round.selected_tee_name
+    });
+  } catch (sgError) {
+    console.error("[groupService] Strokes gained calculation failed:", sgError);
+  }
+
+  let traditionalStats = null;
+  try {
+    traditionalStats = calculateRoundStats(holeRecords, { courseHoles: course.holes });
+  } catch (statsError) {
+    console.error("[groupService] Traditional stats calculation failed:", statsError);
+  }
+
+  const { error: updateError } = await supabase
+    .from("rounds")
+    .update({
+      gross_shots: grossShots,
+      score: grossShots - coursePar,
+      strokes_gained: strokesGained,
+      traditional_stats: traditionalStats
+    })
+    .eq("id", playerRoundId);
+
+  if (updateError) throw updateError;
+};
+
+/**
+ * Accept a group round another player scored for this player
+ * The server creates the player's completed round from the group's holes. The app
+ * then scores it like the player's own rounds - gross shots, score, strokes gained
+ * and the traditional stats - records its course handicap and differential from the
+ * player's own handicap and tee set, refreshes the index when it counts and requests
+ * insights.
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {string} roundPlayerId - round_players ID from getPendingGroupRounds
+ * @returns {Promise<string>} The player's new round ID
+ */
+export const acceptGroupRound = async (profileId, roundPlayerId) => {
+  const { data: playerRoundId, error } = await supabase.rpc("accept_linked_player_round", {
+    p_round_player_id: roundPlayerId
+  });
+
+  if (error) {
+    console.error("[groupService] Error accepting group round:", error);
+    throw error;
+  }
+
+  console.log(`[groupService] Accepted group round as ${playerRoundId}`);
+
+  // The round is already in the player's history - these follow it without undoing it
+  try {
+    await scoreAcceptedGroupRound(playerRoundId);
+  } catch (statsError) {
+    console.error("[groupService] Scoring accepted round failed:", statsError);
+  }
+
+  try {
+    await updateHandicapAfterRound(playerRoundId);
+  } catch (handicapError) {
+    console.error("[groupService] Handicap update for accepted round failed:", handicapError);
+  }
+
+  // Insights are generated in the background, as for the player's own rounds
+  supabase.functions.invoke('analyze-golf-performance', {
+    body: { userId: profileId, roundId: playerRoundId }
+  }).then(({ error: insightsError }) => {
+    if (insightsError) console.error("[groupService] Insights for accepted round failed:", insightsError);
+  }).catch(insightsError => {
+    console.error("[groupService] Exception generating insights for accepted round:", insightsError);
+  });
+
+  return playerRoundId;
+};
+
+/**
+ * Decline a group round another player scored for this player
+ * The round stays on the owner's scorecard but never reaches this player's history
+ *
+ * @param {string} roundPlayerId - round_players ID from getPendingGroupRounds
+ */
+export const declineGroupRound = async (roundPlayerId) => {
+  const { error } = await supabase.rpc("decline_linked_player_round", {
+    p_round_player_id: roundPlayerId
+  });
+
+  if (error) {
+    console.error("[groupService] Error declining group round:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the group players of a completed round with their hole scores
+ *
+ * @param {string} roundId - Server round ID
+ * @returns {Promise<Array>} [{ id, name, profileId, handicap, teeSet, scores: { holeNumber: score } }]
+ */
+export const getRoundGroup = async (roundId) => {
+  const { data, error } = await supabase
+    .from("round_players")
+    .select("id, name, profile_id, handicap, tee_set, position, round_player_holes (hole_number, total_score)")
+    .eq("round_id", roundId)
+    .order("position");
+
+  if (error) {
+    console.error("[groupService] Error loading group:", error);
+    throw error;
+  }
+
+  return (data || []).map(player => ({
+    id: player.id,
+    name: player.name,
+    profileId: player.profile_id,
+    handicap: player.handicap !== null ? Number(player.handicap) : null,
+    teeSet: player.tee_set || TEE_SETS.MEN,
+    scores: (player.round_player_holes || []).reduce((scores, hole) => {
+      scores[hole.hole_number] = hole.total_score;
+      return scores;
+    }, {})
+  }));
+};
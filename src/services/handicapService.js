@@ -0,0 +1,411 @@
+// src/services/handicapService.js
+//
+// HANDICAP INDEX TRACKING
+// Records the course handicap for each completed round and a score differential for
+// completed 18-hole rounds, then recalculates the player's World Handicap System index
+// from their most recent 20 differentials. Ratings, pars and stroke indexes follow the
+// player's tee set (profiles.tee_set).
+// profiles.handicap follows the calculated index unless the player keeps a manual
+// handicap (profiles.handicap_manual).
+
+import { supabase } from "./supabase";
+import { getCourseHoleCount, getHoleNumbers } from "../utils/holeSelection";
+import {
+  SCORES_CONSIDERED,
+  TEE_SETS,
+  getTeeRating,
+  getHolePar,
+  getHoleStrokeIndex,
+  calculateCourseHandicap,
+  calculateAdjustedGrossScore,
+  calculateScoreDifferential,
+  calculateHandicapIndex
+} from "../utils/handicap";
+
+// Only full 18-hole rounds produce a differential
+const HANDICAP_ROUND_HOLES = 18;
+
+/**
+ * Load everything needed to score a round for handicap purposes
+ */
+const loadRoundHandicapContext = async (roundId) => {
+  const { data: round, error: roundError } = await supabase
+    .from("rounds")
+    .select("profile_id, course_id, selected_tee_id, selected_tee_name, hole_selection, course_handicap, score_differential")
+    .eq("id", roundId)
+    .single();
+
+  if (roundError) throw roundError;
+
+  const { data: course, error: courseError } = await supabase
+    .from("courses")
+    .select("par, holes, tees, num_holes")
+    .eq("id", round.course_id)
+    .single();
+
+  if (courseError) throw courseError;
+
+  const { data: profile, error: profileError } = await supabase
+    .from("profiles")
+    .select("handicap, tee_set")
+    .eq("id", round.profile_id)
+    .single();
+
+  if (profileError) throw profileError;
+
+  const { data: holeRecords, error: holesError } = await supabase
+    .from("shots")
+    .select("hole_number, hole_data, total_score")
+    .eq("round_id", roundId);
+
+  if (holesError) throw holesError;
+
+  return {
+    round,
+    course,
+    holeRecords: holeRecords || [],
+    teeSet: profile.tee_set || TEE_SETS.MEN,
+    handicapIndex: profile.handicap !== null ? Number(profile.handicap) : null
+  };
+};
+
+/**
+ * Calculate the course handicap a round was played off and, for rounds that count,
+ * its adjusted gross score and score differential
+ * Shared by the owner's round and the rounds of linked players in a group
+ *
+ * @param {Object} params
+ * @param {Object} params.round - Round with selected_tee_id, selected_tee_name and hole_selection
+ * @param {Object} params.course - Course with par, holes, tees and num_holes
+ * @param {Array} params.holeRecords - Hole records with hole_number, hole_data and total_score
+ * @param {number|null} params.handicapIndex - Player's handicap index
+ * @param {string} params.teeSet - Player's TEE_SETS value
+ * @param {number|null} params.courseHandicap - Course handicap the round was played off,
+ *   when already known (otherwise calculated from the handicap index)
+ * @returns {Object} { courseHandicap, adjustedGrossScore, scoreDifferential }
+ *   (differential values are null for rounds that can't count)
+ */
+export const calculateRoundHandicap = ({
+  round,
+  course,
+  holeRecords,
+  handicapIndex,
+  teeSet = TEE_SETS.MEN,
+  courseHandicap: playedCourseHandicap = null
+}) => {
+  // Holes covered by the round with their par and stroke index for the player's tee set
+  const holes = getHoleNumbers(round.hole_selection, course.num_holes).map(holeNumber => {
+    const courseHole = Array.isArray(course.holes)
+      ? course.holes.find(hole => hole.number === holeNumber)
+      : null;
+    const record = holeRecords.find(holeRecord => holeRecord.hole_number === holeNumber);
+
+    return {
+      number: holeNumber,
+      par: getHolePar(courseHole, teeSet) || record?.hole_data?.par || null,
+      strokeIndex: getHoleStrokeIndex(courseHole, teeSet) || record?.hole_data?.index || null,
+      score: record?.total_score || 0
+    };
+  });
+  const teeRating = getTeeRating(course.tees, round.selected_tee_id, round.selected_tee_name, teeSet);
+
+  const roundPar = holes.every(hole => typeof hole.par === "number")
+    ? holes.reduce((sum, hole) => sum + hole.par, 0)
+    : null;
+  const courseHandicap = playedCourseHandicap ?? calculateCourseHandicap(handicapIndex, teeRating, roundPar, holes.length);
+
+  const result = { courseHandicap, adjustedGrossScore: null, scoreDifferential: null };
+
+  // Only full, rated 18-hole rounds with every hole scored count towards the index
+  const isFullRound = !round.hole_selection || round.hole_selection === "full";
+  const isScored = holes.every(hole => hole.score > 0);
+
+  if (isFullRound && getCourseHoleCount(course.num_holes) === HANDICAP_ROUND_HOLES &&
+      teeRating && roundPar && isScored) {
+    result.adjustedGrossScore = calculateAdjustedGrossScore(holes, courseHandicap);
+    result.scoreDifferential = calculateScoreDifferential(result.adjustedGrossScore, teeRating);
+  }
+
+  return result;
+};
+
+/**
+ * Calculate the course handicap a round was played off and its score differential
+ * The course handicap uses the player's handicap at the time of the round so net
+ * scores on old scorecards don't change as the handicap moves
+ *
+ * @param {string} roundId - Server round ID
+ * @param {Object} options
+ * @param {boolean} options.keepCourseHandicap - Reuse the course handicap already stored
+ *   on the round, when rescoring an edited round
+ * @returns {Promise<Object>} { courseHandicap, adjustedGrossScore, scoreDifferential,
+ *   previousDifferential, profileId } (differential values are null for rounds that can't count)
+ */
+export const recordRoundHandicap = async (roundId, { keepCourseHandicap = false } = {}) => {
+  const context = await loadRoundHandicapContext(roundId);
+  const { round } = context;
+  const result = calculateRoundHandicap({
+    ...context,
+    courseHandicap: keepCourseHandicap ? round.course_handicap : null
+  });
+
+  if (result.scoreDifferential === null) {
+    console.log(`[handicapService] Round ${roundId} is not a complete, rated 18-hole round, not counted`);
+  }
+
+  const { error: updateError } = await supabase
+    .from("rounds")
+    .update({
+      course_handicap: result.courseHandicap,
+      adjusted_gross_score: result.adjustedGrossScore,
+      score_differential: result.scoreDifferential
+    })
+    .eq("id", roundId);
+
+  if (updateError) throw updateError;
+
+  console.log(`[handicapService] Round ${roundId}: course handicap ${result.courseHandicap}, differential ${result.scoreDifferential}`);
+  return { ...result, previousDifferential: round.score_differential, profileId: round.profile_id };
+};
+
+/**
+ * Load a player's most recent score differentials, newest first
+ */
+const getRecentDifferentials = async (profileId) => {
+  const { data, error } = await supabase
+    .from("rounds")
+    .select("id, created_at, adjusted_gross_score, score_differential, courses:course_id (name)")
+    .eq("profile_id", profileId)
+    .eq("is_complete", true)
+    .eq("exclude_from_stats", false)
+    .not("score_differential", "is", null)
+    .order("created_at", { ascending: false })
+    .limit(SCORES_CONSIDERED);
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Clear a calculated index that no longer has enough scores behind it, as when
+ * rounds are deleted or excluded, so it isn't used for course handicaps
+ * A manual handicap is kept
+ */
+const clearHandicapIndex = async (profileId) => {
+  const { data: profile, error: profileError } = await supabase
+    .from("profiles")
+    .select("handicap_index, handicap_manual")
+    .eq("id", profileId)
+    .single();
+
+  if (profileError) throw profileError;
+  if (profile.handicap_index === null) return;
+
+  const profileUpdate = {
+    handicap_index: null,
+    updated_at: new Date().toISOString()
+  };
+  if (!profile.handicap_manual) {
+    profileUpdate.handicap = null;
+  }
+
+  const { error: updateError } = await supabase
+    .from("profiles")
+    .update(profileUpdate)
+    .eq("id", profileId);
+
+  if (updateError) throw updateError;
+
+  console.log(`[handicapService] Handicap index cleared for ${profileId}`);
+};
+
+/**
+ * Recalculate a player's handicap index and record it in the history
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {string} roundId - Round that triggered the recalculation
+ * @returns {Promise<Object|null>} The index calculation, or null with fewer than 3 scores
+ *   (when any index the player had is cleared)
+ */
+export const updateHandicapIndex = async (profileId, roundId = null) => {
+  const recentRounds = await getRecentDifferentials(profileId);
+  const result = calculateHandicapIndex(recentRounds.map(round => Number(round.score_differential)));
+
+  if (!result) {
+    console.log(`[handicapService] ${recentRounds.length} scores recorded, index needs at least 3`);
+    await clearHandicapIndex(profileId);
+    return null;
+  }
+
+  const { error: historyError } = await supabase
+    .from("handicap_history")
+    .insert({
+      profile_id: profileId,
+      round_id: roundId,
+      handicap_index: result.handicapIndex,
+      scores_counted: result.scoresCounted,
+      differentials_used: result.differentialsUsed
+    });
+
+  if (historyError) throw historyError;
+
+  const { data: profile, error: profileError } = await supabase
+    .from("profiles")
+    .select("handicap_manual")
+    .eq("id", profileId)
+    .single();
+
+  if (profileError) throw profileError;
+
+  // A manual handicap is kept, the calculated index is still stored alongside it
+  const profileUpdate = {
+    handicap_index: result.handicapIndex,
+    updated_at: new Date().toISOString()
+  };
+  if (!profile.handicap_manual) {
+    profileUpdate.handicap = result.handicapIndex;
+  }
+
+  const { error: updateError } = await supabase
+    .from("profiles")
+    .update(profileUpdate)
+    .eq("id", profileId);
+
+  if (updateError) throw updateError;
+
+  console.log(`[handicapService] Handicap index updated to ${result.handicapIndex} (best ${result.differentialsUsed} of ${result.scoresCounted})`);
+  return result;
+};
+
+/**
+ * Record a completed round's course handicap and differential, then refresh the player's index
+ *
+ * @param {string} roundId - Server round ID
+ * @returns {Promise<Object|null>} The index calculation, or null if the round didn't count
+ */
+export const updateHandicapAfterRound = async (roundId) => {
+  const roundHandicap = await recordRoundHandicap(roundId);
+  if (roundHandicap.scoreDifferential === null) return null;
+
+  return updateHandicapIndex(roundHandicap.profileId, roundId);
+};
+
+/**
+ * Rescore an edited round and refresh the player's index if the round counts, or counted
+ * before the edit. The round keeps the course handicap it was played off unless its tee
+ * changed, when the course handicap is recalculated from the player's current handicap.
+ *
+ * @param {string} roundId - Server round ID
+ * @param {Object} options
+ * @param {boolean} options.teeChanged - The edit moved the round to a different tee
+ * @returns {Promise<Object|null>} The index calculation, or null if the index wasn't affected
+ */
+export const updateHandicapAfterEdit = async (roundId, { teeChanged = false } = {}) => {
+  const roundHandicap = await recordRoundHandicap(roundId, { keepCourseHandicap: !teeChanged });
+  if (roundHandicap.scoreDifferential === null && roundHandicap.previousDifferential === null) return null;
+
+  return updateHandicapIndex(roundHandicap.profileId, roundId);
+};
+
+/**
+ * Get a player's handicap, calculated index, index history and counting scores
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<Object>} { handicap, handicapIndex, handicapManual, teeSet, history, recentScores }
+ */
+export const getHandicapSummary = async (profileId) => {
+  const { data: profile, error: profileError } = await supabase
+    .from("profiles")
+    .select("handicap, handicap_index, handicap_manual, tee_set")
+    .eq("id", profileId)
+    .single();
+
+  if (profileError) throw profileError;
+
+  const { data: history, error: historyError } = await supabase
+    .from("handicap_history")
+    .select("id, handicap_index, scores_counted, differentials_used, created_at")
+    .eq("profile_id", profileId)
+    .order("created_at", { ascending: false })
+    .limit(SCORES_CONSIDERED);
+
+  if (historyError) throw historyError;
+
+  const recentRounds = await getRecentDifferentials(profileId);
+  const result = calculateHandicapIndex(recentRounds.map(round => Number(round.score_differential)));
+  const usedIndexes = new Set(result?.usedIndexes || []);
+
+  return {
+    handicap: profile.handicap !== null ? Number(profile.handicap) : null,
+    handicapIndex: profile.handicap_index !== null ? Number(profile.handicap_index) : null,
+    handicapManual: profile.handicap_manual,
+    teeSet: profile.tee_set || TEE_SETS.MEN,
+    history: (history || []).map(entry => ({
+      ...entry,
+      handicap_index: Number(entry.handicap_index)
+    })),
+    recentScores: recentRounds.map((round, index) => ({
+      roundId: round.id,
+      date: round.created_at,
+      courseName: round.courses?.name || "Unknown Course",
+      adjustedGrossScore: round.adjusted_gross_score,
+      scoreDifferential: Number(round.score_differential),
+      counted: usedIndexes.has(index)
+    }))
+  };
+};
+
+/**
+ * Switch between a manual handicap and the calculated index
+ * Turning the manual handicap off adopts the calculated index straight away
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {boolean} manual - Keep the manually entered handicap
+ * @returns {Promise<number|null>} The handicap now in use
+ */
+export const setHandicapManual = async (profileId, manual) => {
+  const { data: profile, error: profileError } = await supabase
+    .from("profiles")
+    .select("handicap, handicap_index")
+    .eq("id", profileId)
+    .single();
+
+  if (profileError) throw profileError;
+
+  const profileUpdate = {
+    handicap_manual: manual,
+    updated_at: new Date().toISOString()
+  };
+  if (!manual && profile.handicap_index !== null) {
+    profileUpdate.handicap = profile.handicap_index;
+  }
+
+  const { error } = await supabase
+    .from("profiles")
+    .update(profileUpdate)
+    .eq("id", profileId);
+
+  if (error) throw error;
+
+  const handicap = profileUpdate.handicap ?? profile.handicap;
+  return handicap !== null ? Number(handicap) : null;
+};
+
+/**
+ * Save which ratings, pars and stroke indexes the player uses
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {string} teeSet - TEE_SETS value
+ */
+export const setTeeSet = async (profileId, teeSet) => {
+  const { error } = await supabase
+    .from("profiles")
+    .update({
+      tee_set: teeSet,
+      updated_at: new Date().toISOString()
+    })
+    .eq("id", profileId);
+
+  if (error) throw error;
+  return teeSet;
+};
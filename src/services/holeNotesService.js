@@ -0,0 +1,105 @@
+// src/services/holeNotesService.js
+//
+// HOLE MEDIA
+// Photos and voice memos attached to hole notes are uploaded to the private hole-media
+// storage bucket under the player's own folder, <profile id>/<round id>/, which the
+// bucket policies require. Media is shown through short-lived signed URLs.
+
+import * as FileSystem from "expo-file-system";
+import { supabase } from "./supabase";
+import { HOLE_MEDIA_TYPES } from "../utils/holeNotes";
+
+const HOLE_MEDIA_BUCKET = "hole-media";
+
+// Signed URLs last long enough to look through a scorecard
+const SIGNED_URL_EXPIRY_SECONDS = 60 * 60;
+
+const MEDIA_FILE_TYPES = {
+  [HOLE_MEDIA_TYPES.PHOTO]: { extension: "jpg", contentType: "image/jpeg" },
+  [HOLE_MEDIA_TYPES.VOICE]: { extension: "m4a", contentType: "audio/m4a" }
+};
+
+/**
+ * Read a local file into an ArrayBuffer for upload
+ * supabase-js can't upload React Native blobs, so the file is read as base64
+ */
+const readFileBytes = async (uri) => {
+  const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+  return Uint8Array.from(atob(base64), character => character.charCodeAt(0)).buffer;
+};
+
+/**
+ * Upload a photo or voice memo taken on a hole
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {string} roundId - Round ID (a local ID for rounds still waiting to sync)
+ * @param {number} holeNumber - Hole the media belongs to
+ * @param {Object} media
+ * @param {string} media.type - HOLE_MEDIA_TYPES value
+ * @param {string} media.uri - Local file URI from the camera or recorder
+ * @param {number} media.durationMs - Length of a voice memo
+ * @returns {Promise<Object>} Media item for hole_data.notes.media ({ type, path, createdAt, durationMs })
+ */
+export const uploadHoleMedia = async (profileId, roundId, holeNumber, { type, uri, durationMs = null }) => {
+  const fileType = MEDIA_FILE_TYPES[type];
+  const createdAt = new Date().toISOString();
+  const path = `${profileId}/${roundId}/hole-${holeNumber}-${Date.now()}.${fileType.extension}`;
+
+  try {
+    const { error } = await supabase.storage
+      .from(HOLE_MEDIA_BUCKET)
+      .upload(path, await readFileBytes(uri), { contentType: fileType.contentType });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error("[uploadHoleMedia] Error uploading hole media:", error);
+    throw error;
+  }
+
+  return {
+    type,
+    path,
+    createdAt,
+    ...(type === HOLE_MEDIA_TYPES.VOICE ? { durationMs } : {})
+  };
+};
+
+/**
+ * Remove photos and voice memos from storage
+ *
+ * @param {Array<string>} paths - Object paths from media items
+ */
+export const deleteHoleMedia = async (paths) => {
+  if (!paths || paths.length === 0) return;
+
+  const { error } = await supabase.storage.from(HOLE_MEDIA_BUCKET).remove(paths);
+
+  if (error) {
+    console.error("[deleteHoleMedia] Error deleting hole media:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get signed URLs to show hole media
+ *
+ * @param {Array<string>} paths - Object paths from media items
+ * @returns {Promise<Object>} Signed URL keyed by path (paths that couldn't be signed are left out)
+ */
+export const getHoleMediaUrls = async (paths) => {
+  if (!paths || paths.length === 0) return {};
+
+  const { data, error } = await supabase.storage
+    .from(HOLE_MEDIA_BUCKET)
+    .createSignedUrls(paths, SIGNED_URL_EXPIRY_SECONDS);
+
+  if (error) {
+    console.error("[getHoleMediaUrls] Error signing hole media URLs:", error);
+    throw error;
+  }
+
+  return (data || []).reduce((urls, item) => {
+    if (item.signedUrl && !item.error) urls[item.path] = item.signedUrl;
+    return urls;
+  }, {});
+};
@@ -0,0 +1,328 @@
+// src/services/leaderboardService.js
+//
+// LIVE LEADERBOARD
+// Events tie together the rounds of players in different groups. Players create an
+// event or join one with its code before starting their round. While a live round is
+// played, each finished hole is saved straight away (shots for the round owner,
+// round_player_holes for the rest of the group) and Supabase realtime tells everyone
+// watching the leaderboard to refresh. Group rounds outside an event have a leaderboard
+// of their own, so linked players can follow the group's scores.
+
+import { supabase } from "./supabase";
+import { getHoleNumbers, getPlayingOrder } from "../utils/holeSelection";
+import { TEE_SETS } from "../utils/handicap";
+import { calculateStanding, calculateLiveCourseHandicap } from "../utils/leaderboard";
+
+// Join codes avoid characters that are easy to mix up (0/O, 1/I)
+const JOIN_CODE_CHARACTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const JOIN_CODE_LENGTH = 6;
+const JOIN_CODE_ATTEMPTS = 3;
+
+// Postgres unique violation, raised when a generated join code is already taken
+const UNIQUE_VIOLATION = "23505";
+
+// Changes arriving together (a whole group's hole) refresh the leaderboard once
+const LIVE_REFRESH_DELAY_MS = 500;
+
+const EVENT_FIELDS = "id, name, course_id, event_date, join_code, created_by";
+
+const ROUND_FIELDS = `
+  id, profile_id, course_id, event_id, is_complete, hole_selection, starting_hole,
+  selected_tee_id, selected_tee_name, course_handicap,
+  shots (hole_number, total_score),
+  round_players!round_players_round_id_fkey (
+    id, name, profile_id, handicap, tee_set, position,
+    round_player_holes (hole_number, total_score)
+  )
+`;
+
+const generateJoinCode = () => {
+  let code = "";
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_CHARACTERS[Math.floor(Math.random() * JOIN_CODE_CHARACTERS.length)];
+  }
+  return code;
+};
+
+// Events are dated by the organiser's local day
+const getLocalDate = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  const day = String(now.getDate()).padStart(2, "0");
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+const toHandicap = (value) => value !== null && value !== undefined ? Number(value) : null;
+
+/**
+ * Create an event for today and enter the organiser into it
+ *
+ * @param {Object} params
+ * @param {string} params.profileId - Organiser's profile ID
+ * @param {string} params.name - Event name
+ * @param {string} params.courseId - Course the event is played on
+ * @param {string} params.displayName - Organiser's name on the leaderboard
+ * @returns {Promise<Object>} The event, including the join code to share
+ */
+export const createEvent = async ({ profileId, name, courseId, displayName }) => {
+  let event = null;
+
+  for (let attempt = 0; attempt < JOIN_CODE_ATTEMPTS && !event; attempt++) {
+    const { data, error } = await supabase
+      .from("events")
+      .insert({
+        name,
+        course_id: courseId,
+        event_date: getLocalDate(),
+        join_code: generateJoinCode(),
+        created_by: profileId
+      })
+      .select(EVENT_FIELDS)
+      .single();
+
+    if (error && error.code !== UNIQUE_VIOLATION) {
+      console.error("[leaderboardService] Error creating event:", error);
+      throw error;
+    }
+    event = data;
+  }
+
+  if (!event) throw new Error("Couldn't generate a unique join code");
+
+  await joinEvent(event.join_code, displayName);
+
+  console.log(`[leaderboardService] Created event ${event.name} (${event.join_code})`);
+  return event;
+};
+
+/**
+ * Join an event with its code
+ * The player's handicap and tee set are copied to their entry for net standings
+ *
+ * @param {string} joinCode - Code shared by the organiser
+ * @param {string} displayName - Player's name on the leaderboard
+ * @returns {Promise<Object|null>} The event, or null if no event uses the code
+ */
+export const joinEvent = async (joinCode, displayName) => {
+  const { data: eventId, error } = await supabase.rpc("join_event", {
+    p_join_code: joinCode,
+    p_display_name: displayName
+  });
+
+  if (error) {
+    console.error("[leaderboardService] Error joining event:", error);
+    throw error;
+  }
+
+  if (!eventId) return null;
+
+  const { data: event, error: eventError } = await supabase
+    .from("events")
+    .select(EVENT_FIELDS)
+    .eq("id", eventId)
+    .single();
+
+  if (eventError) throw eventError;
+  return event;
+};
+
+/**
+ * Get today's events the player has joined
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<Array>} Events, newest first
+ */
+export const getTodaysEvents = async (profileId) => {
+  const { data, error } = await supabase
+    .from("event_entries")
+    .select(`events (${EVENT_FIELDS})`)
+    .eq("profile_id", profileId);
+
+  if (error) {
+    console.error("[leaderboardService] Error loading events:", error);
+    throw error;
+  }
+
+  const today = getLocalDate();
+  return (data || [])
+    .map(entry => entry.events)
+    .filter(event => event && event.event_date === today)
+    .reverse();
+};
+
+/**
+ * Load the rounds on a leaderboard
+ */
+const loadLeaderboardRounds = async ({ eventId, roundId }) => {
+  let query = supabase.from("rounds").select(ROUND_FIELDS);
+  query = eventId ? query.eq("event_id", eventId) : query.eq("id", roundId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Get the standings for an event, or for a single group round
+ * Every player is included: round owners and the other players in their groups.
+ * Rankings are left to rankStandings so the screen can switch between gross and net.
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event to show (takes precedence)
+ * @param {string} params.roundId - Group round to show when there's no event
+ * @param {string} params.profileId - Viewing player, shown as "You"
+ * @returns {Promise<Object>} { event, players, roundIds, roundPlayerIds } where each player has
+ *   { id, roundId, name, isComplete, thru, gross, toPar, netToPar, holes } and roundPlayerIds
+ *   are the round_players IDs of the group players
+ */
+export const getLeaderboard = async ({ eventId = null, roundId = null, profileId = null }) => {
+  try {
+    let event = null;
+    let entries = [];
+
+    if (eventId) {
+      const { data: eventData, error: eventError } = await supabase
+        .from("events")
+        .select(EVENT_FIELDS)
+        .eq("id", eventId)
+        .single();
+
+      if (eventError) throw eventError;
+      event = eventData;
+
+      const { data: entryData, error: entriesError } = await supabase
+        .from("event_entries")
+        .select("profile_id, display_name, handicap, tee_set")
+        .eq("event_id", eventId);
+
+      if (entriesError) throw entriesError;
+      entries = entryData || [];
+    }
+
+    const rounds = await loadLeaderboardRounds({ eventId, roundId });
+    if (rounds.length === 0) return { event, players: [], roundIds: [], roundPlayerIds: [] };
+
+    const { data: courses, error: coursesError } = await supabase
+      .from("courses")
+      .select("id, holes, tees, num_holes")
+      .in("id", [...new Set(rounds.map(round => round.course_id))]);
+
+    if (coursesError) throw coursesError;
+
+    // Only the viewer's own profile is readable; everyone else's handicap comes from their entry
+    const { data: profiles } = await supabase
+      .from("profiles")
+      .select("id, handicap, tee_set")
+      .in("id", [...new Set(rounds.map(round => round.profile_id))]);
+
+    const players = [];
+
+    rounds.forEach(round => {
+      const course = (courses || []).find(candidate => candidate.id === round.course_id);
+      const holeNumbers = getPlayingOrder(getHoleNumbers(round.hole_selection, course?.num_holes), round.starting_hole);
+
+      const addPlayer = ({ id, name, handicapIndex, teeSet, courseHandicap = null, holeRecords }) => {
+        const holeScores = (holeRecords || []).reduce((scores, record) => {
+          scores[record.hole_number] = record.total_score || 0;
+          return scores;
+        }, {});
+
+        players.push({
+          id,
+          roundId: round.id,
+          name,
+          isComplete: round.is_complete,
+          ...calculateStanding({
+            holeNumbers,
+            courseHoles: course?.holes,
+            holeScores,
+            courseHandicap: courseHandicap ?? calculateLiveCourseHandicap({ handicapIndex, course, round, holeNumbers, teeSet }),
+            teeSet
+          })
+        });
+      };
+
+      const entry = entries.find(candidate => candidate.profile_id === round.profile_id);
+      const profile = (profiles || []).find(candidate => candidate.id === round.profile_id);
+
+      addPlayer({
+        id: round.id,
+        name: round.profile_id === profileId ? "You" : entry?.display_name || "Player",
+        handicapIndex: toHandicap(entry?.handicap ?? profile?.handicap),
+        teeSet: entry?.tee_set || profile?.tee_set || TEE_SETS.MEN,
+        courseHandicap: round.course_handicap,
+        holeRecords: round.shots
+      });
+
+      [...(round.round_players || [])]
+        .sort((a, b) => a.position - b.position)
+        .forEach(player => addPlayer({
+          id: player.id,
+          name: player.profile_id === profileId ? "You" : player.name,
+          handicapIndex: toHandicap(player.handicap),
+          teeSet: player.tee_set || TEE_SETS.MEN,
+          holeRecords: player.round_player_holes
+        }));
+    });
+
+    return {
+      event,
+      players,
+      roundIds: rounds.map(round => round.id),
+      roundPlayerIds: rounds.flatMap(round => (round.round_players || []).map(player => player.id))
+    };
+  } catch (error) {
+    console.error("[leaderboardService] Error loading leaderboard:", error);
+    throw error;
+  }
+};
+
+/**
+ * Follow a leaderboard live
+ * Calls onChange (debounced) whenever a round joins the event, a group player is added
+ * or a hole is saved. Only the rounds and group players passed in are followed, so
+ * subscribe again when the leaderboard's rounds or players change.
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event being followed, if any
+ * @param {Array<string>} params.roundIds - Rounds currently on the leaderboard
+ * @param {Array<string>} params.roundPlayerIds - Group players currently on the leaderboard
+ * @param {Function} onChange - Called when the leaderboard should be reloaded
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToLeaderboard = ({ eventId = null, roundIds = [], roundPlayerIds = [] }, onChange) => {
+  let refreshTimer = null;
+  const notify = () => {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(onChange, LIVE_REFRESH_DELAY_MS);
+  };
+
+  const channel = supabase.channel(`leaderboard:${eventId || roundIds[0]}`);
+
+  if (eventId) {
+    channel.on("postgres_changes", { event: "*", schema: "public", table: "rounds", filter: `event_id=eq.${eventId}` }, notify);
+  }
+  if (roundIds.length > 0) {
+    const roundFilter = `round_id=in.(${roundIds.join(",")})`;
+    channel.on("postgres_changes", { event: "*", schema: "public", table: "shots", filter: roundFilter }, notify);
+    channel.on("postgres_changes", { event: "*", schema: "public", table: "round_players", filter: roundFilter }, notify);
+  }
+  // Group players' holes are matched through their player, as they carry no round ID
+  if (roundPlayerIds.length > 0) {
+    channel.on("postgres_changes", {
+      event: "*",
+      schema: "public",
+      table: "round_player_holes",
+      filter: `round_player_id=in.(${roundPlayerIds.join(",")})`
+    }, notify);
+  }
+
+  channel.subscribe((status) => {
+    console.log(`[leaderboardService] Live updates ${status}`);
+  });
+
+  return () => {
+    clearTimeout(refreshTimer);
+    supabase.removeChannel(channel);
+  };
+};
@@ -0,0 +1,79 @@
+// src/services/paceService.js
+//
+// PACE OF PLAY TARGETS
+// The player's own target round time, set from the profile. It's cached locally so the
+// tracker's pace indicator still has it on the course without a connection. Course
+// targets come with the course row (courses.pace_of_play_minutes).
+
+import { supabase } from './supabase';
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Storage key prefix for the cached pace target
+const PACE_TARGET_CACHE_PREFIX = 'pace_target_';
+
+// Target round times accepted, matching profiles_pace_target_minutes_check
+export const PACE_TARGET_RANGE = { min: 120, max: 360 };
+
+/**
+ * Get the player's target time for 18 holes
+ * Falls back to the cached value when Supabase can't be reached
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<number|null>} Minutes, or null when not set
+ */
+export const getPaceTarget = async (profileId) => {
+  if (!profileId) return null;
+
+  const cacheKey = `${PACE_TARGET_CACHE_PREFIX}${profileId}`;
+
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('pace_target_minutes')
+      .eq('id', profileId)
+      .single();
+
+    if (error) throw error;
+
+    const minutes = data?.pace_target_minutes ?? null;
+    await AsyncStorage.setItem(cacheKey, JSON.stringify(minutes));
+    return minutes;
+  } catch (error) {
+    console.error("[paceService] Error loading pace target, using cached copy:", error);
+    try {
+      const cached = await AsyncStorage.getItem(cacheKey);
+      return cached ? JSON.parse(cached) : null;
+    } catch (cacheError) {
+      return null;
+    }
+  }
+};
+
+/**
+ * Save the player's target time for 18 holes
+ *
+ * @param {string} profileId - Player's profile ID
+ * @param {number|null} minutes - Minutes within PACE_TARGET_RANGE, or null to use the course's target
+ * @returns {Promise<number|null>} The saved target
+ */
+export const setPaceTarget = async (profileId, minutes) => {
+  if (minutes !== null && !(minutes >= PACE_TARGET_RANGE.min && minutes <= PACE_TARGET_RANGE.max)) {
+    throw new Error(`Pace target must be between ${PACE_TARGET_RANGE.min} and ${PACE_TARGET_RANGE.max} minutes`);
+  }
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({
+      pace_target_minutes: minutes,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', profileId);
+
+  if (error) {
+    console.error("[paceService] Error saving pace target:", error);
+    throw error;
+  }
+
+  await AsyncStorage.setItem(`${PACE_TARGET_CACHE_PREFIX}${profileId}`, JSON.stringify(minutes));
+  return minutes;
+};
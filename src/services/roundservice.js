@@ -3,9 +3,39 @@
 // ENHANCED ROUND COMPLETION RELIABILITY REDESIGN
 // Transforms monolithic completion into sequential, recoverable operations
 // with granular error handling, comprehensive telemetry, and checkpoint-based recovery
+//
+// OFFLINE SUPPORT: Round creation, hole saves and round completion fall back to the
+// sync queue (syncQueue.js) when Supabase can't be reached, and replay once back online
 
-import { supabase } from "./supabase";
+import { supabase, selectAllForIds } from "./supabase";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { 
+  HOLE_SELECTIONS, 
+  getHoleNumbers, 
+  getPlayingOrder, 
+  calculateRoundPar 
+} from "../utils/holeSelection";
+import { calculateRoundStrokesGained } from "../utils/strokesGained";
+import { calculateRoundStats } from "../utils/traditionalStats";
+import { SCORING_FORMATS, buildScoringHoles, scoreRound } from "../utils/scoringFormats";
+import { TEE_SETS } from "../utils/handicap";
+import { getHoleScore, createQuickScore } from "../utils/quickScore";
+import { hasHoleNotes } from "../utils/holeNotes";
+import { updateHandicapAfterRound, updateHandicapAfterEdit, updateHandicapIndex } from "./handicapService";
+import { loadLocalGroup, clearLocalGroup, completeGroupRound } from "./groupService";
+import { deleteHoleMedia } from "./holeNotesService";
+import {
+  SYNC_OPERATIONS,
+  registerSyncHandler,
+  enqueueSyncOperation,
+  processSyncQueue,
+  hasPendingSyncForRound,
+  removeSyncOperationsForRound,
+  resolveRoundId,
+  createLocalId,
+  isLocalId,
+  isNetworkError
+} from "./syncQueue";
 
 // PostHog integration for comprehensive completion telemetry
 // This will be injected by the consuming component to avoid circular dependencies
@@ -141,6 +171,7 @@ const detectResumePoint = async (roundId) => {
     'validateData', 
     'saveToDatabase', 
     'markComplete', 
+    'completeGroup', 
     'generateInsights', 
     'cleanup'
   ];
@@ -249,8 +280,10 @@ const retrieveAllHoleData = async (roundId) => {
 /**
  * Step 3: Validate hole data integrity
  * Ensures data quality before database persistence
+ * When expectedHoles is provided, holes outside the round's selection are rejected
+ * and missing holes are reported
  */
-const validateHoleData = (holeData) => {
+const validateHoleData = (holeData, expectedHoles = null) => {
   const stepName = 'validateData';
   console.log(`[RoundCompletion] ${stepName}: Validating hole data integrity`);
   
@@ -259,12 +292,18 @@ const validateHoleData = (holeData) => {
     const errors = [];
     
     Object.entries(holeData).forEach(([holeNum, data]) => {
+      if (expectedHoles && !expectedHoles.includes(parseInt(holeNum, 10))) {
+        errors.push(`Hole ${holeNum}: Not part of this round`);
+        return;
+      }
+      
       if (!data || !data.shots || !Array.isArray(data.shots)) {
         errors.push(`Hole ${holeNum}: Missing or invalid shots data`);
         return;
       }
       
-      if (data.shots.length === 0) {
+      // Quick score holes carry a score and no shots
+      if (getHoleScore(data) === 0) {
         errors.push(`Hole ${holeNum}: No shots recorded`);
         return;
       }
@@ -276,6 +315,12 @@ const validateHoleData = (holeData) => {
       throw new Error('No valid holes found in data');
     }
     
+    if (expectedHoles) {
+      expectedHoles
+        .filter(holeNum => !validHoles.includes(String(holeNum)))
+        .forEach(holeNum => errors.push(`Hole ${holeNum}: No data recorded`));
+    }
+    
     console.log(`[RoundCompletion] ${stepName}: Validated ${validHoles.length} holes, ${errors.length} errors`);
     return { 
       success: true, 
@@ -294,35 +339,29 @@ const validateHoleData = (holeData) => {
  * Step 4: Save all hole data to database
  * Persists validated data with transactional safety
  */
-const saveHolesToDatabase = async (roundId, holeData) => {
+const saveHolesToDatabase = async (roundId, holeData, validHoles = null) => {
   const stepName = 'saveToDatabase';
   console.log(`[RoundCompletion] ${stepName}: Saving holes to database`);
   
   try {
     const savedHoles = [];
-    const totalHoles = 18;
     
-    for (let holeNum = 1; holeNum <= totalHoles; holeNum++) {
+    // Follow the holes actually stored for this round rather than a fixed 1-18 range
+    const holeNumbers = (validHoles || Object.keys(holeData))
+      .map(holeNum => parseInt(holeNum, 10))
+      .filter(holeNum => !isNaN(holeNum))
+      .sort((a, b) => a - b);
+    
+    for (const holeNum of holeNumbers) {
       // Skip holes with no data
-      if (!holeData[holeNum] || !holeData[holeNum].shots || holeData[holeNum].shots.length === 0) {
+      if (!holeData[holeNum] || !holeData[holeNum].shots || getHoleScore(holeData[holeNum]) === 0) {
         continue;
       }
       
       const holeInfo = holeData[holeNum];
-      const totalScore = holeInfo.shots.length;
-      
-      // Create hole data object including POI data
-      const holeDataForDb = {
-        par: holeInfo.par,
-        distance: holeInfo.distance,
-        index: holeInfo.index,
-        features: holeInfo.features || [],
-        shots: holeInfo.shots,
-        poi: holeInfo.poi || null
-      };
       
       // Save to database using existing saveHoleData function
-      await saveHoleData(roundId, holeNum, holeDataForDb, totalScore);
+      await saveHoleData(roundId, holeNum, buildHoleRecordData(holeInfo), getHoleScore(holeInfo));
       savedHoles.push(holeNum);
     }
     
@@ -339,17 +378,52 @@ const saveHolesToDatabase = async (roundId, holeData) => {
   }
 };
 
+/**
+ * Build the hole_data saved to shots from a hole's tracking state, including POI data
+ * Quick score holes add their putts, fairway and green stats, noted holes their notes,
+ * and timed holes when play moved onto and off them
+ */
+const buildHoleRecordData = (holeInfo) => ({
+  par: holeInfo.par,
+  distance: holeInfo.distance,
+  index: holeInfo.index,
+  features: holeInfo.features || [],
+  shots: holeInfo.shots || [],
+  poi: holeInfo.poi || null,
+  ...(holeInfo.quickScore ? { quickScore: holeInfo.quickScore } : {}),
+  ...(hasHoleNotes(holeInfo.notes) ? { notes: holeInfo.notes } : {}),
+  ...(holeInfo.timing ? { timing: holeInfo.timing } : {})
+});
+
 /**
  * Step 5: Mark round as complete with calculated statistics
  * Updates round status and triggers downstream processes
+ * Queues the completion when offline or when earlier writes for the round are still queued
  */
-const markRoundComplete = async (roundId) => {
+const markRoundComplete = async (roundId, userId) => {
   const stepName = 'markComplete';
   console.log(`[RoundCompletion] ${stepName}: Marking round as complete`);
   
   try {
+    const serverRoundId = await resolveRoundId(roundId);
+    
+    if (isLocalId(serverRoundId) || await hasPendingSyncForRound(roundId)) {
+      await enqueueSyncOperation(SYNC_OPERATIONS.COMPLETE_ROUND, { roundId, userId });
+      console.log(`[RoundCompletion] ${stepName}: Round completion queued until back online`);
+      return { success: true, step: stepName, queued: true };
+    }
+    
     // Use existing completeRound function which handles statistics calculation
-    const result = await completeRound(roundId);
+    let result;
+    try {
+      result = await completeRound(serverRoundId);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      
+      await enqueueSyncOperation(SYNC_OPERATIONS.COMPLETE_ROUND, { roundId, userId });
+      console.log(`[RoundCompletion] ${stepName}: Offline - round completion queued`);
+      return { success: true, step: stepName, queued: true };
+    }
     
     console.log(`[RoundCompletion] ${stepName}: Round marked complete with statistics`);
     return { 
@@ -363,6 +437,40 @@ const markRoundComplete = async (roundId) => {
   }
 };
 
+/**
+ * Step 5b: Save the group's scores
+ * Uploads the other players' holes and offers linked players their rounds.
+ * Queued behind the round's completion when offline.
+ */
+const saveGroupScores = async (roundId, completionQueued = false) => {
+  const stepName = 'completeGroup';
+  
+  const group = await loadLocalGroup(roundId);
+  if (group.players.length === 0) {
+    return { success: true, step: stepName, skipped: true };
+  }
+  
+  console.log(`[RoundCompletion] ${stepName}: Saving scores for ${group.players.length} group players`);
+  
+  try {
+    if (!completionQueued) {
+      const result = await completeGroupRound(await resolveRoundId(roundId), group);
+      await clearLocalGroup(roundId);
+      return { success: true, step: stepName, players: result.players };
+    }
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      console.error(`[RoundCompletion] ${stepName}: Failed to save group scores:`, error);
+      throw { step: stepName, originalError: error };
+    }
+  }
+  
+  await enqueueSyncOperation(SYNC_OPERATIONS.COMPLETE_GROUP, { roundId, group });
+  await clearLocalGroup(roundId);
+  console.log(`[RoundCompletion] ${stepName}: Group scores queued until back online`);
+  return { success: true, step: stepName, queued: true };
+};
+
 /**
  * Step 6: Generate insights (non-blocking)
  * Triggers insights generation without blocking completion
@@ -372,12 +480,15 @@ const generateInsights = async (userId, roundId) => {
   console.log(`[RoundCompletion] ${stepName}: Generating insights (non-blocking)`);
   
   try {
+    // Rounds created offline are analyzed under their server ID
+    const serverRoundId = await resolveRoundId(roundId);
+    
     // Trigger insights generation asynchronously
     // This is non-blocking - if it fails, it doesn't affect round completion
     supabase.functions.invoke('analyze-golf-performance', {
       body: { 
         userId: userId,
-        roundId: roundId
+        roundId: serverRoundId
       }
     }).then(({ data: insightsData, error: insightsError }) => {
       if (insightsError) {
@@ -445,7 +556,8 @@ const cleanupLocalStorage = async (roundId) => {
  * Enhanced round completion with sequential operations and recovery
  * Replaces the monolithic completeRound approach
  */
-const completeRoundSequential = async (roundId, currentHole, holeData, userId) => {
+const completeRoundSequential = async (roundId, currentHole, holeData, userId, options = {}) => {
+  const { holeNumbers = null } = options;
   const startTime = Date.now();
   
   // Log sequence initiation
@@ -489,22 +601,34 @@ const completeRoundSequential = async (roundId, currentHole, holeData, userId) =
       },
       {
         name: 'validateData',
-        fn: (previousResults) => validateHoleData(previousResults.retrieveAllHoles.data),
+        fn: (previousResults) => validateHoleData(previousResults.retrieveAllHoles.data, holeNumbers),
         description: 'Validating hole data'
       },
       {
         name: 'saveToDatabase',
-        fn: (previousResults) => saveHolesToDatabase(roundId, previousResults.retrieveAllHoles.data),
+        fn: (previousResults) => saveHolesToDatabase(
+          roundId,
+          previousResults.retrieveAllHoles.data,
+          previousResults.validateData?.validHoles
+        ),
         description: 'Saving to database'
       },
       {
         name: 'markComplete',
-        fn: () => markRoundComplete(roundId),
+        fn: () => markRoundComplete(roundId, userId),
         description: 'Marking round complete'
       },
+      {
+        name: 'completeGroup',
+        fn: (previousResults) => saveGroupScores(roundId, !!previousResults.markComplete?.queued),
+        description: 'Saving group scores'
+      },
       {
         name: 'generateInsights',
-        fn: () => generateInsights(userId, roundId),
+        // Queued completions generate insights when they sync
+        fn: (previousResults) => previousResults.markComplete?.queued
+          ? { success: true, step: 'generateInsights', triggered: false, deferred: true }
+          : generateInsights(userId, roundId),
         description: 'Generating insights'
       },
       {
@@ -616,7 +740,8 @@ const completeRoundSequential = async (roundId, currentHole, holeData, userId) =
       success: true,
       completionDuration,
       results,
-      resumedFromCheckpoint: !!resumeInfo.checkpoint
+      resumedFromCheckpoint: !!resumeInfo.checkpoint,
+      pendingSync: !!results.markComplete?.queued
     };
     
   } catch (error) {
@@ -667,54 +792,145 @@ const getAuthContext = async () => {
 
 /**
  * Create a new round record in Supabase.
- * UNCHANGED - preserves existing functionality
+ * Optional round settings (hole selection, starting hole, scoring format, event) are passed through the options object
+ * When offline the round is created with a local ID and its insert is queued for sync
+ * 
+ * @param {Object} options - Optional round settings
+ * @param {string} options.holeSelection - HOLE_SELECTIONS value for the round
+ * @param {number} options.holesPlayed - Number of holes the round covers
+ * @param {number} options.startingHole - Hole the round starts on (shotgun / 10th tee starts)
+ * @param {string} options.scoringFormat - SCORING_FORMATS value for the round
+ * @param {string} options.eventId - Event the round is played in, for the live leaderboard
  */
-export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
+export const createRound = async (profile_id, course_id, tee_id, tee_name, options = {}) => {
+  const { 
+    holeSelection = HOLE_SELECTIONS.FULL, 
+    holesPlayed = null, 
+    startingHole = null,
+    scoringFormat = SCORING_FORMATS.STROKE,
+    eventId = null
+  } = options;
+  
   console.log("[createRound] Attempting to create a new round", { 
     profile_id, 
     course_id,
     tee_id,
-    tee_name
+    tee_name,
+    holeSelection,
+    holesPlayed,
+    startingHole,
+    scoringFormat,
+    eventId
   });
   
+  const roundRecord = {
+    profile_id,
+    course_id,
+    is_complete: false,
+    selected_tee_id: tee_id,
+    selected_tee_name: tee_name,
+    hole_selection: holeSelection,
+    holes_played: holesPlayed,
+    starting_hole: startingHole,
+    scoring_format: scoringFormat,
+    event_id: eventId
+  };
+  
+  try {
+    const round = await insertRoundRecord(roundRecord);
+    
+    console.log("[createRound] Round created successfully:", round);
+    
+    // We're online - replay anything queued while offline
+    processSyncQueue();
+    return round;
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      console.error("[createRound] Error creating round:", error);
+      throw error;
+    }
+    
+    // Offline - create the round locally and sync it later
+    const localRound = {
+      ...roundRecord,
+      id: createLocalId(),
+      created_at: new Date().toISOString(),
+      pending_sync: true
+    };
+    
+    await enqueueSyncOperation(SYNC_OPERATIONS.CREATE_ROUND, {
+      roundId: localRound.id,
+      record: { ...roundRecord, created_at: localRound.created_at }
+    });
+    
+    console.log("[createRound] Offline - round created locally:", localRound.id);
+    return localRound;
+  }
+};
+
+/**
+ * Insert a round record and return the created row
+ * Shared by createRound and the sync queue replay
+ */
+const insertRoundRecord = async (roundRecord) => {
   const { data, error } = await supabase
     .from("rounds")
-    .insert({
-      profile_id,
-      course_id,
-      is_complete: false,
-      selected_tee_id: tee_id,
-      selected_tee_name: tee_name
-    })
+    .insert(roundRecord)
     .select();
 
-  if (error) {
-    console.error("[createRound] Error creating round:", error);
-    throw error;
-  }
-
-  console.log("[createRound] Round created successfully:", data[0]);
+  if (error) throw error;
   return data[0];
 };
 
 /**
  * Delete an abandoned (incomplete) round
- * UNCHANGED - preserves existing functionality
+ * Its queued writes and any holes published for the leaderboard go with it; rounds that
+ * never reached the server are only discarded locally. Completed rounds are kept.
+ * 
+ * @param {string} round_id - Round ID (local or server)
+ * @returns {Promise<boolean>} Whether the round was deleted
  */
 export const deleteAbandonedRound = async (round_id) => {
-  const startTime = Date.now();
-  
   try {
     console.log("[deleteAbandonedRound] Attempting to delete round:", round_id);
     
+    // Drop any writes still queued for this round
+    await removeSyncOperationsForRound(round_id);
+    
+    // Rounds that never reached the server only exist locally
+    const serverRoundId = await resolveRoundId(round_id);
+    if (isLocalId(serverRoundId)) {
+      console.log("[deleteAbandonedRound] Discarded unsynced local round:", round_id);
+      return true;
+    }
+    
+    const { data: existingRound } = await supabase
+      .from("rounds")
+      .select("is_complete")
+      .eq("id", serverRoundId)
+      .maybeSingle();
+    
+    if (existingRound?.is_complete) {
+      console.log("[deleteAbandonedRound] Round already completed, not deleting:", round_id);
+      return false;
+    }
+    
+    // Holes published live for the leaderboard go with the round
+    const { error: holesError } = await supabase
+      .from("shots")
+      .delete()
+      .eq("round_id", serverRoundId);
+    
+    if (holesError) {
+      console.error("[deleteAbandonedRound] Error deleting published holes:", holesError);
+    }
+    
     const { error } = await supabase
       .from("rounds")
       .delete()
-      .eq("id", round_id)
+      .eq("id", serverRoundId)
       .eq("is_complete", false);
     
-    const duration = Date.now() - startTime;
-
     if (error) {
       console.error("[deleteAbandonedRound] Error deleting round:", error);
       return false;
@@ -729,38 +945,208 @@ export const deleteAbandonedRound = async (round_id) => {
 };
 
 /**
- * Save hole data for a specific hole
- * UNCHANGED - preserves existing functionality
+ * Load the fields that decide whether a round counts towards the handicap index
  */
-export const saveHoleData = async (round_id, hole_number, hole_data, total_score) => {
-  console.log("[saveHoleData] Saving data for hole", hole_number, "in round", round_id);
+const loadRoundHandicapStatus = async (round_id) => {
+  const { data, error } = await supabase
+    .from("rounds")
+    .select("profile_id, score_differential, exclude_from_stats")
+    .eq("id", round_id)
+    .single();
   
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Refresh the player's handicap index after a round stopped or started counting
+ * The change to the round is already saved, so a failure here is only logged
+ */
+const refreshHandicapIndex = async (profileId, logPrefix, roundId = null) => {
   try {
-    const { data, error } = await supabase
+    await updateHandicapIndex(profileId, roundId);
+  } catch (handicapError) {
+    console.error(`${logPrefix} Handicap update failed:`, handicapError);
+  }
+};
+
+/**
+ * Delete one of the player's rounds, with its holes, insights and hole note media
+ * Works for completed rounds too, unlike deleteAbandonedRound
+ * 
+ * @param {string} round_id - Server round ID
+ * @returns {Promise<boolean>} True once deleted
+ */
+export const deleteRound = async (round_id) => {
+  try {
+    console.log("[deleteRound] Deleting round:", round_id);
+    
+    const round = await loadRoundHandicapStatus(round_id);
+    
+    // Media is found through the notes, as it may have been uploaded under a local round ID
+    const { data: holeRecords } = await supabase
       .from("shots")
-      .upsert({
-        round_id,
-        hole_number,
-        hole_data,
-        total_score
-      }, {
-        onConflict: 'round_id,hole_number',
-        returning: 'representation'
-      });
+      .select("hole_data")
+      .eq("round_id", round_id);
+    const mediaPaths = (holeRecords || []).flatMap(record =>
+      (record.hole_data?.notes?.media || []).map(mediaItem => mediaItem.path)
+    );
+    
+    const { error } = await supabase.rpc("delete_round", { p_round_id: round_id });
     
     if (error) {
-      console.error("[saveHoleData] Error saving hole data:", error);
+      console.error("[deleteRound] Error deleting round:", error);
       throw error;
     }
     
+    // Left-over files are only unused storage, so the round stays deleted if this fails
+    try {
+      await deleteHoleMedia(mediaPaths);
+    } catch (mediaError) {
+      console.error("[deleteRound] Error deleting hole media:", mediaError);
+    }
+    
+    // The index no longer includes the deleted round's differential
+    if (round.score_differential !== null && !round.exclude_from_stats) {
+      await refreshHandicapIndex(round.profile_id, "[deleteRound]");
+    }
+    
+    console.log("[deleteRound] Round deleted:", round_id);
+    return true;
+  } catch (error) {
+    console.error("[deleteRound] Exception deleting round:", error);
+    throw error;
+  }
+};
+
+/**
+ * Archive or restore a round
+ * Archived rounds are hidden from the round lists but still count in stats and handicap
+ * 
+ * @param {string} round_id - Server round ID
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Promise<Object>} The updated round
+ */
+export const setRoundArchived = async (round_id, archived) => {
+  const { data, error } = await supabase
+    .from("rounds")
+    .update({ archived_at: archived ? new Date().toISOString() : null })
+    .eq("id", round_id)
+    .select()
+    .single();
+  
+  if (error) {
+    console.error("[setRoundArchived] Error updating round:", error);
+    throw error;
+  }
+  
+  return data;
+};
+
+/**
+ * Exclude a round from, or include it back in, stats and handicap
+ * Excluded rounds are left out of insights, trends, club and hole stats and the index
+ * 
+ * @param {string} round_id - Server round ID
+ * @param {boolean} excluded - True to exclude the round
+ * @returns {Promise<Object>} The updated round
+ */
+export const setRoundExcluded = async (round_id, excluded) => {
+  const { data, error } = await supabase
+    .from("rounds")
+    .update({ exclude_from_stats: excluded })
+    .eq("id", round_id)
+    .select()
+    .single();
+  
+  if (error) {
+    console.error("[setRoundExcluded] Error updating round:", error);
+    throw error;
+  }
+  
+  if (data.score_differential !== null) {
+    await refreshHandicapIndex(data.profile_id, "[setRoundExcluded]", round_id);
+  }
+  
+  return data;
+};
+
+/**
+ * Save hole data for a specific hole
+ * Queued for sync when offline, or when earlier writes for the round are still queued
+ */
+export const saveHoleData = async (round_id, hole_number, hole_data, total_score) => {
+  console.log("[saveHoleData] Saving data for hole", hole_number, "in round", round_id);
+  
+  const queuePayload = { roundId: round_id, holeNumber: hole_number, holeData: hole_data, totalScore: total_score };
+  
+  try {
+    const serverRoundId = await resolveRoundId(round_id);
+    
+    // Keep writes in order behind anything already queued for this round, and try
+    // draining the queue in case the connection is already back
+    if (isLocalId(serverRoundId) || await hasPendingSyncForRound(round_id)) {
+      await enqueueSyncOperation(SYNC_OPERATIONS.SAVE_HOLE, queuePayload);
+      processSyncQueue();
+      return null;
+    }
+    
+    const data = await upsertHoleRecord(serverRoundId, hole_number, hole_data, total_score);
+    
     console.log("[saveHoleData] Hole data saved successfully:", data);
     return data;
   } catch (error) {
+    if (isNetworkError(error)) {
+      console.log("[saveHoleData] Offline - queuing hole", hole_number);
+      await enqueueSyncOperation(SYNC_OPERATIONS.SAVE_HOLE, queuePayload);
+      return null;
+    }
+    
     console.error("[saveHoleData] Exception in saveHoleData:", error);
     throw error;
   }
 };
 
+/**
+ * Publish a finished hole during a live (event or group) round
+ * Saves the hole as it will be saved on completion, so the leaderboard can show it
+ * straight away. Queued like any other hole save when offline.
+ * 
+ * @param {string} round_id - Round ID (local or server)
+ * @param {number} hole_number - Hole just finished
+ * @param {Object} holeInfo - The hole's tracking state
+ */
+export const publishHole = async (round_id, hole_number, holeInfo) => {
+  if (!getHoleScore(holeInfo)) return null;
+  
+  return saveHoleData(round_id, hole_number, buildHoleRecordData(holeInfo), getHoleScore(holeInfo));
+};
+
+/**
+ * Upsert a hole record for a round
+ * Shared by saveHoleData and the sync queue replay
+ */
+const upsertHoleRecord = async (round_id, hole_number, hole_data, total_score) => {
+  const { data, error } = await supabase
+    .from("shots")
+    .upsert({
+      round_id,
+      hole_number,
+      hole_data,
+      total_score
+    }, {
+      onConflict: 'round_id,hole_number',
+      returning: 'representation'
+    });
+  
+  if (error) {
+    console.error("[saveHoleData] Error saving hole data:", error);
+    throw error;
+  }
+  
+  return data;
+};
+
 /**
  * Get all hole data for a round
  * UNCHANGED - preserves existing functionality
@@ -788,9 +1174,121 @@ export const getRoundHoleData = async (round_id) => {
   }
 };
 
+/**
+ * Score completed rounds in their scoring formats for round summary cards
+ * Stroke play rounds are skipped - their cards already show gross and net scores
+ * 
+ * @param {Array} rounds - Round rows with id, profile_id, course_id, hole_selection,
+ *   starting_hole, scoring_format and course_handicap
+ * @returns {Promise<Object>} { label, display } keyed by round ID
+ */
+export const getRoundFormatSummaries = async (rounds) => {
+  const formatRounds = rounds.filter(round => 
+    round.scoring_format && round.scoring_format !== SCORING_FORMATS.STROKE
+  );
+  if (formatRounds.length === 0) return {};
+  
+  try {
+    const { data: courses, error: coursesError } = await supabase
+      .from("courses")
+      .select("id, holes, num_holes")
+      .in("id", [...new Set(formatRounds.map(round => round.course_id))]);
+    
+    if (coursesError) throw coursesError;
+    
+    const holeRecords = await selectAllForIds(
+      roundIds => supabase
+        .from("shots")
+        .select("round_id, hole_number, total_score")
+        .in("round_id", roundIds)
+        .order("id"),
+      formatRounds.map(round => round.id)
+    );
+    
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select("tee_set")
+      .eq("id", formatRounds[0].profile_id)
+      .single();
+    
+    return formatRounds.reduce((summaries, round) => {
+      const course = (courses || []).find(candidate => candidate.id === round.course_id);
+      if (!course) return summaries;
+      
+      const holeScores = holeRecords
+        .filter(record => record.round_id === round.id)
+        .reduce((scores, record) => {
+          scores[record.hole_number] = record.total_score || 0;
+          return scores;
+        }, {});
+      
+      const result = scoreRound(round.scoring_format, buildScoringHoles({
+        holeNumbers: getPlayingOrder(getHoleNumbers(round.hole_selection, course.num_holes), round.starting_hole),
+        courseHoles: course.holes,
+        holeScores,
+        courseHandicap: round.course_handicap,
+        teeSet: profile?.tee_set || TEE_SETS.MEN
+      }));
+      
+      summaries[round.id] = { label: result.format.label, display: result.summary.display };
+      return summaries;
+    }, {});
+  } catch (error) {
+    console.error("[getRoundFormatSummaries] Error scoring rounds:", error);
+    return {};
+  }
+};
+
+/**
+ * Calculate a round's final statistics from its hole records
+ * Shared by completion and by edits to completed rounds. Strokes gained and the
+ * traditional stats are bonus statistics - a failure in either leaves it null.
+ * 
+ * @param {Object} roundData - Round with selected_tee_name and hole_selection
+ * @param {Object} courseData - Course with par, holes and num_holes
+ * @param {Array} holeRecords - Hole records with hole_number, hole_data and total_score
+ * @returns {Object} { coursePar, grossShots, score, strokesGained, traditionalStats }
+ */
+const calculateRoundStatistics = (roundData, courseData, holeRecords) => {
+  // Par only covers the holes in the round's selection
+  const roundHoles = getHoleNumbers(roundData.hole_selection, courseData.num_holes);
+  const coursePar = calculateRoundPar(courseData, roundHoles);
+  
+  // Calculate total gross shots
+  let grossShots = 0;
+  holeRecords.forEach(hole => {
+    grossShots += hole.total_score || 0;
+  });
+  
+  // Calculate score relative to par
+  const score = grossShots - coursePar;
+  
+  // Strokes gained is a bonus statistic - a failure here mustn't block saving the round
+  let strokesGained = null;
+  try {
+    strokesGained = calculateRoundStrokesGained(holeRecords, {
+      courseHoles: courseData.holes,
+      teeName: roundData.selected_tee_name
+    });
+  } catch (sgError) {
+    console.error("[calculateRoundStatistics] Strokes gained calculation failed:", sgError);
+  }
+  
+  // Traditional stats are also a bonus - the round is saved without them
+  let traditionalStats = null;
+  try {
+    traditionalStats = calculateRoundStats(holeRecords, { courseHoles: courseData.holes });
+  } catch (statsError) {
+    console.error("[calculateRoundStatistics] Traditional stats calculation failed:", statsError);
+  }
+  
+  return { coursePar, grossShots, score, strokesGained, traditionalStats };
+};
+
 /**
  * Complete a round by updating its is_complete flag and calculating final statistics.
- * UNCHANGED - preserves existing functionality for use by the sequential process
+ * Used by the sequential completion process, queued completions and imported rounds,
+ * and followed by the round's handicap update.
  */
 export const completeRound = async (round_id) => {
   try {
@@ -799,44 +1297,38 @@ export const completeRound = async (round_id) => {
     // Get the course_id from the round
     const { data: roundData, error: roundError } = await supabase
       .from("rounds")
-      .select("course_id, profile_id, selected_tee_name") 
+      .select("course_id, profile_id, selected_tee_name, hole_selection") 
       .eq("id", round_id)
       .single();
       
     if (roundError) throw roundError;
     
-    // Get the par value for that course
+    // Get the par value and hole layout for that course
     const { data: courseData, error: courseError } = await supabase
       .from("courses")
-      .select("par")
+      .select("par, holes, num_holes")
       .eq("id", roundData.course_id)
       .single();
       
     if (courseError) throw courseError;
     
-    const coursePar = courseData.par || 72;
-    
     // Get all hole records for this round
     const { data: holeRecords, error: holesError } = await supabase
       .from("shots")
-      .select("total_score")
+      .select("hole_number, hole_data, total_score")
       .eq("round_id", round_id);
       
     if (holesError) throw holesError;
     
-    // Calculate total gross shots
-    let grossShots = 0;
-    holeRecords.forEach(hole => {
-      grossShots += hole.total_score || 0;
-    });
-    
-    // Calculate score relative to par
-    const score = grossShots - coursePar;
+    const { coursePar, grossShots, score, strokesGained, traditionalStats } =
+      calculateRoundStatistics(roundData, courseData, holeRecords);
     
     console.log("[completeRound] Statistics calculated:", {
       coursePar,
       grossShots,
-      score
+      score,
+      strokesGained: strokesGained?.total,
+      greensInRegulation: traditionalStats?.greens
     });
     
     // Update the round record
@@ -845,7 +1337,9 @@ export const completeRound = async (round_id) => {
       .update({ 
         is_complete: true,
         gross_shots: grossShots,
-        score: score
+        score: score,
+        strokes_gained: strokesGained,
+        traditional_stats: traditionalStats
       })
       .eq("id", round_id)
       .select();
@@ -856,6 +1350,14 @@ export const completeRound = async (round_id) => {
     }
 
     console.log("[completeRound] Round completed successfully:", data);
+    
+    // Handicap tracking follows completion - a failure here mustn't undo it
+    try {
+      await updateHandicapAfterRound(round_id);
+    } catch (handicapError) {
+      console.error("[completeRound] Handicap update failed:", handicapError);
+    }
+    
     return data;
   } catch (error) {
     console.error("[completeRound] Error in complete round process:", error);
@@ -863,6 +1365,254 @@ export const completeRound = async (round_id) => {
   }
 };
 
+/**
+ * Correct a completed round
+ * Saves the edited holes, tee and date played, recalculates the round's score, gross
+ * shots, strokes gained and traditional stats and rescores it for handicap. Each edit
+ * is recorded in round_edits with the values before and after. Unlike tracking writes,
+ * edits need a connection and aren't queued.
+ * 
+ * @param {string} round_id - Server round ID
+ * @param {Object} changes - Only the parts that changed
+ * @param {Object} changes.holes - { [holeNumber]: { hole_data, total_score } } for edited holes
+ * @param {Object} changes.tee - { id, name } of the tee the round was played from
+ * @param {string} changes.date - ISO timestamp of when the round was played
+ * @returns {Promise<Object>} The updated round
+ */
+export const updateCompletedRound = async (round_id, { holes = {}, tee = null, date = null } = {}) => {
+  try {
+    console.log("[updateCompletedRound] Saving edits to round:", round_id);
+    
+    const { data: roundData, error: roundError } = await supabase
+      .from("rounds")
+      .select("course_id, profile_id, is_complete, created_at, selected_tee_id, selected_tee_name, hole_selection, gross_shots, score")
+      .eq("id", round_id)
+      .single();
+      
+    if (roundError) throw roundError;
+    
+    if (!roundData.is_complete) {
+      throw new Error("Only completed rounds can be edited");
+    }
+    
+    const { data: courseData, error: courseError } = await supabase
+      .from("courses")
+      .select("par, holes, num_holes")
+      .eq("id", roundData.course_id)
+      .single();
+      
+    if (courseError) throw courseError;
+    
+    const { data: previousHoles, error: previousError } = await supabase
+      .from("shots")
+      .select("hole_number, hole_data, total_score")
+      .eq("round_id", round_id);
+      
+    if (previousError) throw previousError;
+    
+    const editedHoles = Object.entries(holes).map(([holeNumber, hole]) => ({
+      hole_number: Number(holeNumber),
+      hole_data: hole.hole_data,
+      total_score: hole.total_score
+    }));
+    
+    for (const hole of editedHoles) {
+      await upsertHoleRecord(round_id, hole.hole_number, hole.hole_data, hole.total_score);
+    }
+    
+    // Rescore with the edited holes in place of the originals
+    const holeRecords = [
+      ...(previousHoles || []).filter(record => 
+        !editedHoles.some(hole => hole.hole_number === record.hole_number)
+      ),
+      ...editedHoles
+    ];
+    const teeChanged = !!tee && String(tee.id) !== String(roundData.selected_tee_id);
+    const editedRound = teeChanged
+      ? { ...roundData, selected_tee_id: tee.id, selected_tee_name: tee.name }
+      : roundData;
+    const { grossShots, score, strokesGained, traditionalStats } =
+      calculateRoundStatistics(editedRound, courseData, holeRecords);
+    
+    const editedAt = new Date().toISOString();
+    const roundUpdate = {
+      gross_shots: grossShots,
+      score: score,
+      strokes_gained: strokesGained,
+      traditional_stats: traditionalStats,
+      edited_at: editedAt
+    };
+    if (teeChanged) {
+      roundUpdate.selected_tee_id = tee.id;
+      roundUpdate.selected_tee_name = tee.name;
+    }
+    // The app dates rounds by created_at, so a corrected date moves both
+    if (date && date !== roundData.created_at) {
+      roundUpdate.date = date;
+      roundUpdate.created_at = date;
+    }
+    
+    const { data, error } = await supabase
+      .from("rounds")
+      .update(roundUpdate)
+      .eq("id", round_id)
+      .select()
+      .single();
+      
+    if (error) {
+      console.error("[updateCompletedRound] Error updating round:", error);
+      throw error;
+    }
+    
+    // Audit trail of what changed - the edit itself is already saved
+    const { error: auditError } = await supabase
+      .from("round_edits")
+      .insert({
+        round_id,
+        profile_id: roundData.profile_id,
+        edited_at: editedAt,
+        changes: {
+          holes: editedHoles.map(hole => {
+            const previous = (previousHoles || []).find(record => record.hole_number === hole.hole_number);
+            return {
+              hole_number: hole.hole_number,
+              before: previous ? { hole_data: previous.hole_data, total_score: previous.total_score } : null,
+              after: { hole_data: hole.hole_data, total_score: hole.total_score }
+            };
+          }),
+          ...(teeChanged && {
+            tee: {
+              before: { id: roundData.selected_tee_id, name: roundData.selected_tee_name },
+              after: { id: tee.id, name: tee.name }
+            }
+          }),
+          ...(roundUpdate.created_at && {
+            date: { before: roundData.created_at, after: roundUpdate.created_at }
+          }),
+          score: {
+            before: { gross_shots: roundData.gross_shots, score: roundData.score },
+            after: { gross_shots: grossShots, score }
+          }
+        }
+      });
+      
+    if (auditError) {
+      console.error("[updateCompletedRound] Error recording round edit:", auditError);
+    }
+    
+    // An edit can change whether and how the round counts for handicap
+    try {
+      await updateHandicapAfterEdit(round_id, { teeChanged });
+    } catch (handicapError) {
+      console.error("[updateCompletedRound] Handicap update failed:", handicapError);
+    }
+    
+    console.log("[updateCompletedRound] Round updated:", { grossShots, score });
+    return data;
+  } catch (error) {
+    console.error("[updateCompletedRound] Error in update round process:", error);
+    throw error;
+  }
+};
+
+/**
+ * Log a round played before the player started tracking, from a paper scorecard
+ * Creates the round on the date it was played with a score and optional putt count
+ * per hole (stored like quick score holes), then completes it so it is scored, counts
+ * towards the handicap index and feeds insights. The round's course handicap uses the
+ * player's current handicap. Needs a connection - imports aren't queued.
+ * 
+ * @param {Object} pastRound
+ * @param {string} pastRound.profileId - Player's profile ID
+ * @param {string} pastRound.courseId - Course played
+ * @param {string} pastRound.teeId - Tee played from
+ * @param {string} pastRound.teeName - Name of the tee
+ * @param {string} pastRound.holeSelection - HOLE_SELECTIONS value
+ * @param {string} pastRound.date - ISO timestamp of when the round was played
+ * @param {Array} pastRound.holes - { holeNumber, par, score, putts } for each hole played
+ *   (putts null when not recorded)
+ * @returns {Promise<Object>} The completed round
+ */
+export const importPastRound = async ({ profileId, courseId, teeId, teeName, holeSelection, date, holes }) => {
+  console.log("[importPastRound] Logging past round", { courseId, teeName, holeSelection, date });
+  
+  const round = await insertRoundRecord({
+    profile_id: profileId,
+    course_id: courseId,
+    is_complete: false,
+    selected_tee_id: teeId,
+    selected_tee_name: teeName,
+    hole_selection: holeSelection,
+    holes_played: holes.length,
+    starting_hole: holes[0]?.holeNumber || null,
+    scoring_format: SCORING_FORMATS.STROKE,
+    imported: true,
+    date,
+    created_at: date
+  });
+  
+  let completedRound;
+  try {
+    const { error: holesError } = await supabase
+      .from("shots")
+      .insert(holes.map(hole => ({
+        round_id: round.id,
+        hole_number: hole.holeNumber,
+        hole_data: buildHoleRecordData({
+          par: hole.par,
+          distance: null,
+          index: null,
+          quickScore: { ...createQuickScore(), putts: hole.putts }
+        }),
+        total_score: hole.score
+      })));
+    
+    if (holesError) throw holesError;
+    
+    [completedRound] = await completeRound(round.id);
+    
+    console.log("[importPastRound] Past round logged:", round.id);
+  } catch (error) {
+    // Don't leave a half-imported round behind
+    console.error("[importPastRound] Error logging past round:", error);
+    await deleteAbandonedRound(round.id);
+    throw error;
+  }
+  
+  // Insights are generated in the background, as for tracked rounds
+  await generateInsights(profileId, round.id);
+  
+  return completedRound;
+};
+
+/**
+ * ========================================================================
+ * SYNC QUEUE HANDLERS
+ * Replay queued writes once connectivity returns (round IDs already remapped)
+ * ========================================================================
+ */
+
+registerSyncHandler(SYNC_OPERATIONS.CREATE_ROUND, ({ record }) => insertRoundRecord(record));
+
+registerSyncHandler(SYNC_OPERATIONS.SAVE_HOLE, ({ roundId, holeNumber, holeData, totalScore }) =>
+  upsertHoleRecord(roundId, holeNumber, holeData, totalScore)
+);
+
+registerSyncHandler(SYNC_OPERATIONS.COMPLETE_GROUP, ({ roundId, group }) =>
+  completeGroupRound(roundId, group)
+);
+
+registerSyncHandler(SYNC_OPERATIONS.COMPLETE_ROUND, async ({ roundId, userId }) => {
+  const result = await completeRound(roundId);
+  
+  // Insights were deferred while the completion was queued
+  if (userId) {
+    await generateInsights(userId, roundId);
+  }
+  
+  return result;
+});
+
 /**
  * ========================================================================
  * NEW EXPORT INTERFACE
@@ -0,0 +1,372 @@
+// src/services/syncQueue.js
+//
+// OFFLINE-FIRST SYNC QUEUE
+// Sits underneath roundservice.js so round tracking keeps working in course dead zones.
+// Writes that cannot reach Supabase are queued in AsyncStorage and replayed in order
+// once connectivity returns. Rounds created offline get a local ID which is remapped
+// to the server ID when the queued round insert succeeds.
+//
+// Operation handlers are registered by roundservice.js to avoid circular dependencies.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { AppState } from "react-native";
+import NetInfo from "@react-native-community/netinfo";
+
+// Storage keys
+const SYNC_QUEUE_KEY = 'sync_queue';
+const SYNC_ID_MAP_KEY = 'sync_id_map';
+
+// Prefix for IDs of rounds created while offline
+const LOCAL_ID_PREFIX = 'local_';
+
+// Operations the server keeps rejecting are dropped so they can't block the queue
+const MAX_SYNC_ATTEMPTS = 3;
+
+// Operation types replayed by the queue
+export const SYNC_OPERATIONS = {
+  CREATE_ROUND: 'createRound',
+  SAVE_HOLE: 'saveHole',
+  COMPLETE_ROUND: 'completeRound',
+  COMPLETE_GROUP: 'completeGroup'
+};
+
+// Handlers registered by the owning services, keyed by operation type
+const syncHandlers = {};
+
+// Listeners notified when the number of pending operations changes
+const statusListeners = new Set();
+
+// In-flight replay, shared so concurrent callers don't replay twice
+let activeSync = null;
+
+// PostHog integration - injected by the consuming component
+let posthogInstance = null;
+export const setSyncPostHogInstance = (posthog) => {
+  posthogInstance = posthog;
+};
+
+/**
+ * Detect errors caused by missing connectivity rather than a rejected request
+ * supabase-js surfaces fetch failures either as thrown TypeErrors or as error objects
+ */
+export const isNetworkError = (error) => {
+  if (!error) return false;
+
+  const message = `${error.message || ''} ${error.details || ''}`.toLowerCase();
+  return (
+    message.includes('network request failed') ||
+    message.includes('failed to fetch') ||
+    message.includes('network error') ||
+    message.includes('timed out') ||
+    message.includes('the internet connection appears to be offline')
+  );
+};
+
+/**
+ * Create an ID for a record created while offline
+ */
+export const createLocalId = () => {
+  return `${LOCAL_ID_PREFIX}${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Check whether an ID was generated locally
+ */
+export const isLocalId = (id) => {
+  return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+};
+
+/**
+ * Register the function that replays an operation type
+ *
+ * @param {string} type - SYNC_OPERATIONS value
+ * @param {Function} handler - async (payload) => result
+ */
+export const registerSyncHandler = (type, handler) => {
+  syncHandlers[type] = handler;
+};
+
+/**
+ * Load the pending operation queue
+ */
+const loadQueue = async () => {
+  try {
+    const queueStr = await AsyncStorage.getItem(SYNC_QUEUE_KEY);
+    return queueStr ? JSON.parse(queueStr) : [];
+  } catch (error) {
+    console.error("[syncQueue] Failed to load queue:", error);
+    return [];
+  }
+};
+
+/**
+ * Persist the pending operation queue and notify listeners
+ */
+const saveQueue = async (queue) => {
+  await AsyncStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
+  notifyListeners(queue.length);
+};
+
+/**
+ * Load the local-to-server ID map
+ */
+const loadIdMap = async () => {
+  try {
+    const mapStr = await AsyncStorage.getItem(SYNC_ID_MAP_KEY);
+    return mapStr ? JSON.parse(mapStr) : {};
+  } catch (error) {
+    console.error("[syncQueue] Failed to load ID map:", error);
+    return {};
+  }
+};
+
+/**
+ * Resolve a round ID to its server ID
+ * Returns the local ID unchanged if the round has not been synced yet
+ */
+export const resolveRoundId = async (roundId) => {
+  if (!isLocalId(roundId)) return roundId;
+
+  const idMap = await loadIdMap();
+  return idMap[roundId] || roundId;
+};
+
+/**
+ * Add an operation to the end of the queue
+ *
+ * @param {string} type - SYNC_OPERATIONS value
+ * @param {Object} payload - Data needed to replay the operation (must include roundId)
+ */
+export const enqueueSyncOperation = async (type, payload) => {
+  const queue = await loadQueue();
+
+  const operation = {
+    id: createLocalId(),
+    type,
+    payload,
+    createdAt: new Date().toISOString(),
+    attempts: 0
+  };
+
+  queue.push(operation);
+  await saveQueue(queue);
+
+  console.log(`[syncQueue] Queued ${type} for round ${payload.roundId} (${queue.length} pending)`);
+
+  if (posthogInstance) {
+    posthogInstance.capture('sync_operation_queued', {
+      operation_type: type,
+      round_id: payload.roundId,
+      pending_count: queue.length,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return operation;
+};
+
+/**
+ * Remove all queued operations for a round
+ * Used when a round created offline is abandoned before it ever synced
+ */
+export const removeSyncOperationsForRound = async (roundId) => {
+  const queue = await loadQueue();
+  const remaining = queue.filter(operation => operation.payload.roundId !== roundId);
+
+  await saveQueue(remaining);
+  return queue.length - remaining.length;
+};
+
+/**
+ * Get the number of operations waiting to sync
+ */
+export const getPendingSyncCount = async () => {
+  const queue = await loadQueue();
+  return queue.length;
+};
+
+/**
+ * Check whether a round has writes waiting in the queue
+ * Later writes for the round must queue behind them to keep ordering
+ */
+export const hasPendingSyncForRound = async (roundId) => {
+  const queue = await loadQueue();
+  return queue.some(operation => operation.payload.roundId === roundId);
+};
+
+/**
+ * Subscribe to pending operation count changes
+ *
+ * @param {Function} listener - Called with the pending count
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSyncStatus = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+const notifyListeners = (pendingCount) => {
+  statusListeners.forEach(listener => {
+    try {
+      listener(pendingCount);
+    } catch (error) {
+      console.error("[syncQueue] Status listener failed:", error);
+    }
+  });
+};
+
+/**
+ * Replay queued operations in order
+ * Stops at the first network failure so ordering is preserved; operations the
+ * server rejects are dropped after repeated attempts so they can't block the queue
+ *
+ * @returns {Promise<Object>} { synced, remaining, offline }
+ */
+export const processSyncQueue = async () => {
+  if (activeSync) return activeSync;
+
+  activeSync = (async () => {
+    let synced = 0;
+    let offline = false;
+
+    try {
+      let queue = await loadQueue();
+      if (queue.length === 0) {
+        return { synced: 0, remaining: 0, offline: false };
+      }
+
+      console.log(`[syncQueue] Replaying ${queue.length} queued operations`);
+      const idMap = await loadIdMap();
+
+      while (queue.length > 0) {
+        const operation = queue[0];
+        const handler = syncHandlers[operation.type];
+
+        if (!handler) {
+          console.warn(`[syncQueue] No handler registered for ${operation.type}, waiting`);
+          break;
+        }
+
+        // Remap rounds created offline to their server IDs
+        const payload = {
+          ...operation.payload,
+          roundId: idMap[operation.payload.roundId] || operation.payload.roundId
+        };
+
+        if (isLocalId(payload.roundId) && operation.type !== SYNC_OPERATIONS.CREATE_ROUND) {
+          // The round insert hasn't succeeded yet - nothing after it can sync
+          console.warn(`[syncQueue] Round ${payload.roundId} has no server ID yet, waiting`);
+          break;
+        }
+
+        let consumed = false;
+        let shouldPause = false;
+        let orphanedRoundId = null;
+
+        try {
+          const result = await handler(payload);
+
+          if (operation.type === SYNC_OPERATIONS.CREATE_ROUND && result?.id) {
+            idMap[operation.payload.roundId] = result.id;
+            await AsyncStorage.setItem(SYNC_ID_MAP_KEY, JSON.stringify(idMap));
+            console.log(`[syncQueue] Round ${operation.payload.roundId} synced as ${result.id}`);
+          }
+
+          synced++;
+          consumed = true;
+        } catch (error) {
+          if (isNetworkError(error)) {
+            console.log("[syncQueue] Still offline, pausing replay");
+            offline = true;
+            break;
+          }
+
+          operation.attempts = (operation.attempts || 0) + 1;
+          operation.lastError = error.message;
+          console.error(`[syncQueue] ${operation.type} failed (attempt ${operation.attempts}):`, error);
+
+          if (operation.attempts >= MAX_SYNC_ATTEMPTS) {
+            console.error(`[syncQueue] Dropping ${operation.type} for round ${payload.roundId} after repeated failures`);
+            consumed = true;
+
+            // Writes for a round that never reached the server can't be replayed either
+            if (operation.type === SYNC_OPERATIONS.CREATE_ROUND) {
+              orphanedRoundId = operation.payload.roundId;
+            }
+
+            if (posthogInstance) {
+              posthogInstance.capture('sync_operation_dropped', {
+                operation_type: operation.type,
+                round_id: payload.roundId,
+                error_message: error.message,
+                timestamp: new Date().toISOString()
+              });
+            }
+          } else {
+            shouldPause = true;
+          }
+        }
+
+        // Persist progress after every operation so a crash doesn't replay it
+        // Re-read the queue as new operations may have been queued meanwhile
+        const latestQueue = await loadQueue();
+        queue = consumed
+          ? latestQueue.filter(queued => queued.id !== operation.id && queued.payload.roundId !== orphanedRoundId)
+          : latestQueue.map(queued => queued.id === operation.id ? operation : queued);
+        await saveQueue(queue);
+
+        if (shouldPause) break;
+      }
+
+      if (posthogInstance && synced > 0) {
+        posthogInstance.capture('sync_queue_replayed', {
+          synced_count: synced,
+          remaining_count: queue.length,
+          offline,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return { synced, remaining: queue.length, offline };
+    } catch (error) {
+      console.error("[syncQueue] Replay failed:", error);
+      return { synced, remaining: await getPendingSyncCount(), offline };
+    } finally {
+      activeSync = null;
+    }
+  })();
+
+  return activeSync;
+};
+
+/**
+ * Replay the queue whenever connectivity returns or the app returns to the foreground
+ *
+ * @returns {Function} Cleanup function
+ */
+export const startSyncQueueListener = () => {
+  // Attempt a replay on start in case operations were left from a previous session
+  processSyncQueue();
+
+  const subscription = AppState.addEventListener('change', (nextState) => {
+    if (nextState === 'active') {
+      processSyncQueue();
+    }
+  });
+
+  // NetInfo reports the current state first, so only a change back to online replays
+  let wasConnected = null;
+  const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+    const isConnected = !!state.isConnected && state.isInternetReachable !== false;
+    if (isConnected && wasConnected === false) {
+      console.log("[syncQueue] Connectivity returned, replaying queue");
+      processSyncQueue();
+    }
+    wasConnected = isConnected;
+  });
+
+  return () => {
+    subscription.remove();
+    unsubscribeNetInfo();
+  };
+};
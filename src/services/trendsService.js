@@ -0,0 +1,83 @@
+// src/services/trendsService.js
+//
+// PERFORMANCE TRENDS
+// Builds a summary of every completed round from the rounds and shots tables: score,
+// score to par, putts, penalties, on-target rate per shot type and the traditional
+// stats (fairways, greens, scrambling, sand saves, three-putts). Rounds store their
+// traditional stats when completed; rounds from before then, or with an older version,
+// are derived here from their shots so every round is counted. Filtering and charting
+// happen on the screen with the helpers in utils/trends.js.
+
+import { supabase, selectAllForIds } from "./supabase";
+import { TRADITIONAL_STATS_VERSION, calculateRoundStats } from "../utils/traditionalStats";
+import { summarizeRoundShots } from "../utils/trends";
+
+/**
+ * Get a trend summary of each of the player's completed rounds
+ *
+ * @param {string} profileId - Player's profile ID
+ * @returns {Promise<Array>} Rounds newest first, each
+ *   { id, date, courseId, courseName, teeName, holeSelection, score, grossShots,
+ *     stats, shotTypes, penalties }
+ */
+export const getTrendRounds = async (profileId) => {
+  const { data: rounds, error: roundsError } = await supabase
+    .from("rounds")
+    .select("id, course_id, created_at, score, gross_shots, selected_tee_name, hole_selection, traditional_stats")
+    .eq("profile_id", profileId)
+    .eq("is_complete", true)
+    .eq("exclude_from_stats", false)
+    .order("created_at", { ascending: false });
+
+  if (roundsError) {
+    console.error("[trendsService] Error loading rounds for trends:", roundsError);
+    throw roundsError;
+  }
+
+  if (!rounds || rounds.length === 0) return [];
+
+  let holeRecords;
+  try {
+    holeRecords = await selectAllForIds(
+      roundIds => supabase
+        .from("shots")
+        .select("round_id, hole_number, hole_data, total_score")
+        .in("round_id", roundIds)
+        .order("id"),
+      rounds.map(round => round.id)
+    );
+  } catch (shotsError) {
+    console.error("[trendsService] Error loading shots for trends:", shotsError);
+    throw shotsError;
+  }
+
+  const { data: courses, error: coursesError } = await supabase
+    .from("courses")
+    .select("id, name, holes")
+    .in("id", [...new Set(rounds.map(round => round.course_id))]);
+
+  if (coursesError) {
+    console.error("[trendsService] Error loading courses for trends:", coursesError);
+    throw coursesError;
+  }
+
+  return rounds.map(round => {
+    const course = (courses || []).find(candidate => candidate.id === round.course_id);
+    const roundHoles = holeRecords.filter(record => record.round_id === round.id);
+
+    return {
+      id: round.id,
+      date: round.created_at,
+      courseId: round.course_id,
+      courseName: course?.name || "Unknown Course",
+      teeName: round.selected_tee_name || null,
+      holeSelection: round.hole_selection || null,
+      score: round.score,
+      grossShots: round.gross_shots,
+      stats: round.traditional_stats?.version === TRADITIONAL_STATS_VERSION
+        ? round.traditional_stats
+        : calculateRoundStats(roundHoles, { courseHoles: course?.holes }),
+      ...summarizeRoundShots(roundHoles)
+    };
+  });
+};
@@ -0,0 +1,143 @@
+import {
+  EXPORT_CSV_COLUMNS,
+  EXPORT_FORMAT_VERSION,
+  EXPORT_FORMATS,
+  buildExportCsv,
+  buildExportJson,
+  getExportFileName
+} from "../dataExport";
+
+const course = { id: "course-1", name: "Seed Valley", club_name: "Seed Valley Golf Club" };
+
+const round = {
+  id: "round-1",
+  course_id: "course-1",
+  created_at: "2026-10-18T09:00:00.000Z",
+  selected_tee_name: "White",
+  hole_selection: "full",
+  is_complete: true,
+  gross_shots: 5,
+  score: 1
+};
+
+const csvLines = (csv) => csv.split("\r\n");
+
+const column = (line, name) => line.split(",")[EXPORT_CSV_COLUMNS.indexOf(name)];
+
+describe("buildExportCsv", () => {
+  it("writes only the header when there are no rounds", () => {
+    expect(buildExportCsv({})).toBe(EXPORT_CSV_COLUMNS.join(","));
+  });
+
+  it("writes a round without holes as a single row", () => {
+    const lines = csvLines(buildExportCsv({ rounds: [round], courses: [course] }));
+
+    expect(lines).toHaveLength(2);
+    expect(column(lines[1], "record_type")).toBe("round");
+    expect(column(lines[1], "course_name")).toBe("Seed Valley");
+    expect(column(lines[1], "hole_number")).toBe("");
+  });
+
+  it("follows each hole with its shots, holes in order", () => {
+    const holeRecords = [
+      {
+        round_id: "round-1",
+        hole_number: 2,
+        hole_data: { par: 3, shots: [{ type: "Tee Shot", result: "On Target" }] },
+        total_score: 1
+      },
+      {
+        round_id: "round-1",
+        hole_number: 1,
+        hole_data: {
+          par: 4,
+          shots: [
+            { type: "Tee Shot", result: "On Target" },
+            { type: "Approach", result: "Slightly Off" },
+            { type: "Putts", result: "On Target" },
+            { type: "Putts", result: "On Target" }
+          ]
+        },
+        total_score: 4
+      }
+    ];
+
+    const lines = csvLines(buildExportCsv({ rounds: [round], holeRecords, courses: [course] }));
+
+    expect(lines.map(line => column(line, "record_type")).slice(1))
+      .toEqual(["round", "hole", "shot", "shot", "shot", "shot", "hole", "shot"]);
+    expect(column(lines[2], "hole_number")).toBe("1");
+    expect(column(lines[2], "putts")).toBe("2");
+    expect(column(lines[6], "shot_number")).toBe("4");
+    expect(column(lines[7], "hole_number")).toBe("2");
+  });
+
+  it("writes quick-score holes without shot rows", () => {
+    const holeRecords = [{
+      round_id: "round-1",
+      hole_number: 1,
+      hole_data: { par: 4, quickScore: { score: 5, putts: 2, fairwayHit: true, gir: false } },
+      total_score: 5
+    }];
+
+    const lines = csvLines(buildExportCsv({ rounds: [round], holeRecords, courses: [course] }));
+
+    expect(lines).toHaveLength(3);
+    expect(column(lines[2], "record_type")).toBe("hole");
+    expect(column(lines[2], "hole_score")).toBe("5");
+    expect(column(lines[2], "putts")).toBe("2");
+    expect(column(lines[2], "fairway_hit")).toBe("true");
+    expect(column(lines[2], "gir")).toBe("false");
+  });
+
+  it("quotes fields with commas, quotes and line breaks", () => {
+    const holeRecords = [{
+      round_id: "round-1",
+      hole_number: 1,
+      hole_data: { par: 4, shots: [], notes: { text: 'Wind off the left, "two clubs"\nPin back' } },
+      total_score: 4
+    }];
+
+    const csv = buildExportCsv({
+      rounds: [round],
+      holeRecords,
+      courses: [{ ...course, name: "Links, Old Course" }]
+    });
+
+    expect(csv).toContain('"Links, Old Course"');
+    expect(csv).toContain('"Wind off the left, ""two clubs""\nPin back"');
+  });
+
+  it("leaves out hole records of other rounds", () => {
+    const holeRecords = [{ round_id: "round-2", hole_number: 1, hole_data: { shots: [] }, total_score: 4 }];
+
+    expect(csvLines(buildExportCsv({ rounds: [round], holeRecords, courses: [course] }))).toHaveLength(2);
+  });
+});
+
+describe("buildExportJson", () => {
+  it("dumps every row with the format version", () => {
+    const exported = JSON.parse(buildExportJson({
+      profileId: "profile-1",
+      rounds: [round],
+      holeRecords: [{ round_id: "round-1", hole_number: 1 }],
+      courses: [course]
+    }, "2026-10-19T10:00:00.000Z"));
+
+    expect(exported).toEqual({
+      version: EXPORT_FORMAT_VERSION,
+      exportedAt: "2026-10-19T10:00:00.000Z",
+      profileId: "profile-1",
+      rounds: [round],
+      shots: [{ round_id: "round-1", hole_number: 1 }],
+      insights: [],
+      courses: [course]
+    });
+  });
+});
+
+describe("getExportFileName", () => {
+  it("names the file by the local day and format", () => {
+    expect(getExportFileName(EXPORT_FORMATS.CSV, new Date(2026, 0, 5))).toBe("golf-rounds-2026-01-05.csv");
+  });
+});
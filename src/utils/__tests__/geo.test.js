@@ -0,0 +1,132 @@
+import {
+  HAZARD_KINDS,
+  calculateDistance,
+  distanceBetween,
+  getGreenDistances,
+  getHazardDistances,
+  getLayUpSuggestion
+} from "../geo";
+
+// A hole running due north along the meridian, where 0.001° of latitude is about 122 yards
+const at = (lat) => ({ lat, lng: 0 });
+
+const greens = [
+  { ...at(0.0040), location: 'front' },
+  { ...at(0.0041), location: 'center' },
+  { ...at(0.0042), location: 'back' }
+];
+
+const bunker = (lat, location, side = 'left') => ({ ...at(lat), side, location, type: 'fairway' });
+
+describe("calculateDistance", () => {
+  it("measures the distance between two points in yards", () => {
+    expect(calculateDistance(0, 0, 0.001, 0)).toBe(122);
+    expect(calculateDistance(51.5, -0.12, 51.5, -0.12)).toBe(0);
+  });
+
+  it("measures the same distance in both directions", () => {
+    expect(calculateDistance(51.5, -0.12, 51.51, -0.1))
+      .toBe(calculateDistance(51.51, -0.1, 51.5, -0.12));
+  });
+
+  it("is wrapped for { lat, lng } points by distanceBetween", () => {
+    expect(distanceBetween(at(0), at(0.001))).toBe(122);
+  });
+});
+
+describe("getGreenDistances", () => {
+  it("measures to the front, center and back of the green", () => {
+    expect(getGreenDistances(at(0), greens)).toEqual({ front: 486, center: 499, back: 511 });
+  });
+});
+
+describe("getHazardDistances", () => {
+  it("lists each bunker on a side separately with its own reach and carry", () => {
+    const poi = {
+      greens,
+      bunkers: [
+        bunker(0.0015, 'front'),
+        bunker(0.0025, 'front'),
+        bunker(0.0027, 'back'),
+        bunker(0.0017, 'back')
+      ]
+    };
+
+    expect(getHazardDistances(at(0), poi)).toEqual([
+      { key: 'bunker-left-0', kind: HAZARD_KINDS.BUNKER, label: "Bunker left", reach: 182, carry: 207 },
+      { key: 'bunker-left-1', kind: HAZARD_KINDS.BUNKER, label: "Bunker left", reach: 304, carry: 328 }
+    ]);
+  });
+
+  it("adds a middle point to the nearest bunker and keeps a far one apart", () => {
+    const poi = {
+      greens,
+      bunkers: [bunker(0.0015, 'front'), bunker(0.0016, 'middle'), bunker(0.0017, 'back'), bunker(0.0030, 'middle')]
+    };
+
+    expect(getHazardDistances(at(0), poi).map(({ reach, carry }) => ({ reach, carry }))).toEqual([
+      { reach: 182, carry: 207 },
+      { reach: 365, carry: null }
+    ]);
+  });
+
+  it("keeps the bunkers of each side apart", () => {
+    const poi = {
+      greens,
+      bunkers: [bunker(0.0015, 'front', 'left'), bunker(0.0017, 'back', 'right')]
+    };
+
+    expect(getHazardDistances(at(0), poi).map(hazard => hazard.label)).toEqual(["Bunker left", "Bunker right"]);
+  });
+
+  it("drops only the hazards behind the player", () => {
+    const poi = {
+      greens,
+      bunkers: [bunker(0.0015, 'front'), bunker(0.0017, 'back'), bunker(0.0025, 'front'), bunker(0.0027, 'back')]
+    };
+
+    expect(getHazardDistances(at(0.002), poi)).toEqual([
+      { key: 'bunker-left-1', kind: HAZARD_KINDS.BUNKER, label: "Bunker left", reach: 61, carry: 85 }
+    ]);
+  });
+
+  it("lists water and doglegs nearest first, leaving out green bunkers and other POI", () => {
+    const poi = {
+      greens,
+      bunkers: [{ ...at(0.0038), side: 'right', location: 'middle', type: 'green' }],
+      hazards: [
+        { ...at(0.0030), type: 'water' },
+        { ...at(0.0020), type: 'dogleg' },
+        { ...at(0.0012), type: 'trees' },
+        { ...at(0.0008), type: 'distance_marker', distance: 100 }
+      ]
+    };
+
+    expect(getHazardDistances(at(0), poi)).toEqual([
+      { key: 'dogleg-1', kind: HAZARD_KINDS.DOGLEG, label: "Dogleg", reach: 243, carry: null },
+      { key: 'water-0', kind: HAZARD_KINDS.WATER, label: "Water", reach: 365, carry: null }
+    ]);
+  });
+
+  it("skips points without coordinates", () => {
+    const poi = { greens, bunkers: [{ side: 'left', location: 'front', type: 'fairway' }] };
+
+    expect(getHazardDistances(at(0), poi)).toEqual([]);
+  });
+});
+
+describe("getLayUpSuggestion", () => {
+  const water = { key: 'water-0', kind: HAZARD_KINDS.WATER, label: "Water", reach: 250, carry: null };
+
+  it("leaves the preferred approach distance", () => {
+    expect(getLayUpSuggestion(400, 100, [])).toEqual({ distance: 300, leaves: 100, hazard: null });
+  });
+
+  it("flags a hazard the lay-up would finish in", () => {
+    expect(getLayUpSuggestion(350, 100, [water])).toEqual({ distance: 250, leaves: 100, hazard: water });
+  });
+
+  it("has no lay-up when the green is within a full approach", () => {
+    expect(getLayUpSuggestion(110, 100, [])).toBeNull();
+  });
+});
@@ -0,0 +1,209 @@
+// src/utils/dataExport.js
+//
+// Data export
+// Pure serializers used by exportService.js to turn the player's rounds, hole records
+// (shots table rows), insights and the courses they reference into a CSV for
+// spreadsheets and a full JSON dump. The CSV is a single sheet with a record_type
+// column: one row per round, one per hole played and one per shot recorded, all keyed
+// by round_id so they can be filtered or pivoted.
+
+import { getHoleScore } from "./quickScore";
+import { withShotDistances } from "./geo";
+
+// Bumped when the shape of either export changes
+export const EXPORT_FORMAT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json'
+};
+
+export const EXPORT_RECORD_TYPES = {
+  ROUND: 'round',
+  HOLE: 'hole',
+  SHOT: 'shot'
+};
+
+// CSV columns in order; each record type fills the columns that apply to it
+export const EXPORT_CSV_COLUMNS = [
+  'record_type',
+  'round_id',
+  'date',
+  'course_name',
+  'club_name',
+  'tee_name',
+  'hole_selection',
+  'holes_played',
+  'is_complete',
+  'imported',
+  'excluded_from_stats',
+  'archived',
+  'gross_score',
+  'score_to_par',
+  'adjusted_gross_score',
+  'score_differential',
+  'course_handicap',
+  'scoring_format',
+  'hole_number',
+  'par',
+  'hole_score',
+  'putts',
+  'fairway_hit',
+  'gir',
+  'note',
+  'shot_number',
+  'shot_type',
+  'shot_result',
+  'club',
+  'distance_yards',
+  'latitude',
+  'longitude',
+  'shot_time'
+];
+
+/**
+ * Format one CSV field
+ * Fields holding a comma, quote or line break are quoted, with quotes doubled
+ */
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (record) => EXPORT_CSV_COLUMNS.map(column => formatCsvValue(record[column])).join(",");
+
+/**
+ * Putts on a hole, whichever way it was tracked
+ * Quick holes store them; holes tracked shot by shot count the putts recorded
+ */
+const getHolePutts = (holeData) => {
+  if (holeData?.quickScore) return holeData.quickScore.putts ?? null;
+
+  const shots = holeData?.shots || [];
+  return shots.length > 0 ? shots.filter(shot => shot.type === "Putts").length : null;
+};
+
+const buildRoundRecord = (round, course) => ({
+  record_type: EXPORT_RECORD_TYPES.ROUND,
+  round_id: round.id,
+  date: round.created_at,
+  course_name: course?.name,
+  club_name: course?.club_name,
+  tee_name: round.selected_tee_name,
+  hole_selection: round.hole_selection,
+  holes_played: round.holes_played,
+  is_complete: round.is_complete,
+  imported: round.imported,
+  excluded_from_stats: round.exclude_from_stats,
+  archived: !!round.archived_at,
+  gross_score: round.gross_shots,
+  score_to_par: round.score,
+  adjusted_gross_score: round.adjusted_gross_score,
+  score_differential: round.score_differential,
+  course_handicap: round.course_handicap,
+  scoring_format: round.scoring_format
+});
+
+const buildHoleRecord = (round, holeRecord) => {
+  const holeData = holeRecord.hole_data || {};
+
+  return {
+    record_type: EXPORT_RECORD_TYPES.HOLE,
+    round_id: round.id,
+    date: round.created_at,
+    hole_number: holeRecord.hole_number,
+    par: holeData.par,
+    hole_score: holeRecord.total_score ?? getHoleScore(holeData),
+    putts: getHolePutts(holeData),
+    fairway_hit: holeData.quickScore?.fairwayHit,
+    gir: holeData.quickScore?.gir,
+    note: holeData.notes?.text?.trim() || null
+  };
+};
+
+const buildShotRecords = (round, holeRecord) => {
+  return withShotDistances(holeRecord.hole_data?.shots || []).map((shot, index) => ({
+    record_type: EXPORT_RECORD_TYPES.SHOT,
+    round_id: round.id,
+    date: round.created_at,
+    hole_number: holeRecord.hole_number,
+    shot_number: index + 1,
+    shot_type: shot.type,
+    shot_result: shot.result,
+    club: shot.clubName,
+    distance_yards: shot.distance,
+    latitude: shot.location?.lat,
+    longitude: shot.location?.lng,
+    shot_time: shot.timestamp
+  }));
+};
+
+/**
+ * Build the CSV export
+ * Each round's row is followed by its holes in order, each hole followed by its shots
+ *
+ * @param {Object} data
+ * @param {Array} data.rounds - Rows from the rounds table
+ * @param {Array} data.holeRecords - Rows from the shots table
+ *   ({ round_id, hole_number, hole_data, total_score })
+ * @param {Array} data.courses - Rows from the courses table referenced by the rounds
+ * @returns {string} CSV text with a header row
+ */
+export const buildExportCsv = ({ rounds = [], holeRecords = [], courses = [] }) => {
+  const records = [];
+
+  rounds.forEach(round => {
+    const course = courses.find(candidate => candidate.id === round.course_id);
+    records.push(buildRoundRecord(round, course));
+
+    holeRecords
+      .filter(holeRecord => holeRecord.round_id === round.id)
+      .sort((a, b) => a.hole_number - b.hole_number)
+      .forEach(holeRecord => {
+        records.push(buildHoleRecord(round, holeRecord));
+        records.push(...buildShotRecords(round, holeRecord));
+      });
+  });
+
+  return [EXPORT_CSV_COLUMNS.join(","), ...records.map(formatCsvRow)].join("\r\n");
+};
+
+/**
+ * Build the JSON export
+ * A full dump of the player's rows, so it keeps every column the tables have
+ *
+ * @param {Object} data
+ * @param {string} data.profileId - Player's profile ID
+ * @param {Array} data.rounds - Rows from the rounds table
+ * @param {Array} data.holeRecords - Rows from the shots table
+ * @param {Array} data.insights - Rows from the insights table
+ * @param {Array} data.courses - Rows from the courses table referenced by the rounds
+ * @param {string} exportedAt - ISO timestamp of the export
+ * @returns {string} Indented JSON text
+ */
+export const buildExportJson = ({ profileId, rounds = [], holeRecords = [], insights = [], courses = [] }, exportedAt) => {
+  return JSON.stringify({
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt,
+    profileId,
+    rounds,
+    shots: holeRecords,
+    insights,
+    courses
+  }, null, 2);
+};
+
+/**
+ * File name for an export, e.g. golf-rounds-2026-10-19.csv
+ *
+ * @param {string} format - EXPORT_FORMATS value
+ * @param {Date} date - Date of the export
+ * @returns {string} File name
+ */
+export const getExportFileName = (format, date) => {
+  const pad = (value) => String(value).padStart(2, "0");
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `golf-rounds-${day}.${format}`;
+};
@@ -0,0 +1,280 @@
+// src/utils/geo.js
+//
+// Geographic helpers shared by GPS distances and shot tracking: distances to the
+// green, to the hazards on a hole and the lay-up that leaves a chosen approach
+// Coordinates use the same { lat, lng } shape as course POI data
+
+import { calculateDistance } from "../../supabase/functions/_shared/geo.js";
+
+// The haversine implementation is shared with the edge functions
+export { calculateDistance };
+
+/**
+ * Derive shot distances from consecutive shot locations
+ * Each shot's distance runs from where it was hit to where the next shot was hit,
+ * so shots without a located follow-up shot have no distance
+ *
+ * @param {Array<Object>} shots - Shots in the order they were played
+ * @returns {Array<Object>} Shots with distance (yards) set where it can be measured
+ */
+export const withShotDistances = (shots) => {
+  return shots.map((shot, index) => {
+    const nextShot = shots[index + 1];
+    const { distance, ...shotWithoutDistance } = shot;
+
+    if (!shot.location || !nextShot?.location) {
+      return shotWithoutDistance;
+    }
+
+    return {
+      ...shotWithoutDistance,
+      distance: calculateDistance(
+        shot.location.lat,
+        shot.location.lng,
+        nextShot.location.lat,
+        nextShot.location.lng
+      )
+    };
+  });
+};
+
+/**
+ * Front, center and back of the green from a hole's green POI
+ * A lone center is used for all three, and a missing center is taken halfway
+ * between the front and back
+ *
+ * @param {Array<Object>} greens - poi.greens ({ lat, lng, location })
+ * @returns {Object} { front, center, back }, each { lat, lng } or null
+ */
+export const getGreenPositions = (greens) => {
+  let center = null;
+  let front = null;
+  let back = null;
+
+  (Array.isArray(greens) ? greens : []).forEach(greenPoi => {
+    const position = { lat: greenPoi.lat, lng: greenPoi.lng };
+
+    if (greenPoi.location === 'center' || greenPoi.location === 'middle') {
+      center = position;
+    } else if (greenPoi.location === 'front') {
+      front = position;
+    } else if (greenPoi.location === 'back') {
+      back = position;
+    }
+  });
+
+  if (center && !front && !back) {
+    front = center;
+    back = center;
+  } else if (!center && front && back) {
+    center = {
+      lat: (front.lat + back.lat) / 2,
+      lng: (front.lng + back.lng) / 2
+    };
+  }
+
+  return { front, center, back };
+};
+
+// Hazards listed by DistanceIndicator
+export const HAZARD_KINDS = {
+  BUNKER: 'bunker',
+  WATER: 'water',
+  DOGLEG: 'dogleg'
+};
+
+// Lay-ups shorter than this aren't worth suggesting
+const MIN_LAY_UP_YARDS = 20;
+
+// Margin around a hazard a lay-up should stay out of
+const HAZARD_MARGIN_YARDS = 10;
+
+// Points further apart than this belong to different bunkers or water
+const MAX_HAZARD_FEATURE_YARDS = 60;
+
+const isValidPoint = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng);
+
+/**
+ * Distance in yards between two { lat, lng } points
+ */
+export const distanceBetween = (from, to) => calculateDistance(from.lat, from.lng, to.lat, to.lng);
+
+/**
+ * Distances from a position to the front, center and back of the green
+ *
+ * @param {Object} position - { lat, lng }
+ * @param {Array<Object>} greens - poi.greens
+ * @returns {Object} { front, center, back } in yards, each null when the green has no point for it
+ */
+export const getGreenDistances = (position, greens) => {
+  const { front, center, back } = getGreenPositions(greens);
+
+  return {
+    front: front ? distanceBetween(position, front) : null,
+    center: center ? distanceBetween(position, center) : null,
+    back: back ? distanceBetween(position, back) : null
+  };
+};
+
+/**
+ * Split a hazard's POI points into one feature per bunker or water body
+ * Each front point is paired with the nearest back point within reach of it, closest
+ * pairs first, and middle points join the nearest feature; points left over are
+ * features of their own
+ *
+ * @param {Array<Object>} points - POI points of one kind on one side ({ lat, lng, location })
+ * @returns {Array<Array<Object>>} Points of each feature
+ */
+const splitHazardFeatures = (points) => {
+  const fronts = points.filter(point => point.location === 'front');
+  const backs = points.filter(point => point.location === 'back');
+  const others = points.filter(point => point.location !== 'front' && point.location !== 'back');
+
+  const features = fronts.map(front => [front]);
+  const pairs = [];
+  fronts.forEach((front, featureIndex) => {
+    backs.forEach(back => {
+      const distance = distanceBetween(front, back);
+      if (distance <= MAX_HAZARD_FEATURE_YARDS) pairs.push({ featureIndex, back, distance });
+    });
+  });
+
+  const pairedBacks = new Set();
+  pairs
+    .sort((a, b) => a.distance - b.distance)
+    .forEach(({ featureIndex, back }) => {
+      if (pairedBacks.has(back) || features[featureIndex].length > 1) return;
+      features[featureIndex].push(back);
+      pairedBacks.add(back);
+    });
+  backs.filter(back => !pairedBacks.has(back)).forEach(back => features.push([back]));
+
+  others.forEach(point => {
+    const nearest = features.reduce((closest, feature) => {
+      const distance = Math.min(...feature.map(featurePoint => distanceBetween(point, featurePoint)));
+      return distance <= MAX_HAZARD_FEATURE_YARDS && (!closest || distance < closest.distance)
+        ? { feature, distance }
+        : closest;
+    }, null);
+
+    if (nearest) {
+      nearest.feature.push(point);
+    } else {
+      features.push([point]);
+    }
+  });
+
+  return features;
+};
+
+/**
+ * Group a hole's fairway bunkers, water and doglegs into hazards with their points
+ * Every bunker and water body is its own hazard, its front and back points giving
+ * its reach and carry; each dogleg point is a hazard
+ */
+const groupHazards = (poi) => {
+  const pointsByKind = {};
+  const addPoint = (key, kind, label, point) => {
+    const entry = pointsByKind[key] || (pointsByKind[key] = { key, kind, label, points: [] });
+    entry.points.push(point);
+  };
+
+  (poi?.bunkers || [])
+    .filter(bunker => bunker.type === 'fairway' && isValidPoint(bunker))
+    .forEach(bunker => {
+      const side = bunker.side && bunker.side !== 'center' ? bunker.side : null;
+      addPoint(`bunker-${side || 'center'}`, HAZARD_KINDS.BUNKER, side ? `Bunker ${side}` : "Bunker", bunker);
+    });
+
+  (poi?.hazards || [])
+    .filter(hazard => hazard.type === 'water' && isValidPoint(hazard))
+    .forEach(hazard => addPoint('water', HAZARD_KINDS.WATER, "Water", hazard));
+
+  const groups = [];
+  Object.values(pointsByKind).forEach(({ key, kind, label, points }) => {
+    splitHazardFeatures(points).forEach((featurePoints, index) => {
+      groups.push({ key: `${key}-${index}`, kind, label, points: featurePoints });
+    });
+  });
+
+  (poi?.hazards || []).forEach((hazard, index) => {
+    if (hazard.type !== 'dogleg' || !isValidPoint(hazard)) return;
+
+    groups.push({
+      key: `dogleg-${index}`,
+      kind: HAZARD_KINDS.DOGLEG,
+      label: "Dogleg",
+      points: [hazard]
+    });
+  });
+
+  return groups;
+};
+
+/**
+ * Distances from a position to the hazards still ahead on a hole
+ * Reach is the distance to the front of a hazard and carry the distance to clear its
+ * back; hazards given as a single point only have a reach. Each hazard is ahead when
+ * it's closer to the green than the position is.
+ *
+ * @param {Object} position - { lat, lng }
+ * @param {Object} poi - Hole POI ({ greens, bunkers, hazards })
+ * @returns {Array<Object>} Hazards nearest first, each { key, kind, label, reach, carry }
+ */
+export const getHazardDistances = (position, poi) => {
+  const green = getGreenPositions(poi?.greens).center;
+  const distanceToGreen = green ? distanceBetween(position, green) : null;
+
+  return groupHazards(poi)
+    .map(group => {
+      const { points } = group;
+
+      const front = points.find(point => point.location === 'front');
+      const back = points.find(point => point.location === 'back');
+      const nearest = points.reduce((closest, point) =>
+        distanceBetween(position, point) < distanceBetween(position, closest) ? point : closest
+      );
+      const reachPoint = front || nearest;
+
+      // Behind the player, or level with the green
+      if (distanceToGreen !== null && distanceBetween(reachPoint, green) >= distanceToGreen) return null;
+
+      return {
+        key: group.key,
+        kind: group.kind,
+        label: group.label,
+        reach: distanceBetween(position, reachPoint),
+        carry: front && back ? distanceBetween(position, back) : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.reach - b.reach);
+};
+
+/**
+ * Suggest a lay-up that leaves the player's preferred approach distance
+ *
+ * @param {number} distanceToGreen - Yards to the center of the green
+ * @param {number} approachDistance - Preferred approach distance in yards
+ * @param {Array<Object>} hazards - From getHazardDistances
+ * @returns {Object|null} { distance, leaves, hazard } where hazard is the one the lay-up
+ *   would finish in (or null), or null when the green is within a full approach
+ */
+export const getLayUpSuggestion = (distanceToGreen, approachDistance, hazards = []) => {
+  if (!distanceToGreen || !approachDistance) return null;
+
+  const layUp = distanceToGreen - approachDistance;
+  if (layUp < MIN_LAY_UP_YARDS) return null;
+
+  const hazard = hazards.find(candidate =>
+    candidate.kind !== HAZARD_KINDS.DOGLEG &&
+    layUp >= candidate.reach - HAZARD_MARGIN_YARDS &&
+    layUp <= (candidate.carry ?? candidate.reach) + HAZARD_MARGIN_YARDS
+  );
+
+  return {
+    distance: layUp,
+    leaves: approachDistance,
+    hazard: hazard || null
+  };
+};
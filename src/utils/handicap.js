@@ -0,0 +1,228 @@
+// src/utils/handicap.js
+//
+// World Handicap System calculations
+// Pure helpers used by handicapService.js to turn completed rounds into score
+// differentials and a handicap index, and by the scorecard for net scoring.
+// Only full 18-hole rounds played from a tee with a course rating and slope are
+// counted towards the index.
+
+// Slope of a course of standard difficulty
+const STANDARD_SLOPE = 113;
+
+// Upper limit of a handicap index
+export const MAX_HANDICAP_INDEX = 54;
+
+// Number of most recent scores considered
+export const SCORES_CONSIDERED = 20;
+
+// Without a handicap index, hole scores are capped at par plus this many strokes
+const NO_INDEX_MAX_OVER_PAR = 5;
+
+// How many of the lowest differentials count, and the adjustment applied,
+// for players with fewer than 20 scores
+const DIFFERENTIALS_USED = [
+  { scores: 3, used: 1, adjustment: -2.0 },
+  { scores: 4, used: 1, adjustment: -1.0 },
+  { scores: 5, used: 1, adjustment: 0 },
+  { scores: 6, used: 2, adjustment: -1.0 },
+  { scores: 8, used: 2, adjustment: 0 },
+  { scores: 11, used: 3, adjustment: 0 },
+  { scores: 14, used: 4, adjustment: 0 },
+  { scores: 16, used: 5, adjustment: 0 },
+  { scores: 18, used: 6, adjustment: 0 },
+  { scores: 19, used: 7, adjustment: 0 },
+  { scores: 20, used: 8, adjustment: 0 }
+];
+
+// Rating, par and stroke index sets published for each tee, matching the
+// _men / _women suffixes in courses.tees and courses.holes
+export const TEE_SETS = {
+  MEN: 'men',
+  WOMEN: 'women'
+};
+
+export const TEE_SET_LABELS = {
+  [TEE_SETS.MEN]: "Men's",
+  [TEE_SETS.WOMEN]: "Women's"
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const normalizeTeeSet = (teeSet) => teeSet === TEE_SETS.WOMEN ? TEE_SETS.WOMEN : TEE_SETS.MEN;
+
+/**
+ * Find the rating and slope for the tee a round was played from
+ *
+ * @param {Array} tees - courses.tees
+ * @param {string} teeId - rounds.selected_tee_id
+ * @param {string} teeName - rounds.selected_tee_name, used if the ID doesn't match
+ * @param {string} teeSet - TEE_SETS value for the player
+ * @returns {Object|null} { courseRating, slopeRating } or null when the tee isn't rated for the set
+ */
+export const getTeeRating = (tees, teeId, teeName, teeSet = TEE_SETS.MEN) => {
+  if (!Array.isArray(tees)) return null;
+
+  const tee = tees.find(candidate => teeId && String(candidate.id) === String(teeId)) ||
+    tees.find(candidate => teeName && candidate.name?.toLowerCase() === teeName.toLowerCase());
+
+  const set = normalizeTeeSet(teeSet);
+  const courseRating = tee?.[`course_rating_${set}`];
+  const slopeRating = tee?.[`slope_${set}`];
+
+  if (!courseRating || !slopeRating) return null;
+
+  return {
+    courseRating: Number(courseRating),
+    slopeRating: Number(slopeRating)
+  };
+};
+
+/**
+ * Get a hole's par for a tee set, falling back to the men's par
+ *
+ * @param {Object} courseHole - Entry from courses.holes
+ * @param {string} teeSet - TEE_SETS value
+ * @returns {number|null} Hole par
+ */
+export const getHolePar = (courseHole, teeSet = TEE_SETS.MEN) => {
+  if (!courseHole) return null;
+  return courseHole[`par_${normalizeTeeSet(teeSet)}`] || courseHole.par_men || null;
+};
+
+/**
+ * Get a hole's stroke index for a tee set, falling back to the men's index
+ *
+ * @param {Object} courseHole - Entry from courses.holes
+ * @param {string} teeSet - TEE_SETS value
+ * @returns {number|null} Stroke index (1 = hardest)
+ */
+export const getHoleStrokeIndex = (courseHole, teeSet = TEE_SETS.MEN) => {
+  if (!courseHole) return null;
+  return courseHole[`index_${normalizeTeeSet(teeSet)}`] || courseHole.index_men || null;
+};
+
+/**
+ * Calculate a course handicap
+ * Course handicap = index x (slope / 113) + (course rating - par)
+ * For fewer than 18 holes the index and 18-hole course rating are scaled to the holes played
+ *
+ * @param {number} handicapIndex - Player's handicap index
+ * @param {Object} teeRating - { courseRating, slopeRating } for 18 holes
+ * @param {number} par - Par for the holes being played
+ * @param {number} holeCount - Number of holes being played
+ * @returns {number|null} Course handicap rounded to a whole number
+ */
+export const calculateCourseHandicap = (handicapIndex, teeRating, par, holeCount = 18) => {
+  if (typeof handicapIndex !== 'number' || !teeRating || !par) return null;
+
+  const share = Math.min(holeCount, 18) / 18;
+
+  return Math.round(
+    handicapIndex * share * (teeRating.slopeRating / STANDARD_SLOPE) + (teeRating.courseRating * share - par)
+  );
+};
+
+/**
+ * Handicap strokes a player receives on a hole
+ * Strokes go to the hardest holes first (lowest stroke index); plus handicaps
+ * give strokes back on the easiest holes
+ *
+ * @param {number} courseHandicap - Player's course handicap
+ * @param {number} strokeIndex - Hole stroke index (1 = hardest)
+ * @param {number} holeCount - Number of holes the stroke indexes cover
+ * @returns {number} Strokes received (negative for plus handicaps)
+ */
+export const getStrokesReceived = (courseHandicap, strokeIndex, holeCount = 18) => {
+  if (!courseHandicap || !strokeIndex) return 0;
+
+  if (courseHandicap < 0) {
+    const strokesGiven = Math.abs(courseHandicap);
+    const fullRounds = Math.floor(strokesGiven / holeCount);
+    const extra = strokeIndex > holeCount - (strokesGiven % holeCount) ? 1 : 0;
+    return -(fullRounds + extra) || 0;
+  }
+
+  const fullRounds = Math.floor(courseHandicap / holeCount);
+  const extra = strokeIndex <= courseHandicap % holeCount ? 1 : 0;
+  return fullRounds + extra;
+};
+
+/**
+ * Allocate course handicap strokes to the holes being played
+ * Holes are ranked by stroke index so nine-hole rounds still give strokes to
+ * the hardest holes played first
+ *
+ * @param {number|null} courseHandicap - Course handicap for the holes played
+ * @param {Array} holes - [{ number, strokeIndex }]
+ * @returns {Object} Strokes received keyed by hole number
+ */
+export const allocateHandicapStrokes = (courseHandicap, holes) => {
+  const ranked = [...holes].sort((a, b) =>
+    (a.strokeIndex || Infinity) - (b.strokeIndex || Infinity) || a.number - b.number
+  );
+
+  return ranked.reduce((strokes, hole, rank) => {
+    strokes[hole.number] = typeof courseHandicap === 'number'
+      ? getStrokesReceived(courseHandicap, rank + 1, ranked.length)
+      : 0;
+    return strokes;
+  }, {});
+};
+
+/**
+ * Apply net double bogey to a round's hole scores
+ * Each hole is capped at par + 2 + handicap strokes received, or par + 5 when the
+ * player has no handicap index yet
+ *
+ * @param {Array} holeScores - [{ par, strokeIndex, score }]
+ * @param {number|null} courseHandicap - Player's course handicap, null without an index
+ * @returns {number} Adjusted gross score
+ */
+export const calculateAdjustedGrossScore = (holeScores, courseHandicap) => {
+  return holeScores.reduce((total, hole) => {
+    const maxScore = typeof courseHandicap === 'number'
+      ? hole.par + 2 + getStrokesReceived(courseHandicap, hole.strokeIndex)
+      : hole.par + NO_INDEX_MAX_OVER_PAR;
+
+    return total + Math.min(hole.score, maxScore);
+  }, 0);
+};
+
+/**
+ * Calculate a score differential
+ * Differential = (113 / slope) x (adjusted gross score - course rating)
+ *
+ * @returns {number} Differential rounded to one decimal place
+ */
+export const calculateScoreDifferential = (adjustedGrossScore, teeRating) => {
+  return round1((STANDARD_SLOPE / teeRating.slopeRating) * (adjustedGrossScore - teeRating.courseRating));
+};
+
+/**
+ * Calculate a handicap index from score differentials
+ *
+ * @param {Array<number>} differentials - Differentials, most recent first
+ * @returns {Object|null} { handicapIndex, scoresCounted, differentialsUsed, adjustment, usedIndexes }
+ *   or null with fewer than 3 scores. usedIndexes are positions in the differentials array.
+ */
+export const calculateHandicapIndex = (differentials) => {
+  const recent = differentials.slice(0, SCORES_CONSIDERED);
+  const rule = DIFFERENTIALS_USED.find(entry => recent.length <= entry.scores);
+
+  if (recent.length < DIFFERENTIALS_USED[0].scores || !rule) return null;
+
+  const lowest = recent
+    .map((differential, index) => ({ differential, index }))
+    .sort((a, b) => a.differential - b.differential)
+    .slice(0, rule.used);
+
+  const average = lowest.reduce((sum, entry) => sum + entry.differential, 0) / rule.used;
+
+  return {
+    handicapIndex: Math.min(round1(average + rule.adjustment), MAX_HANDICAP_INDEX),
+    scoresCounted: recent.length,
+    differentialsUsed: rule.used,
+    adjustment: rule.adjustment,
+    usedIndexes: lowest.map(entry => entry.index)
+  };
+};
@@ -0,0 +1,136 @@
+// src/utils/holeDetection.js
+//
+// Hole detection
+// Works out from GPS fixes when a player has finished a hole and is walking off the
+// green toward the next tee, so TrackerScreen can move on without waiting for a tap
+// on HoleNavigator. Each fix adds a little evidence: reaching the green, then leaving
+// it, walking away from it, closing on the next tee and arriving there. The evidence
+// adds up to a confidence between 0 and 1 that is compared with the thresholds below.
+
+import { distanceBetween, getGreenPositions } from "./geo";
+
+export const HOLE_ADVANCE_MODES = {
+  OFF: 'off',
+  ASK: 'ask',
+  AUTO: 'auto'
+};
+
+export const HOLE_ADVANCE_MODE_LABELS = {
+  [HOLE_ADVANCE_MODES.OFF]: "Off",
+  [HOLE_ADVANCE_MODES.ASK]: "Ask",
+  [HOLE_ADVANCE_MODES.AUTO]: "Auto"
+};
+
+// Confidence needed to offer the next hole, and to move there without asking.
+// Moving silently needs every signal, including a known next tee
+export const HOLE_ADVANCE_CONFIDENCE = {
+  OFFER: 0.6,
+  AUTO: 0.9
+};
+
+// Within this of the green center counts as having reached the green
+const ON_GREEN_YARDS = 25;
+
+// Further than this from the green center, once reached, counts as having left it
+const OFF_GREEN_YARDS = 35;
+
+// Close enough to a tee to be standing on it
+const ON_TEE_YARDS = 40;
+
+// Steady movement over the recent fixes, so GPS drift isn't mistaken for walking
+const MIN_MOVEMENT_YARDS = 10;
+
+// Fixes less accurate than this are ignored
+const MAX_ACCURACY_METERS = 25;
+
+// Fixes are kept at least this far apart, so the recent ones span a few dozen
+// yards of walking rather than a few seconds of standing still
+const SAMPLE_SPACING_YARDS = 5;
+
+// Recent fixes kept to judge which way the player is walking
+const MAX_SAMPLES = 6;
+
+/**
+ * Start tracking a hole
+ *
+ * @returns {Object} Tracking state ({ reachedGreen, samples })
+ */
+export const createHoleTracking = () => ({
+  reachedGreen: false,
+  samples: []
+});
+
+/**
+ * Distance to the nearest of a hole's tees
+ */
+const getNearestTeeDistance = (position, tees) => {
+  const distances = (tees || [])
+    .filter(tee => Number.isFinite(tee?.lat) && Number.isFinite(tee?.lng))
+    .map(tee => distanceBetween(position, tee));
+
+  return distances.length > 0 ? Math.min(...distances) : null;
+};
+
+/**
+ * Add a GPS fix to a hole's tracking
+ *
+ * @param {Object} tracking - From createHoleTracking or a previous update
+ * @param {Object} fix - { lat, lng, accuracy } with accuracy in meters when known
+ * @param {Object} holes
+ * @param {Object} holes.currentPoi - POI of the hole being played
+ * @param {Object} holes.nextPoi - POI of the next hole, when known
+ * @returns {Object} Updated tracking state (the same object when the fix is unusable)
+ */
+export const updateHoleTracking = (tracking, fix, { currentPoi, nextPoi = null }) => {
+  const green = getGreenPositions(currentPoi?.greens).center;
+  if (!green || !Number.isFinite(fix?.lat) || !Number.isFinite(fix?.lng)) return tracking;
+  if (fix.accuracy && fix.accuracy > MAX_ACCURACY_METERS) return tracking;
+
+  const greenDistance = distanceBetween(fix, green);
+  const reachedGreen = tracking.reachedGreen || greenDistance <= ON_GREEN_YARDS;
+
+  const lastSample = tracking.samples[tracking.samples.length - 1];
+  if (lastSample && distanceBetween(lastSample, fix) < SAMPLE_SPACING_YARDS) {
+    return reachedGreen === tracking.reachedGreen ? tracking : { ...tracking, reachedGreen };
+  }
+
+  const sample = {
+    lat: fix.lat,
+    lng: fix.lng,
+    greenDistance,
+    teeDistance: getNearestTeeDistance(fix, nextPoi?.tees)
+  };
+
+  return {
+    reachedGreen,
+    samples: [...tracking.samples, sample].slice(-MAX_SAMPLES)
+  };
+};
+
+/**
+ * How sure we are the player has finished the hole and is heading for the next tee
+ *
+ * @param {Object} tracking - From updateHoleTracking
+ * @returns {number} Confidence from 0 to 1
+ */
+export const getHoleAdvanceConfidence = (tracking) => {
+  const samples = tracking?.samples || [];
+  if (!tracking?.reachedGreen || samples.length < 2) return 0;
+
+  const first = samples[0];
+  const latest = samples[samples.length - 1];
+  if (latest.greenDistance <= OFF_GREEN_YARDS) return 0;
+
+  let confidence = 0.4;
+
+  if (latest.greenDistance - first.greenDistance >= MIN_MOVEMENT_YARDS) {
+    confidence += 0.2;
+  }
+
+  if (latest.teeDistance !== null && first.teeDistance !== null) {
+    if (first.teeDistance - latest.teeDistance >= MIN_MOVEMENT_YARDS) confidence += 0.2;
+    if (latest.teeDistance <= ON_TEE_YARDS) confidence += 0.2;
+  }
+
+  return Math.min(confidence, 1);
+};
@@ -0,0 +1,136 @@
+// src/utils/holeHistory.js
+//
+// Hole-by-hole course history
+// Pure helpers used by courseService.js to summarise how the player has scored on each
+// hole of a course they've played before: average and best score, how often each score
+// against par came up, the shot type most often behind trouble on the hole and the
+// notes left on it.
+
+import { hasHoleNotes } from "./holeNotes";
+
+// Scores against par, best first
+export const SCORE_RESULTS = {
+  EAGLE: 'eagle',
+  BIRDIE: 'birdie',
+  PAR: 'par',
+  BOGEY: 'bogey',
+  DOUBLE: 'double'
+};
+
+export const SCORE_RESULT_LABELS = {
+  [SCORE_RESULTS.EAGLE]: "Eagle+",
+  [SCORE_RESULTS.BIRDIE]: "Birdie",
+  [SCORE_RESULTS.PAR]: "Par",
+  [SCORE_RESULTS.BOGEY]: "Bogey",
+  [SCORE_RESULTS.DOUBLE]: "Double+"
+};
+
+export const SCORE_RESULT_COLORS = {
+  [SCORE_RESULTS.EAGLE]: "#1B5E20",
+  [SCORE_RESULTS.BIRDIE]: "#4CAF50",
+  [SCORE_RESULTS.PAR]: "#90A4AE",
+  [SCORE_RESULTS.BOGEY]: "#FF8800",
+  [SCORE_RESULTS.DOUBLE]: "#D32F2F"
+};
+
+/**
+ * Classify a hole score against par
+ *
+ * @param {number} score - Gross score
+ * @param {number} par - Hole par
+ * @returns {string} SCORE_RESULTS value
+ */
+export const getScoreResult = (score, par) => {
+  const toPar = score - par;
+  if (toPar <= -2) return SCORE_RESULTS.EAGLE;
+  if (toPar === -1) return SCORE_RESULTS.BIRDIE;
+  if (toPar === 0) return SCORE_RESULTS.PAR;
+  if (toPar === 1) return SCORE_RESULTS.BOGEY;
+  return SCORE_RESULTS.DOUBLE;
+};
+
+const createDistribution = () => Object.values(SCORE_RESULTS).reduce((distribution, result) => {
+  distribution[result] = 0;
+  return distribution;
+}, {});
+
+/**
+ * Count the shots on a hole that led to trouble, by shot type
+ * A trouble shot needed a recovery or was followed by a penalty stroke
+ */
+const countTroubleShots = (shots, counts) => {
+  shots.forEach((shot, index) => {
+    if (shot.type === "Penalties") return;
+
+    const isTrouble = shot.result === "Recovery Needed" || shots[index + 1]?.type === "Penalties";
+    if (isTrouble) counts[shot.type] = (counts[shot.type] || 0) + 1;
+  });
+};
+
+/**
+ * Build the player's history on each hole of a course
+ *
+ * @param {Array} holeRecords - Rows from the shots table for past rounds on the course
+ *   ({ round_id, hole_number, hole_data, total_score })
+ * @param {Object} options
+ * @param {Array} options.courseHoles - courses.holes, for par when hole_data has none
+ * @param {Object} options.roundDates - Date played keyed by round ID, to order notes
+ * @returns {Object} History keyed by hole number, each { played, par, averageScore, bestScore,
+ *   distribution: { [SCORE_RESULTS value]: count }, troubleShotType, troubleShots, notes }
+ *   where notes are the hole's notes from past rounds, newest first, each
+ *   { roundId, date, text, media }
+ */
+export const buildHoleHistory = (holeRecords, { courseHoles = [], roundDates = {} } = {}) => {
+  const holes = {};
+
+  (holeRecords || []).forEach(record => {
+    const shots = Array.isArray(record.hole_data?.shots) ? record.hole_data.shots : [];
+    const score = record.total_score || shots.length;
+    if (!score) return;
+
+    const courseHole = Array.isArray(courseHoles)
+      ? courseHoles.find(hole => hole.number === record.hole_number)
+      : null;
+    const par = record.hole_data?.par || courseHole?.par_men || null;
+
+    const hole = holes[record.hole_number] || (holes[record.hole_number] = {
+      par,
+      scores: [],
+      distribution: createDistribution(),
+      troubleCounts: {},
+      notes: []
+    });
+
+    hole.par = hole.par || par;
+    hole.scores.push(score);
+    if (par) hole.distribution[getScoreResult(score, par)]++;
+    countTroubleShots(shots, hole.troubleCounts);
+
+    const notes = record.hole_data?.notes;
+    if (hasHoleNotes(notes)) {
+      hole.notes.push({
+        roundId: record.round_id,
+        date: roundDates[record.round_id] || null,
+        text: notes.text?.trim() || "",
+        media: notes.media || []
+      });
+    }
+  });
+
+  return Object.entries(holes).reduce((history, [holeNumber, hole]) => {
+    const [troubleShotType, troubleShots] = Object.entries(hole.troubleCounts)
+      .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+    history[holeNumber] = {
+      played: hole.scores.length,
+      par: hole.par,
+      averageScore: Math.round((hole.scores.reduce((sum, score) => sum + score, 0) / hole.scores.length) * 10) / 10,
+      bestScore: Math.min(...hole.scores),
+      distribution: hole.distribution,
+      troubleShotType,
+      troubleShots,
+      notes: hole.notes.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))
+    };
+    return history;
+  }, {});
+};
@@ -0,0 +1,220 @@
+// src/utils/holeMap.js
+//
+// Hole map
+// Pure helpers behind the HoleMap component, which draws a hole from its POI data
+// (greens, bunkers, water, trees, distance markers, doglegs, roads and tees) without
+// map tiles. Coordinates are projected onto a flat local plane turned so the hole plays
+// up the screen, from the tee (or the player) at the bottom to the green at the top.
+// Holes are a few hundred yards long, so the flat projection is accurate to well
+// under a yard.
+
+import { getGreenPositions } from "./geo";
+
+export const HOLE_MAP_FEATURES = {
+  GREEN: 'green',
+  GREEN_BUNKER: 'green_bunker',
+  FAIRWAY_BUNKER: 'fairway_bunker',
+  WATER: 'water',
+  TREES: 'trees',
+  MARKER: 'marker',
+  DOGLEG: 'dogleg',
+  ROAD: 'road',
+  TEE: 'tee'
+};
+
+export const HOLE_MAP_FEATURE_LABELS = {
+  [HOLE_MAP_FEATURES.GREEN]: "Green",
+  [HOLE_MAP_FEATURES.GREEN_BUNKER]: "Greenside bunker",
+  [HOLE_MAP_FEATURES.FAIRWAY_BUNKER]: "Fairway bunker",
+  [HOLE_MAP_FEATURES.WATER]: "Water",
+  [HOLE_MAP_FEATURES.TREES]: "Trees",
+  [HOLE_MAP_FEATURES.MARKER]: "Marker",
+  [HOLE_MAP_FEATURES.DOGLEG]: "Dogleg",
+  [HOLE_MAP_FEATURES.ROAD]: "Road",
+  [HOLE_MAP_FEATURES.TEE]: "Tee"
+};
+
+const HAZARD_FEATURES = {
+  water: HOLE_MAP_FEATURES.WATER,
+  trees: HOLE_MAP_FEATURES.TREES,
+  distance_marker: HOLE_MAP_FEATURES.MARKER,
+  dogleg: HOLE_MAP_FEATURES.DOGLEG,
+  road: HOLE_MAP_FEATURES.ROAD
+};
+
+// A player further than this from the green is somewhere else on the course
+export const MAX_PLAYER_DISTANCE_YARDS = 700;
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Describe where a POI point sits, e.g. "front left"
+ */
+const describePosition = (point) => {
+  return [point.location, point.side]
+    .filter(part => part && part !== 'middle' && part !== 'center')
+    .join(" ");
+};
+
+const buildFeature = (type, point, index, detail = "") => ({
+  key: `${type}-${index}`,
+  type,
+  lat: point.lat,
+  lng: point.lng,
+  label: [HOLE_MAP_FEATURE_LABELS[type], detail].filter(Boolean).join(" ")
+});
+
+/**
+ * Flatten a hole's POI into the features drawn on the map
+ *
+ * @param {Object} poi - Hole POI ({ greens, bunkers, hazards, tees })
+ * @returns {Array<Object>} Features, each { key, type, lat, lng, label }
+ */
+export const getHoleMapFeatures = (poi) => {
+  if (!poi) return [];
+
+  const features = [];
+  const isValid = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng);
+
+  (poi.tees || []).filter(isValid).forEach((point, index) => {
+    features.push(buildFeature(HOLE_MAP_FEATURES.TEE, point, index, point.location ? `(${point.location})` : ""));
+  });
+
+  (poi.hazards || []).filter(isValid).forEach((point, index) => {
+    const type = HAZARD_FEATURES[point.type];
+    if (!type) return;
+
+    features.push(buildFeature(type, point, index, type === HOLE_MAP_FEATURES.MARKER ? `(${point.distance})` : ""));
+  });
+
+  (poi.bunkers || []).filter(isValid).forEach((point, index) => {
+    const type = point.type === 'green' ? HOLE_MAP_FEATURES.GREEN_BUNKER : HOLE_MAP_FEATURES.FAIRWAY_BUNKER;
+    const position = describePosition(point);
+    features.push(buildFeature(type, point, index, position ? `(${position})` : ""));
+  });
+
+  (poi.greens || []).filter(isValid).forEach((point, index) => {
+    const position = point.location === 'middle' ? 'center' : point.location;
+    features.push(buildFeature(HOLE_MAP_FEATURES.GREEN, point, index, position ? `(${position})` : ""));
+  });
+
+  return features;
+};
+
+/**
+ * Where the hole is played from: the back tee, any tee, or nothing
+ *
+ * @param {Object} poi - Hole POI
+ * @returns {Object|null} { lat, lng }
+ */
+export const getHoleStart = (poi) => {
+  const tees = poi?.tees || [];
+  const tee = tees.find(point => point.location === 'back') || tees[0];
+  return tee ? { lat: tee.lat, lng: tee.lng } : null;
+};
+
+/**
+ * Create the projection between coordinates and map positions
+ * The map is turned so the line from start to green points up the screen, and
+ * scaled to fit every point with a margin
+ *
+ * @param {Array<Object>} points - Every { lat, lng } that must fit on the map
+ * @param {Object} options
+ * @param {Object} options.start - Where the hole is played from ({ lat, lng })
+ * @param {Object} options.green - Center of the green ({ lat, lng })
+ * @param {number} options.width - Map width in pixels
+ * @param {number} options.height - Map height in pixels
+ * @param {number} options.padding - Margin in pixels
+ * @returns {Object|null} { toMap(point) => { x, y }, toCoordinate({ x, y }) => { lat, lng } },
+ *   or null when there is nothing to draw
+ */
+export const createHoleProjection = (points, { start, green, width, height, padding = 24 }) => {
+  if (!points || points.length === 0 || !width || !height) return null;
+
+  const origin = green || points[0];
+  const lngScale = METERS_PER_DEGREE * Math.cos(origin.lat * (Math.PI / 180));
+
+  const toLocal = (point) => ({
+    x: (point.lng - origin.lng) * lngScale,
+    y: (point.lat - origin.lat) * METERS_PER_DEGREE
+  });
+
+  // Turn the plane so the start-to-green direction is "up"
+  let angle = 0;
+  if (start && green) {
+    const from = toLocal(start);
+    angle = Math.atan2(-from.x, -from.y);
+  }
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  const rotate = ({ x, y }) => ({ u: x * cos - y * sin, v: x * sin + y * cos });
+  const rotated = points.map(point => rotate(toLocal(point)));
+
+  const minU = Math.min(...rotated.map(point => point.u));
+  const maxU = Math.max(...rotated.map(point => point.u));
+  const minV = Math.min(...rotated.map(point => point.v));
+  const maxV = Math.max(...rotated.map(point => point.v));
+
+  // A single point (or a straight line) still needs a sensible scale
+  const spanU = Math.max(maxU - minU, 1);
+  const spanV = Math.max(maxV - minV, 1);
+  const scale = Math.min((width - padding * 2) / spanU, (height - padding * 2) / spanV);
+
+  // Center the drawing in the space left over
+  const offsetX = (width - spanU * scale) / 2;
+  const offsetY = (height - spanV * scale) / 2;
+
+  return {
+    toMap: (point) => {
+      const { u, v } = rotate(toLocal(point));
+      return {
+        x: offsetX + (u - minU) * scale,
+        y: offsetY + (maxV - v) * scale
+      };
+    },
+    toCoordinate: ({ x, y }) => {
+      const u = minU + (x - offsetX) / scale;
+      const v = maxV - (y - offsetY) / scale;
+      const localX = u * cos + v * sin;
+      const localY = -u * sin + v * cos;
+      return {
+        lat: origin.lat + localY / METERS_PER_DEGREE,
+        lng: origin.lng + localX / lngScale
+      };
+    }
+  };
+};
+
+/**
+ * Find the feature drawn nearest a tap, if one is close enough to mean it
+ *
+ * @param {Array<Object>} features - From getHoleMapFeatures
+ * @param {Object} projection - From createHoleProjection
+ * @param {Object} position - Tap position ({ x, y })
+ * @param {number} radius - How close in pixels counts as tapping the feature
+ * @returns {Object|null} Feature
+ */
+export const findFeatureAt = (features, projection, position, radius = 18) => {
+  let nearest = null;
+  let nearestDistance = radius;
+
+  features.forEach(feature => {
+    const { x, y } = projection.toMap(feature);
+    const distance = Math.hypot(x - position.x, y - position.y);
+    if (distance <= nearestDistance) {
+      nearest = feature;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+};
+
+/**
+ * Center of the green for a hole's POI
+ *
+ * @param {Object} poi - Hole POI
+ * @returns {Object|null} { lat, lng }
+ */
+export const getHoleGreenCenter = (poi) => getGreenPositions(poi?.greens).center;
@@ -0,0 +1,58 @@
+// src/utils/holeNotes.js
+//
+// Hole notes
+// Players can note things about a hole as they play it ("pin back left, misread break")
+// and attach photos and voice memos. Notes are kept with the hole in hole_data.notes as
+// { text, media }; each media item is { type, path, createdAt, durationMs } where path
+// is the object in the hole-media storage bucket (see holeNotesService.js).
+
+export const HOLE_MEDIA_TYPES = {
+  PHOTO: 'photo',
+  VOICE: 'voice'
+};
+
+/**
+ * Create the empty notes of a hole
+ */
+export const createHoleNotes = () => ({
+  text: "",
+  media: []
+});
+
+/**
+ * Whether a hole has anything noted
+ *
+ * @param {Object} notes - hole_data.notes
+ * @returns {boolean}
+ */
+export const hasHoleNotes = (notes) => {
+  return !!notes && (!!notes.text?.trim() || (notes.media || []).length > 0);
+};
+
+/**
+ * Notes of a round's holes, in hole order
+ *
+ * @param {Array} holeRecords - Rows from the shots table ({ hole_number, hole_data })
+ * @returns {Array} Holes with notes, each { holeNumber, text, media }
+ */
+export const getRoundNotes = (holeRecords) => {
+  return (holeRecords || [])
+    .filter(record => hasHoleNotes(record.hole_data?.notes))
+    .sort((a, b) => a.hole_number - b.hole_number)
+    .map(record => ({
+      holeNumber: record.hole_number,
+      text: record.hole_data.notes.text?.trim() || "",
+      media: record.hole_data.notes.media || []
+    }));
+};
+
+/**
+ * Format a voice memo's length, e.g. 0:42
+ *
+ * @param {number} durationMs - Length in milliseconds
+ * @returns {string}
+ */
+export const formatMemoDuration = (durationMs) => {
+  const totalSeconds = Math.round((durationMs || 0) / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+};
@@ -0,0 +1,142 @@
+// src/utils/holeSelection.js
+//
+// Hole selection helpers shared by course selection, tracking and scorecard
+// Resolves which hole numbers a round covers from the course layout and the
+// player's choice of front nine, back nine or a full round, and the order
+// they are played in when the round starts on a hole other than the first
+
+// Supported hole selections - values are persisted on rounds.hole_selection
+export const HOLE_SELECTIONS = {
+  FULL: 'full',
+  FRONT_NINE: 'front_nine',
+  BACK_NINE: 'back_nine'
+};
+
+// Human readable labels for the selector and scorecard
+export const HOLE_SELECTION_LABELS = {
+  [HOLE_SELECTIONS.FULL]: 'Full Round',
+  [HOLE_SELECTIONS.FRONT_NINE]: 'Front 9',
+  [HOLE_SELECTIONS.BACK_NINE]: 'Back 9'
+};
+
+const DEFAULT_COURSE_HOLES = 18;
+const DEFAULT_COURSE_PAR = 72;
+
+/**
+ * Normalize the number of holes on a course
+ * Falls back to 18 when courses.num_holes is missing or invalid
+ *
+ * @param {number|string|null} numHoles - Value of courses.num_holes
+ * @returns {number} Number of holes on the course
+ */
+export const getCourseHoleCount = (numHoles) => {
+  const parsed = parseInt(numHoles, 10);
+  return !isNaN(parsed) && parsed > 0 ? parsed : DEFAULT_COURSE_HOLES;
+};
+
+/**
+ * Get the hole selections that make sense for a course
+ * Nine hole courses can only be played as a full round
+ *
+ * @param {number|string|null} numHoles - Value of courses.num_holes
+ * @returns {Array<string>} Available HOLE_SELECTIONS values
+ */
+export const getAvailableHoleSelections = (numHoles) => {
+  const courseHoles = getCourseHoleCount(numHoles);
+
+  if (courseHoles < DEFAULT_COURSE_HOLES) {
+    return [HOLE_SELECTIONS.FULL];
+  }
+
+  return [HOLE_SELECTIONS.FULL, HOLE_SELECTIONS.FRONT_NINE, HOLE_SELECTIONS.BACK_NINE];
+};
+
+/**
+ * Resolve the ordered list of hole numbers covered by a round
+ *
+ * @param {string|null} selection - HOLE_SELECTIONS value (defaults to full)
+ * @param {number|string|null} numHoles - Value of courses.num_holes
+ * @returns {Array<number>} Hole numbers in playing order
+ */
+export const getHoleNumbers = (selection, numHoles) => {
+  const courseHoles = getCourseHoleCount(numHoles);
+  const allHoles = Array.from({ length: courseHoles }, (_, i) => i + 1);
+
+  // Nine hole splits only apply to courses with a back nine
+  if (courseHoles < DEFAULT_COURSE_HOLES) {
+    return allHoles;
+  }
+
+  switch (selection) {
+    case HOLE_SELECTIONS.FRONT_NINE:
+      return allHoles.slice(0, 9);
+    case HOLE_SELECTIONS.BACK_NINE:
+      return allHoles.slice(9, 18);
+    default:
+      return allHoles;
+  }
+};
+
+/**
+ * Split a round's holes into scorecard nines (Out / In)
+ * Nines without any played holes are omitted
+ *
+ * @param {Array<number>} holeNumbers - Hole numbers covered by the round
+ * @returns {Array<Object>} Segments with label and holes
+ */
+export const getScorecardSegments = (holeNumbers) => {
+  const segments = [
+    { key: 'out', label: 'Out', holes: holeNumbers.filter(n => n <= 9) },
+    { key: 'in', label: 'In', holes: holeNumbers.filter(n => n > 9) }
+  ];
+
+  return segments.filter(segment => segment.holes.length > 0);
+};
+
+/**
+ * Order a round's holes for play from a starting hole
+ * Holes before the starting hole wrap around to the end, e.g. a shotgun
+ * start on 14 of a full round plays 14-18 then 1-13
+ *
+ * @param {Array<number>} holeNumbers - Hole numbers covered by the round
+ * @param {number|string|null} startingHole - Hole the round starts on (defaults to the first hole)
+ * @returns {Array<number>} Hole numbers in playing order
+ */
+export const getPlayingOrder = (holeNumbers, startingHole) => {
+  const startIndex = holeNumbers.indexOf(parseInt(startingHole, 10));
+
+  if (startIndex <= 0) {
+    return holeNumbers;
+  }
+
+  return [...holeNumbers.slice(startIndex), ...holeNumbers.slice(0, startIndex)];
+};
+
+/**
+ * Calculate par for the holes covered by a round
+ * Uses per-hole par when the course has hole data, otherwise scales the course par
+ *
+ * @param {Object} courseData - Course with par, holes and num_holes
+ * @param {Array<number>} roundHoles - Hole numbers covered by the round
+ * @returns {number} Par for the round
+ */
+export const calculateRoundPar = (courseData, roundHoles) => {
+  const coursePar = courseData.par || DEFAULT_COURSE_PAR;
+  const courseHoleCount = getCourseHoleCount(courseData.num_holes);
+
+  if (Array.isArray(courseData.holes) && courseData.holes.length > 0) {
+    const holePars = roundHoles.map(holeNum =>
+      courseData.holes.find(hole => hole.number === holeNum)?.par_men
+    );
+
+    if (holePars.every(par => typeof par === 'number')) {
+      return holePars.reduce((sum, par) => sum + par, 0);
+    }
+  }
+
+  if (roundHoles.length === courseHoleCount) {
+    return coursePar;
+  }
+
+  return Math.round(coursePar * roundHoles.length / courseHoleCount);
+};
@@ -0,0 +1,102 @@
+// src/utils/leaderboard.js
+//
+// Leaderboard standings
+// Pure helpers used by leaderboardService.js to turn each player's hole scores into
+// to-par totals and rank the field. Net totals use the course handicap for the holes
+// being played, with strokes allocated by stroke index as on the scorecard.
+
+import { TEE_SETS, getTeeRating, calculateCourseHandicap } from "./handicap";
+import { buildScoringHoles } from "./scoringFormats";
+
+// Standings can be ranked on gross or net scores
+export const LEADERBOARD_MODES = {
+  GROSS: 'gross',
+  NET: 'net'
+};
+
+/**
+ * Format a to-par total, e.g. "-2", "E" or "+3"
+ *
+ * @param {number|null} value - Strokes relative to par
+ * @returns {string} Display value ("-" when nothing has been played)
+ */
+export const formatToPar = (value) => {
+  if (typeof value !== 'number') return "-";
+  if (value === 0) return "E";
+  return value > 0 ? `+${value}` : `${value}`;
+};
+
+/**
+ * Course handicap for a live round, from the player's handicap index
+ * Completed rounds already store theirs in rounds.course_handicap
+ *
+ * @param {Object} params
+ * @param {number|null} params.handicapIndex - Player's handicap index
+ * @param {Object} params.course - Course with holes and tees
+ * @param {Object} params.round - Round with selected_tee_id and selected_tee_name
+ * @param {Array<number>} params.holeNumbers - Holes in the round
+ * @param {string} params.teeSet - Player's TEE_SETS value
+ * @returns {number|null} Course handicap, or null without an index or rated tee
+ */
+export const calculateLiveCourseHandicap = ({ handicapIndex, course, round, holeNumbers, teeSet = TEE_SETS.MEN }) => {
+  const holes = buildScoringHoles({ holeNumbers, courseHoles: course?.holes, holeScores: {}, teeSet });
+  if (!holes.every(hole => typeof hole.par === 'number')) return null;
+
+  const roundPar = holes.reduce((sum, hole) => sum + hole.par, 0);
+  const teeRating = getTeeRating(course?.tees, round.selected_tee_id, round.selected_tee_name, teeSet);
+
+  return calculateCourseHandicap(handicapIndex, teeRating, roundPar, holeNumbers.length);
+};
+
+/**
+ * Calculate a player's standing from their hole scores
+ *
+ * @param {Object} params
+ * @param {Array<number>} params.holeNumbers - Holes in the round, in playing order
+ * @param {Array} params.courseHoles - courses.holes
+ * @param {Object} params.holeScores - Gross score keyed by hole number
+ * @param {number|null} params.courseHandicap - Course handicap (null scores net as gross)
+ * @param {string} params.teeSet - TEE_SETS value for pars and stroke indexes
+ * @returns {Object} { thru, gross, toPar, netToPar, holes } where holes holds
+ *   { score, toPar } keyed by hole number for the holes played
+ */
+export const calculateStanding = ({ holeNumbers, courseHoles, holeScores, courseHandicap = null, teeSet = TEE_SETS.MEN }) => {
+  const played = buildScoringHoles({ holeNumbers, courseHoles, holeScores, courseHandicap, teeSet })
+    .filter(hole => hole.score > 0 && typeof hole.par === 'number');
+
+  return {
+    thru: played.length,
+    gross: played.reduce((sum, hole) => sum + hole.score, 0),
+    toPar: played.reduce((sum, hole) => sum + hole.score - hole.par, 0),
+    netToPar: played.reduce((sum, hole) => sum + hole.score - hole.strokes - hole.par, 0),
+    holes: played.reduce((holes, hole) => {
+      holes[hole.number] = { score: hole.score, toPar: hole.score - hole.par };
+      return holes;
+    }, {})
+  };
+};
+
+/**
+ * Rank standings on gross or net to-par totals
+ * Tied players share a position; players yet to finish a hole go to the bottom unranked
+ *
+ * @param {Array} standings - Entries with thru, toPar and netToPar
+ * @param {string} mode - LEADERBOARD_MODES value
+ * @returns {Array} Sorted copies with position (null when unranked) and tied
+ */
+export const rankStandings = (standings, mode = LEADERBOARD_MODES.GROSS) => {
+  const getTotal = (standing) => mode === LEADERBOARD_MODES.NET ? standing.netToPar : standing.toPar;
+
+  const started = standings
+    .filter(standing => standing.thru > 0)
+    .sort((a, b) => getTotal(a) - getTotal(b) || b.thru - a.thru);
+  const waiting = standings.filter(standing => !(standing.thru > 0));
+
+  const ranked = started.map((standing, index) => {
+    const position = started.findIndex(other => getTotal(other) === getTotal(standing)) + 1;
+    const tied = started.some((other, otherIndex) => otherIndex !== index && getTotal(other) === getTotal(standing));
+    return { ...standing, position, tied };
+  });
+
+  return [...ranked, ...waiting.map(standing => ({ ...standing, position: null, tied: false }))];
+};
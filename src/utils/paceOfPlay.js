@@ -0,0 +1,86 @@
+// src/utils/paceOfPlay.js
+//
+// Pace of play for the app
+// Hole times, targets and the timing report come from
+// supabase/functions/_shared/paceOfPlay.js; this adds the labels, the target the
+// tracker plays to and the wording shown on the timing report.
+
+import { DEFAULT_ROUND_MINUTES, PACE_STATUS } from "../../supabase/functions/_shared/paceOfPlay.js";
+
+export {
+  PACE_STATUS,
+  HOLE_TIME_SOURCES,
+  DEFAULT_ROUND_MINUTES,
+  PACE_TOLERANCE_MINUTES,
+  getHoleTargetMinutes,
+  getHoleDurations,
+  getPaceStatus,
+  getPaceScoreCorrelation,
+  buildRoundTimingReport
+} from "../../supabase/functions/_shared/paceOfPlay.js";
+
+export const PACE_STATUS_LABELS = {
+  [PACE_STATUS.ON_PACE]: "On pace",
+  [PACE_STATUS.BEHIND]: "Behind pace"
+};
+
+export const NINE_LABELS = {
+  front: "Front 9",
+  back: "Back 9"
+};
+
+/**
+ * Target round time for 18 holes: the player's own, then the course's, then the default
+ *
+ * @param {Object} targets
+ * @param {number} targets.profileMinutes - profiles.pace_target_minutes
+ * @param {number} targets.courseMinutes - courses.pace_of_play_minutes
+ * @returns {number} Minutes
+ */
+export const getRoundTargetMinutes = ({ profileMinutes = null, courseMinutes = null } = {}) => {
+  return profileMinutes || courseMinutes || DEFAULT_ROUND_MINUTES;
+};
+
+/**
+ * Format a time in minutes for display, e.g. "14 min" or "4:12"
+ *
+ * @param {number} minutes - Minutes (decimals are rounded)
+ * @returns {string} Display text
+ */
+export const formatPlayTime = (minutes) => {
+  if (minutes === null || minutes === undefined) return "-";
+
+  const total = Math.round(minutes);
+  if (total < 60) return `${total} min`;
+
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// Correlation strong enough to call a trend between pace and score
+const PACE_SCORE_TREND = 0.3;
+
+const formatAverageToPar = (value) => (value > 0 ? `+${value.toFixed(1)}` : value.toFixed(1));
+
+/**
+ * Describe how pace went with score over a round, for the timing report
+ *
+ * @param {Object} paceAndScore - From getPaceScoreCorrelation
+ * @returns {string|null} A sentence or two, or null without enough timed holes
+ */
+export const describePaceAndScore = (paceAndScore) => {
+  if (!paceAndScore) return null;
+
+  const { coefficient, slowHoles, quickHoles } = paceAndScore;
+
+  let trend = "Pace made little difference to your scores.";
+  if (coefficient !== null && coefficient >= PACE_SCORE_TREND) {
+    trend = "Holes that took longer tended to cost you shots.";
+  } else if (coefficient !== null && coefficient <= -PACE_SCORE_TREND) {
+    trend = "You scored better on the holes that took longer.";
+  }
+
+  if (slowHoles.count === 0 || quickHoles.count === 0) return trend;
+
+  return `${trend} Holes over target averaged ${formatAverageToPar(slowHoles.averageToPar)} to par, ` +
+    `holes within target ${formatAverageToPar(quickHoles.averageToPar)}.`;
+};
@@ -0,0 +1,75 @@
+// src/utils/quickScore.js
+//
+// Quick score tracking
+// Rounds are tracked either shot by shot through ShotTable or, in quick score mode,
+// with just a score per hole plus optional putts, fairway hit and green in regulation.
+// Quick holes keep the usual hole_data shape with an empty shots list: the score is
+// stored on the hole (and in shots.total_score) and the extra stats in quickScore.
+
+// Tracking modes chosen per round in CourseSelectorScreen
+export const TRACKING_MODES = {
+  DETAILED: 'detailed',
+  QUICK: 'quick'
+};
+
+export const TRACKING_MODE_LABELS = {
+  [TRACKING_MODES.DETAILED]: "Shot by Shot",
+  [TRACKING_MODES.QUICK]: "Quick Score"
+};
+
+export const TRACKING_MODE_DESCRIPTIONS = {
+  [TRACKING_MODES.DETAILED]: "Record every shot's type and outcome for the fullest insights",
+  [TRACKING_MODES.QUICK]: "Tap in a score per hole, with putts, fairways and greens if you like. Insights are less detailed"
+};
+
+/**
+ * Create the optional stats of a quick hole
+ * null means the stat wasn't recorded
+ */
+export const createQuickScore = () => ({
+  putts: null,
+  fairwayHit: null,
+  gir: null
+});
+
+/**
+ * Score for a hole, whichever way it was tracked
+ * Quick holes store the score; holes tracked shot by shot count the shots
+ *
+ * @param {Object} hole - Hole tracking state ({ score, shots })
+ * @returns {number} Gross score (0 when the hole hasn't been scored)
+ */
+export const getHoleScore = (hole) => {
+  if (!hole) return 0;
+  return hole.score || hole.shots?.length || 0;
+};
+
+/**
+ * Step a quick score up or down
+ * The first tap starts from par so most holes need one or two taps
+ *
+ * @param {number} score - Current score (0 when unscored)
+ * @param {number} change - +1 or -1
+ * @param {number|null} par - Hole par
+ * @returns {number} New score
+ */
+export const stepHoleScore = (score, change, par) => {
+  return Math.max(0, score > 0 ? score + change : par || change);
+};
+
+/**
+ * Step the putt count up or down
+ * Stepping below zero clears it back to not recorded, and putts can't exceed the score
+ *
+ * @param {number|null} putts - Current putts
+ * @param {number} change - +1 or -1
+ * @param {number} score - Hole score, caps the putts when set
+ * @returns {number|null} New putt count
+ */
+export const stepPutts = (putts, change, score = 0) => {
+  if (putts === null || putts === undefined) return change > 0 ? 1 : null;
+
+  const next = putts + change;
+  if (next < 0) return null;
+  return score > 0 ? Math.min(next, score) : next;
+};
@@ -0,0 +1,258 @@
+// src/utils/scoringFormats.js
+//
+// Scoring formats
+// Each format scores a round hole by hole from net scores against par and summarises
+// the result. Formats are registered by ID so new ones only need registering here to
+// be selectable in CourseSelectorScreen and rendered on the scorecard and round cards.
+
+import {
+  TEE_SETS,
+  getHolePar,
+  getHoleStrokeIndex,
+  allocateHandicapStrokes
+} from "./handicap";
+
+// Format IDs stored in rounds.scoring_format
+export const SCORING_FORMATS = {
+  STROKE: 'stroke',
+  STABLEFORD: 'stableford',
+  MODIFIED_STABLEFORD: 'modified_stableford',
+  MATCH_PLAY: 'match_play',
+  SKINS: 'skins'
+};
+
+// Registered formats keyed by ID
+const formats = {};
+
+/**
+ * Register a scoring format
+ *
+ * A format provides:
+ * - id, label, shortLabel (scorecard column header) and description
+ * - additive: true when hole values can be subtotalled per nine
+ * - scoreHoles(holes): per-hole results [{ number, value, display }] in playing order
+ * - summarize(results): { value, display } for the round
+ *
+ * @param {Object} format - Format definition
+ */
+export const registerScoringFormat = (format) => {
+  formats[format.id] = format;
+};
+
+/**
+ * Get a format by ID, falling back to stroke play
+ */
+export const getScoringFormat = (formatId) => {
+  return formats[formatId] || formats[SCORING_FORMATS.STROKE];
+};
+
+/**
+ * List the registered formats in registration order
+ */
+export const getScoringFormats = () => Object.values(formats);
+
+// Net score relative to par for a played hole
+const netToPar = (hole) => hole.score - (hole.strokes || 0) - hole.par;
+
+const isPlayed = (hole) => hole.score > 0 && typeof hole.par === 'number';
+
+/**
+ * Build a points-based format from a points-per-hole table
+ */
+const createPointsFormat = ({ id, label, description, getPoints }) => ({
+  id,
+  label,
+  shortLabel: "Pts",
+  description,
+  additive: true,
+  scoreHoles: (holes) => holes.map(hole => {
+    if (!isPlayed(hole)) return { number: hole.number, value: null, display: "-" };
+
+    const points = getPoints(netToPar(hole));
+    return { number: hole.number, value: points, display: `${points}` };
+  }),
+  summarize: (results) => {
+    const points = results.reduce((sum, result) => sum + (result.value || 0), 0);
+    return { value: points, display: `${points} pts` };
+  }
+});
+
+registerScoringFormat({
+  id: SCORING_FORMATS.STROKE,
+  label: "Stroke Play",
+  shortLabel: "Net",
+  description: "Every stroke counts",
+  additive: true,
+  scoreHoles: (holes) => holes.map(hole => {
+    if (!isPlayed(hole)) return { number: hole.number, value: null, display: "-" };
+
+    const net = hole.score - (hole.strokes || 0);
+    return { number: hole.number, value: net, display: `${net}` };
+  }),
+  summarize: (results) => {
+    const net = results.reduce((sum, result) => sum + (result.value || 0), 0);
+    return { value: net, display: `${net}` };
+  }
+});
+
+registerScoringFormat(createPointsFormat({
+  id: SCORING_FORMATS.STABLEFORD,
+  label: "Stableford",
+  description: "Points for each net score: 2 for par, 1 more for each stroke under",
+  getPoints: (toPar) => Math.max(0, 2 - toPar)
+}));
+
+const MODIFIED_STABLEFORD_POINTS = [
+  { maxToPar: -3, points: 8 },
+  { maxToPar: -2, points: 5 },
+  { maxToPar: -1, points: 2 },
+  { maxToPar: 0, points: 0 },
+  { maxToPar: 1, points: -1 }
+];
+
+registerScoringFormat(createPointsFormat({
+  id: SCORING_FORMATS.MODIFIED_STABLEFORD,
+  label: "Modified Stableford",
+  description: "Rewards birdies and eagles, with points taken off for bogeys or worse",
+  getPoints: (toPar) => {
+    const band = MODIFIED_STABLEFORD_POINTS.find(entry => toPar <= entry.maxToPar);
+    return band ? band.points : -3;
+  }
+}));
+
+/**
+ * Describe a match standing, e.g. "2 UP", "AS" or "1 DN"
+ */
+const formatMatchStatus = (lead) => {
+  if (lead === 0) return "AS";
+  return lead > 0 ? `${lead} UP` : `${Math.abs(lead)} DN`;
+};
+
+registerScoringFormat({
+  id: SCORING_FORMATS.MATCH_PLAY,
+  label: "Match Play vs Par",
+  shortLabel: "Match",
+  description: "Win a hole with a net birdie, halve it with a net par",
+  scoreHoles: (holes) => {
+    let lead = 0;
+    let decided = null;
+
+    return holes.map((hole, index) => {
+      if (!isPlayed(hole)) {
+        return { number: hole.number, value: null, display: "-", status: formatMatchStatus(lead) };
+      }
+
+      const toPar = netToPar(hole);
+      const outcome = toPar < 0 ? 'won' : toPar === 0 ? 'halved' : 'lost';
+      if (!decided) {
+        lead += outcome === 'won' ? 1 : outcome === 'lost' ? -1 : 0;
+
+        // A match is decided once the lead is bigger than the holes left
+        const holesLeft = holes.length - index - 1;
+        if (Math.abs(lead) > holesLeft) {
+          decided = holesLeft > 0 ? `${Math.abs(lead)} & ${holesLeft}` : null;
+        }
+      }
+
+      return {
+        number: hole.number,
+        value: outcome === 'won' ? 1 : outcome === 'lost' ? -1 : 0,
+        outcome,
+        display: formatMatchStatus(lead),
+        lead,
+        decided
+      };
+    });
+  },
+  summarize: (results) => {
+    const last = [...results].reverse().find(result => result.lead !== undefined);
+    if (!last) return { value: 0, display: "AS" };
+
+    if (last.decided) {
+      return { value: last.lead, display: `${last.lead > 0 ? "Won" : "Lost"} ${last.decided}` };
+    }
+
+    return { value: last.lead, display: formatMatchStatus(last.lead) };
+  }
+});
+
+registerScoringFormat({
+  id: SCORING_FORMATS.SKINS,
+  label: "Skins vs Par",
+  shortLabel: "Skins",
+  description: "Net birdies win the skins in play, net pars carry them over, bogeys give them to the course",
+  scoreHoles: (holes) => {
+    let carried = 0;
+
+    return holes.map(hole => {
+      if (!isPlayed(hole)) return { number: hole.number, value: null, display: "-" };
+
+      const skinsInPlay = carried + 1;
+      const toPar = netToPar(hole);
+
+      if (toPar === 0) {
+        carried = skinsInPlay;
+        return { number: hole.number, value: 0, display: "C" };
+      }
+
+      carried = 0;
+      return toPar < 0
+        ? { number: hole.number, value: skinsInPlay, display: `+${skinsInPlay}` }
+        : { number: hole.number, value: -skinsInPlay, display: `-${skinsInPlay}` };
+    });
+  },
+  summarize: (results) => {
+    const won = results.reduce((sum, result) => sum + Math.max(result.value || 0, 0), 0);
+    const lost = results.reduce((sum, result) => sum + Math.max(-(result.value || 0), 0), 0);
+    return { value: won - lost, display: `${won} won, ${lost} lost` };
+  }
+});
+
+/**
+ * Build the per-hole input the formats score from
+ *
+ * @param {Object} params
+ * @param {Array<number>} params.holeNumbers - Holes in the round, in playing order
+ * @param {Array} params.courseHoles - courses.holes
+ * @param {Object} params.holeScores - Gross score keyed by hole number
+ * @param {number|null} params.courseHandicap - Round's course handicap (null scores gross)
+ * @param {string} params.teeSet - TEE_SETS value for pars and stroke indexes
+ * @returns {Array} [{ number, par, score, strokes }]
+ */
+export const buildScoringHoles = ({ holeNumbers, courseHoles, holeScores, courseHandicap = null, teeSet = TEE_SETS.MEN }) => {
+  const findCourseHole = (holeNumber) =>
+    Array.isArray(courseHoles) ? courseHoles.find(hole => hole.number === holeNumber) : null;
+
+  const strokes = allocateHandicapStrokes(
+    courseHandicap,
+    holeNumbers.map(number => ({ number, strokeIndex: getHoleStrokeIndex(findCourseHole(number), teeSet) }))
+  );
+
+  return holeNumbers.map(number => ({
+    number,
+    par: getHolePar(findCourseHole(number), teeSet),
+    score: holeScores[number] || 0,
+    strokes: strokes[number] || 0
+  }));
+};
+
+/**
+ * Score a round in a format
+ *
+ * @param {string} formatId - SCORING_FORMATS value
+ * @param {Array} holes - Output of buildScoringHoles
+ * @returns {Object} { format, holes: results keyed by hole number, summary }
+ */
+export const scoreRound = (formatId, holes) => {
+  const format = getScoringFormat(formatId);
+  const results = format.scoreHoles(holes);
+
+  return {
+    format,
+    holes: results.reduce((byHole, result) => {
+      byHole[result.number] = result;
+      return byHole;
+    }, {}),
+    summary: format.summarize(results)
+  };
+};
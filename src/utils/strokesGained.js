@@ -0,0 +1,23 @@
+// src/utils/strokesGained.js
+//
+// Strokes gained for the app
+// The engine lives with the edge functions so the app and analyze-golf-performance
+// score rounds identically - see supabase/functions/_shared/strokesGained.js
+
+export {
+  STROKES_GAINED_VERSION,
+  SG_CATEGORIES,
+  LIES,
+  getExpectedStrokes,
+  getHoleDistance,
+  calculateHoleStrokesGained,
+  calculateRoundStrokesGained
+} from "../../supabase/functions/_shared/strokesGained.js";
+
+// Display labels for each category, in scorecard order
+export const SG_CATEGORY_LABELS = {
+  offTheTee: "Off the Tee",
+  approach: "Approach",
+  aroundTheGreen: "Around the Green",
+  putting: "Putting"
+};
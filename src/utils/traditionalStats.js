@@ -0,0 +1,99 @@
+// src/utils/traditionalStats.js
+//
+// Traditional stats for the app
+// Derivation lives with the edge functions so the app and analyze-golf-performance
+// agree on every hole - see supabase/functions/_shared/traditionalStats.js
+
+export {
+  TRADITIONAL_STATS_VERSION,
+  calculateHoleStats,
+  calculateRoundStats
+} from "../../supabase/functions/_shared/traditionalStats.js";
+
+// Percentage stats in display order, each read from a { made, attempts } count
+export const TRADITIONAL_STAT_ROWS = [
+  { key: 'fairways', label: "Fairways Hit" },
+  { key: 'greens', label: "Greens in Regulation" },
+  { key: 'scrambling', label: "Scrambling" },
+  { key: 'upAndDowns', label: "Up and Downs" },
+  { key: 'sandSaves', label: "Sand Saves" },
+  { key: 'threePuttAvoidance', label: "Three-Putt Avoidance" }
+];
+
+/**
+ * Get a { made, attempts } count from round stats
+ * Three-putt avoidance is the holes putted without three-putting
+ *
+ * @param {Object} stats - Result of calculateRoundStats or combineRoundStats
+ * @param {string} key - TRADITIONAL_STAT_ROWS key
+ * @returns {Object} { made, attempts }
+ */
+export const getStatCount = (stats, key) => {
+  if (key === 'threePuttAvoidance') {
+    const threePutts = stats?.threePutts || { made: 0, attempts: 0 };
+    return { made: threePutts.attempts - threePutts.made, attempts: threePutts.attempts };
+  }
+  return stats?.[key] || { made: 0, attempts: 0 };
+};
+
+/**
+ * Percentage for a { made, attempts } count
+ *
+ * @returns {number|null} Whole percentage, or null with no attempts
+ */
+export const getStatPercentage = ({ made, attempts }) => {
+  return attempts > 0 ? Math.round((made / attempts) * 100) : null;
+};
+
+/**
+ * Format a count as "8/14 (57%)"
+ *
+ * @param {Object} count - { made, attempts }
+ * @returns {string} Display value ("-" with no attempts)
+ */
+export const formatStatCount = (count) => {
+  const percentage = getStatPercentage(count);
+  return percentage === null ? "-" : `${count.made}/${count.attempts} (${percentage}%)`;
+};
+
+/**
+ * Average putts per hole putted
+ *
+ * @returns {number|null} Rounded to one decimal place, or null when no putts were recorded
+ */
+export const getPuttsPerHole = (stats) => {
+  const putts = stats?.putts;
+  return putts?.holes > 0 ? Math.round((putts.total / putts.holes) * 10) / 10 : null;
+};
+
+/**
+ * Add up the stats of several rounds
+ *
+ * @param {Array} roundStats - Results of calculateRoundStats (nulls are skipped)
+ * @returns {Object|null} Combined counts in the calculateRoundStats shape without holes,
+ *   plus roundsCounted, or null when there's nothing to combine
+ */
+export const combineRoundStats = (roundStats) => {
+  const counted = (roundStats || []).filter(Boolean);
+  if (counted.length === 0) return null;
+
+  const sumCount = (key) => counted.reduce((total, stats) => ({
+    made: total.made + (stats[key]?.made || 0),
+    attempts: total.attempts + (stats[key]?.attempts || 0)
+  }), { made: 0, attempts: 0 });
+
+  return {
+    roundsCounted: counted.length,
+    holesCounted: counted.reduce((sum, stats) => sum + stats.holesCounted, 0),
+    fairways: sumCount('fairways'),
+    greens: sumCount('greens'),
+    putts: counted.reduce((total, stats) => ({
+      total: total.total + (stats.putts?.total || 0),
+      holes: total.holes + (stats.putts?.holes || 0)
+    }), { total: 0, holes: 0 }),
+    scrambling: sumCount('scrambling'),
+    upAndDowns: sumCount('upAndDowns'),
+    sandSaves: sumCount('sandSaves'),
+    threePutts: sumCount('threePutts')
+  };
+};
@@ -0,0 +1,235 @@
+// src/utils/trends.js
+//
+// Performance trends
+// Pure helpers used by trendsService.js and TrendsScreen to summarise each completed
+// round (score, putts, penalties, on-target rate per shot type), filter rounds by
+// course, tee and date range, and turn them into chart series over time.
+
+import { combineRoundStats } from "./traditionalStats";
+
+// Shot types with an outcome; penalty strokes are counted separately
+export const TREND_SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand"];
+
+// Date ranges offered as filters
+export const TREND_DATE_RANGES = {
+  ALL: 'all',
+  LAST_30_DAYS: '30d',
+  LAST_90_DAYS: '90d',
+  LAST_YEAR: '1y'
+};
+
+export const TREND_DATE_RANGE_LABELS = {
+  [TREND_DATE_RANGES.ALL]: "All Time",
+  [TREND_DATE_RANGES.LAST_30_DAYS]: "30 Days",
+  [TREND_DATE_RANGES.LAST_90_DAYS]: "90 Days",
+  [TREND_DATE_RANGES.LAST_YEAR]: "1 Year"
+};
+
+const DATE_RANGE_DAYS = {
+  [TREND_DATE_RANGES.LAST_30_DAYS]: 30,
+  [TREND_DATE_RANGES.LAST_90_DAYS]: 90,
+  [TREND_DATE_RANGES.LAST_YEAR]: 365
+};
+
+// Metrics that can be charted over time
+export const TREND_METRICS = {
+  SCORE: 'score',
+  TO_PAR: 'toPar',
+  ON_TARGET: 'onTarget',
+  PENALTIES: 'penalties',
+  PUTTS: 'putts'
+};
+
+export const TREND_METRIC_LABELS = {
+  [TREND_METRICS.SCORE]: "Score",
+  [TREND_METRICS.TO_PAR]: "To Par",
+  [TREND_METRICS.ON_TARGET]: "On Target",
+  [TREND_METRICS.PENALTIES]: "Penalties",
+  [TREND_METRICS.PUTTS]: "Putts"
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const average = (values) => {
+  return values.length > 0 ? round1(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+};
+
+/**
+ * Only full rounds are compared on gross score; nines are compared to par
+ */
+const isFullRound = (round) => !round.holeSelection || round.holeSelection === 'full';
+
+/**
+ * Count a round's shots by type and outcome, and its penalty strokes
+ * Quick score rounds record no shots, so they have no penalty count
+ *
+ * @param {Array} holeRecords - The round's rows from the shots table ({ hole_data })
+ * @returns {Object} { shotTypes: { [type]: { shots, onTarget } }, penalties } where
+ *   penalties is null when no shots were recorded
+ */
+export const summarizeRoundShots = (holeRecords) => {
+  const shotTypes = {};
+  let penalties = 0;
+  let recordedShots = 0;
+
+  (holeRecords || []).forEach(record => {
+    const shots = record.hole_data?.shots;
+    if (!Array.isArray(shots)) return;
+
+    recordedShots += shots.length;
+    shots.forEach(shot => {
+      if (shot.type === "Penalties") {
+        penalties++;
+        return;
+      }
+      if (!TREND_SHOT_TYPES.includes(shot.type)) return;
+
+      const counts = shotTypes[shot.type] || (shotTypes[shot.type] = { shots: 0, onTarget: 0 });
+      counts.shots++;
+      if (shot.result === "On Target") counts.onTarget++;
+    });
+  });
+
+  return { shotTypes, penalties: recordedShots > 0 ? penalties : null };
+};
+
+/**
+ * On-target percentage for a shot type
+ *
+ * @param {Object} shotTypes - { [type]: { shots, onTarget } }
+ * @param {string} shotType - Shot type, or null for every shot type together
+ * @returns {number|null} Whole percentage, or null when no shots of the type were recorded
+ */
+export const getOnTargetPercentage = (shotTypes, shotType = null) => {
+  const counts = Object.entries(shotTypes || {})
+    .filter(([type]) => !shotType || type === shotType)
+    .map(([, typeCounts]) => typeCounts);
+
+  const shots = counts.reduce((sum, typeCounts) => sum + typeCounts.shots, 0);
+  const onTarget = counts.reduce((sum, typeCounts) => sum + typeCounts.onTarget, 0);
+  return shots > 0 ? Math.round((onTarget / shots) * 100) : null;
+};
+
+/**
+ * The courses and tees the player's rounds were played on, for the filter options
+ *
+ * @param {Array} rounds - Trend rounds ({ courseId, courseName, teeName })
+ * @returns {Object} { courses: [{ id, name }], tees: [name] }, each sorted by name
+ */
+export const getTrendFilterOptions = (rounds) => {
+  const courses = {};
+  const tees = new Set();
+
+  (rounds || []).forEach(round => {
+    courses[round.courseId] = round.courseName;
+    if (round.teeName) tees.add(round.teeName);
+  });
+
+  return {
+    courses: Object.entries(courses)
+      .map(([id, name]) => ({ id, name }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    tees: [...tees].sort((a, b) => a.localeCompare(b))
+  };
+};
+
+/**
+ * Filter trend rounds by course, tee and date range
+ *
+ * @param {Array} rounds - Trend rounds ({ courseId, teeName, date })
+ * @param {Object} filters
+ * @param {string|null} filters.courseId - Course to keep (null for all)
+ * @param {string|null} filters.teeName - Tee to keep (null for all)
+ * @param {string} filters.dateRange - TREND_DATE_RANGES value
+ * @param {Date} now - Reference time for the date range
+ * @returns {Array} Matching rounds, in their original order
+ */
+export const filterTrendRounds = (rounds, { courseId = null, teeName = null, dateRange = TREND_DATE_RANGES.ALL } = {}, now = new Date()) => {
+  const days = DATE_RANGE_DAYS[dateRange];
+  const earliest = days ? now.getTime() - days * 24 * 60 * 60 * 1000 : null;
+
+  return (rounds || []).filter(round =>
+    (!courseId || round.courseId === courseId) &&
+    (!teeName || round.teeName === teeName) &&
+    (earliest === null || new Date(round.date).getTime() >= earliest)
+  );
+};
+
+/**
+ * Get a metric's value for one round
+ *
+ * @param {Object} round - Trend round
+ * @param {string} metric - TREND_METRICS value
+ * @param {string|null} shotType - Shot type for the on-target metric (null for all)
+ * @returns {number|null} Value, or null when the round has nothing to show for the metric
+ */
+export const getRoundMetric = (round, metric, shotType = null) => {
+  switch (metric) {
+    case TREND_METRICS.SCORE:
+      return isFullRound(round) && typeof round.grossShots === 'number' ? round.grossShots : null;
+    case TREND_METRICS.TO_PAR:
+      return typeof round.score === 'number' ? round.score : null;
+    case TREND_METRICS.ON_TARGET:
+      return getOnTargetPercentage(round.shotTypes, shotType);
+    case TREND_METRICS.PENALTIES:
+      return typeof round.penalties === 'number' ? round.penalties : null;
+    case TREND_METRICS.PUTTS:
+      return round.stats?.putts?.holes > 0 ? round.stats.putts.total : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Build a chart series for a metric, oldest round first
+ * Rounds without a value for the metric are left out
+ *
+ * @param {Array} rounds - Trend rounds
+ * @param {string} metric - TREND_METRICS value
+ * @param {string|null} shotType - Shot type for the on-target metric
+ * @returns {Array} [{ roundId, date, value }]
+ */
+export const buildTrendSeries = (rounds, metric, shotType = null) => {
+  return [...(rounds || [])]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(round => ({ roundId: round.id, date: round.date, value: getRoundMetric(round, metric, shotType) }))
+    .filter(point => point.value !== null);
+};
+
+/**
+ * Summarise a set of trend rounds
+ *
+ * @param {Array} rounds - Trend rounds
+ * @returns {Object|null} { roundsCounted, scoringAverage, fullRounds, averageToPar, puttsPerRound,
+ *   penaltiesPerRound, onTarget: { [type]: percentage }, stats }, or null with no rounds
+ */
+export const summarizeTrends = (rounds) => {
+  if (!rounds || rounds.length === 0) return null;
+
+  const metricValues = (metric) => rounds
+    .map(round => getRoundMetric(round, metric))
+    .filter(value => value !== null);
+
+  const shotTypes = {};
+  rounds.forEach(round => {
+    Object.entries(round.shotTypes || {}).forEach(([type, counts]) => {
+      const totals = shotTypes[type] || (shotTypes[type] = { shots: 0, onTarget: 0 });
+      totals.shots += counts.shots;
+      totals.onTarget += counts.onTarget;
+    });
+  });
+
+  return {
+    roundsCounted: rounds.length,
+    scoringAverage: average(metricValues(TREND_METRICS.SCORE)),
+    fullRounds: metricValues(TREND_METRICS.SCORE).length,
+    averageToPar: average(metricValues(TREND_METRICS.TO_PAR)),
+    puttsPerRound: average(metricValues(TREND_METRICS.PUTTS)),
+    penaltiesPerRound: average(metricValues(TREND_METRICS.PENALTIES)),
+    onTarget: TREND_SHOT_TYPES.reduce((percentages, type) => {
+      percentages[type] = getOnTargetPercentage(shotTypes, type);
+      return percentages;
+    }, {}),
+    stats: combineRoundStats(rounds.map(round => round.stats))
+  };
+};
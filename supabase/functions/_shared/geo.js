@@ -0,0 +1,33 @@
+// supabase/functions/_shared/geo.js
+//
+// Dependency-free geographic helpers shared by the app (via src/utils/geo.js)
+// and the edge functions, so both measure distances the same way
+// Coordinates use the same { lat, lng } shape as course POI data
+
+// Earth's radius in km converted to yards
+const EARTH_RADIUS_YARDS = 6371 * 1093.61;
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+/**
+ * Calculate distance between two coordinate points using the Haversine formula
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance rounded to the nearest yard
+ */
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return Math.round(EARTH_RADIUS_YARDS * c);
+};
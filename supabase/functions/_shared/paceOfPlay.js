@@ -0,0 +1,239 @@
+// supabase/functions/_shared/paceOfPlay.js
+//
+// PACE OF PLAY
+// Hole times, pace targets and the round timing report. Shared by the app (via
+// src/utils/paceOfPlay.js) and the analyze-golf-performance edge function, so it must
+// stay dependency-free.
+//
+// Hole times run tee to tee: a hole starts when play moves onto it and finishes when
+// the player moves on, so the walk to the next tee counts toward the hole just played.
+// The tracker stores these as hole_data.timing ({ startedAt, finishedAt }). Holes
+// without them fall back to the span of their shot timestamps, which misses the walk
+// and the time before the first and after the last shot, so those times are estimates.
+//
+// Targets come from a round time for 18 holes, shared out by par so a par 5 is given
+// longer than a par 3.
+
+export const PACE_STATUS = {
+  ON_PACE: 'on_pace',
+  BEHIND: 'behind'
+};
+
+export const HOLE_TIME_SOURCES = {
+  TIMING: 'timing',
+  SHOTS: 'shots'
+};
+
+// Round time for 18 holes when neither the player nor the course sets one
+export const DEFAULT_ROUND_MINUTES = 255;
+
+// Minutes over target before a round counts as behind pace
+export const PACE_TOLERANCE_MINUTES = 5;
+
+// Share of the round each par is given; a par-72 round (four par 3s, ten par 4s and
+// four par 5s) adds up to STANDARD_ROUND_WEIGHT
+const PAR_WEIGHTS = { 3: 11, 4: 14, 5: 17 };
+const STANDARD_ROUND_WEIGHT = 252;
+
+// Timed holes needed before pace and score are compared
+const MIN_CORRELATION_HOLES = 5;
+
+// Slowest holes listed in the report
+const SLOWEST_HOLE_COUNT = 3;
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+};
+
+const roundTo = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Target minutes for a hole
+ *
+ * @param {number} par - Hole par (par 4 is assumed when unknown)
+ * @param {number} roundMinutes - Target round time for 18 holes
+ * @returns {number} Minutes, to one decimal place
+ */
+export const getHoleTargetMinutes = (par, roundMinutes = DEFAULT_ROUND_MINUTES) => {
+  const weight = PAR_WEIGHTS[par] || PAR_WEIGHTS[4];
+  return roundTo(weight * roundMinutes / STANDARD_ROUND_WEIGHT);
+};
+
+/**
+ * When play moved onto a hole: its own start, or the previous hole's finish
+ */
+const getHoleStartTime = (holes, index) => {
+  return toTime(holes[index]?.holeData?.timing?.startedAt) ??
+    toTime(holes[index - 1]?.holeData?.timing?.finishedAt);
+};
+
+/**
+ * Minutes spent on each hole of a round
+ *
+ * @param {Array<Object>} holes - Holes in playing order, each { holeNumber, holeData }
+ * @returns {Array<Object>} In the same order, each { holeNumber, minutes, source }, with
+ *   minutes and source null when the hole can't be timed
+ */
+export const getHoleDurations = (holes) => {
+  return holes.map((hole, index) => {
+    const startedAt = getHoleStartTime(holes, index);
+    const finishedAt = toTime(hole.holeData?.timing?.finishedAt);
+
+    if (startedAt !== null && finishedAt !== null && finishedAt > startedAt) {
+      return {
+        holeNumber: hole.holeNumber,
+        minutes: roundTo((finishedAt - startedAt) / 60000),
+        source: HOLE_TIME_SOURCES.TIMING
+      };
+    }
+
+    const shotTimes = (hole.holeData?.shots || [])
+      .map(shot => toTime(shot.timestamp))
+      .filter(time => time !== null);
+
+    if (shotTimes.length >= 2) {
+      return {
+        holeNumber: hole.holeNumber,
+        minutes: roundTo((Math.max(...shotTimes) - Math.min(...shotTimes)) / 60000),
+        source: HOLE_TIME_SOURCES.SHOTS
+      };
+    }
+
+    return { holeNumber: hole.holeNumber, minutes: null, source: null };
+  });
+};
+
+/**
+ * How the round in progress compares with its target
+ * Finished holes count at the time they took; the hole being played only counts once
+ * it runs past its own target
+ *
+ * @param {Array<Object>} holes - The round's holes in playing order, each { holeNumber, par, holeData }
+ * @param {number} currentHoleNumber - Hole being played
+ * @param {number} now - Current time in milliseconds
+ * @param {number} roundMinutes - Target round time for 18 holes
+ * @returns {Object|null} { status, elapsedMinutes, minutesBehind } (negative when ahead),
+ *   or null before the round's start is known
+ */
+export const getPaceStatus = (holes, currentHoleNumber, now, roundMinutes = DEFAULT_ROUND_MINUTES) => {
+  const currentIndex = holes.findIndex(hole => hole.holeNumber === currentHoleNumber);
+  const roundStart = getHoleStartTime(holes, 0);
+  if (currentIndex < 0 || roundStart === null) return null;
+
+  const elapsedMinutes = (now - roundStart) / 60000;
+  const currentStart = getHoleStartTime(holes, currentIndex) ?? now;
+  const currentMinutes = Math.max((now - currentStart) / 60000, 0);
+  const currentTarget = getHoleTargetMinutes(holes[currentIndex].par, roundMinutes);
+
+  const finishedTarget = sum(
+    holes.slice(0, currentIndex).map(hole => getHoleTargetMinutes(hole.par, roundMinutes))
+  );
+  const minutesBehind = Math.round(elapsedMinutes - finishedTarget - Math.min(currentMinutes, currentTarget));
+
+  return {
+    status: minutesBehind > PACE_TOLERANCE_MINUTES ? PACE_STATUS.BEHIND : PACE_STATUS.ON_PACE,
+    elapsedMinutes: Math.round(elapsedMinutes),
+    minutesBehind
+  };
+};
+
+/**
+ * Compare time over target with score to par across a round's timed holes
+ *
+ * @param {Array<Object>} holes - Report holes, each { overTarget, scoreToPar }
+ * @returns {Object|null} { coefficient, holeCount, slowHoles, quickHoles }, where the
+ *   coefficient runs from -1 to 1 (positive when slower holes scored worse, null when
+ *   either side doesn't vary) and slowHoles/quickHoles are { count, averageToPar } for
+ *   holes over and within target. Null with too few timed holes
+ */
+export const getPaceScoreCorrelation = (holes) => {
+  const timed = holes.filter(hole => hole.overTarget !== null && Number.isFinite(hole.scoreToPar));
+  if (timed.length < MIN_CORRELATION_HOLES) return null;
+
+  const meanOver = sum(timed.map(hole => hole.overTarget)) / timed.length;
+  const meanToPar = sum(timed.map(hole => hole.scoreToPar)) / timed.length;
+
+  const covariance = sum(timed.map(hole => (hole.overTarget - meanOver) * (hole.scoreToPar - meanToPar)));
+  const spreadOver = Math.sqrt(sum(timed.map(hole => (hole.overTarget - meanOver) ** 2)));
+  const spreadToPar = Math.sqrt(sum(timed.map(hole => (hole.scoreToPar - meanToPar) ** 2)));
+
+  const summarize = (group) => ({
+    count: group.length,
+    averageToPar: group.length > 0 ? roundTo(sum(group.map(hole => hole.scoreToPar)) / group.length, 2) : null
+  });
+
+  return {
+    coefficient: spreadOver > 0 && spreadToPar > 0 ? roundTo(covariance / (spreadOver * spreadToPar), 2) : null,
+    holeCount: timed.length,
+    slowHoles: summarize(timed.filter(hole => hole.overTarget > 0)),
+    quickHoles: summarize(timed.filter(hole => hole.overTarget <= 0))
+  };
+};
+
+/**
+ * Timing report for a finished round
+ *
+ * @param {Array<Object>} holes - Holes played in playing order, each
+ *   { holeNumber, par, score, holeData }
+ * @param {number} roundMinutes - Target round time for 18 holes
+ * @returns {Object|null} {
+ *   holes: [{ holeNumber, par, score, scoreToPar, minutes, targetMinutes, overTarget, source }],
+ *   totalMinutes, targetMinutes, timedHoleCount, estimated,
+ *   nines: [{ key, minutes, targetMinutes, holeCount }],
+ *   slowestHoles, paceAndScore
+ * } where totals and nines cover timed holes only. Null when no hole could be timed
+ */
+export const buildRoundTimingReport = (holes, roundMinutes = DEFAULT_ROUND_MINUTES) => {
+  const durations = getHoleDurations(holes);
+
+  const reportHoles = holes.map((hole, index) => {
+    const { minutes, source } = durations[index];
+    const targetMinutes = getHoleTargetMinutes(hole.par, roundMinutes);
+
+    return {
+      holeNumber: hole.holeNumber,
+      par: hole.par || null,
+      score: hole.score || null,
+      scoreToPar: hole.score && hole.par ? hole.score - hole.par : null,
+      minutes,
+      targetMinutes,
+      overTarget: minutes !== null ? roundTo(minutes - targetMinutes) : null,
+      source
+    };
+  });
+
+  const timed = reportHoles.filter(hole => hole.minutes !== null);
+  if (timed.length === 0) return null;
+
+  const nines = [
+    { key: 'front', holes: timed.filter(hole => hole.holeNumber <= 9) },
+    { key: 'back', holes: timed.filter(hole => hole.holeNumber > 9) }
+  ]
+    .filter(nine => nine.holes.length > 0)
+    .map(nine => ({
+      key: nine.key,
+      minutes: roundTo(sum(nine.holes.map(hole => hole.minutes))),
+      targetMinutes: roundTo(sum(nine.holes.map(hole => hole.targetMinutes))),
+      holeCount: nine.holes.length
+    }));
+
+  return {
+    holes: reportHoles,
+    totalMinutes: roundTo(sum(timed.map(hole => hole.minutes))),
+    targetMinutes: roundTo(sum(timed.map(hole => hole.targetMinutes))),
+    timedHoleCount: timed.length,
+    estimated: timed.some(hole => hole.source === HOLE_TIME_SOURCES.SHOTS),
+    nines,
+    slowestHoles: timed
+      .filter(hole => hole.overTarget > 0)
+      .sort((a, b) => b.overTarget - a.overTarget)
+      .slice(0, SLOWEST_HOLE_COUNT),
+    paceAndScore: getPaceScoreCorrelation(timed)
+  };
+};
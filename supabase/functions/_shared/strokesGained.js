@@ -0,0 +1,390 @@
+// supabase/functions/_shared/strokesGained.js
+//
+// STROKES GAINED ENGINE
+// Deterministic strokes-gained calculation over the shots recorded in shots.hole_data.
+// Shared by the app (via src/utils/strokesGained.js) and the analyze-golf-performance
+// edge function, so it must stay dependency-free apart from the shared geo helpers.
+//
+// Each shot gains (expected strokes from its start) - (expected strokes from where the
+// next shot starts) - 1. Start positions come from shot GPS and the green's POI when
+// both are present; otherwise they are estimated from the hole distance and the shot
+// sequence (shot type and outcome), so every round gets a result.
+
+import { calculateDistance } from "./geo.js";
+
+// Bump when the baseline tables or estimation rules change so stored results can be recomputed
+export const STROKES_GAINED_VERSION = 1;
+
+// Strokes gained categories
+export const SG_CATEGORIES = {
+  OFF_THE_TEE: 'offTheTee',
+  APPROACH: 'approach',
+  AROUND_THE_GREEN: 'aroundTheGreen',
+  PUTTING: 'putting'
+};
+
+// Lies used by the baseline tables
+export const LIES = {
+  TEE: 'tee',
+  FAIRWAY: 'fairway',
+  ROUGH: 'rough',
+  SAND: 'sand',
+  RECOVERY: 'recovery',
+  GREEN: 'green'
+};
+
+// Shots starting within this many yards of the hole (off the green) count as around the green
+const AROUND_THE_GREEN_YARDS = 30;
+
+// Approximate tour-level expected strokes to hole out, after Broadie's published baselines
+// Off-green lies are keyed by yards to the hole, the green by feet
+const BASELINES = {
+  [LIES.TEE]: [
+    [100, 2.92], [120, 2.99], [140, 2.97], [160, 2.99], [180, 3.05], [200, 3.12],
+    [220, 3.17], [240, 3.25], [260, 3.45], [280, 3.65], [300, 3.71], [320, 3.79],
+    [340, 3.86], [360, 3.92], [380, 3.96], [400, 3.99], [420, 4.02], [440, 4.08],
+    [460, 4.17], [480, 4.28], [500, 4.41], [520, 4.54], [540, 4.65], [560, 4.74],
+    [580, 4.79], [600, 4.82]
+  ],
+  [LIES.FAIRWAY]: [
+    [10, 2.18], [20, 2.40], [30, 2.52], [40, 2.60], [60, 2.70], [80, 2.75],
+    [100, 2.80], [120, 2.85], [140, 2.91], [160, 2.98], [180, 3.08], [200, 3.19],
+    [220, 3.32], [240, 3.45], [260, 3.58], [280, 3.69], [300, 3.78], [350, 3.95],
+    [400, 4.11], [450, 4.28], [500, 4.53], [600, 4.96]
+  ],
+  [LIES.ROUGH]: [
+    [10, 2.34], [20, 2.59], [30, 2.70], [40, 2.78], [60, 2.91], [80, 2.96],
+    [100, 3.02], [120, 3.08], [140, 3.15], [160, 3.23], [180, 3.31], [200, 3.42],
+    [220, 3.53], [240, 3.64], [260, 3.74], [280, 3.83], [300, 3.90], [350, 4.08],
+    [400, 4.29], [500, 4.71], [600, 5.11]
+  ],
+  [LIES.SAND]: [
+    [10, 2.43], [20, 2.53], [30, 2.66], [40, 2.82], [60, 3.15], [80, 3.24],
+    [100, 3.23], [120, 3.21], [140, 3.22], [160, 3.28], [180, 3.40], [200, 3.55],
+    [220, 3.70], [240, 3.84], [260, 3.93], [300, 4.04], [400, 4.40], [500, 4.85],
+    [600, 5.25]
+  ],
+  [LIES.RECOVERY]: [
+    [40, 3.50], [60, 3.60], [80, 3.70], [100, 3.80], [120, 3.78], [140, 3.80],
+    [160, 3.81], [180, 3.82], [200, 3.87], [220, 3.92], [240, 3.97], [260, 4.03],
+    [300, 4.20], [400, 4.50], [500, 4.90], [600, 5.30]
+  ],
+  [LIES.GREEN]: [
+    [1, 1.00], [2, 1.01], [3, 1.04], [4, 1.13], [5, 1.23], [6, 1.34], [7, 1.42],
+    [8, 1.50], [9, 1.56], [10, 1.61], [15, 1.78], [20, 1.87], [30, 1.98],
+    [40, 2.06], [50, 2.14], [60, 2.21], [90, 2.40]
+  ]
+};
+
+// Typical yards a full shot advances the ball, scaled down by its outcome
+const TYPICAL_ADVANCE_YARDS = {
+  "Tee Shot": 230,
+  "Long Shot": 200
+};
+const OUTCOME_ADVANCE_FACTOR = {
+  "On Target": 1,
+  "Slightly Off": 0.9,
+  "Recovery Needed": 0.75
+};
+
+// Estimated first putt length (feet) by how the green was reached and how well
+const FIRST_PUTT_FEET = {
+  fullShot: { "On Target": 20, "Slightly Off": 30, "Recovery Needed": 45 },
+  shortGame: { "On Target": 6, "Slightly Off": 12, "Recovery Needed": 20 }
+};
+
+// Estimated length (feet) of a putt following a missed putt
+const NEXT_PUTT_FEET = { "On Target": 3, "Slightly Off": 6, "Recovery Needed": 10 };
+
+// Default start for chips and greenside bunker shots when no better estimate exists
+const DEFAULT_SHORT_GAME_YARDS = 15;
+
+// Minimum start for a full shot played after the estimate ran out of distance
+const MIN_FULL_SHOT_YARDS = 40;
+
+/**
+ * Linearly interpolate a baseline table, clamping to its ends
+ */
+const interpolate = (table, distance) => {
+  if (distance <= table[0][0]) return table[0][1];
+
+  for (let i = 1; i < table.length; i++) {
+    const [upperDistance, upperStrokes] = table[i];
+    if (distance <= upperDistance) {
+      const [lowerDistance, lowerStrokes] = table[i - 1];
+      const ratio = (distance - lowerDistance) / (upperDistance - lowerDistance);
+      return lowerStrokes + ratio * (upperStrokes - lowerStrokes);
+    }
+  }
+
+  return table[table.length - 1][1];
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Expected strokes to hole out from a position
+ *
+ * @param {number} distance - Yards to the hole (feet on the green)
+ * @param {string} lie - LIES value
+ * @returns {number} Expected strokes
+ */
+export const getExpectedStrokes = (distance, lie) => {
+  if (distance <= 0) return 0;
+
+  const table = BASELINES[lie] || BASELINES[LIES.ROUGH];
+  return interpolate(table, distance);
+};
+
+/**
+ * Get a hole's length from courses.holes for the tee played
+ * Falls back to the first tee listed when the played tee has no distance
+ *
+ * @param {Object} courseHole - Entry from courses.holes ({ number, par_men, distances })
+ * @param {string} teeName - Tee the round was played from
+ * @returns {number|null} Hole length in yards
+ */
+export const getHoleDistance = (courseHole, teeName) => {
+  if (!courseHole || !courseHole.distances) return null;
+
+  const teeKey = teeName?.toLowerCase();
+  if (teeKey && courseHole.distances[teeKey]) {
+    return courseHole.distances[teeKey];
+  }
+
+  const firstTee = Object.keys(courseHole.distances)[0];
+  return firstTee ? courseHole.distances[firstTee] : null;
+};
+
+/**
+ * Find the centre of the green from a hole's POI
+ */
+const getGreenCenter = (poi) => {
+  const greens = poi?.greens;
+  if (!Array.isArray(greens) || greens.length === 0) return null;
+
+  const center = greens.find(green => green.location === 'center' || green.location === 'middle');
+  if (center) return center;
+
+  const front = greens.find(green => green.location === 'front');
+  const back = greens.find(green => green.location === 'back');
+  if (front && back) {
+    return { lat: (front.lat + back.lat) / 2, lng: (front.lng + back.lng) / 2 };
+  }
+
+  return greens[0];
+};
+
+/**
+ * Infer the lie a shot was played from
+ * Full shots follow the outcome of the previous shot: on target finds the fairway,
+ * slightly off the rough and recovery needed leaves a recovery shot
+ */
+const getShotLie = (shot, previousShot) => {
+  switch (shot.type) {
+    case "Tee Shot":
+      return LIES.TEE;
+    case "Putts":
+      return LIES.GREEN;
+    case "Sand":
+      return LIES.SAND;
+    case "Chip":
+      return previousShot?.result === "On Target" ? LIES.FAIRWAY : LIES.ROUGH;
+    default:
+      if (!previousShot || previousShot.result === "On Target") return LIES.FAIRWAY;
+      return previousShot.result === "Slightly Off" ? LIES.ROUGH : LIES.RECOVERY;
+  }
+};
+
+/**
+ * Estimate where a shot starts from the previous shot when there's no GPS
+ * Returns yards to the hole, or feet on the green
+ */
+const estimateStartDistance = (shot, previousShot, previousStart) => {
+  if (shot.type === "Putts") {
+    if (previousShot.type === "Putts") {
+      return NEXT_PUTT_FEET[previousShot.result] || NEXT_PUTT_FEET["Slightly Off"];
+    }
+
+    const isShortGame = previousShot.type === "Chip" || previousShot.type === "Sand" ||
+      previousStart.distance <= AROUND_THE_GREEN_YARDS;
+    const puttTable = isShortGame ? FIRST_PUTT_FEET.shortGame : FIRST_PUTT_FEET.fullShot;
+    return puttTable[previousShot.result] || puttTable["Slightly Off"];
+  }
+
+  // Re-teeing after a lost ball plays from the same spot
+  if (shot.type === "Tee Shot") {
+    return previousStart.distance;
+  }
+
+  // Balls on the green don't come back off it in this model
+  const previousYards = previousStart.lie === LIES.GREEN ? 0 : previousStart.distance;
+  const typicalAdvance = TYPICAL_ADVANCE_YARDS[previousShot.type];
+  const advance = typicalAdvance
+    ? typicalAdvance * (OUTCOME_ADVANCE_FACTOR[previousShot.result] || 1)
+    : previousYards;
+  const remaining = Math.max(0, Math.round(previousYards - advance));
+
+  if (shot.type === "Chip") {
+    return remaining >= 5 && remaining <= AROUND_THE_GREEN_YARDS ? remaining : DEFAULT_SHORT_GAME_YARDS;
+  }
+
+  if (shot.type === "Sand") {
+    // Far from the green this is a fairway bunker, otherwise greenside
+    return remaining > AROUND_THE_GREEN_YARDS ? remaining : DEFAULT_SHORT_GAME_YARDS;
+  }
+
+  return Math.max(remaining, MIN_FULL_SHOT_YARDS);
+};
+
+/**
+ * Decide which strokes gained category a shot belongs to from where it was played
+ * Tee shots on par 3s count as approach shots
+ */
+const getShotCategory = (start, par) => {
+  if (start.lie === LIES.GREEN) return SG_CATEGORIES.PUTTING;
+  if (start.lie === LIES.TEE && (par ? par >= 4 : start.distance > 250)) return SG_CATEGORIES.OFF_THE_TEE;
+  if (start.distance <= AROUND_THE_GREEN_YARDS) return SG_CATEGORIES.AROUND_THE_GREEN;
+  return SG_CATEGORIES.APPROACH;
+};
+
+const createCategoryTotals = () => ({
+  [SG_CATEGORIES.OFF_THE_TEE]: 0,
+  [SG_CATEGORIES.APPROACH]: 0,
+  [SG_CATEGORIES.AROUND_THE_GREEN]: 0,
+  [SG_CATEGORIES.PUTTING]: 0
+});
+
+/**
+ * Calculate strokes gained for a single hole
+ *
+ * @param {Object} holeData - hole_data for the hole ({ par, distance, shots, poi })
+ * @param {Object} options
+ * @param {number} options.holeDistance - Hole length in yards (defaults to holeData.distance)
+ * @param {number} options.par - Hole par (defaults to holeData.par)
+ * @returns {Object|null} Category totals, total and per-shot detail, or null without a hole length
+ */
+export const calculateHoleStrokesGained = (holeData, options = {}) => {
+  const shots = Array.isArray(holeData?.shots) ? holeData.shots : [];
+  const holeDistance = options.holeDistance || holeData?.distance;
+  const par = options.par || holeData?.par || null;
+
+  if (shots.length === 0 || !holeDistance) return null;
+
+  const greenCenter = getGreenCenter(holeData.poi);
+  const totals = createCategoryTotals();
+  const shotDetails = [];
+
+  // Work out where each real shot started; penalty strokes don't move the ball
+  const playedShots = [];
+  shots.forEach(shot => {
+    if (shot.type === "Penalties") {
+      playedShots.push({ shot, penalty: true });
+      return;
+    }
+
+    const previous = [...playedShots].reverse().find(entry => !entry.penalty);
+    const lie = previous ? getShotLie(shot, previous.shot) : LIES.TEE;
+    let distance;
+    let measured = false;
+
+    if (shot.location && greenCenter && lie !== LIES.GREEN) {
+      distance = calculateDistance(shot.location.lat, shot.location.lng, greenCenter.lat, greenCenter.lng);
+      measured = true;
+    } else if (!previous) {
+      distance = holeDistance;
+    } else {
+      distance = estimateStartDistance(shot, previous.shot, previous.start);
+    }
+
+    playedShots.push({ shot, penalty: false, start: { lie, distance }, measured });
+  });
+
+  let lastCategory = SG_CATEGORIES.OFF_THE_TEE;
+
+  playedShots.forEach((entry, index) => {
+    if (entry.penalty) {
+      // A penalty stroke costs a full shot, charged to the shot that caused it
+      totals[lastCategory] -= 1;
+      shotDetails.push({ type: entry.shot.type, category: lastCategory, strokesGained: -1 });
+      return;
+    }
+
+    const next = playedShots.slice(index + 1).find(candidate => !candidate.penalty);
+    const startExpected = getExpectedStrokes(entry.start.distance, entry.start.lie);
+    const endExpected = next ? getExpectedStrokes(next.start.distance, next.start.lie) : 0;
+    const strokesGained = startExpected - endExpected - 1;
+    const category = getShotCategory(entry.start, par);
+
+    totals[category] += strokesGained;
+    lastCategory = category;
+
+    shotDetails.push({
+      type: entry.shot.type,
+      category,
+      lie: entry.start.lie,
+      startDistance: entry.start.distance,
+      measured: entry.measured,
+      strokesGained: round2(strokesGained)
+    });
+  });
+
+  const total = Object.values(totals).reduce((sum, value) => sum + value, 0);
+
+  return {
+    ...Object.fromEntries(Object.entries(totals).map(([category, value]) => [category, round2(value)])),
+    total: round2(total),
+    shots: shotDetails
+  };
+};
+
+/**
+ * Calculate strokes gained for a round
+ *
+ * @param {Array} holeRecords - Rows from the shots table ({ hole_number, hole_data })
+ * @param {Object} options
+ * @param {Array} options.courseHoles - courses.holes, used for hole lengths and par
+ * @param {string} options.teeName - Tee the round was played from
+ * @returns {Object|null} Round totals by category with per-hole totals, or null if no hole could be scored
+ */
+export const calculateRoundStrokesGained = (holeRecords, options = {}) => {
+  const { courseHoles = [], teeName = null } = options;
+  const totals = createCategoryTotals();
+  const holes = {};
+  let measuredShots = 0;
+
+  (holeRecords || []).forEach(record => {
+    const courseHole = Array.isArray(courseHoles)
+      ? courseHoles.find(hole => hole.number === record.hole_number)
+      : null;
+
+    const holeResult = calculateHoleStrokesGained(record.hole_data, {
+      holeDistance: getHoleDistance(courseHole, teeName),
+      par: courseHole?.par_men
+    });
+
+    if (!holeResult) return;
+
+    Object.keys(totals).forEach(category => {
+      totals[category] += holeResult[category];
+    });
+    measuredShots += holeResult.shots.filter(shot => shot.measured).length;
+
+    const { shots, ...holeTotals } = holeResult;
+    holes[record.hole_number] = holeTotals;
+  });
+
+  const holesCounted = Object.keys(holes).length;
+  if (holesCounted === 0) return null;
+
+  const total = Object.values(totals).reduce((sum, value) => sum + value, 0);
+
+  return {
+    version: STROKES_GAINED_VERSION,
+    ...Object.fromEntries(Object.entries(totals).map(([category, value]) => [category, round2(value)])),
+    total: round2(total),
+    holesCounted,
+    measuredShots,
+    holes
+  };
+};
@@ -0,0 +1,153 @@
+// supabase/functions/_shared/traditionalStats.js
+//
+// TRADITIONAL STATS
+// Classic scorecard stats derived from each hole's ordered shot list and par: fairway
+// hit, green in regulation, putts, scrambling, up-and-downs, sand saves and three-putts.
+// Shared by the app (via src/utils/traditionalStats.js) and the analyze-golf-performance
+// edge function, so it must stay dependency-free.
+//
+// Shots are recorded by type and outcome rather than position, so the stats follow the
+// sequence: the green is reached with the first putt, a tee shot on target finds the
+// fairway, and a chip or bunker shot followed by putting is an up-and-down attempt.
+// Quick score holes have no shots and use the putts, fairway and green they recorded.
+
+// Bump when the derivation rules change so stored results can be recomputed
+export const TRADITIONAL_STATS_VERSION = 1;
+
+// Shots played from around the green that start an up-and-down
+const SHORT_GAME_TYPES = ["Chip", "Sand"];
+
+const isBoolean = (value) => typeof value === 'boolean';
+
+/**
+ * Stats for a quick score hole from the stats recorded with its score
+ */
+const calculateQuickHoleStats = (quickScore, score, par) => {
+  const putts = typeof quickScore.putts === 'number' ? quickScore.putts : null;
+  const gir = isBoolean(quickScore.gir) ? quickScore.gir : null;
+
+  return {
+    score: score || null,
+    fairwayHit: par !== 3 && isBoolean(quickScore.fairwayHit) ? quickScore.fairwayHit : null,
+    gir,
+    putts,
+    scramble: gir === false && score > 0 && par ? score <= par : null,
+    upAndDown: null,
+    sandSave: null,
+    threePutt: putts !== null ? putts >= 3 : null
+  };
+};
+
+/**
+ * Calculate the traditional stats for a single hole
+ * Each stat is null when it doesn't apply to the hole (fairways on par 3s, scrambling
+ * after hitting the green) or can't be worked out from what was recorded
+ *
+ * @param {Object} holeData - hole_data for the hole ({ par, shots, quickScore })
+ * @param {Object} options
+ * @param {number} options.par - Hole par (defaults to holeData.par)
+ * @param {number} options.score - Hole score, needed for quick holes (defaults to holeData.score)
+ * @returns {Object|null} { score, fairwayHit, gir, putts, scramble, upAndDown, sandSave, threePutt },
+ *   or null when the hole wasn't played
+ */
+export const calculateHoleStats = (holeData, options = {}) => {
+  const shots = Array.isArray(holeData?.shots) ? holeData.shots : [];
+  const par = options.par || holeData?.par || null;
+
+  if (shots.length === 0) {
+    const score = options.score || holeData?.score || 0;
+    return holeData?.quickScore && score > 0
+      ? calculateQuickHoleStats(holeData.quickScore, score, par)
+      : null;
+  }
+
+  const score = shots.length;
+  const putts = shots.filter(shot => shot.type === "Putts").length;
+  const firstPuttIndex = shots.findIndex(shot => shot.type === "Putts");
+
+  // Strokes taken to reach the green, or to hole out from off it
+  const strokesToGreen = firstPuttIndex === -1 ? score : firstPuttIndex;
+
+  // Fairways only count on par 4s and 5s; a penalty straight after the drive is a miss
+  let fairwayHit = null;
+  if (par && par > 3 && shots[0].type === "Tee Shot") {
+    fairwayHit = shots[0].result === "On Target" && shots[1]?.type !== "Penalties";
+  }
+
+  const gir = par ? strokesToGreen <= par - 2 : null;
+
+  // An up-and-down starts from the last shot played before the green
+  const lastShotBeforeGreen = shots
+    .slice(0, strokesToGreen)
+    .filter(shot => shot.type !== "Penalties")
+    .pop();
+  const isUpAndDownAttempt = SHORT_GAME_TYPES.includes(lastShotBeforeGreen?.type);
+  const upAndDown = isUpAndDownAttempt ? putts <= 1 : null;
+
+  return {
+    score,
+    fairwayHit,
+    gir,
+    putts,
+    scramble: gir === false ? score <= par : null,
+    upAndDown,
+    sandSave: lastShotBeforeGreen?.type === "Sand" ? upAndDown : null,
+    threePutt: putts >= 3
+  };
+};
+
+const countStat = (holes, key) => {
+  const attempts = holes.filter(hole => isBoolean(hole[key]));
+  return {
+    made: attempts.filter(hole => hole[key]).length,
+    attempts: attempts.length
+  };
+};
+
+/**
+ * Calculate the traditional stats for a round
+ *
+ * @param {Array} holeRecords - Rows from the shots table ({ hole_number, hole_data, total_score })
+ * @param {Object} options
+ * @param {Array} options.courseHoles - courses.holes, for par when hole_data has none
+ * @returns {Object|null} Round totals with per-hole stats, or null if no hole was played.
+ *   Each counted stat is { made, attempts }; putts is { total, holes }
+ */
+export const calculateRoundStats = (holeRecords, options = {}) => {
+  const { courseHoles = [] } = options;
+  const holes = {};
+
+  (holeRecords || []).forEach(record => {
+    const courseHole = Array.isArray(courseHoles)
+      ? courseHoles.find(hole => hole.number === record.hole_number)
+      : null;
+
+    const holeStats = calculateHoleStats(record.hole_data, {
+      par: record.hole_data?.par || courseHole?.par_men,
+      score: record.total_score
+    });
+
+    if (holeStats) holes[record.hole_number] = holeStats;
+  });
+
+  const played = Object.values(holes);
+  if (played.length === 0) return null;
+
+  const puttHoles = played.filter(hole => typeof hole.putts === 'number');
+
+  return {
+    version: TRADITIONAL_STATS_VERSION,
+    holesCounted: played.length,
+    fairways: countStat(played, 'fairwayHit'),
+    greens: countStat(played, 'gir'),
+    putts: {
+      total: puttHoles.reduce((sum, hole) => sum + hole.putts, 0),
+      holes: puttHoles.length
+    },
+    scrambling: countStat(played, 'scramble'),
+    upAndDowns: countStat(played, 'upAndDown'),
+    sandSaves: countStat(played, 'sandSave'),
+    threePutts: countStat(played, 'threePutt'),
+    holes
+  };
+};
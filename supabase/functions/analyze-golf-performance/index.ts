@@ -1,5 +1,8 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.31.0';
+import { STROKES_GAINED_VERSION, calculateRoundStrokesGained } from "../_shared/strokesGained.js";
+import { TRADITIONAL_STATS_VERSION, calculateRoundStats } from "../_shared/traditionalStats.js";
+import { getHoleDurations } from "../_shared/paceOfPlay.js";
 
 // Handle both OPTIONS preflight requests and actual function calls
 serve(async (req) => {
@@ -140,7 +143,7 @@ serve(async (req) => {
     const triggeringRoundId = requestBody.roundId || null;
     console.log("Triggering round ID:", triggeringRoundId);
     
-    // Query for the user's 5 most recent completed rounds
+    // Query for the user's 5 most recent completed rounds, leaving out rounds excluded from stats
     const { data: roundsData, error: roundsError } = await supabase
       .from("rounds")
       .select(`
@@ -150,6 +153,14 @@ serve(async (req) => {
         created_at,
         is_complete,
         selected_tee_name,
+        hole_selection,
+        holes_played,
+        starting_hole,
+        strokes_gained,
+        traditional_stats,
+        scoring_format,
+        course_handicap,
+        imported,
         courses:course_id (
           id,
           name,
@@ -162,6 +173,7 @@ serve(async (req) => {
       `)
       .eq("profile_id", userId)
       .eq("is_complete", true)
+      .eq("exclude_from_stats", false)
       .order("created_at", { ascending: false })
       .limit(5);
     
@@ -202,6 +214,17 @@ serve(async (req) => {
       // Filter holes for this specific round
       const roundHoles = allHoleData.filter(hole => hole.round_id === round.id);
       
+      // Playing order of the holes - rounds may start on any hole (shotgun / 10th tee starts)
+      const sortedHoleNumbers = roundHoles.map(hole => hole.hole_number).sort((a, b) => a - b);
+      const startIndex = Math.max(sortedHoleNumbers.indexOf(round.starting_hole), 0);
+      const playingOrder = [...sortedHoleNumbers.slice(startIndex), ...sortedHoleNumbers.slice(0, startIndex)];
+      
+      // Minutes per hole, tee to tee where the tracker stored hole timing, else from shot times
+      const holeDurations = getHoleDurations(playingOrder.map(holeNumber => ({
+        holeNumber,
+        holeData: roundHoles.find(hole => hole.hole_number === holeNumber)?.hole_data
+      })));
+      
       // Initialize shot counts structure (same as before for compatibility)
       const shotCounts = {
         "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
@@ -216,6 +239,9 @@ serve(async (req) => {
       // Get detailed hole-by-hole data for analysis
       const holeDetails = [];
       
+      // Per-club usage for shots tagged with a club from the player's bag
+      const clubUsage: Record<string, { shots: number; onTarget: number; slightlyOff: number; recoveryNeeded: number; totalDistance: number; measuredShots: number }> = {};
+      
       // Process each hole's data
       roundHoles.forEach(hole => {
         // Extract the hole_data JSONB field which contains shot information
@@ -236,9 +262,8 @@ serve(async (req) => {
         const holeTimeInfo = {
           startTime: holeTimestamps.length > 0 ? Math.min(...holeTimestamps) : null,
           endTime: holeTimestamps.length > 0 ? Math.max(...holeTimestamps) : null,
-          duration: holeTimestamps.length >= 2 ? 
-            (Math.max(...holeTimestamps) - Math.min(...holeTimestamps)) / 1000 / 60 : null, // in minutes
-          sequenceInRound: hole.hole_number // Natural sequence of the hole
+          duration: holeDurations.find(duration => duration.holeNumber === hole.hole_number)?.minutes ?? null, // in minutes
+          sequenceInRound: playingOrder.indexOf(hole.hole_number) + 1 // Order the hole was played in
         };
         
         // Add to hole details for detailed analysis
@@ -252,7 +277,11 @@ serve(async (req) => {
           shots: holeData.shots,
           timeInfo: holeTimeInfo,
           // Add POI data if available
-          poi: holeData.poi || null
+          poi: holeData.poi || null,
+          // Quick score holes have no shots, just the score and optional putts / fairway / GIR
+          quickScore: holeData.quickScore || null,
+          // The player's own text note on the hole (photos and voice memos aren't sent)
+          note: holeData.notes?.text?.trim() || null
         });
         
         // Count shots by type and quality for the aggregate view
@@ -264,6 +293,22 @@ serve(async (req) => {
             // Log unexpected shot types or results for debugging
             console.warn(`Unexpected shot data - Type: ${shot.type}, Result: ${shot.result}`);
           }
+          
+          // Tally club usage when the player recorded a club
+          if (shot.clubName) {
+            const usage = clubUsage[shot.clubName] ||
+              (clubUsage[shot.clubName] = { shots: 0, onTarget: 0, slightlyOff: 0, recoveryNeeded: 0, totalDistance: 0, measuredShots: 0 });
+            
+            usage.shots++;
+            if (shot.result === "On Target") usage.onTarget++;
+            if (shot.result === "Slightly Off") usage.slightlyOff++;
+            if (shot.result === "Recovery Needed") usage.recoveryNeeded++;
+            
+            if (typeof shot.distance === "number") {
+              usage.totalDistance += shot.distance;
+              usage.measuredShots++;
+            }
+          }
         });
       });
       
@@ -273,6 +318,23 @@ serve(async (req) => {
         courseHoleData = round.courses.holes;
       }
       
+      // Use the strokes gained stored at completion, scoring older rounds here
+      const strokesGained = round.strokes_gained?.version === STROKES_GAINED_VERSION
+        ? round.strokes_gained
+        : calculateRoundStrokesGained(roundHoles, {
+            courseHoles: courseHoleData || [],
+            teeName: round.selected_tee_name
+          });
+      
+      // Likewise the traditional stats (fairways, greens, putts, short game)
+      const traditionalStats = round.traditional_stats?.version === TRADITIONAL_STATS_VERSION
+        ? round.traditional_stats
+        : calculateRoundStats(roundHoles, { courseHoles: courseHoleData || [] });
+      
+      // Nine hole rounds are compared against the par of the holes actually played
+      const isPartialRound = round.hole_selection && round.hole_selection !== "full";
+      const playedHolePar = holeDetails.reduce((sum, hole) => sum + (hole.par || 0), 0);
+      
       // Return processed round data (with both aggregate counts and detailed hole-by-hole data)
       return {
         roundId: round.id,
@@ -280,10 +342,44 @@ serve(async (req) => {
         time: roundTime,
         timestamp: roundTimestamp,
         totalScore: round.gross_shots,
-        par: round.courses?.par || 72, // Default to 72 if par not available
+        par: isPartialRound && playedHolePar > 0
+          ? playedHolePar
+          : round.courses?.par || 72, // Default to 72 if par not available
         teeName: round.selected_tee_name || "Unknown",
+        holeSelection: round.hole_selection || "full",
+        holesPlayed: round.holes_played || holeDetails.length,
+        startingHole: round.starting_hole || playingOrder[0] || 1,
+        scoringFormat: round.scoring_format || "stroke",
+        courseHandicap: round.course_handicap ?? null,
+        imported: round.imported === true,  // Logged afterwards from a paper scorecard
         shots: shotCounts,              // Aggregate counts for backward compatibility
         holeDetails: holeDetails,       // Detailed hole-by-hole data
+        strokesGained: strokesGained ? {
+          offTheTee: strokesGained.offTheTee,
+          approach: strokesGained.approach,
+          aroundTheGreen: strokesGained.aroundTheGreen,
+          putting: strokesGained.putting,
+          total: strokesGained.total,
+          measuredShots: strokesGained.measuredShots
+        } : null,
+        traditionalStats: traditionalStats ? {
+          holesCounted: traditionalStats.holesCounted,
+          fairways: traditionalStats.fairways,
+          greensInRegulation: traditionalStats.greens,
+          putts: traditionalStats.putts,
+          scrambling: traditionalStats.scrambling,
+          upAndDowns: traditionalStats.upAndDowns,
+          sandSaves: traditionalStats.sandSaves,
+          threePutts: traditionalStats.threePutts
+        } : null,
+        clubUsage: Object.entries(clubUsage).map(([club, usage]) => ({
+          club,
+          shots: usage.shots,
+          onTarget: usage.onTarget,
+          slightlyOff: usage.slightlyOff,
+          recoveryNeeded: usage.recoveryNeeded,
+          averageDistance: usage.measuredShots > 0 ? Math.round(usage.totalDistance / usage.measuredShots) : null
+        })),
         courseName: round.courses?.name || "Unknown Course",
         courseInfo: {
           name: round.courses?.name || "Unknown Course",
@@ -338,6 +434,20 @@ serve(async (req) => {
 
 I'm providing granular shot-by-shot data from ${golfData.totalRounds} recent rounds from a ${userHandicap ? `${userHandicap} handicap` : 'golfer'}. Each round contains shots per hole, with timestamps, categorization by type of shot, and quality assessment (On Target/Slightly Off/Recovery Needed), with timestamps so you can see the timeline of each hole and each hole as one entity that is made up of single parts that make the total number for the whole. The data represents play across different courses. If you know any specifics about these courses or holes, use that knowledge in the assessment to improve contextual information on the rounds.
 
+Where the player recorded them, shots also include clubName (the club used) and distance (yards, measured by GPS), and each round includes a clubUsage summary per club. Use these to assess club selection, how consistently each club performs and realistic carry distances.
+
+Each round also includes strokesGained against a tour-level baseline, split into offTheTee, approach, aroundTheGreen and putting (positive values gain strokes). These are calculated deterministically from the shot data, with shot positions estimated unless measuredShots shows GPS was used. Treat them as the authoritative measure of where strokes are being lost and don't recalculate them.
+
+Each round also includes traditionalStats derived from the same shot sequences: fairways, greensInRegulation, scrambling, upAndDowns, sandSaves and threePutts as { made, attempts } counts, and putts as { total, holes }. Quick score holes contribute what the player recorded. Quote these when talking about fairways, greens and the short game rather than counting them from the shots yourself.
+
+Rounds with imported set to true were logged afterwards from a paper scorecard: they have a score and sometimes putts per hole but no shots. Use them for scoring trends and putting, not for shot-level patterns.
+
+Some holes include a note the player wrote while playing them, such as the pin position, a misread putt or how they felt about a shot. Use notes to explain what the numbers show and refer to them when they support an insight, but don't treat a single note as a pattern.
+
+Some holes were recorded in quick score mode: they have no shots, only totalShots and a quickScore with putts, fairwayHit and gir (null where the player didn't record them). Don't invent shot sequences for these holes. Base any observations on scores against par, putts, fairways and greens, and say that more detail would come from tracking shot by shot.
+
+Each round has a scoringFormat: stroke, stableford, modified_stableford, match_play (against par) or skins (against par), scored net of courseHandicap. In formats other than stroke play a blow-up hole costs at most the points or hole at stake, so judge aggressive play and risk taking with the format in mind.
+
 As you analyze this data, focus on these high-value dimensions:
 
 1. SHOT SEQUENCE ANALYSIS:
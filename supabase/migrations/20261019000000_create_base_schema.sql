@@ -0,0 +1,157 @@
+-- Base schema
+-- The tables the app was built on, created on the hosted project before migrations
+-- were kept in this repo (see supabase/docs/db_schema.md). Having them here lets a
+-- local Supabase stack be built from scratch with `supabase db reset`.
+-- The hosted project already has all of this: mark this migration as applied there
+-- with `supabase migration repair --status applied 20261019000000` rather than pushing it.
+
+create table if not exists public.profiles (
+  id uuid primary key references auth.users(id) on delete cascade,
+  email text not null,
+  handicap numeric,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
+);
+
+create table if not exists public.courses (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  holes jsonb,
+  created_at timestamp with time zone default now(),
+  par integer,
+  api_course_id text,
+  club_name text,
+  location text,
+  country text,
+  latitude numeric,
+  longitude numeric,
+  num_holes integer default 18,
+  updated_at timestamp with time zone default now(),
+  tees jsonb,
+  poi jsonb
+);
+
+create table if not exists public.rounds (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  course_id uuid not null references public.courses(id),
+  date timestamp with time zone default now(),
+  is_complete boolean default false,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now(),
+  score integer,
+  gross_shots integer,
+  selected_tee_id text,
+  selected_tee_name text
+);
+
+create table if not exists public.shots (
+  id uuid primary key default gen_random_uuid(),
+  round_id uuid not null references public.rounds(id) on delete cascade,
+  hole_number integer not null,
+  hole_data jsonb not null,
+  total_score integer not null,
+  created_at timestamp with time zone default now()
+);
+
+create table if not exists public.insights (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  round_id uuid references public.rounds(id) on delete cascade,
+  insights jsonb not null,
+  created_at timestamp with time zone not null default now(),
+  feedback_rating text
+);
+
+create table if not exists public.user_permissions (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  permission_id text not null,
+  revenuecat_user_id text,
+  product_id text,
+  platform text,
+  active boolean not null default true,
+  expires_at timestamp with time zone,
+  created_at timestamp with time zone default now(),
+  metadata jsonb
+);
+
+create table if not exists public.api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  key text not null,
+  created_at timestamp with time zone default now()
+);
+
+alter table public.profiles enable row level security;
+alter table public.courses enable row level security;
+alter table public.rounds enable row level security;
+alter table public.shots enable row level security;
+alter table public.insights enable row level security;
+alter table public.user_permissions enable row level security;
+alter table public.api_keys enable row level security;
+
+create policy "Users can view their own profile"
+  on public.profiles for select
+  using (id = auth.uid());
+
+create policy "Users can update their own profile"
+  on public.profiles for update
+  using (id = auth.uid())
+  with check (id = auth.uid());
+
+-- Courses are written by the course edge functions with the service role
+create policy "Signed in users can view courses"
+  on public.courses for select
+  using (auth.uid() is not null);
+
+create policy "Users manage their own rounds"
+  on public.rounds for all
+  using (profile_id = auth.uid())
+  with check (profile_id = auth.uid());
+
+create policy "Users manage the holes of their own rounds"
+  on public.shots for all
+  using (exists (
+    select 1 from public.rounds
+    where rounds.id = shots.round_id and rounds.profile_id = auth.uid()
+  ))
+  with check (exists (
+    select 1 from public.rounds
+    where rounds.id = shots.round_id and rounds.profile_id = auth.uid()
+  ));
+
+-- Insights are written by analyze-golf-performance with the service role
+create policy "Users can view their own insights"
+  on public.insights for select
+  using (profile_id = auth.uid());
+
+create policy "Users can rate their own insights"
+  on public.insights for update
+  using (profile_id = auth.uid())
+  with check (profile_id = auth.uid());
+
+-- Permissions are written by the purchase edge functions with the service role
+create policy "Users can view their own permissions"
+  on public.user_permissions for select
+  using (profile_id = auth.uid());
+
+-- Every account gets a profile when it signs up
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.profiles (id, email)
+  values (new.id, new.email)
+  on conflict (id) do nothing;
+
+  return new;
+end;
+$$;
+
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
@@ -0,0 +1,11 @@
+-- Nine hole rounds
+-- Records which holes a round covers so scoring, par and insights only
+-- consider the holes actually played
+
+alter table public.rounds
+  add column if not exists hole_selection text not null default 'full',
+  add column if not exists holes_played integer;
+
+alter table public.rounds
+  add constraint rounds_hole_selection_check
+  check (hole_selection in ('full', 'front_nine', 'back_nine'));
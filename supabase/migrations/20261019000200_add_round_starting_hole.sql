@@ -0,0 +1,10 @@
+-- Shotgun and 10th tee starts
+-- Records the hole a round started on so resumed rounds and insights follow
+-- the order the holes were actually played in
+
+alter table public.rounds
+  add column if not exists starting_hole integer;
+
+alter table public.rounds
+  add constraint rounds_starting_hole_check
+  check (starting_hole is null or starting_hole > 0);
@@ -0,0 +1,39 @@
+-- Personal club bags
+-- Each profile keeps its own list of clubs; shots reference clubs by ID inside
+-- shots.hole_data so per-club stats can be built from completed rounds.
+-- Removed clubs are deactivated rather than deleted so past shots keep their club.
+
+create table if not exists public.clubs (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  name text not null,
+  type text not null default 'other',
+  sort_order integer not null default 0,
+  is_active boolean not null default true,
+  created_at timestamp with time zone default now()
+);
+
+alter table public.clubs
+  add constraint clubs_type_check
+  check (type in ('driver', 'wood', 'hybrid', 'iron', 'wedge', 'putter', 'other'));
+
+create index if not exists clubs_profile_id_idx on public.clubs (profile_id);
+
+alter table public.clubs enable row level security;
+
+create policy "Users can view their own clubs"
+  on public.clubs for select
+  using (profile_id = auth.uid());
+
+create policy "Users can insert their own clubs"
+  on public.clubs for insert
+  with check (profile_id = auth.uid());
+
+create policy "Users can update their own clubs"
+  on public.clubs for update
+  using (profile_id = auth.uid())
+  with check (profile_id = auth.uid());
+
+create policy "Users can delete their own clubs"
+  on public.clubs for delete
+  using (profile_id = auth.uid());
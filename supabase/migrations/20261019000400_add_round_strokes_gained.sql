@@ -0,0 +1,7 @@
+-- Strokes gained per round
+-- Calculated when a round is completed (supabase/functions/_shared/strokesGained.js)
+-- Holds category totals (offTheTee, approach, aroundTheGreen, putting), the round
+-- total, per-hole totals and the engine version used
+
+alter table public.rounds
+  add column if not exists strokes_gained jsonb;
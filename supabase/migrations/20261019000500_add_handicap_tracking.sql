@@ -0,0 +1,41 @@
+-- World Handicap System tracking
+-- Completed 18-hole rounds store their net double bogey adjusted score and score
+-- differential. Each recalculation of a player's handicap index is kept in
+-- handicap_history. profiles.handicap stays the value used across the app: it follows
+-- the calculated index unless the player keeps a manual handicap.
+
+alter table public.rounds
+  add column if not exists adjusted_gross_score integer,
+  add column if not exists score_differential numeric(4,1);
+
+alter table public.profiles
+  add column if not exists handicap_index numeric(3,1),
+  add column if not exists handicap_manual boolean not null default false;
+
+-- Players who already entered a handicap keep it until they switch to the calculated index
+update public.profiles
+  set handicap_manual = true
+  where handicap is not null;
+
+create table if not exists public.handicap_history (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  round_id uuid references public.rounds(id) on delete set null,
+  handicap_index numeric(3,1) not null,
+  scores_counted integer not null,
+  differentials_used integer not null,
+  created_at timestamp with time zone default now()
+);
+
+create index if not exists handicap_history_profile_id_idx
+  on public.handicap_history (profile_id, created_at desc);
+
+alter table public.handicap_history enable row level security;
+
+create policy "Users can view their own handicap history"
+  on public.handicap_history for select
+  using (profile_id = auth.uid());
+
+create policy "Users can insert their own handicap history"
+  on public.handicap_history for insert
+  with check (profile_id = auth.uid());
@@ -0,0 +1,15 @@
+-- Net scoring
+-- tee_set picks which published ratings, pars and stroke indexes apply to a player
+-- (the _men / _women values in courses.tees and courses.holes).
+-- course_handicap records the strokes a round was played off so net scores stay
+-- fixed as the player's handicap changes.
+
+alter table public.profiles
+  add column if not exists tee_set text not null default 'men';
+
+alter table public.profiles
+  add constraint profiles_tee_set_check
+  check (tee_set in ('men', 'women'));
+
+alter table public.rounds
+  add column if not exists course_handicap integer;
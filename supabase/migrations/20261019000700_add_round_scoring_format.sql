@@ -0,0 +1,10 @@
+-- Scoring formats
+-- scoring_format is the format a round is scored in (see src/utils/scoringFormats.js).
+-- Formats score net of the round's course_handicap; existing rounds are stroke play.
+
+alter table public.rounds
+  add column if not exists scoring_format text not null default 'stroke';
+
+alter table public.rounds
+  add constraint rounds_scoring_format_check
+  check (scoring_format in ('stroke', 'stableford', 'modified_stableford', 'match_play', 'skins'));
@@ -0,0 +1,151 @@
+-- Group rounds
+-- One phone keeps score for a whole group. The round belongs to the owner, whose
+-- holes stay in shots; everyone else in the group is a round_players row holding
+-- their hole-by-hole scores in round_player_holes.
+-- Guests are just a name. Linked players are other app users: when the round is
+-- completed they get their own completed round (player_round_id) with their holes
+-- copied into shots, so it shows up in their history, handicap and insights.
+
+create table if not exists public.round_players (
+  id uuid primary key default gen_random_uuid(),
+  round_id uuid not null references public.rounds(id) on delete cascade,
+  profile_id uuid references public.profiles(id) on delete set null,
+  name text not null,
+  handicap numeric(3,1),
+  tee_set text not null default 'men',
+  position integer not null default 0,
+  player_round_id uuid references public.rounds(id) on delete set null,
+  created_at timestamp with time zone default now()
+);
+
+alter table public.round_players
+  add constraint round_players_tee_set_check
+  check (tee_set in ('men', 'women'));
+
+create index if not exists round_players_round_id_idx on public.round_players (round_id);
+create index if not exists round_players_profile_id_idx on public.round_players (profile_id);
+
+create table if not exists public.round_player_holes (
+  id uuid primary key default gen_random_uuid(),
+  round_player_id uuid not null references public.round_players(id) on delete cascade,
+  hole_number integer not null,
+  hole_data jsonb not null default '{}'::jsonb,
+  total_score integer not null,
+  created_at timestamp with time zone default now(),
+  unique (round_player_id, hole_number)
+);
+
+alter table public.round_players enable row level security;
+alter table public.round_player_holes enable row level security;
+
+-- The round owner manages the group; linked players can see their own entries
+create policy "Round owners manage their round players"
+  on public.round_players for all
+  using (exists (
+    select 1 from public.rounds
+    where rounds.id = round_players.round_id and rounds.profile_id = auth.uid()
+  ))
+  with check (exists (
+    select 1 from public.rounds
+    where rounds.id = round_players.round_id and rounds.profile_id = auth.uid()
+  ));
+
+create policy "Linked players can view their round player entries"
+  on public.round_players for select
+  using (profile_id = auth.uid());
+
+create policy "Round owners manage their round player holes"
+  on public.round_player_holes for all
+  using (exists (
+    select 1 from public.round_players
+    join public.rounds on rounds.id = round_players.round_id
+    where round_players.id = round_player_holes.round_player_id and rounds.profile_id = auth.uid()
+  ))
+  with check (exists (
+    select 1 from public.round_players
+    join public.rounds on rounds.id = round_players.round_id
+    where round_players.id = round_player_holes.round_player_id and rounds.profile_id = auth.uid()
+  ));
+
+create policy "Linked players can view their round player holes"
+  on public.round_player_holes for select
+  using (exists (
+    select 1 from public.round_players
+    where round_players.id = round_player_holes.round_player_id and round_players.profile_id = auth.uid()
+  ));
+
+-- Find another player to link to a group round by their exact email address
+create or replace function public.find_player_by_email(p_email text)
+returns table (id uuid, handicap numeric, tee_set text)
+language sql
+security definer
+set search_path = public
+as $$
+  select profiles.id, profiles.handicap, profiles.tee_set
+  from public.profiles
+  where auth.uid() is not null
+    and lower(profiles.email) = lower(trim(p_email));
+$$;
+
+-- Create a linked player's own completed round from a group round
+-- Statistics are calculated by the app, as for the owner's round. Safe to call again:
+-- a round already created for the player is returned as is.
+create or replace function public.complete_linked_player_round(
+  p_round_player_id uuid,
+  p_gross_shots integer,
+  p_score integer,
+  p_strokes_gained jsonb,
+  p_course_handicap integer,
+  p_adjusted_gross_score integer,
+  p_score_differential numeric
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_player public.round_players%rowtype;
+  v_round public.rounds%rowtype;
+  v_player_round_id uuid;
+begin
+  select * into v_player from public.round_players where id = p_round_player_id;
+
+  if not found or v_player.profile_id is null then
+    raise exception 'Round player % is not a linked player', p_round_player_id;
+  end if;
+
+  select * into v_round from public.rounds where id = v_player.round_id;
+
+  if v_round.profile_id is distinct from auth.uid() then
+    raise exception 'Only the round owner can complete linked player rounds';
+  end if;
+
+  if v_player.player_round_id is not null then
+    return v_player.player_round_id;
+  end if;
+
+  insert into public.rounds (
+    profile_id, course_id, date, is_complete, selected_tee_id, selected_tee_name,
+    hole_selection, holes_played, starting_hole, scoring_format,
+    gross_shots, score, strokes_gained, course_handicap, adjusted_gross_score, score_differential
+  )
+  values (
+    v_player.profile_id, v_round.course_id, v_round.date, true, v_round.selected_tee_id, v_round.selected_tee_name,
+    v_round.hole_selection, v_round.holes_played, v_round.starting_hole, v_round.scoring_format,
+    p_gross_shots, p_score, p_strokes_gained, p_course_handicap, p_adjusted_gross_score, p_score_differential
+  )
+  returning id into v_player_round_id;
+
+  insert into public.shots (round_id, hole_number, hole_data, total_score)
+  select v_player_round_id, hole_number, hole_data, total_score
+  from public.round_player_holes
+  where round_player_id = p_round_player_id;
+
+  update public.round_players
+    set player_round_id = v_player_round_id
+    where id = p_round_player_id;
+
+  return v_player_round_id;
+end;
+$$;
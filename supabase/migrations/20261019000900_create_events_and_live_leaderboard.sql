@@ -0,0 +1,170 @@
+-- Live leaderboard
+-- An event ties together the rounds of players in different groups on the same day.
+-- Players join with the event's join code and start their round in the event; as each
+-- hole is finished its score is saved to shots (round_player_holes for the rest of a
+-- group), and Supabase realtime pushes the change to everyone watching the leaderboard.
+
+create table if not exists public.events (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  course_id uuid references public.courses(id) on delete set null,
+  event_date date not null default current_date,
+  join_code text not null unique,
+  created_by uuid not null references public.profiles(id) on delete cascade,
+  created_at timestamp with time zone default now()
+);
+
+create table if not exists public.event_entries (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.events(id) on delete cascade,
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  display_name text not null,
+  handicap numeric(3,1),
+  tee_set text not null default 'men',
+  created_at timestamp with time zone default now(),
+  unique (event_id, profile_id)
+);
+
+alter table public.rounds
+  add column if not exists event_id uuid references public.events(id) on delete set null;
+
+create index if not exists rounds_event_id_idx on public.rounds (event_id);
+create index if not exists event_entries_profile_id_idx on public.event_entries (profile_id);
+
+alter table public.events enable row level security;
+alter table public.event_entries enable row level security;
+
+-- Membership checks run as the definer so the policies below don't recurse through RLS
+create or replace function public.is_event_participant(p_event_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.event_entries
+    where event_id = p_event_id and profile_id = auth.uid()
+  );
+$$;
+
+-- A round can be watched live by players in its event and by linked players in its group
+create or replace function public.can_view_live_round(p_round_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.rounds
+    where rounds.id = p_round_id
+      and rounds.event_id is not null
+      and public.is_event_participant(rounds.event_id)
+  ) or exists (
+    select 1 from public.round_players
+    where round_players.round_id = p_round_id and round_players.profile_id = auth.uid()
+  );
+$$;
+
+create policy "Users can view events they created or joined"
+  on public.events for select
+  using (created_by = auth.uid() or public.is_event_participant(id));
+
+create policy "Users can create their own events"
+  on public.events for insert
+  with check (created_by = auth.uid());
+
+create policy "Event players can view the event's entries"
+  on public.event_entries for select
+  using (public.is_event_participant(event_id));
+
+create policy "Users can leave events"
+  on public.event_entries for delete
+  using (profile_id = auth.uid());
+
+create policy "Players can view live rounds they can follow"
+  on public.rounds for select
+  using (public.can_view_live_round(id));
+
+create policy "Players can view live round holes they can follow"
+  on public.shots for select
+  using (public.can_view_live_round(round_id));
+
+create policy "Players can view group players of live rounds they can follow"
+  on public.round_players for select
+  using (public.can_view_live_round(round_id));
+
+create policy "Players can view group player holes of live rounds they can follow"
+  on public.round_player_holes for select
+  using (exists (
+    select 1 from public.round_players
+    where round_players.id = round_player_holes.round_player_id
+      and public.can_view_live_round(round_players.round_id)
+  ));
+
+-- A round can only be put in an event its player has joined, so nobody can post a
+-- round onto another event's leaderboard
+create or replace function public.check_round_event_entry()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.event_id is not null
+     and (tg_op = 'INSERT' or new.event_id is distinct from old.event_id)
+     and not exists (
+       select 1 from public.event_entries
+       where event_id = new.event_id and profile_id = new.profile_id
+     ) then
+    raise exception 'Round % can only be played in an event its player has joined', new.id;
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger check_round_event_entry
+  before insert or update of event_id on public.rounds
+  for each row execute function public.check_round_event_entry();
+
+-- Join an event by its code, or refresh the entry when already entered
+-- Returns null when no event uses the code
+-- The player's handicap and tee set are copied so other players can see net scores
+create or replace function public.join_event(p_join_code text, p_display_name text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_event_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to join an event';
+  end if;
+
+  select id into v_event_id
+  from public.events
+  where upper(join_code) = upper(trim(p_join_code));
+
+  if v_event_id is null then
+    return null;
+  end if;
+
+  insert into public.event_entries (event_id, profile_id, display_name, handicap, tee_set)
+  select v_event_id, profiles.id, p_display_name, profiles.handicap, coalesce(profiles.tee_set, 'men')
+  from public.profiles
+  where profiles.id = auth.uid()
+  on conflict (event_id, profile_id) do update
+    set display_name = excluded.display_name,
+        handicap = excluded.handicap,
+        tee_set = excluded.tee_set;
+
+  return v_event_id;
+end;
+$$;
+
+-- Broadcast hole and round changes to leaderboard subscribers (realtime applies RLS)
+alter publication supabase_realtime add table public.rounds, public.shots, public.round_player_holes;
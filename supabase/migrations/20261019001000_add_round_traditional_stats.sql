@@ -0,0 +1,7 @@
+-- Traditional stats per round
+-- Calculated when a round is completed (supabase/functions/_shared/traditionalStats.js)
+-- Holds fairways, greens in regulation, putts, scrambling, up-and-downs, sand saves
+-- and three-putts as { made, attempts } counts, per-hole stats and the version used
+
+alter table public.rounds
+  add column if not exists traditional_stats jsonb;
@@ -0,0 +1,34 @@
+-- Editing completed rounds
+-- Players can correct a completed round from its scorecard: hole scores and shots, the
+-- tee and the date played. rounds.edited_at marks the last correction and each save
+-- is kept in round_edits with the values before and after, so edits can be audited.
+
+alter table public.rounds
+  add column if not exists edited_at timestamp with time zone;
+
+create table if not exists public.round_edits (
+  id uuid primary key default gen_random_uuid(),
+  round_id uuid not null references public.rounds(id) on delete cascade,
+  profile_id uuid not null references public.profiles(id) on delete cascade,
+  changes jsonb not null,
+  edited_at timestamp with time zone not null default now()
+);
+
+create index if not exists round_edits_round_id_idx
+  on public.round_edits (round_id, edited_at desc);
+
+alter table public.round_edits enable row level security;
+
+create policy "Users can view their own round edits"
+  on public.round_edits for select
+  using (profile_id = auth.uid());
+
+create policy "Users can record edits to their own rounds"
+  on public.round_edits for insert
+  with check (
+    profile_id = auth.uid()
+    and exists (
+      select 1 from public.rounds
+      where rounds.id = round_edits.round_id and rounds.profile_id = auth.uid()
+    )
+  );
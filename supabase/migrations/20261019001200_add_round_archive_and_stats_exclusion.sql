@@ -0,0 +1,30 @@
+-- Deleting, archiving and excluding rounds
+-- Archived rounds are hidden from the round lists but still count. Rounds excluded from
+-- stats (practice or joke rounds) stay listed but are left out of insights, trends,
+-- club and hole stats and the handicap index.
+
+alter table public.rounds
+  add column if not exists archived_at timestamp with time zone,
+  add column if not exists exclude_from_stats boolean not null default false;
+
+-- Delete one of the player's rounds with its holes and insights
+-- Group players, handicap history and edit history follow their foreign keys
+create or replace function public.delete_round(p_round_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from public.rounds
+    where id = p_round_id and profile_id = auth.uid()
+  ) then
+    raise exception 'Round % not found', p_round_id;
+  end if;
+
+  delete from public.shots where round_id = p_round_id;
+  delete from public.insights where round_id = p_round_id;
+  delete from public.rounds where id = p_round_id;
+end;
+$$;
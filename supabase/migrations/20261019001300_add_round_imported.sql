@@ -0,0 +1,7 @@
+-- Past rounds logged from paper scorecards
+-- Imported rounds have a score (and optionally putts) per hole but no shot detail.
+-- They count towards insights and the handicap index like any other completed round,
+-- dated by when they were played rather than when they were entered.
+
+alter table public.rounds
+  add column if not exists imported boolean not null default false;
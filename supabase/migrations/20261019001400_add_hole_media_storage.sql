@@ -0,0 +1,26 @@
+-- Hole notes, photos and voice memos
+-- Text notes live with the hole in shots.hole_data.notes. Photos and voice memos are
+-- uploaded to the private hole-media bucket under <profile id>/<round id>/ and
+-- hole_data.notes.media keeps their object paths, so players only reach their own files.
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'hole-media',
+  'hole-media',
+  false,
+  10485760,
+  array['image/jpeg', 'image/png', 'image/heic', 'audio/m4a', 'audio/mp4', 'audio/x-m4a', 'audio/aac']
+)
+on conflict (id) do nothing;
+
+create policy "Users can view their own hole media"
+  on storage.objects for select
+  using (bucket_id = 'hole-media' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Users can upload their own hole media"
+  on storage.objects for insert
+  with check (bucket_id = 'hole-media' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Users can delete their own hole media"
+  on storage.objects for delete
+  using (bucket_id = 'hole-media' and (storage.foldername(name))[1] = auth.uid()::text);
@@ -0,0 +1,10 @@
+-- Preferred approach distance
+-- The yardage a player likes to hit approach shots from. DistanceIndicator suggests a
+-- lay-up that leaves this distance to the green; null means no lay-up is suggested.
+
+alter table public.profiles
+  add column if not exists preferred_approach_distance integer;
+
+alter table public.profiles
+  add constraint profiles_preferred_approach_distance_check
+  check (preferred_approach_distance is null or preferred_approach_distance between 30 and 250);
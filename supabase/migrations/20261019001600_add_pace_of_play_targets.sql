@@ -0,0 +1,18 @@
+-- Pace of play targets
+-- Target round times for 18 holes, in minutes. The tracker's live pace indicator and
+-- the scorecard timing report share them out by par; the player's own target wins over
+-- the course's, and both fall back to the app default when null.
+
+alter table public.courses
+  add column if not exists pace_of_play_minutes integer;
+
+alter table public.courses
+  add constraint courses_pace_of_play_minutes_check
+  check (pace_of_play_minutes is null or pace_of_play_minutes between 120 and 360);
+
+alter table public.profiles
+  add column if not exists pace_target_minutes integer;
+
+alter table public.profiles
+  add constraint profiles_pace_target_minutes_check
+  check (pace_target_minutes is null or pace_target_minutes between 120 and 360);
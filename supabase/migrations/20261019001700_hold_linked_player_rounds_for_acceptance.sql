@@ -0,0 +1,244 @@
+-- Linked player rounds wait for the player to accept them
+-- The round owner used to create a linked player's completed round directly, with
+-- the gross score and handicap differential worked out on the owner's phone, so one
+-- player could post rounds into another player's handicap. Now completing a group
+-- round only offers the linked player their round (link_status 'pending'). The
+-- player accepts it from their own account, when the round is created from the
+-- uploaded holes and scored by their own app from their own handicap and tee set,
+-- or declines it.
+--
+-- Players are no longer found by returning their profile: find_player_by_email gives
+-- back an invite token that the owner's phone stores in round_players.invite_token,
+-- and the profile is filled in from the token when the row is saved. Lookups are
+-- recorded in player_lookups and limited per hour so the search can't be used to
+-- list who has an account.
+
+create table if not exists public.player_lookups (
+  id uuid primary key default gen_random_uuid(),
+  requested_by uuid not null references public.profiles(id) on delete cascade,
+  profile_id uuid references public.profiles(id) on delete cascade,
+  created_at timestamp with time zone default now()
+);
+
+create index if not exists player_lookups_requested_by_idx
+  on public.player_lookups (requested_by, created_at);
+
+-- Only reached through find_player_by_email and the round_players insert trigger
+alter table public.player_lookups enable row level security;
+
+alter table public.round_players
+  add column if not exists invite_token uuid references public.player_lookups(id) on delete set null,
+  add column if not exists link_status text,
+  add column if not exists responded_at timestamp with time zone;
+
+alter table public.round_players
+  add constraint round_players_link_status_check
+  check (link_status in ('pending', 'accepted', 'declined'));
+
+-- Rounds already created for linked players count as accepted
+update public.round_players
+  set link_status = 'accepted'
+  where player_round_id is not null;
+
+-- The owner's phone can't set who a player is linked to, or answer for them: those
+-- columns are only written by the functions below and the insert trigger
+revoke insert, update on public.round_players from anon, authenticated;
+grant insert (round_id, invite_token, name, handicap, tee_set, position) on public.round_players to authenticated;
+grant update (name, handicap, tee_set, position) on public.round_players to authenticated;
+
+-- Link a new group player to the profile their invite token was issued for
+create or replace function public.link_round_player_from_invite()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.profile_id := null;
+
+  if new.invite_token is not null then
+    select player_lookups.profile_id into new.profile_id
+    from public.player_lookups
+    where player_lookups.id = new.invite_token
+      and player_lookups.requested_by = auth.uid();
+
+    if new.profile_id is null then
+      raise exception 'Invite token % is not valid', new.invite_token;
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger link_round_player_from_invite
+  before insert on public.round_players
+  for each row execute function public.link_round_player_from_invite();
+
+-- Find another player to link to a group round by their exact email address
+-- Returns an invite token for a match (the same token again for a player already
+-- found), or is_you when the address is the caller's own. No rows when nobody matches.
+drop function if exists public.find_player_by_email(text);
+
+create or replace function public.find_player_by_email(p_email text)
+returns table (invite_token uuid, is_you boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_profile_id uuid;
+  v_token uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to find players';
+  end if;
+
+  -- Ten lookups an hour is plenty to set up a group
+  if (
+    select count(*) from public.player_lookups
+    where requested_by = auth.uid() and created_at > now() - interval '1 hour'
+  ) >= 10 then
+    raise exception 'Too many player lookups, try again later' using errcode = 'P0429';
+  end if;
+
+  select profiles.id into v_profile_id
+  from public.profiles
+  where lower(profiles.email) = lower(trim(p_email));
+
+  if v_profile_id = auth.uid() then
+    return query select null::uuid, true;
+    return;
+  end if;
+
+  select player_lookups.id into v_token
+  from public.player_lookups
+  where requested_by = auth.uid() and profile_id = v_profile_id
+  order by created_at desc
+  limit 1;
+
+  -- Every lookup counts towards the limit, matched or not
+  insert into public.player_lookups (requested_by, profile_id)
+  values (auth.uid(), v_profile_id)
+  returning coalesce(v_token, id) into v_token;
+
+  if v_profile_id is not null then
+    return query select v_token, false;
+  end if;
+end;
+$$;
+
+drop function if exists public.complete_linked_player_round(uuid, integer, integer, jsonb, integer, integer, numeric);
+
+-- Offer a linked player their round once the owner has completed the group round
+-- Safe to call again: players who already answered are left alone.
+create or replace function public.offer_linked_player_round(p_round_player_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_player public.round_players%rowtype;
+begin
+  select * into v_player from public.round_players where id = p_round_player_id;
+
+  if not found or v_player.profile_id is null then
+    raise exception 'Round player % is not a linked player', p_round_player_id;
+  end if;
+
+  if not exists (
+    select 1 from public.rounds
+    where rounds.id = v_player.round_id and rounds.profile_id = auth.uid() and rounds.is_complete
+  ) then
+    raise exception 'Only the owner of a completed round can offer linked player rounds';
+  end if;
+
+  if v_player.link_status is null then
+    update public.round_players
+      set link_status = 'pending'
+      where id = p_round_player_id;
+    return 'pending';
+  end if;
+
+  return v_player.link_status;
+end;
+$$;
+
+-- Accept a round a group's owner scored for the calling player
+-- Creates the player's completed round with their holes copied into shots. Scoring
+-- it - gross shots, score, statistics and the handicap differential from the
+-- player's own handicap and tee set - is left to the player's app, as for their own
+-- rounds. Safe to call again: an accepted round is returned as is.
+create or replace function public.accept_linked_player_round(p_round_player_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_player public.round_players%rowtype;
+  v_round public.rounds%rowtype;
+  v_player_round_id uuid;
+begin
+  select * into v_player from public.round_players where id = p_round_player_id for update;
+
+  if not found or v_player.profile_id is distinct from auth.uid() then
+    raise exception 'Round player % is not linked to you', p_round_player_id;
+  end if;
+
+  if v_player.link_status = 'accepted' then
+    return v_player.player_round_id;
+  end if;
+
+  if v_player.link_status is distinct from 'pending' then
+    raise exception 'Round player % has no round waiting to be accepted', p_round_player_id;
+  end if;
+
+  select * into v_round from public.rounds where id = v_player.round_id;
+
+  insert into public.rounds (
+    profile_id, course_id, date, is_complete, selected_tee_id, selected_tee_name,
+    hole_selection, holes_played, starting_hole, scoring_format
+  )
+  values (
+    v_player.profile_id, v_round.course_id, v_round.date, true, v_round.selected_tee_id, v_round.selected_tee_name,
+    v_round.hole_selection, v_round.holes_played, v_round.starting_hole, v_round.scoring_format
+  )
+  returning id into v_player_round_id;
+
+  insert into public.shots (round_id, hole_number, hole_data, total_score)
+  select v_player_round_id, hole_number, hole_data, total_score
+  from public.round_player_holes
+  where round_player_id = p_round_player_id;
+
+  update public.round_players
+    set player_round_id = v_player_round_id,
+        link_status = 'accepted',
+        responded_at = now()
+    where id = p_round_player_id;
+
+  return v_player_round_id;
+end;
+$$;
+
+-- Turn down a round a group's owner scored for the calling player
+create or replace function public.decline_linked_player_round(p_round_player_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.round_players
+    set link_status = 'declined',
+        responded_at = now()
+    where id = p_round_player_id
+      and profile_id = auth.uid()
+      and link_status = 'pending';
+
+  if not found then
+    raise exception 'Round player % has no round waiting for you', p_round_player_id;
+  end if;
+end;
+$$;
@@ -0,0 +1,4 @@
+-- Group players joining a round reach the live leaderboard straight away, so it can
+-- start following their holes (round_player_holes has no round ID to filter on)
+
+alter publication supabase_realtime add table public.round_players;
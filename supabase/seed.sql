@@ -0,0 +1,139 @@
+-- Local seed data
+-- Loaded by `supabase db reset` (see [db.seed] in config.toml) to try the live
+-- leaderboard against a local stack. Everyone signs in with the password "password123":
+--   alex@example.com   - organised today's event and is six holes in
+--   sam@example.com    - in the event, four holes in, scoring for a group with
+--   jordan@example.com - linked to Sam's group, so they can follow it too
+-- Pat is a guest in Sam's group.
+
+-- Accounts (the profile trigger creates their profiles)
+insert into auth.users (
+  instance_id, id, aud, role, email, encrypted_password, email_confirmed_at,
+  raw_app_meta_data, raw_user_meta_data, created_at, updated_at,
+  confirmation_token, recovery_token, email_change_token_new, email_change
+)
+select
+  '00000000-0000-0000-0000-000000000000', seed_user.id, 'authenticated', 'authenticated',
+  seed_user.email, crypt('password123', gen_salt('bf')), now(),
+  '{"provider": "email", "providers": ["email"]}', '{}', now(), now(),
+  '', '', '', ''
+from (values
+  ('00000000-0000-4000-8000-000000000001'::uuid, 'alex@example.com'),
+  ('00000000-0000-4000-8000-000000000002'::uuid, 'sam@example.com'),
+  ('00000000-0000-4000-8000-000000000003'::uuid, 'jordan@example.com')
+) as seed_user(id, email);
+
+insert into auth.identities (
+  id, user_id, provider_id, identity_data, provider, last_sign_in_at, created_at, updated_at
+)
+select
+  gen_random_uuid(), users.id, users.id::text,
+  jsonb_build_object('sub', users.id::text, 'email', users.email, 'email_verified', true),
+  'email', now(), now(), now()
+from auth.users
+where users.email like '%@example.com';
+
+update public.profiles
+  set handicap = seed_profile.handicap, handicap_index = seed_profile.handicap
+from (values
+  ('00000000-0000-4000-8000-000000000001'::uuid, 12.4),
+  ('00000000-0000-4000-8000-000000000002'::uuid, 18.0),
+  ('00000000-0000-4000-8000-000000000003'::uuid, 8.2)
+) as seed_profile(id, handicap)
+where profiles.id = seed_profile.id;
+
+-- An 18-hole course with a rated tee
+insert into public.courses (id, name, club_name, location, country, par, num_holes, holes, tees)
+select
+  '00000000-0000-4000-8000-000000000101',
+  'Seed Valley',
+  'Seed Valley Golf Club',
+  'Springfield',
+  'USA',
+  72,
+  18,
+  jsonb_agg(jsonb_build_object(
+    'number', hole.number,
+    'par_men', hole.par,
+    'index_men', hole.stroke_index,
+    'par_women', hole.par,
+    'index_women', hole.stroke_index
+  ) order by hole.number),
+  '[{"id": "seed-white", "name": "White", "color": "#FFFFFF", "slope_men": 128, "slope_women": 134,
+     "course_rating_men": 71.2, "course_rating_women": 76.8, "total_distance": 6480}]'::jsonb
+from unnest(
+  array[4, 4, 3, 5, 4, 4, 3, 4, 5, 4, 3, 4, 5, 4, 4, 3, 5, 4],
+  array[7, 11, 15, 1, 9, 5, 17, 13, 3, 8, 16, 2, 10, 6, 12, 18, 4, 14]
+) with ordinality as hole(par, stroke_index, number);
+
+-- Today's event, with Alex and Sam entered
+insert into public.events (id, name, course_id, event_date, join_code, created_by)
+values (
+  '00000000-0000-4000-8000-000000000201', 'Saturday Medal', '00000000-0000-4000-8000-000000000101',
+  current_date, 'SEED42', '00000000-0000-4000-8000-000000000001'
+);
+
+insert into public.event_entries (event_id, profile_id, display_name, handicap, tee_set)
+values
+  ('00000000-0000-4000-8000-000000000201', '00000000-0000-4000-8000-000000000001', 'Alex', 12.4, 'men'),
+  ('00000000-0000-4000-8000-000000000201', '00000000-0000-4000-8000-000000000002', 'Sam', 18.0, 'men');
+
+-- Live rounds in the event
+insert into public.rounds (
+  id, profile_id, course_id, event_id, is_complete, selected_tee_id, selected_tee_name,
+  hole_selection, starting_hole, course_handicap
+)
+values
+  ('00000000-0000-4000-8000-000000000301', '00000000-0000-4000-8000-000000000001',
+   '00000000-0000-4000-8000-000000000101', '00000000-0000-4000-8000-000000000201',
+   false, 'seed-white', 'White', 'full', 1, 14),
+  ('00000000-0000-4000-8000-000000000302', '00000000-0000-4000-8000-000000000002',
+   '00000000-0000-4000-8000-000000000101', '00000000-0000-4000-8000-000000000201',
+   false, 'seed-white', 'White', 'full', 1, 20);
+
+insert into public.shots (round_id, hole_number, hole_data, total_score)
+select seed_hole.round_id, seed_hole.hole_number,
+  jsonb_build_object('par', courses_hole->'par_men', 'index', courses_hole->'index_men', 'shots', '[]'::jsonb),
+  seed_hole.score
+from (values
+  ('00000000-0000-4000-8000-000000000301'::uuid, 1, 5),
+  ('00000000-0000-4000-8000-000000000301'::uuid, 2, 4),
+  ('00000000-0000-4000-8000-000000000301'::uuid, 3, 3),
+  ('00000000-0000-4000-8000-000000000301'::uuid, 4, 6),
+  ('00000000-0000-4000-8000-000000000301'::uuid, 5, 4),
+  ('00000000-0000-4000-8000-000000000301'::uuid, 6, 5),
+  ('00000000-0000-4000-8000-000000000302'::uuid, 1, 4),
+  ('00000000-0000-4000-8000-000000000302'::uuid, 2, 6),
+  ('00000000-0000-4000-8000-000000000302'::uuid, 3, 4),
+  ('00000000-0000-4000-8000-000000000302'::uuid, 4, 5)
+) as seed_hole(round_id, hole_number, score)
+cross join lateral (
+  select hole as courses_hole
+  from public.courses, jsonb_array_elements(courses.holes) as holes(hole)
+  where courses.id = '00000000-0000-4000-8000-000000000101'
+    and (hole->>'number')::integer = seed_hole.hole_number
+) as course_hole;
+
+-- Sam's group: Jordan (linked) and Pat (a guest)
+insert into public.round_players (id, round_id, name, handicap, tee_set, position)
+values
+  ('00000000-0000-4000-8000-000000000401', '00000000-0000-4000-8000-000000000302', 'Jordan', 8.2, 'men', 1),
+  ('00000000-0000-4000-8000-000000000402', '00000000-0000-4000-8000-000000000302', 'Pat', null, 'men', 2);
+
+-- The app links players through an invite token; the seed links Jordan directly
+update public.round_players
+  set profile_id = '00000000-0000-4000-8000-000000000003'
+  where id = '00000000-0000-4000-8000-000000000401';
+
+insert into public.round_player_holes (round_player_id, hole_number, hole_data, total_score)
+select seed_hole.round_player_id, seed_hole.hole_number, '{"shots": []}'::jsonb, seed_hole.score
+from (values
+  ('00000000-0000-4000-8000-000000000401'::uuid, 1, 4),
+  ('00000000-0000-4000-8000-000000000401'::uuid, 2, 4),
+  ('00000000-0000-4000-8000-000000000401'::uuid, 3, 2),
+  ('00000000-0000-4000-8000-000000000401'::uuid, 4, 5),
+  ('00000000-0000-4000-8000-000000000402'::uuid, 1, 6),
+  ('00000000-0000-4000-8000-000000000402'::uuid, 2, 5),
+  ('00000000-0000-4000-8000-000000000402'::uuid, 3, 4),
+  ('00000000-0000-4000-8000-000000000402'::uuid, 4, 7)
+) as seed_hole(round_player_id, hole_number, score);